@@ -34,6 +34,15 @@ function getServerUrl() {
   });
 }
 
+// Auth token of the MCP server install (see get_connection_status), sent with every request
+function getAuthToken() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get('authToken', (result) => {
+      resolve(result.authToken || '');
+    });
+  });
+}
+
 function persistActiveTabs() {
   const sessions = {};
   for (const [tabId, sessionId] of tabSessionMap) {
@@ -68,7 +77,10 @@ async function sendToTab(tabId, message) {
 // Fetch available sessions from the MCP server
 async function fetchSessions(serverUrl) {
   try {
-    const resp = await fetch(`${serverUrl}/sessions`, { signal: AbortSignal.timeout(2000) });
+    const resp = await fetch(`${serverUrl}/sessions`, {
+      headers: { 'X-Feedback-Token': await getAuthToken() },
+      signal: AbortSignal.timeout(2000),
+    });
     if (resp.ok) return (await resp.json()).sessions || [];
   } catch {
     // Server not reachable
@@ -202,10 +214,11 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === 'getState') {
     // Called by popup
     const tabId = message.tabId;
-    getServerUrl().then((serverUrl) => {
+    Promise.all([getServerUrl(), getAuthToken()]).then(([serverUrl, authToken]) => {
       sendResponse({
         active: activeTabs.has(tabId),
         serverUrl,
+        authToken,
         sessionId: tabSessionMap.get(tabId) || null,
       });
     });
@@ -219,6 +232,13 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // async response
   }
 
+  if (message.action === 'setAuthToken') {
+    chrome.storage.local.set({ authToken: message.authToken }, () => {
+      sendResponse({ ok: true });
+    });
+    return true; // async response
+  }
+
   if (message.action === 'getSessions') {
     getServerUrl().then(serverUrl => {
       fetchSessions(serverUrl).then(sessions => {
@@ -4,6 +4,8 @@ const statusDot = document.getElementById('status-dot');
 const statusText = document.getElementById('status-text');
 const serverUrlInput = document.getElementById('server-url');
 const saveUrlBtn = document.getElementById('save-url');
+const authTokenInput = document.getElementById('auth-token');
+const saveTokenBtn = document.getElementById('save-token');
 const sessionPickerEl = document.getElementById('session-picker');
 const sessionListEl = document.getElementById('session-list');
 const activeSessionEl = document.getElementById('active-session');
@@ -13,6 +15,8 @@ const connectionNoticeEl = document.getElementById('connection-notice');
 
 let currentTabId = null;
 let currentSessionId = null;
+let currentServerUrl = null;
+let currentAuthToken = '';
 
 // Get the active tab ID
 async function getCurrentTab() {
@@ -26,7 +30,16 @@ async function checkConnection(serverUrl, sessionId) {
     const url = sessionId
       ? `${serverUrl}/status?session=${sessionId}`
       : `${serverUrl}/status`;
-    const resp = await fetch(url, { signal: AbortSignal.timeout(2000) });
+    const resp = await fetch(url, {
+      headers: { 'X-Feedback-Token': currentAuthToken },
+      signal: AbortSignal.timeout(2000),
+    });
+    if (resp.status === 401) {
+      statusDot.className = 'status-dot disconnected';
+      statusText.textContent = 'Auth token missing or invalid';
+      connectionNoticeEl.style.display = 'none';
+      return false;
+    }
     if (resp.ok) {
       const data = await resp.json();
       const count = data.connectedClients || 0;
@@ -97,6 +110,7 @@ function showSessionPicker(sessions) {
 async function showDetails(serverUrl, sessionId) {
   widgetDetailsEl.style.display = 'block';
   serverUrlInput.value = serverUrl;
+  currentServerUrl = serverUrl;
   currentSessionId = sessionId;
 
   await checkConnection(serverUrl, sessionId);
@@ -137,6 +151,8 @@ async function init() {
     if (!response) return;
 
     toggleEl.checked = response.active;
+    currentAuthToken = response.authToken || '';
+    authTokenInput.value = currentAuthToken;
 
     if (response.active) {
       await showDetails(response.serverUrl, response.sessionId || null);
@@ -158,7 +174,11 @@ toggleEl.addEventListener('change', () => {
       // Show details container for the session picker
       widgetDetailsEl.style.display = 'block';
       chrome.runtime.sendMessage({ action: 'getState', tabId: currentTabId }, (stateResp) => {
-        if (stateResp) serverUrlInput.value = stateResp.serverUrl;
+        if (stateResp) {
+          serverUrlInput.value = stateResp.serverUrl;
+          currentServerUrl = stateResp.serverUrl;
+          authTokenInput.value = stateResp.authToken || '';
+        }
       });
       chrome.runtime.sendMessage({ action: 'getSessions' }, (sessionsResp) => {
         if (sessionsResp && sessionsResp.sessions) {
@@ -193,8 +213,19 @@ saveUrlBtn.addEventListener('click', () => {
   if (!url) return;
 
   chrome.runtime.sendMessage({ action: 'setServerUrl', serverUrl: url }, () => {
+    currentServerUrl = url;
     checkConnection(url, currentSessionId);
   });
 });
 
+// Save auth token
+saveTokenBtn.addEventListener('click', () => {
+  const authToken = authTokenInput.value.trim();
+
+  chrome.runtime.sendMessage({ action: 'setAuthToken', authToken }, () => {
+    currentAuthToken = authToken;
+    if (currentServerUrl) checkConnection(currentServerUrl, currentSessionId);
+  });
+});
+
 init();
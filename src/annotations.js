@@ -0,0 +1,69 @@
+// Geometry and serialization of the shapes drawn in the widget's annotation editor,
+// and of the screenshot crop they are drawn on.
+//
+// Shapes are in screenshot pixel coordinates:
+// rect { x, y, width, height }, arrow { from, to }, freehand { points }, text { x, y, text }
+
+// A getBoundingClientRect()-style rect moved from viewport to document coordinates,
+// which html2canvas uses for the page screenshot
+export function toPageRect(rect, scrollX, scrollY) {
+  return { left: rect.left + scrollX, top: rect.top + scrollY, width: rect.width, height: rect.height };
+}
+
+// Area of the page screenshot to keep for a selection `rect` (document coordinates,
+// see toPageRect): the rect plus `padding`, clipped to the canvas
+export function getCropRect(rect, padding, canvasWidth, canvasHeight) {
+  const x = Math.max(0, rect.left - padding);
+  const y = Math.max(0, rect.top - padding);
+  return {
+    x,
+    y,
+    width: Math.min(canvasWidth, rect.left + rect.width + padding) - x,
+    height: Math.min(canvasHeight, rect.top + rect.height + padding) - y,
+  };
+}
+
+// Where the selection sits inside a screenshot cropped with getCropRect, so shapes
+// can be related to the selected element or region
+export function getTargetBox(rect, padding) {
+  return {
+    x: Math.round(rect.left - Math.max(0, rect.left - padding)),
+    y: Math.round(rect.top - Math.max(0, rect.top - padding)),
+    width: Math.round(rect.width),
+    height: Math.round(rect.height),
+  };
+}
+
+// Normalize a finished draft; returns null for accidental clicks
+export function finalizeShape(shape) {
+  if (shape.type === 'rect') {
+    const normalized = {
+      ...shape,
+      x: Math.min(shape.x, shape.x + shape.width),
+      y: Math.min(shape.y, shape.y + shape.height),
+      width: Math.abs(shape.width),
+      height: Math.abs(shape.height),
+    };
+    return normalized.width > 3 && normalized.height > 3 ? normalized : null;
+  }
+  if (shape.type === 'arrow') {
+    const length = Math.hypot(shape.to.x - shape.from.x, shape.to.y - shape.from.y);
+    return length > 5 ? shape : null;
+  }
+  if (shape.type === 'freehand') {
+    return shape.points.length > 1 ? shape : null;
+  }
+  return shape;
+}
+
+// The `annotations` field of a feedback item: the screenshot size, the selection's
+// box in it (when known) and a copy of the shapes; null when nothing was drawn
+export function serializeAnnotations(shapes, { width, height, target = null }) {
+  if (!Array.isArray(shapes) || shapes.length === 0) return null;
+  return {
+    width,
+    height,
+    ...(target ? { target } : {}),
+    shapes: shapes.map(shape => JSON.parse(JSON.stringify(shape))),
+  };
+}
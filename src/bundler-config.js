@@ -0,0 +1,247 @@
+import fs from "fs";
+import path from "path";
+
+// Wires the dev-server plugins (src/vite-plugin.js, src/webpack-plugin.js) into a
+// project's bundler config, and takes them out again
+
+const PACKAGE_NAME = 'mcp-claude-code-browser-feedback';
+
+const BUNDLERS = {
+  vite: {
+    name: 'Vite',
+    files: ['vite.config.ts', 'vite.config.js', 'vite.config.mjs', 'vite.config.mts', 'vite.config.cjs', 'vite.config.cts'],
+    call: 'browserFeedbackWidget()',
+    imports: {
+      esm: `import browserFeedbackWidget from '${PACKAGE_NAME}/vite';`,
+      cjs: `const { browserFeedbackWidget } = require('${PACKAGE_NAME}/vite');`,
+    },
+  },
+  webpack: {
+    name: 'webpack',
+    files: ['webpack.config.js', 'webpack.config.mjs', 'webpack.config.cjs', 'webpack.config.ts'],
+    call: 'new BrowserFeedbackWidgetPlugin()',
+    imports: {
+      esm: `import { BrowserFeedbackWidgetPlugin } from '${PACKAGE_NAME}/webpack';`,
+      cjs: `const { BrowserFeedbackWidgetPlugin } = require('${PACKAGE_NAME}/webpack');`,
+    },
+  },
+};
+
+export const BUNDLER_IDS = Object.keys(BUNDLERS);
+
+// Marks a plugins key install added (as opposed to an existing, empty plugins array)
+const ADDED_KEY_COMMENT = '// added by install_dev_server_plugin';
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Top-level import statements and require() declarations (possibly multi-line imports)
+const IMPORT_RE = /^(?:import\s[^;]*?from\s*['"][^'"]+['"]|import\s*['"][^'"]+['"]|(?:const|let|var)\s[^=;]+=\s*require\(\s*['"][^'"]+['"]\s*\)(?:\.\w+)*);?[ \t]*$/gm;
+
+// The object literal a config exports, also when returned by a defineConfig() callback
+const CONFIG_OBJECT_RE = /(?:defineConfig\(\s*(?:\([^)]*\)\s*=>\s*\(\s*)?|export\s+default\s+|module\.exports\s*=\s*)\{/;
+
+// Where a regex literal (not a division) can start, judged by the previous code character
+const REGEX_PRECEDER_RE = /[(,=:[!&|?{};]/;
+
+// End of the string, template, comment or regex literal starting at source[i], or -1
+// when none starts there
+function skipLiteral(source, i) {
+  const ch = source[i];
+  const next = source[i + 1];
+  if (ch === '/' && next === '/') {
+    const end = source.indexOf('\n', i);
+    return end === -1 ? source.length : end;
+  }
+  if (ch === '/' && next === '*') {
+    const end = source.indexOf('*/', i + 2);
+    return end === -1 ? source.length : end + 2;
+  }
+  const previous = source.slice(0, i).trimEnd().slice(-1);
+  const isRegex = ch === '/' && (previous === '' || REGEX_PRECEDER_RE.test(previous));
+  if (ch !== '"' && ch !== "'" && ch !== '`' && !isRegex) return -1;
+  let inClass = false;
+  for (let j = i + 1; j < source.length; j++) {
+    if (source[j] === '\\') j++;
+    else if (isRegex && source[j] === '[') inClass = true;
+    else if (isRegex && source[j] === ']') inClass = false;
+    else if (source[j] === ch && !inClass) return j + 1;
+  }
+  return source.length;
+}
+
+// The `plugins: [` key of the object literal whose body starts at `start`, skipping
+// nested objects, arrays, calls and literals (a PostCSS or loader plugins array is
+// not the bundler's). Returns the match or null.
+function findTopLevelPlugins(source, start) {
+  const key = /plugins\s*:\s*\[/y;
+  let depth = 0;
+  for (let i = start; i < source.length;) {
+    const end = skipLiteral(source, i);
+    if (end !== -1) {
+      i = end;
+      continue;
+    }
+    const ch = source[i];
+    if ('([{'.includes(ch)) depth++;
+    else if (')]}'.includes(ch)) {
+      if (depth === 0) return null;
+      depth--;
+    } else if (depth === 0 && !/[\w$]/.test(source[i - 1] || '')) {
+      key.lastIndex = i;
+      const match = key.exec(source);
+      if (match) return match;
+    }
+    i++;
+  }
+  return null;
+}
+
+// Find the bundler config in a project. Returns { bundler, file } or null.
+export function detectBundlerConfig(projectDir, bundler = null) {
+  const ids = bundler ? [bundler] : BUNDLER_IDS;
+  for (const id of ids) {
+    const file = BUNDLERS[id].files.find(f => fs.existsSync(path.join(projectDir, f)));
+    if (file) return { bundler: id, file: path.join(projectDir, file) };
+  }
+  return null;
+}
+
+function bundlerForFile(file) {
+  const base = path.basename(file);
+  return BUNDLER_IDS.find(id => base.startsWith(`${id}.`)) || null;
+}
+
+function isCommonJs(file, source) {
+  if (/\.c[jt]s$/.test(file)) return true;
+  if (/\.m[jt]s$/.test(file)) return false;
+  return /\bmodule\.exports\b|\brequire\(/.test(source) && !/^\s*(?:import|export)\s/m.test(source);
+}
+
+const indentOf = (line) => line.match(/^[ \t]*/)[0];
+
+// Add the plugin import and call to the plugins array of the exported config object
+// (adding the key when it has none). Returns { content } or { error } when there is
+// no exported object literal to add it to.
+export function addDevServerPlugin(source, bundlerId, file = '') {
+  const bundler = BUNDLERS[bundlerId];
+  const eol = source.includes('\r\n') ? '\r\n' : '\n';
+  let content = source;
+
+  // The plugin call first, so import insertion doesn't shift the positions found here
+  const config = content.match(CONFIG_OBJECT_RE);
+  if (!config) {
+    return { error: `Could not find a plugins array or an exported config object in ${file || 'the config'}` };
+  }
+  const body = config.index + config[0].length;
+  const plugins = findTopLevelPlugins(content, body);
+  if (plugins) {
+    const at = plugins.index + plugins[0].length;
+    const rest = content.slice(at);
+    if (/^\s*\]/.test(rest)) {
+      content = content.slice(0, at) + bundler.call + content.slice(at);
+    } else if (/^[ \t]*\r?\n/.test(rest)) {
+      const nextLine = rest.split(/\r?\n/).slice(1).find(line => line.trim() !== '') || '';
+      content = content.slice(0, at) + `${eol}${indentOf(nextLine)}${bundler.call},` + content.slice(at);
+    } else {
+      content = content.slice(0, at) + `${bundler.call}, ` + content.slice(at);
+    }
+  } else {
+    const nextLine = content.slice(body).split(/\r?\n/).slice(1).find(line => line.trim() !== '') || '';
+    const indent = nextLine.trim().startsWith('}') || !indentOf(nextLine) ? '  ' : indentOf(nextLine);
+    content = content.slice(0, body) + `${eol}${indent}plugins: [${bundler.call}], ${ADDED_KEY_COMMENT}` + content.slice(body);
+  }
+
+  const importLine = bundler.imports[isCommonJs(file, source) ? 'cjs' : 'esm'];
+  const imports = [...content.matchAll(IMPORT_RE)];
+  if (imports.length > 0) {
+    const last = imports[imports.length - 1];
+    const at = last.index + last[0].length;
+    content = content.slice(0, at) + eol + importLine + content.slice(at);
+  } else {
+    content = importLine + eol + content;
+  }
+  return { content };
+}
+
+// Remove what addDevServerPlugin added. Returns { content, removed }.
+export function removeDevServerPlugin(source, bundlerId) {
+  const bundler = BUNDLERS[bundlerId];
+  const call = escapeRegExp(bundler.call);
+  let content = source;
+  let removed = false;
+
+  for (const importLine of Object.values(bundler.imports)) {
+    for (const pattern of [new RegExp(`^${escapeRegExp(importLine)}\\r?\\n`), new RegExp(`\\r?\\n${escapeRegExp(importLine)}`)]) {
+      if (pattern.test(content)) {
+        content = content.replace(pattern, '');
+        removed = true;
+        break;
+      }
+    }
+  }
+
+  // Most specific form first: the plugins key install added, the call on its own line,
+  // then the call inline in an existing array
+  const callPatterns = [
+    new RegExp(`\\r?\\n[ \\t]*plugins: \\[${call}\\], ${escapeRegExp(ADDED_KEY_COMMENT)}`),
+    new RegExp(`\\r?\\n[ \\t]*${call},`),
+    new RegExp(`${call}, `),
+    new RegExp(call),
+  ];
+  for (const pattern of callPatterns) {
+    if (pattern.test(content)) {
+      content = content.replace(pattern, '');
+      removed = true;
+      break;
+    }
+  }
+  return { content, removed };
+}
+
+const isPluginInstalled = (source, bundlerId) => source.includes(`${PACKAGE_NAME}/${bundlerId}`);
+
+function resolveConfig(projectDir, { bundler, configFile }) {
+  if (configFile) {
+    const file = path.isAbsolute(configFile) ? configFile : path.join(projectDir, configFile);
+    if (!fs.existsSync(file)) return { status: 'file_not_found', file };
+    const id = bundler || bundlerForFile(file);
+    if (!id) return { status: 'unknown_bundler', file };
+    return { bundler: id, file };
+  }
+  return detectBundlerConfig(projectDir, bundler) || { status: 'not_found' };
+}
+
+// Wire the plugin into the project's Vite or webpack config.
+// options: bundler ('vite' | 'webpack', detected when omitted), configFile.
+// Returns { status, bundler, file, error } where status is installed |
+// already_installed | not_found | file_not_found | unknown_bundler | unsupported_config.
+export function installDevServerPlugin(projectDir, options = {}) {
+  const target = resolveConfig(projectDir, options);
+  if (target.status) return target;
+
+  const source = fs.readFileSync(target.file, 'utf8');
+  if (isPluginInstalled(source, target.bundler)) return { ...target, status: 'already_installed' };
+
+  const { content, error } = addDevServerPlugin(source, target.bundler, target.file);
+  if (error) return { ...target, status: 'unsupported_config', error };
+  fs.writeFileSync(target.file, content, 'utf8');
+  return { ...target, status: 'installed' };
+}
+
+// Take the plugin out of the project's bundler config.
+// Returns { status, bundler, file } where status is removed | not_installed |
+// not_found | file_not_found | unknown_bundler.
+export function uninstallDevServerPlugin(projectDir, options = {}) {
+  const target = resolveConfig(projectDir, options);
+  if (target.status) return target;
+
+  const source = fs.readFileSync(target.file, 'utf8');
+  const { content, removed } = removeDevServerPlugin(source, target.bundler);
+  if (!removed) return { ...target, status: 'not_installed' };
+  fs.writeFileSync(target.file, content, 'utf8');
+  return { ...target, status: 'removed' };
+}
+
+export function getBundlerName(id) {
+  return BUNDLERS[id]?.name || id;
+}
@@ -0,0 +1,107 @@
+import path from "path";
+import { deriveSessionId } from "./utils.js";
+import { loadProjectConfig } from "./project-config.js";
+
+// Serve-time widget injection shared by the Vite and webpack plugins and usable as
+// Express/Connect middleware. Nothing is written to the project's files: the script
+// tag is added to HTML responses of the dev server only.
+
+export const WIDGET_SCRIPT_ID = 'claude-feedback-widget-script';
+
+// The widget URL for a project, matching the session of the MCP server started in
+// that directory. options: projectDir (default cwd), port (default FEEDBACK_PORT or
+// the project config), sessionId (default derived from projectDir), host.
+export function getWidgetScriptUrl(options = {}) {
+  const projectDir = path.resolve(options.projectDir || process.cwd());
+  const port = options.port || process.env.FEEDBACK_PORT || loadProjectConfig(projectDir).config.port;
+  const sessionId = options.sessionId || deriveSessionId(projectDir);
+  return `http://${options.host || 'localhost'}:${port}/widget.js?session=${sessionId}`;
+}
+
+export function getWidgetScriptTag(options = {}) {
+  return `<script src="${getWidgetScriptUrl(options)}" id="${WIDGET_SCRIPT_ID}"></script>`;
+}
+
+// Add the script tag before </body> (or at the end); pages that already load the
+// widget are left alone
+export function injectWidgetScript(html, scriptTag) {
+  if (html.includes(WIDGET_SCRIPT_ID)) return html;
+  const index = html.lastIndexOf('</body>');
+  if (index === -1) return html + scriptTag;
+  return html.slice(0, index) + scriptTag + html.slice(index);
+}
+
+function acceptsHtml(req) {
+  return req.method === 'GET' && String(req.headers.accept || '').includes('text/html');
+}
+
+// Express/Connect middleware that injects the widget into HTML page responses.
+// Only page requests (GET, Accept: text/html) with an uncompressed text/html response
+// are buffered; everything else streams through untouched.
+export function browserFeedbackMiddleware(options = {}) {
+  const scriptTag = getWidgetScriptTag(options);
+
+  return function browserFeedbackWidget(req, res, next) {
+    if (!acceptsHtml(req)) return next();
+
+    const { write, end, writeHead } = res;
+    let chunks = null;
+    let decided = false;
+    // writeHead arguments, held back while buffering so Content-Length can be set
+    let head = null;
+
+    // Decide once the response headers are known whether to buffer the body
+    const decide = () => {
+      if (decided) return;
+      decided = true;
+      const type = String(res.getHeader('content-type') || '');
+      if (type.includes('text/html') && !res.getHeader('content-encoding') && !res.headersSent) {
+        chunks = [];
+        res.removeHeader('content-length');
+      }
+    };
+
+    res.writeHead = function (statusCode, ...rest) {
+      // Headers passed to writeHead are not visible to getHeader, so set them first
+      const headers = typeof rest[0] === 'string' ? rest[1] : rest[0];
+      if (headers && !Array.isArray(headers)) {
+        for (const [name, value] of Object.entries(headers)) res.setHeader(name, value);
+      }
+      decide();
+      const args = [statusCode, ...(typeof rest[0] === 'string' ? [rest[0]] : [])];
+      if (!chunks) return writeHead.apply(res, args);
+      head = args;
+      return res;
+    };
+
+    res.write = function (chunk, encoding, callback) {
+      decide();
+      if (!chunks) return write.call(res, chunk, encoding, callback);
+      chunks.push(Buffer.from(chunk, typeof encoding === 'string' ? encoding : undefined));
+      if (typeof encoding === 'function') encoding();
+      else if (typeof callback === 'function') callback();
+      return true;
+    };
+
+    res.end = function (chunk, encoding, callback) {
+      if (typeof chunk === 'function') {
+        callback = chunk;
+        chunk = undefined;
+      } else if (typeof encoding === 'function') {
+        callback = encoding;
+        encoding = undefined;
+      }
+      decide();
+      if (!chunks) return end.call(res, chunk, encoding, callback);
+      if (chunk) chunks.push(Buffer.from(chunk, encoding));
+      const html = injectWidgetScript(Buffer.concat(chunks).toString('utf8'), scriptTag);
+      // end() writes the headers through res.writeHead, so restore the originals first
+      Object.assign(res, { writeHead, write, end });
+      res.setHeader('content-length', Buffer.byteLength(html));
+      if (head) res.writeHead(...head);
+      return end.call(res, html, 'utf8', callback);
+    };
+
+    next();
+  };
+}
@@ -0,0 +1,56 @@
+// Uncaught errors and unhandled rejections as draft feedback items (captureErrors):
+// how an error is described and located, when two errors count as the same draft,
+// and the console and network breadcrumbs leading up to it.
+
+export const MAX_ERROR_DRAFTS = 10;
+export const ERROR_LABELS = { error: 'Uncaught error', unhandledrejection: 'Unhandled rejection' };
+
+// Error-like reasons (also from other frames) as "Name: message", anything else as JSON
+export function describeRejection(reason) {
+  if (typeof reason === 'string') return reason;
+  if (reason && typeof reason.message === 'string') return `${reason.name || 'Error'}: ${reason.message}`;
+  try {
+    return JSON.stringify(reason) ?? String(reason);
+  } catch {
+    return String(reason);
+  }
+}
+
+// File, line and column of the first stack frame with a location, in Chrome
+// ("at fn (url:1:2)") and Firefox/Safari ("fn@url:1:2") formats
+export function getStackSource(stack) {
+  if (typeof stack !== 'string') return null;
+  for (const line of stack.split('\n')) {
+    const match = line.match(/(?:\(|@|at )((?:https?|file|webpack|blob):[^\s()]+?):(\d+):(\d+)\)?\s*$/);
+    if (match) return { file: match[1], line: Number(match[2]), column: Number(match[3]) };
+  }
+  return null;
+}
+
+// Errors with the same type, message and location share a draft
+export function getErrorSignature({ type, message, source }) {
+  return [type, message, source?.file, source?.line, source?.column].join('|');
+}
+
+// What to do with a new error given the current drafts: count it on the draft with
+// the same signature ({ action: 'count', draft }), drop it once `max` drafts are
+// waiting ({ action: 'drop' }), or add a draft ({ action: 'add' })
+export function matchErrorDraft(drafts, signature, max = MAX_ERROR_DRAFTS) {
+  const draft = drafts.find(d => d.signature === signature);
+  if (draft) return { action: 'count', draft };
+  return { action: drafts.length >= max ? 'drop' : 'add' };
+}
+
+// The last `limit` console logs and network errors in time order, with messages
+// passed through `redact`
+export function getBreadcrumbs(consoleLogs, networkErrors, redact, limit = 15) {
+  const entries = [
+    ...consoleLogs.map(log => ({ timestamp: log.timestamp, category: 'console', level: log.type, message: redact(log.message) })),
+    ...networkErrors.map(entry => ({
+      timestamp: entry.timestamp,
+      category: 'network',
+      message: redact(`${entry.method} ${entry.url} → ${entry.status || entry.error}`),
+    })),
+  ];
+  return entries.sort((a, b) => a.timestamp.localeCompare(b.timestamp)).slice(-limit);
+}
@@ -0,0 +1,49 @@
+// Building blocks of the widget's public API (window.ClaudeFeedback and the handle
+// initFeedbackWidget returns): event subscriptions, attached context and the API
+// data added to feedback items.
+
+// Subscriptions for a fixed list of event names. When a listener throws,
+// onError(event, err) is called and the other listeners still run.
+export function createApiEvents(names, onError) {
+  let listeners = {};
+  return {
+    // Returns a function that unsubscribes
+    on(event, callback) {
+      if (!names.includes(event)) throw new Error(`Unknown event '${event}', expected one of: ${names.join(', ')}`);
+      if (typeof callback !== 'function') throw new TypeError(`The '${event}' listener must be a function`);
+      if (!listeners[event]) listeners[event] = new Set();
+      listeners[event].add(callback);
+      return () => listeners[event]?.delete(callback);
+    },
+    emit(event, data) {
+      for (const callback of [...(listeners[event] || [])]) {
+        try {
+          callback(data);
+        } catch (err) {
+          onError(event, err);
+        }
+      }
+    },
+    clear() {
+      listeners = {};
+    },
+  };
+}
+
+// attachContext(key, value) applied to the attached context: a copy with the key set,
+// or removed when the value is undefined
+export function setContextValue(context, key, value) {
+  const next = { ...context };
+  if (value === undefined) delete next[key];
+  else next[key] = value;
+  return next;
+}
+
+// The `context` and `extra` fields of a feedback item, passed through redactValue.
+// An empty context and an undefined extra are left out.
+export function getApiFields(context, extra, redactValue) {
+  const fields = {};
+  if (Object.keys(context).length > 0) fields.context = redactValue(context);
+  if (extra !== undefined) fields.extra = redactValue(extra);
+  return fields;
+}
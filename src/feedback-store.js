@@ -0,0 +1,278 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { isValidSessionId, setHistoryEntryStatus } from "./utils.js";
+
+// Default location for persisted feedback (one JSON file per session)
+export const DEFAULT_DATA_DIR = path.join(os.homedir(), '.browser-feedback-mcp', 'feedback');
+
+// Sent items kept per session for the widget's history panel (oldest are dropped)
+export const HISTORY_LIMIT = 100;
+
+// Only UUID session IDs and the shared 'unmatched' bucket are safe to use as file names.
+// Anything else comes straight from a query param and stays in memory.
+function isPersistableSessionId(sid) {
+  return sid === 'unmatched' || isValidSessionId(sid);
+}
+
+// Feedback IDs are generated by the widget (base36); anything else is not used as a file name
+const SAFE_ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+// In-memory feedback store. Keeps three lists per session:
+// - pending: items submitted in the widget but not yet sent
+// - ready:   items the user sent to Claude, waiting to be consumed by a tool call
+// - history: summaries of sent items with their reply threads (see toHistoryEntry)
+// plus a snapshot per history entry (original screenshot and element data) used
+// to verify fixes later. Snapshots are dropped together with their history entry.
+// Getters return copies; all mutations go through the store methods so that
+// persistent implementations can hook in.
+export function createMemoryFeedbackStore() {
+  const pendingBySession = new Map();
+  const readyBySession = new Map();
+  const historyBySession = new Map();
+  const snapshotsBySession = new Map();
+
+  function getSnapshots(sid) {
+    if (!snapshotsBySession.has(sid)) snapshotsBySession.set(sid, new Map());
+    return snapshotsBySession.get(sid);
+  }
+
+  return {
+    load() {
+      return 0;
+    },
+    sessionIds() {
+      return Array.from(new Set([...pendingBySession.keys(), ...readyBySession.keys(), ...historyBySession.keys()]));
+    },
+    getPending(sid) {
+      return [...(pendingBySession.get(sid) || [])];
+    },
+    getReady(sid) {
+      return [...(readyBySession.get(sid) || [])];
+    },
+    setPending(sid, items) {
+      pendingBySession.set(sid, [...items]);
+    },
+    setReady(sid, items) {
+      readyBySession.set(sid, [...items]);
+    },
+    getHistory(sid) {
+      return [...(historyBySession.get(sid) || [])];
+    },
+    setHistory(sid, items) {
+      const history = items.slice(-HISTORY_LIMIT);
+      historyBySession.set(sid, history);
+      const ids = new Set(history.map(entry => entry.id));
+      for (const id of getSnapshots(sid).keys()) {
+        if (!ids.has(id)) getSnapshots(sid).delete(id);
+      }
+    },
+    saveSnapshot(sid, id, snapshot) {
+      getSnapshots(sid).set(id, snapshot);
+    },
+    getSnapshot(sid, id) {
+      return getSnapshots(sid).get(id) || null;
+    },
+    addToHistory(sid, entries) {
+      if (entries.length === 0) return;
+      this.setHistory(sid, [...this.getHistory(sid), ...entries]);
+    },
+    // Replace a history entry with update(entry). Returns the new entry, or null if not found.
+    updateHistoryEntry(sid, id, update) {
+      const history = this.getHistory(sid);
+      const index = history.findIndex(entry => entry.id === id);
+      if (index === -1) return null;
+      history[index] = update(history[index]);
+      this.setHistory(sid, history);
+      return history[index];
+    },
+    addPending(sid, item) {
+      this.setPending(sid, [...this.getPending(sid), item]);
+    },
+    // Remove a pending item by ID. Returns true if something was removed.
+    removePending(sid, id) {
+      const pending = this.getPending(sid);
+      const remaining = pending.filter(f => f.id !== id);
+      if (remaining.length === pending.length) return false;
+      this.setPending(sid, remaining);
+      return true;
+    },
+    // Move all pending items to the ready queue. Returns the new ready queue.
+    markAllReady(sid) {
+      const ready = [...this.getReady(sid), ...this.getPending(sid)];
+      this.setReady(sid, ready);
+      this.setPending(sid, []);
+      return ready;
+    },
+    // Return and clear the ready queue. Delivered items move to in_progress in the history.
+    takeReady(sid) {
+      const ready = this.getReady(sid);
+      this.setReady(sid, []);
+      this.markDelivered(sid, ready);
+      return ready;
+    },
+    // Mark the history entries of delivered items (or of the item a follow-up
+    // belongs to) as in_progress, unless Claude already closed them
+    markDelivered(sid, items) {
+      const ids = new Set(items.map(f => f.inReplyTo || f.id));
+      const history = this.getHistory(sid);
+      let changed = false;
+      const updated = history.map(entry => {
+        if (!ids.has(entry.id) || entry.status !== 'open') return entry;
+        changed = true;
+        return setHistoryEntryStatus(entry, 'in_progress', { by: 'claude' });
+      });
+      if (changed) this.setHistory(sid, updated);
+    },
+    // Append all feedback of one session to another and drop the source session
+    moveSession(fromSid, toSid) {
+      if (fromSid === toSid) return;
+      this.setPending(toSid, [...this.getPending(toSid), ...this.getPending(fromSid)]);
+      this.setReady(toSid, [...this.getReady(toSid), ...this.getReady(fromSid)]);
+      for (const entry of this.getHistory(fromSid)) {
+        const snapshot = this.getSnapshot(fromSid, entry.id);
+        if (snapshot) this.saveSnapshot(toSid, entry.id, snapshot);
+      }
+      this.setHistory(toSid, [...this.getHistory(toSid), ...this.getHistory(fromSid)]);
+      this.deleteSession(fromSid);
+    },
+    deleteSession(sid) {
+      pendingBySession.delete(sid);
+      readyBySession.delete(sid);
+      historyBySession.delete(sid);
+      snapshotsBySession.delete(sid);
+    },
+  };
+}
+
+// Feedback holds screenshots, console logs and network errors, so only the user can
+// read the data directory and its files (like the auth token)
+const PRIVATE_DIR_MODE = 0o700;
+const PRIVATE_FILE_MODE = 0o600;
+
+// File-backed feedback store. Wraps the in-memory store and writes
+// <dataDir>/<sessionId>.json ({ pending, ready, history }) after every mutation,
+// so queued feedback survives a restart of the owning MCP process.
+// Snapshots (large screenshots) live in <dataDir>/snapshots/<sessionId>/<id>.json
+// and are only read when needed.
+export function createFileFeedbackStore(dataDir) {
+  const memory = createMemoryFeedbackStore();
+
+  function sessionFile(sid) {
+    return path.join(dataDir, `${sid}.json`);
+  }
+
+  function snapshotDir(sid) {
+    return path.join(dataDir, 'snapshots', sid);
+  }
+
+  // Remove snapshot files whose history entry is gone
+  function pruneSnapshots(sid) {
+    if (!isPersistableSessionId(sid)) return;
+    const ids = new Set(memory.getHistory(sid).map(entry => entry.id));
+    let files;
+    try {
+      files = fs.readdirSync(snapshotDir(sid));
+    } catch (err) {
+      return; // No snapshots for this session
+    }
+    for (const file of files) {
+      if (!ids.has(file.replace(/\.json$/, ''))) {
+        fs.rmSync(path.join(snapshotDir(sid), file), { force: true });
+      }
+    }
+  }
+
+  function save(sid) {
+    if (!isPersistableSessionId(sid)) return;
+    const pending = memory.getPending(sid);
+    const ready = memory.getReady(sid);
+    const history = memory.getHistory(sid);
+    const file = sessionFile(sid);
+    try {
+      if (pending.length === 0 && ready.length === 0 && history.length === 0) {
+        fs.rmSync(file, { force: true });
+        return;
+      }
+      fs.mkdirSync(dataDir, { recursive: true, mode: PRIVATE_DIR_MODE });
+      // Write to a temp file first so a crash never leaves a truncated JSON file
+      const tmpFile = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify({ sessionId: sid, pending, ready, history }), { encoding: 'utf8', mode: PRIVATE_FILE_MODE });
+      fs.renameSync(tmpFile, file);
+    } catch (err) {
+      console.error(`[browser-feedback-mcp] Could not persist feedback for session ${sid}:`, err.message);
+    }
+  }
+
+  return {
+    ...memory,
+    dataDir,
+    // Read all persisted sessions into memory. Returns the number of sessions loaded.
+    load() {
+      let entries;
+      try {
+        entries = fs.readdirSync(dataDir);
+      } catch (err) {
+        return 0; // Nothing persisted yet
+      }
+      let loaded = 0;
+      for (const entry of entries) {
+        if (!entry.endsWith('.json')) continue;
+        const sid = entry.slice(0, -'.json'.length);
+        if (!isPersistableSessionId(sid)) continue;
+        try {
+          const data = JSON.parse(fs.readFileSync(path.join(dataDir, entry), 'utf8'));
+          memory.setPending(sid, Array.isArray(data.pending) ? data.pending : []);
+          memory.setReady(sid, Array.isArray(data.ready) ? data.ready : []);
+          memory.setHistory(sid, Array.isArray(data.history) ? data.history : []);
+          loaded++;
+        } catch (err) {
+          console.error(`[browser-feedback-mcp] Skipping unreadable feedback file ${entry}:`, err.message);
+        }
+      }
+      return loaded;
+    },
+    setPending(sid, items) {
+      memory.setPending(sid, items);
+      save(sid);
+    },
+    setReady(sid, items) {
+      memory.setReady(sid, items);
+      save(sid);
+    },
+    setHistory(sid, items) {
+      memory.setHistory(sid, items);
+      pruneSnapshots(sid);
+      save(sid);
+    },
+    saveSnapshot(sid, id, snapshot) {
+      if (!isPersistableSessionId(sid) || !SAFE_ID_RE.test(id)) {
+        memory.saveSnapshot(sid, id, snapshot);
+        return;
+      }
+      try {
+        fs.mkdirSync(snapshotDir(sid), { recursive: true, mode: PRIVATE_DIR_MODE });
+        fs.writeFileSync(path.join(snapshotDir(sid), `${id}.json`), JSON.stringify(snapshot), { encoding: 'utf8', mode: PRIVATE_FILE_MODE });
+      } catch (err) {
+        console.error(`[browser-feedback-mcp] Could not persist snapshot ${id}:`, err.message);
+        memory.saveSnapshot(sid, id, snapshot);
+      }
+    },
+    getSnapshot(sid, id) {
+      const inMemory = memory.getSnapshot(sid, id);
+      if (inMemory || !isPersistableSessionId(sid) || !SAFE_ID_RE.test(id)) return inMemory;
+      try {
+        return JSON.parse(fs.readFileSync(path.join(snapshotDir(sid), `${id}.json`), 'utf8'));
+      } catch (err) {
+        return null;
+      }
+    },
+    deleteSession(sid) {
+      memory.deleteSession(sid);
+      if (isPersistableSessionId(sid)) {
+        fs.rmSync(snapshotDir(sid), { recursive: true, force: true });
+      }
+      save(sid);
+    },
+  };
+}
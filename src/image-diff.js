@@ -0,0 +1,126 @@
+import jpeg from "jpeg-js";
+import { PNG } from "pngjs";
+
+// Largest possible YIQ color delta (black vs. white), see colorDelta
+const MAX_YIQ_DELTA = 35215;
+
+// Guard against decoding absurdly large images into memory
+const MAX_DECODE_MEMORY_MB = 256;
+
+// Refuse PNGs whose RGBA pixels would exceed the decode budget, going by the
+// width and height in the IHDR chunk (bytes 16-23) before anything is inflated
+function checkPngSize(buffer) {
+  if (buffer.length < 24 || buffer.toString('latin1', 12, 16) !== 'IHDR') return;
+  const width = buffer.readUInt32BE(16);
+  const height = buffer.readUInt32BE(20);
+  if (width * height * 4 > MAX_DECODE_MEMORY_MB * 1024 * 1024) {
+    throw new Error(`PNG of ${width}x${height} pixels is too large to decode (limit ${MAX_DECODE_MEMORY_MB}MB)`);
+  }
+}
+
+// Decode a PNG or JPEG data URL into { width, height, data } with RGBA pixel data
+export function decodeDataUrl(dataUrl) {
+  const match = typeof dataUrl === 'string' && dataUrl.match(/^data:(image\/(?:png|jpeg|jpg));base64,(.+)$/);
+  if (!match) {
+    throw new Error('Expected a base64 PNG or JPEG data URL');
+  }
+  const buffer = Buffer.from(match[2], 'base64');
+  if (match[1] === 'image/png') {
+    checkPngSize(buffer);
+    const png = PNG.sync.read(buffer);
+    return { width: png.width, height: png.height, data: png.data };
+  }
+  const image = jpeg.decode(buffer, {
+    useTArray: true,
+    formatAsRGBA: true,
+    maxMemoryUsageInMB: MAX_DECODE_MEMORY_MB,
+  });
+  return { width: image.width, height: image.height, data: image.data };
+}
+
+// Encode RGBA pixel data as a JPEG data URL
+export function encodeJpegDataUrl(image, quality = 80) {
+  const encoded = jpeg.encode({ width: image.width, height: image.height, data: image.data }, quality);
+  return `data:image/jpeg;base64,${Buffer.from(encoded.data).toString('base64')}`;
+}
+
+// Perceptual color difference of two RGBA pixels (YIQ, alpha blended onto white),
+// the same measure pixelmatch uses
+function colorDelta(a, i, b, j) {
+  const blend = (c, alpha) => 255 + (c - 255) * alpha;
+  const aA = a[i + 3] / 255;
+  const bA = b[j + 3] / 255;
+  const r1 = blend(a[i], aA), g1 = blend(a[i + 1], aA), b1 = blend(a[i + 2], aA);
+  const r2 = blend(b[j], bA), g2 = blend(b[j + 1], bA), b2 = blend(b[j + 2], bA);
+
+  const y = (r1 - r2) * 0.29889531 + (g1 - g2) * 0.58662247 + (b1 - b2) * 0.11448223;
+  const iq = (r1 - r2) * 0.59597799 - (g1 - g2) * 0.2741761 - (b1 - b2) * 0.32180189;
+  const q = (r1 - r2) * 0.21147017 - (g1 - g2) * 0.52261711 + (b1 - b2) * 0.31114694;
+  return 0.5053 * y * y + 0.299 * iq * iq + 0.1957 * q * q;
+}
+
+// Compare two decoded images pixel by pixel. Images of different sizes are aligned
+// at the top-left corner; pixels covered by only one of them count as changed.
+// threshold (0-1) is how different a pixel must be to count, 0.1 ignores
+// anti-aliasing and JPEG noise.
+// Returns { width, height, changedPixels, totalPixels, changedPercent, diffImage } where
+// diffImage shows the "after" image faded out with changed pixels in red.
+export function diffImages(before, after, { threshold = 0.1 } = {}) {
+  const width = Math.max(before.width, after.width);
+  const height = Math.max(before.height, after.height);
+  const maxDelta = MAX_YIQ_DELTA * threshold * threshold;
+  const diff = Buffer.alloc(width * height * 4);
+  let changedPixels = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const out = (y * width + x) * 4;
+      const inBefore = x < before.width && y < before.height;
+      const inAfter = x < after.width && y < after.height;
+      const i = (y * before.width + x) * 4;
+      const j = (y * after.width + x) * 4;
+
+      const changed = !inBefore || !inAfter || colorDelta(before.data, i, after.data, j) > maxDelta;
+      if (changed) {
+        changedPixels++;
+        diff[out] = 255;
+        diff[out + 1] = 0;
+        diff[out + 2] = 0;
+      } else {
+        // Faded grayscale of the unchanged pixel, so the red stands out
+        const src = after.data;
+        const gray = src[j] * 0.299 + src[j + 1] * 0.587 + src[j + 2] * 0.114;
+        const faded = 255 + (gray - 255) * 0.25;
+        diff[out] = faded;
+        diff[out + 1] = faded;
+        diff[out + 2] = faded;
+      }
+      diff[out + 3] = 255;
+    }
+  }
+
+  const totalPixels = width * height;
+  return {
+    width,
+    height,
+    changedPixels,
+    totalPixels,
+    changedPercent: totalPixels === 0 ? 0 : Math.round((changedPixels / totalPixels) * 10000) / 100,
+    diffImage: { width, height, data: diff },
+  };
+}
+
+// Diff two screenshot data URLs. Returns the diff statistics, the sizes of both
+// images and the diff image as a JPEG data URL.
+export function diffScreenshots(beforeDataUrl, afterDataUrl, options = {}) {
+  const before = decodeDataUrl(beforeDataUrl);
+  const after = decodeDataUrl(afterDataUrl);
+  const { diffImage, ...stats } = diffImages(before, after, options);
+  return {
+    ...stats,
+    beforeSize: { width: before.width, height: before.height },
+    afterSize: { width: after.width, height: after.height },
+    sizeMismatch: before.width !== after.width || before.height !== after.height,
+    diffDataUrl: encodeJpegDataUrl(diffImage),
+  };
+}
@@ -0,0 +1,166 @@
+import fs from "fs";
+import path from "path";
+
+// Optional per-project settings, read from the project directory at startup
+export const CONFIG_FILE_NAME = '.browser-feedback.json';
+
+export const DEFAULT_CONFIG = {
+  // HTTP/WebSocket port (FEEDBACK_PORT takes precedence)
+  port: 9877,
+  // HTML files install_widget / uninstall_widget look for, relative to the project
+  installCandidates: [
+    'index.html',
+    'public/index.html',
+    'src/index.html',
+    'app/index.html',
+    'dist/index.html',
+    'build/index.html',
+    'www/index.html',
+    'static/index.html',
+  ],
+  // Hostnames the dev-only install snippet loads the widget on ('*' matches anything)
+  devHostnames: [
+    'localhost',
+    '127.0.0.1',
+    '*.local',
+    '*.local.*',
+    '*.test',
+    '*.dev',
+    '*.ddev.site',
+  ],
+  // Console messages the widget keeps for feedback
+  consoleBufferSize: 50,
+  // JPEG quality of screenshots (0-1)
+  screenshotQuality: 0.7,
+  // Turn uncaught errors and unhandled rejections into draft feedback items in the widget
+  captureErrors: false,
+  // Build output searched for source maps when the dev server doesn't serve them,
+  // relative to the project
+  buildDirs: ['dist', 'build', 'public/build', 'public/assets', 'out', '.next/static'],
+  // Extra origins the widget may connect from (merged with FEEDBACK_ALLOWED_ORIGINS)
+  allowedOrigins: [],
+  // Project redaction rules (merged with FEEDBACK_REDACT_PATTERNS / FEEDBACK_MASK_SELECTORS)
+  redaction: { patterns: [], selectors: [] },
+};
+
+const describe = (value) => (value === undefined ? 'nothing' : JSON.stringify(value));
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(v => typeof v === 'string' && v.trim() !== '');
+}
+
+// Per-option validators: return an error message, or null if the value is valid
+const VALIDATORS = {
+  port: (v) => (Number.isInteger(v) && v >= 1 && v <= 65535
+    ? null
+    : `"port" must be an integer between 1 and 65535, got ${describe(v)}`),
+  installCandidates: (v) => {
+    if (!isStringList(v) || v.length === 0) {
+      return `"installCandidates" must be a non-empty array of file paths, got ${describe(v)}`;
+    }
+    const outside = v.find(p => path.isAbsolute(p) || p.split(/[\\/]/).includes('..'));
+    return outside ? `"installCandidates" entries must be relative paths inside the project, got "${outside}"` : null;
+  },
+  devHostnames: (v) => (isStringList(v) && v.length > 0
+    ? null
+    : `"devHostnames" must be a non-empty array of hostnames or patterns, got ${describe(v)}`),
+  consoleBufferSize: (v) => (Number.isInteger(v) && v >= 1 && v <= 1000
+    ? null
+    : `"consoleBufferSize" must be an integer between 1 and 1000, got ${describe(v)}`),
+  screenshotQuality: (v) => (typeof v === 'number' && v > 0 && v <= 1
+    ? null
+    : `"screenshotQuality" must be a number greater than 0 and at most 1, got ${describe(v)}`),
+  captureErrors: (v) => (typeof v === 'boolean'
+    ? null
+    : `"captureErrors" must be true or false, got ${describe(v)}`),
+  buildDirs: (v) => {
+    if (!isStringList(v)) return `"buildDirs" must be an array of directory paths, got ${describe(v)}`;
+    const outside = v.find(p => path.isAbsolute(p) || p.split(/[\\/]/).includes('..'));
+    return outside ? `"buildDirs" entries must be relative paths inside the project, got "${outside}"` : null;
+  },
+  allowedOrigins: (v) => (isStringList(v)
+    ? null
+    : `"allowedOrigins" must be an array of origins such as "https://app.test" or "https://*.ddev.site", got ${describe(v)}`),
+  redaction: (v) => {
+    if (!v || typeof v !== 'object' || Array.isArray(v)) {
+      return `"redaction" must be an object with "patterns" and/or "selectors", got ${describe(v)}`;
+    }
+    const unknown = Object.keys(v).find(k => k !== 'patterns' && k !== 'selectors');
+    if (unknown) return `"redaction.${unknown}" is not a known option (expected "patterns" or "selectors")`;
+    for (const key of ['patterns', 'selectors']) {
+      if (v[key] !== undefined && !isStringList(v[key])) {
+        return `"redaction.${key}" must be an array of strings, got ${describe(v[key])}`;
+      }
+    }
+    for (const source of v.patterns || []) {
+      try {
+        new RegExp(source, 'g');
+      } catch (err) {
+        return `"redaction.patterns" contains an invalid regular expression "${source}": ${err.message}`;
+      }
+    }
+    return null;
+  },
+};
+
+// Validate parsed config file contents. Invalid or unknown options are reported in
+// `errors` and fall back to their defaults, so a typo never stops the server.
+export function validateProjectConfig(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { config: { ...DEFAULT_CONFIG }, errors: [`The config must be a JSON object, got ${describe(raw)}`] };
+  }
+
+  const config = { ...DEFAULT_CONFIG };
+  const errors = [];
+  for (const [key, value] of Object.entries(raw)) {
+    if (key === '$schema') continue;
+    const validate = VALIDATORS[key];
+    if (!validate) {
+      errors.push(`"${key}" is not a known option. Known options: ${Object.keys(VALIDATORS).join(', ')}`);
+      continue;
+    }
+    const error = validate(value);
+    if (error) {
+      errors.push(error);
+    } else {
+      config[key] = key === 'redaction'
+        ? { patterns: value.patterns || [], selectors: value.selectors || [] }
+        : value;
+    }
+  }
+  return { config, errors };
+}
+
+// Read and validate CONFIG_FILE_NAME from a project directory.
+// Returns { config, file, found, errors }; a missing file yields the defaults.
+export function loadProjectConfig(projectDir) {
+  const file = path.join(projectDir, CONFIG_FILE_NAME);
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return { config: { ...DEFAULT_CONFIG }, file, found: false, errors: [] };
+    }
+    return { config: { ...DEFAULT_CONFIG }, file, found: false, errors: [`Could not read ${file}: ${err.message}`] };
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (err) {
+    return { config: { ...DEFAULT_CONFIG }, file, found: true, errors: [`${file} is not valid JSON: ${err.message}`] };
+  }
+
+  const { config, errors } = validateProjectConfig(raw);
+  return { config, file, found: true, errors: errors.map(e => `${CONFIG_FILE_NAME}: ${e}`) };
+}
+
+// The part of the config the widget needs, passed to the widget by /widget.js
+export function getWidgetConfig(config) {
+  return {
+    consoleBufferSize: config.consoleBufferSize,
+    screenshotQuality: config.screenshotQuality,
+    captureErrors: config.captureErrors,
+  };
+}
@@ -0,0 +1,85 @@
+// Built-in redaction of secrets and personal data, applied by the widget before
+// anything leaves the browser: text rules, and the screenshot areas blurred for
+// masked elements.
+
+export const REDACTED = '[REDACTED]';
+
+// Attribute and key names like data-token or api-key hold secrets whatever their value looks like
+export const SECRET_NAME_RE = /api[_-]?key|token|secret|password|passwd|pwd/i;
+
+// Luhn checksum, so only plausible card numbers are redacted (not timestamps or IDs)
+export function isLuhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+// Built-in rules. `replace` is a replacement string or function for String.replace().
+export const BUILTIN_REDACTION_RULES = [
+  // JSON Web Tokens
+  { pattern: /\beyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]*/g, replace: REDACTED },
+  // Authorization headers, whatever the scheme
+  { pattern: /\b(Authorization["']?\s*[:=]\s*["']?)(?:(?:Bearer|Basic|Token|Digest)\s+)?[^\s"',;}]+/gi, replace: `$1${REDACTED}` },
+  // Bearer tokens outside a header
+  { pattern: /\b([Bb]earer)\s+[A-Za-z0-9._~+/-]{8,}=*/g, replace: `$1 ${REDACTED}` },
+  // Well-known API key formats: Stripe, OpenAI/Anthropic, GitHub, AWS, Google, Slack
+  { pattern: /\b(?:[sprk]k_(?:live|test)_[A-Za-z0-9]{10,}|sk-[A-Za-z0-9_-]{20,}|gh[pousr]_[A-Za-z0-9]{30,}|github_pat_[A-Za-z0-9_]{30,}|AKIA[0-9A-Z]{16}|AIza[0-9A-Za-z_-]{35}|xox[abprs]-[A-Za-z0-9-]{10,})/g, replace: REDACTED },
+  // key=value / "key": "value" pairs with secret-looking keys (also in query strings)
+  { pattern: /\b([\w-]*(?:api[_-]?key|token|secret|password|passwd|pwd)["']?\s*[:=]\s*["']?)[^\s"'&,;}]+/gi, replace: `$1${REDACTED}` },
+  // Email addresses (not retina image names like logo@2x.png)
+  { pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.(?!(?:png|jpe?g|gif|svg|webp|avif)\b)[A-Za-z]{2,}\b/g, replace: REDACTED },
+  // Credit card numbers (13-19 digits starting like a card, optionally grouped by spaces or dashes)
+  {
+    pattern: /\b[2-6](?:[ -]?\d){12,18}\b/g,
+    replace: (match) => isLuhnValid(match.replace(/\D/g, '')) ? REDACTED : match,
+  },
+];
+
+// Apply the built-in rules, then `extraRules` (the project's, same shape) to a string
+export function redactText(text, extraRules = []) {
+  if (typeof text !== 'string' || text === '') return text;
+  let result = text;
+  for (const rule of [...BUILTIN_REDACTION_RULES, ...extraRules]) {
+    rule.pattern.lastIndex = 0;
+    result = result.replace(rule.pattern, rule.replace);
+  }
+  return result;
+}
+
+// A value apps pass through the widget API (report()'s extra, attachContext): copied
+// through JSON so functions and DOM node properties are dropped, with strings
+// redacted and values under secret-looking keys replaced. Throws for values JSON
+// can't copy (circular references, BigInt).
+export function redactJsonValue(value, extraRules = []) {
+  const walk = (v) => {
+    if (typeof v === 'string') return redactText(v, extraRules);
+    if (Array.isArray(v)) return v.map(walk);
+    if (v && typeof v === 'object') {
+      return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, SECRET_NAME_RE.test(k) ? REDACTED : walk(x)]));
+    }
+    return v;
+  };
+  return walk(JSON.parse(JSON.stringify(value) ?? 'null'));
+}
+
+// Areas of a page screenshot to blur for masked elements. `rects` come from
+// getBoundingClientRect() (viewport coordinates); html2canvas renders the whole
+// document, so they are moved by the scroll offset, padded and clipped to the canvas.
+export function getMaskBoxes(rects, { scrollX = 0, scrollY = 0 }, canvasWidth, canvasHeight) {
+  const boxes = [];
+  for (const rect of rects) {
+    const x = Math.max(0, Math.floor(rect.left + scrollX - 4));
+    const y = Math.max(0, Math.floor(rect.top + scrollY - 4));
+    const width = Math.min(canvasWidth, Math.ceil(rect.left + scrollX + rect.width + 4)) - x;
+    const height = Math.min(canvasHeight, Math.ceil(rect.top + scrollY + rect.height + 4)) - y;
+    if (width > 0 && height > 0) boxes.push({ x, y, width, height });
+  }
+  return boxes;
+}
@@ -14,25 +14,124 @@ import crypto from "node:crypto";
 import { fileURLToPath, pathToFileURL } from "url";
 import { createRequire } from "module";
 import { execFile } from "child_process";
-import { deriveSessionId, isValidSessionId, getPendingSummary, detectProjectUrl, formatFeedbackAsContent } from "./utils.js";
+import {
+  deriveSessionId,
+  isValidSessionId,
+  loadOrCreateAuthToken,
+  isValidAuthToken,
+  DEFAULT_ALLOWED_ORIGINS,
+  parseOriginList,
+  toOrigin,
+  isOriginAllowed,
+  normalizeRedactionConfig,
+  getPendingSummary,
+  detectProjectUrl,
+  formatFeedbackAsContent,
+  toHistoryEntry,
+  addReplyToHistoryEntry,
+  createFollowUpFeedback,
+  setHistoryEntryStatus,
+  getHistorySummary,
+  FEEDBACK_STATUSES,
+  toVerificationSnapshot,
+  formatVerificationAsContent,
+} from "./utils.js";
+import { createFileFeedbackStore, DEFAULT_DATA_DIR } from "./feedback-store.js";
+import { diffScreenshots } from "./image-diff.js";
+import { createStackResolver } from "./source-maps.js";
+import {
+  detectFramework,
+  getFramework,
+  installWidget,
+  uninstallWidget,
+  uninstallAllWidgets,
+  FRAMEWORK_IDS,
+  MANIFEST_FILE_NAME,
+} from "./widget-installer.js";
+import { installDevServerPlugin, uninstallDevServerPlugin, getBundlerName, BUNDLER_IDS } from "./bundler-config.js";
+import { loadProjectConfig, getWidgetConfig, validateProjectConfig, DEFAULT_CONFIG, CONFIG_FILE_NAME } from "./project-config.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const PORT = parseInt(process.env.FEEDBACK_PORT || "9877");
-const PKG_VERSION = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'package.json'), 'utf8')).version;
-
 // Session identity for this MCP server process
 const PROJECT_DIR = process.cwd();
+
+// Project settings from .browser-feedback.json (defaults when missing); problems are
+// logged here and reported by get_config
+const PROJECT_CONFIG = loadProjectConfig(PROJECT_DIR);
+const CONFIG = PROJECT_CONFIG.config;
+for (const error of PROJECT_CONFIG.errors) {
+  console.error(`[browser-feedback-mcp] ${error}`);
+}
+
+const PORT = parseInt(process.env.FEEDBACK_PORT || String(CONFIG.port));
+const DATA_DIR = process.env.FEEDBACK_DATA_DIR || DEFAULT_DATA_DIR;
+const PKG = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'package.json'), 'utf8'));
+const PKG_VERSION = PKG.version;
+const PKG_NAME = PKG.name;
+
 const SESSION_ID = deriveSessionId(PROJECT_DIR);
 const PROCESS_ID = crypto.randomUUID();
 
+// Per-install secret required on the HTTP routes (X-Feedback-Token header) and the
+// WebSocket handshake (?token=). Shared with proxy instances through a file in
+// DATA_DIR; FEEDBACK_AUTH_TOKEN overrides it.
+const AUTH_TOKEN_FILE = path.join(DATA_DIR, "auth-token");
+const AUTH_HEADER = "x-feedback-token";
+const AUTH_TOKEN = process.env.FEEDBACK_AUTH_TOKEN || resolveAuthToken();
+
+// Files a page loads with <script> (or the widget fetches) can't carry the token header
+const PUBLIC_PATHS = new Set(["/widget.js", "/html2canvas.min.js", "/demo/", "/demo/index.html"]);
+
+function resolveAuthToken() {
+  try {
+    return loadOrCreateAuthToken(AUTH_TOKEN_FILE);
+  } catch (err) {
+    // Still protect this instance; proxies won't be able to reach it though
+    console.error(`[browser-feedback-mcp] Could not read or create ${AUTH_TOKEN_FILE}: ${err.message}. Using a temporary auth token.`);
+    return crypto.randomBytes(32).toString("hex");
+  }
+}
+
+// fetch() against the owner server, authenticated with the install's token
+function ownerFetch(url, init = {}) {
+  return fetch(url, { ...init, headers: { ...init.headers, [AUTH_HEADER]: AUTH_TOKEN } });
+}
+
+// Extra origins this session's widget may connect from, on top of its projectUrl
+// and DEFAULT_ALLOWED_ORIGINS. Sent to the owner server with the session registration.
+const ALLOWED_ORIGINS = [...parseOriginList(process.env.FEEDBACK_ALLOWED_ORIGINS), ...CONFIG.allowedOrigins];
+
+// Project redaction rules the widget applies on top of its built-in ones, from the
+// config file's "redaction" plus FEEDBACK_REDACT_PATTERNS (a JSON array of regexes
+// or a single regex) and FEEDBACK_MASK_SELECTORS (a CSS selector list).
+const REDACTION = resolveRedactionConfig();
+
+function resolveRedactionConfig() {
+  let patterns = process.env.FEEDBACK_REDACT_PATTERNS;
+  if (patterns?.trim().startsWith("[")) {
+    try {
+      patterns = JSON.parse(patterns);
+    } catch {
+      console.error("[browser-feedback-mcp] FEEDBACK_REDACT_PATTERNS is not valid JSON, using it as a single pattern");
+    }
+  }
+  const { invalidPatterns, ...redaction } = normalizeRedactionConfig({
+    patterns: [...(Array.isArray(patterns) ? patterns : [patterns]), ...CONFIG.redaction.patterns],
+    selectors: [process.env.FEEDBACK_MASK_SELECTORS, ...CONFIG.redaction.selectors],
+  });
+  for (const source of invalidPatterns) {
+    console.error(`[browser-feedback-mcp] Ignoring invalid redaction pattern: ${source}`);
+  }
+  return redaction;
+}
+
 // Session registry (owner server only): sessionId -> metadata
 const sessionRegistry = new Map();
 
-// Session-partitioned feedback storage
-const pendingFeedbackBySession = new Map();   // sessionId -> feedback[]
-const readyFeedbackBySession = new Map();     // sessionId -> feedback[]
+// Session-partitioned feedback storage (persisted to DATA_DIR, loaded in main())
+const feedbackStore = createFileFeedbackStore(DATA_DIR);
 const feedbackResolversBySession = new Map(); // sessionId -> resolver[]
 const connectedClientsBySession = new Map();  // sessionId -> Set<WebSocket>
 let connectedClients = new Set();             // All clients (for total count in /status)
@@ -40,18 +139,16 @@ let isHttpServerOwner = false; // Track if this instance owns the HTTP server
 
 // Session-partitioned data accessors
 function getSessionPending(sid) {
-  if (!pendingFeedbackBySession.has(sid)) pendingFeedbackBySession.set(sid, []);
-  return pendingFeedbackBySession.get(sid);
+  return feedbackStore.getPending(sid);
 }
 function setSessionPending(sid, arr) {
-  pendingFeedbackBySession.set(sid, arr);
+  feedbackStore.setPending(sid, arr);
 }
 function getSessionReady(sid) {
-  if (!readyFeedbackBySession.has(sid)) readyFeedbackBySession.set(sid, []);
-  return readyFeedbackBySession.get(sid);
+  return feedbackStore.getReady(sid);
 }
 function setSessionReady(sid, arr) {
-  readyFeedbackBySession.set(sid, arr);
+  feedbackStore.setReady(sid, arr);
 }
 function getSessionResolvers(sid) {
   if (!feedbackResolversBySession.has(sid)) feedbackResolversBySession.set(sid, []);
@@ -62,6 +159,75 @@ function getSessionClients(sid) {
   return connectedClientsBySession.get(sid);
 }
 
+// Broadcast the sent-feedback history (with reply threads) to a session's clients
+function broadcastHistory(sessionId) {
+  broadcast({ type: "feedback_history", items: feedbackStore.getHistory(sessionId) }, sessionId);
+}
+
+// Post a reply from Claude on a sent feedback item. Returns the updated entry, or null if unknown.
+function replyToFeedback(sessionId, id, text) {
+  const entry = feedbackStore.updateHistoryEntry(sessionId, id, e => addReplyToHistoryEntry(e, "claude", text));
+  if (entry) broadcastHistory(sessionId);
+  return entry;
+}
+
+// Change the lifecycle status of a sent feedback item. Returns the updated entry, or null if unknown.
+function setFeedbackStatus(sessionId, id, status, note) {
+  const entry = feedbackStore.updateHistoryEntry(sessionId, id, e => setHistoryEntryStatus(e, status, { by: "claude", note }));
+  if (entry) broadcastHistory(sessionId);
+  return entry;
+}
+
+// Hand ready feedback to Claude; the items move to in_progress in the history
+function takeReadyFeedback(sessionId) {
+  const items = feedbackStore.takeReady(sessionId);
+  if (items.length > 0) broadcastHistory(sessionId);
+  return items;
+}
+
+// Feedback items as MCP content, with browser stack traces resolved through the
+// project's source maps
+function formatFeedback(items) {
+  const stackResolver = createStackResolver({ projectDir: PROJECT_DIR, buildDirs: CONFIG.buildDirs });
+  return formatFeedbackAsContent(items, { stackResolver });
+}
+
+// Origins a session's widget may use: its projectUrl, its configured list and local dev servers
+function getAllowedOrigins(sessionId) {
+  const meta = sessionRegistry.get(sessionId);
+  const projectOrigin = toOrigin(meta?.projectUrl);
+  return [
+    ...(projectOrigin ? [projectOrigin] : []),
+    ...(meta?.allowedOrigins || []),
+    ...DEFAULT_ALLOWED_ORIGINS,
+  ];
+}
+
+// Whether a browser Origin may talk to a session, or to any registered session if none is given
+function isOriginAllowedForSession(origin, sessionId) {
+  if (sessionId) return isOriginAllowed(origin, getAllowedOrigins(sessionId));
+  if (isOriginAllowed(origin, DEFAULT_ALLOWED_ORIGINS)) return true;
+  for (const id of sessionRegistry.keys()) {
+    if (isOriginAllowed(origin, getAllowedOrigins(id))) return true;
+  }
+  return false;
+}
+
+// Redaction rules from a session registration, without the invalid patterns
+function getRedactionRules(config) {
+  const { invalidPatterns, ...redaction } = normalizeRedactionConfig(config);
+  return redaction;
+}
+
+function getSessionRedaction(sessionId) {
+  return sessionRegistry.get(sessionId)?.redaction || { patterns: [], selectors: [] };
+}
+
+// Config of the project a tool works on; other projects are read from their own config file
+function getProjectConfig(projectDir) {
+  return path.resolve(projectDir) === PROJECT_DIR ? CONFIG : loadProjectConfig(projectDir).config;
+}
+
 // Helper to parse JSON body from an HTTP request
 function parseJsonBody(req) {
   return new Promise((resolve, reject) => {
@@ -91,10 +257,13 @@ async function fetchServerStatus(sessionId) {
     const url = sessionId
       ? `http://localhost:${PORT}/status?session=${sessionId}`
       : `http://localhost:${PORT}/status`;
-    const response = await fetch(url);
+    const response = await ownerFetch(url);
     if (response.ok) {
       return await response.json();
     }
+    if (response.status === 401) {
+      console.error(`[browser-feedback-mcp] The server on port ${PORT} rejected this install's auth token (${AUTH_TOKEN_FILE}).`);
+    }
   } catch (err) {
     // Server not running or not reachable
   }
@@ -104,7 +273,7 @@ async function fetchServerStatus(sessionId) {
 // Helper to fetch ready feedback from the running HTTP server
 async function fetchReadyFeedback(clear = true) {
   try {
-    const response = await fetch(`http://localhost:${PORT}/feedback?clear=${clear}&session=${SESSION_ID}`);
+    const response = await ownerFetch(`http://localhost:${PORT}/feedback?clear=${clear}&session=${SESSION_ID}`);
     if (response.ok) {
       return await response.json();
     }
@@ -133,7 +302,7 @@ async function pollForFeedback(timeoutSeconds) {
 // Helper to broadcast message via the running HTTP server
 async function broadcastViaHttp(message) {
   try {
-    const response = await fetch(`http://localhost:${PORT}/broadcast?session=${SESSION_ID}`, {
+    const response = await ownerFetch(`http://localhost:${PORT}/broadcast?session=${SESSION_ID}`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(message),
@@ -150,7 +319,7 @@ async function broadcastViaHttp(message) {
 // Helper to fetch pending summary from the running HTTP server
 async function fetchPendingSummary() {
   try {
-    const response = await fetch(`http://localhost:${PORT}/pending-summary?session=${SESSION_ID}`);
+    const response = await ownerFetch(`http://localhost:${PORT}/pending-summary?session=${SESSION_ID}`);
     if (response.ok) {
       return await response.json();
     }
@@ -163,7 +332,7 @@ async function fetchPendingSummary() {
 // Helper to delete feedback via the running HTTP server
 async function deleteFeedbackViaHttp(id) {
   try {
-    const response = await fetch(`http://localhost:${PORT}/feedback/${id}?session=${SESSION_ID}`, {
+    const response = await ownerFetch(`http://localhost:${PORT}/feedback/${id}?session=${SESSION_ID}`, {
       method: 'DELETE',
     });
     if (response.ok) {
@@ -175,11 +344,144 @@ async function deleteFeedbackViaHttp(id) {
   return null;
 }
 
+// Helper to send a request to this session's widget via the running HTTP server.
+// Starts the request, then long-polls for the answer so no single HTTP call has to
+// stay open for the whole timeout. Throws with the owner's error message
+// (no clients, unknown tab, timeout, widget error).
+async function widgetRequestViaHttp(method, params, options = {}) {
+  const readJson = async (response) => {
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `Feedback server responded with ${response.status}`);
+    }
+    return data;
+  };
+
+  let data;
+  try {
+    data = await readJson(await ownerFetch(`http://localhost:${PORT}/widget-request?session=${SESSION_ID}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ method, params, ...options, async: true }),
+    }));
+  } catch (err) {
+    throw err instanceof TypeError ? new Error("Could not reach the feedback server. Is it running?") : err;
+  }
+
+  // The owner always settles the request within its timeout, so this loop ends
+  while (data.status === "pending") {
+    try {
+      data = await readJson(await ownerFetch(`http://localhost:${PORT}/widget-request/${data.requestId}?wait=${WIDGET_REQUEST_POLL_WAIT_SECONDS}`));
+    } catch (err) {
+      throw err instanceof TypeError ? new Error("Lost connection to the feedback server while waiting for the browser") : err;
+    }
+  }
+  return data.result;
+}
+
+// Send a request to this session's widget, directly or through the owner server.
+// `args` are the MCP tool arguments; client_id / page_url pick the browser tab.
+function requestFromSessionWidget(method, params, args, defaultTimeoutSeconds) {
+  const options = {
+    timeoutMs: (args?.timeout_seconds || defaultTimeoutSeconds) * 1000,
+    clientId: args?.client_id || undefined,
+    url: args?.page_url || undefined,
+  };
+  return isHttpServerOwner
+    ? requestFromWidget(SESSION_ID, method, params, options)
+    : widgetRequestViaHttp(method, params, options);
+}
+
+// Helper to post a reply on a sent feedback item via the running HTTP server.
+// Returns { entry } or { error }, or null if the server is unreachable.
+async function replyToFeedbackViaHttp(id, message) {
+  try {
+    const response = await ownerFetch(`http://localhost:${PORT}/feedback/${encodeURIComponent(id)}/reply?session=${SESSION_ID}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message }),
+    });
+    return await response.json();
+  } catch (err) {
+    // Server not running or not reachable
+  }
+  return null;
+}
+
+// Helper to fetch sent feedback (with status) via the running HTTP server
+async function fetchFeedbackHistory(status) {
+  try {
+    const response = await ownerFetch(`http://localhost:${PORT}/feedback-history?session=${SESSION_ID}&status=${encodeURIComponent(status)}`);
+    if (response.ok) {
+      return await response.json();
+    }
+  } catch (err) {
+    // Server not running or not reachable
+  }
+  return null;
+}
+
+// Helper to change the status of a sent feedback item via the running HTTP server.
+// Returns { entry } or { error }, or null if the server is unreachable.
+async function setFeedbackStatusViaHttp(id, status, note) {
+  try {
+    const response = await ownerFetch(`http://localhost:${PORT}/feedback/${encodeURIComponent(id)}/status?session=${SESSION_ID}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ status, note }),
+    });
+    return await response.json();
+  } catch (err) {
+    // Server not running or not reachable
+  }
+  return null;
+}
+
+// Helper to fetch the original snapshot of a sent feedback item via the running HTTP server
+async function fetchFeedbackSnapshot(id) {
+  try {
+    const response = await ownerFetch(`http://localhost:${PORT}/feedback/${encodeURIComponent(id)}/snapshot?session=${SESSION_ID}`);
+    if (response.ok) {
+      return (await response.json()).snapshot;
+    }
+  } catch (err) {
+    // Server not running or not reachable
+  }
+  return null;
+}
+
+// Load the original snapshot of a sent item, directly or through the owner server.
+// Region items have no element, so only tools passing allowRegion accept them.
+// Returns { snapshot } or { error } with a message for the tool result.
+async function loadVerifiableSnapshot(feedbackId, { allowRegion = false } = {}) {
+  const snapshot = isHttpServerOwner
+    ? feedbackStore.getSnapshot(SESSION_ID, feedbackId)
+    : await fetchFeedbackSnapshot(feedbackId);
+  if (!snapshot) {
+    return { error: `No original data for feedback ${feedbackId}. Only items sent to Claude (see list_feedback) can be verified.` };
+  }
+  if (!snapshot.element && !(allowRegion && snapshot.target?.region)) {
+    return { error: `Feedback ${feedbackId} has no element to re-locate (region selections can't be verified). Use compare_screenshots or capture_screenshot instead.` };
+  }
+  return { snapshot };
+}
+
+// Ask the widget to find the element of a snapshot again and capture its current
+// state, with a screenshot cropped like the original one (see toVerificationSnapshot)
+function recaptureSnapshotElement(snapshot, args) {
+  return requestFromSessionWidget("verify_element", {
+    selector: snapshot.element?.selector,
+    fullSelector: snapshot.element?.fullSelector,
+    styleProperties: Object.keys(snapshot.element?.computedStyles || {}),
+    target: snapshot.target || null,
+  }, args, 30);
+}
+
 // Helper to register this session with the owner server
 async function registerSessionViaHttp() {
   const detected = detectProjectUrl(PROJECT_DIR);
   try {
-    await fetch(`http://localhost:${PORT}/register-session`, {
+    await ownerFetch(`http://localhost:${PORT}/register-session`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
@@ -188,6 +490,9 @@ async function registerSessionViaHttp() {
         projectDir: PROJECT_DIR,
         projectUrl: detected.url,
         detectedFrom: detected.detectedFrom,
+        allowedOrigins: ALLOWED_ORIGINS,
+        redaction: REDACTION,
+        widgetConfig: getWidgetConfig(CONFIG),
       }),
     });
   } catch (err) {
@@ -198,7 +503,7 @@ async function registerSessionViaHttp() {
 // Helper to unregister this session from the owner server
 async function unregisterSessionViaHttp() {
   try {
-    await fetch(`http://localhost:${PORT}/unregister-session`, {
+    await ownerFetch(`http://localhost:${PORT}/unregister-session`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ sessionId: SESSION_ID, processId: PROCESS_ID }),
@@ -212,11 +517,30 @@ async function unregisterSessionViaHttp() {
 // HTTP Server - serves widget.js
 // ============================================
 
+// src/widget.js is an ES module for bundlers; /widget.js serves it as a classic
+// script that calls initFeedbackWidget with these options. Its imports (the helper
+// modules next to it, e.g. redaction.js and annotations.js) are inlined with
+// readModule(fileName). Inlining is one level deep, so those modules must be
+// browser-safe and import nothing themselves.
+function buildWidgetScript(source, options, readModule) {
+  const body = source
+    .replace(/^import \{[^}]*\} from '\.\/([\w-]+\.js)';\n/gm, (_, file) => readModule(file).replace(/^export /gm, ""))
+    .replace(/^export function initFeedbackWidget\b/m, "function initFeedbackWidget");
+  return `(function() {\n'use strict';\n${body}\ninitFeedbackWidget(${JSON.stringify(options)});\n})();\n`;
+}
+
 const httpServer = http.createServer((req, res) => {
-  // CORS headers for cross-origin requests
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  // Parse URL for query parameters
+  const urlObj = new URL(req.url, `http://localhost:${PORT}`);
+
+  // CORS headers only for allowed origins (see getAllowedOrigins)
+  const origin = req.headers.origin;
+  res.setHeader("Vary", "Origin");
+  if (origin && isOriginAllowedForSession(origin, urlObj.searchParams.get("session"))) {
+    res.setHeader("Access-Control-Allow-Origin", origin);
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type, X-Feedback-Token");
+  }
 
   if (req.method === "OPTIONS") {
     res.writeHead(200);
@@ -224,27 +548,37 @@ const httpServer = http.createServer((req, res) => {
     return;
   }
 
-  // Parse URL for query parameters
-  const urlObj = new URL(req.url, `http://localhost:${PORT}`);
+  if (!PUBLIC_PATHS.has(urlObj.pathname) && !isValidAuthToken(req.headers[AUTH_HEADER], AUTH_TOKEN)) {
+    res.writeHead(401, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ error: "Missing or invalid auth token (X-Feedback-Token header)" }));
+    return;
+  }
 
   if (urlObj.pathname === "/widget.js") {
     const widgetPath = path.join(__dirname, "widget.js");
     const sessionParam = urlObj.searchParams.get('session') || '';
     fs.readFile(widgetPath, "utf8", (err, content) => {
-      if (err) {
+      // Start the widget with runtime values (including session ID for isolation)
+      const widgetConfig = sessionRegistry.get(sessionParam)?.widgetConfig || getWidgetConfig(DEFAULT_CONFIG);
+      let script;
+      try {
+        if (err) throw err;
+        script = buildWidgetScript(content, {
+          serverUrl: `http://localhost:${PORT}`,
+          session: sessionParam,
+          token: AUTH_TOKEN,
+          version: PKG_VERSION,
+          ...widgetConfig,
+        }, (file) => fs.readFileSync(path.join(__dirname, file), "utf8"));
+      } catch {
         res.writeHead(500);
         res.end("Error loading widget");
         return;
       }
-      // Inject runtime values into the widget (including session ID for isolation)
-      const wsUrl = sessionParam
-        ? `ws://localhost:${PORT}/ws?session=${sessionParam}`
-        : `ws://localhost:${PORT}/ws`;
-      const injectedContent = content
-        .replace("__WEBSOCKET_URL__", wsUrl)
-        .replace("__WIDGET_VERSION__", PKG_VERSION);
+      // The script carries the auth token: pages may run it, but not read it with fetch()
+      res.removeHeader("Access-Control-Allow-Origin");
       res.writeHead(200, { "Content-Type": "application/javascript" });
-      res.end(injectedContent);
+      res.end(script);
     });
     return;
   }
@@ -287,6 +621,9 @@ const httpServer = http.createServer((req, res) => {
       pendingFeedback: sessionId ? getSessionPending(sessionId).length : 0,
       sessions: sessionRegistry.size,
     };
+    if (sessionId) {
+      response.clients = describeSessionClients(sessionId);
+    }
     res.writeHead(200, { "Content-Type": "application/json" });
     res.end(JSON.stringify(response));
     return;
@@ -296,11 +633,7 @@ const httpServer = http.createServer((req, res) => {
   if (urlObj.pathname === "/feedback" && req.method === "GET") {
     const shouldClear = urlObj.searchParams.get("clear") !== "false";
     const sessionId = urlObj.searchParams.get("session") || "unmatched";
-    const sessionReady = getSessionReady(sessionId);
-    const feedback = [...sessionReady];
-    if (shouldClear) {
-      setSessionReady(sessionId, []);
-    }
+    const feedback = shouldClear ? takeReadyFeedback(sessionId) : getSessionReady(sessionId);
     res.writeHead(200, { "Content-Type": "application/json" });
     res.end(JSON.stringify({ feedback }));
     return;
@@ -319,10 +652,7 @@ const httpServer = http.createServer((req, res) => {
   if (deleteMatch && req.method === "DELETE") {
     const idToDelete = deleteMatch[1];
     const sessionId = urlObj.searchParams.get("session") || "unmatched";
-    const pending = getSessionPending(sessionId);
-    const initialLength = pending.length;
-    setSessionPending(sessionId, pending.filter(f => f.id !== idToDelete));
-    const deleted = getSessionPending(sessionId).length < initialLength;
+    const deleted = feedbackStore.removePending(sessionId, idToDelete);
 
     if (deleted) {
       broadcastPendingStatus(sessionId);
@@ -336,6 +666,74 @@ const httpServer = http.createServer((req, res) => {
     return;
   }
 
+  // GET /feedback-history?status=open - sent feedback with status and replies
+  // (used by secondary MCP instances)
+  if (urlObj.pathname === "/feedback-history" && req.method === "GET") {
+    const sessionId = urlObj.searchParams.get("session") || "unmatched";
+    const status = urlObj.searchParams.get("status") || "all";
+    if (status !== "all" && !FEEDBACK_STATUSES.includes(status)) {
+      res.writeHead(400, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: `Invalid status. Expected all, ${FEEDBACK_STATUSES.join(", ")}` }));
+      return;
+    }
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(getHistorySummary(feedbackStore.getHistory(sessionId), status)));
+    return;
+  }
+
+  // POST /feedback/:id/status - change the lifecycle status of a sent feedback item
+  const statusMatch = urlObj.pathname.match(/^\/feedback\/([^/]+)\/status$/);
+  if (statusMatch && req.method === "POST") {
+    const sessionId = urlObj.searchParams.get("session") || "unmatched";
+    parseJsonBody(req).then((data) => {
+      if (!data || !FEEDBACK_STATUSES.includes(data.status)) {
+        res.writeHead(400, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ error: `Invalid status. Expected one of: ${FEEDBACK_STATUSES.join(", ")}` }));
+        return;
+      }
+      const note = typeof data.note === "string" && data.note.trim() ? data.note.trim() : null;
+      const entry = setFeedbackStatus(sessionId, statusMatch[1], data.status, note);
+      res.writeHead(entry ? 200 : 404, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(entry ? { entry } : { error: "Feedback not found in history" }));
+    }).catch(() => {
+      res.writeHead(400, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: "Invalid JSON" }));
+    });
+    return;
+  }
+
+  // GET /feedback/:id/snapshot - original screenshot and element data of a sent item
+  // (used by secondary MCP instances for verify_feedback)
+  const snapshotMatch = urlObj.pathname.match(/^\/feedback\/([^/]+)\/snapshot$/);
+  if (snapshotMatch && req.method === "GET") {
+    const sessionId = urlObj.searchParams.get("session") || "unmatched";
+    const snapshot = feedbackStore.getSnapshot(sessionId, snapshotMatch[1]);
+    res.writeHead(snapshot ? 200 : 404, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(snapshot ? { snapshot } : { error: "No snapshot for this feedback" }));
+    return;
+  }
+
+  // POST /feedback/:id/reply - post a reply from Claude on a sent feedback item
+  // (used by secondary MCP instances)
+  const replyMatch = urlObj.pathname.match(/^\/feedback\/([^/]+)\/reply$/);
+  if (replyMatch && req.method === "POST") {
+    const sessionId = urlObj.searchParams.get("session") || "unmatched";
+    parseJsonBody(req).then((data) => {
+      if (!data || typeof data.message !== "string" || !data.message.trim()) {
+        res.writeHead(400, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ error: "Missing reply message" }));
+        return;
+      }
+      const entry = replyToFeedback(sessionId, replyMatch[1], data.message.trim());
+      res.writeHead(entry ? 200 : 404, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(entry ? { entry } : { error: "Feedback not found in history" }));
+    }).catch(() => {
+      res.writeHead(400, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: "Invalid JSON" }));
+    });
+    return;
+  }
+
   // POST /broadcast - broadcast message to connected clients (used by secondary MCP instances)
   if (urlObj.pathname === "/broadcast" && req.method === "POST") {
     const sessionId = urlObj.searchParams.get("session") || "unmatched";
@@ -357,6 +755,87 @@ const httpServer = http.createServer((req, res) => {
     return;
   }
 
+  // POST /widget-request - send a request to a session's widget
+  // (used by secondary MCP instances for tools that query the page).
+  // Waits for the answer by default; with { async: true } it returns 202 { requestId }
+  // right away and the answer is picked up with GET /widget-request/:id.
+  if (urlObj.pathname === "/widget-request" && req.method === "POST") {
+    const sessionId = urlObj.searchParams.get("session") || "unmatched";
+    parseJsonBody(req).then(async (data) => {
+      if (!data || typeof data.method !== "string") {
+        res.writeHead(400, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ error: "Missing request method" }));
+        return;
+      }
+      const request = requestFromWidget(sessionId, data.method, data.params, {
+        timeoutMs: data.timeoutMs,
+        clientId: data.clientId,
+        url: data.url,
+      });
+
+      if (data.async) {
+        const requestId = trackPolledWidgetRequest(request);
+        res.writeHead(202, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ status: "pending", requestId }));
+        return;
+      }
+
+      try {
+        const result = await request;
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ status: "done", result }));
+      } catch (err) {
+        res.writeHead(err.statusCode || 502, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ error: err.message }));
+      }
+    }).catch(() => {
+      res.writeHead(400, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: "Invalid JSON" }));
+    });
+    return;
+  }
+
+  // GET /widget-request/:id?wait=25 - long-poll for the answer to an async widget request.
+  // Responds as soon as the answer is in, or with 202 { status: "pending" } after `wait` seconds.
+  if (urlObj.pathname.startsWith("/widget-request/") && req.method === "GET") {
+    const requestId = urlObj.pathname.slice("/widget-request/".length);
+    const polled = polledWidgetRequests.get(requestId);
+    if (!polled) {
+      res.writeHead(404, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: "Unknown or expired widget request" }));
+      return;
+    }
+
+    const respond = (outcome) => {
+      res.writeHead(outcome.statusCode, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(outcome.body));
+    };
+    if (polled.outcome) {
+      polledWidgetRequests.delete(requestId);
+      respond(polled.outcome);
+      return;
+    }
+
+    const waitSeconds = Math.min(Math.max(Number(urlObj.searchParams.get("wait")) || 0, 0), WIDGET_REQUEST_POLL_WAIT_SECONDS);
+    const waiter = (outcome) => {
+      clearTimeout(timer);
+      polledWidgetRequests.delete(requestId);
+      respond(outcome);
+    };
+    const timer = setTimeout(() => {
+      polled.waiters.delete(waiter);
+      respond({ statusCode: 202, body: { status: "pending", requestId } });
+    }, waitSeconds * 1000);
+    polled.waiters.add(waiter);
+    req.on("close", () => {
+      if (!res.writableEnded) {
+        clearTimeout(timer);
+        polled.waiters.delete(waiter);
+      }
+    });
+    return;
+  }
+
   // GET /sessions - list all registered sessions
   if (urlObj.pathname === "/sessions" && req.method === "GET") {
     const sessions = Array.from(sessionRegistry.values());
@@ -376,14 +855,7 @@ const httpServer = http.createServer((req, res) => {
       // Migrate feedback from any old session with the same projectDir but different sessionId
       for (const [existingId, existingMeta] of sessionRegistry) {
         if (existingId !== data.sessionId && existingMeta.projectDir === data.projectDir) {
-          const oldPending = pendingFeedbackBySession.get(existingId);
-          if (oldPending && oldPending.length > 0) {
-            getSessionPending(data.sessionId).push(...oldPending);
-          }
-          const oldReady = readyFeedbackBySession.get(existingId);
-          if (oldReady && oldReady.length > 0) {
-            getSessionReady(data.sessionId).push(...oldReady);
-          }
+          feedbackStore.moveSession(existingId, data.sessionId);
           const oldClients = connectedClientsBySession.get(existingId);
           if (oldClients && oldClients.size > 0) {
             const newClients = getSessionClients(data.sessionId);
@@ -392,8 +864,6 @@ const httpServer = http.createServer((req, res) => {
               newClients.add(client);
             }
           }
-          pendingFeedbackBySession.delete(existingId);
-          readyFeedbackBySession.delete(existingId);
           feedbackResolversBySession.delete(existingId);
           connectedClientsBySession.delete(existingId);
           sessionRegistry.delete(existingId);
@@ -406,9 +876,15 @@ const httpServer = http.createServer((req, res) => {
         projectDir: data.projectDir,
         projectUrl: data.projectUrl || null,
         detectedFrom: data.detectedFrom || null,
+        allowedOrigins: parseOriginList(data.allowedOrigins),
+        redaction: getRedactionRules(data.redaction),
+        // Invalid values fall back to the defaults
+        widgetConfig: getWidgetConfig(validateProjectConfig(data.widgetConfig || {}).config),
         registeredAt: new Date().toISOString(),
       });
       console.error(`[browser-feedback-mcp] Session registered: ${data.sessionId} (${data.projectDir})`);
+      // Widgets that connected before the session (re)registered get its rules now
+      broadcast({ type: "redaction_config", redaction: getSessionRedaction(data.sessionId) }, data.sessionId);
       res.writeHead(200, { "Content-Type": "application/json" });
       res.end(JSON.stringify({ success: true }));
     }).catch(() => {
@@ -435,9 +911,8 @@ const httpServer = http.createServer((req, res) => {
         return;
       }
       sessionRegistry.delete(data.sessionId);
-      // Clean up session data
-      pendingFeedbackBySession.delete(data.sessionId);
-      readyFeedbackBySession.delete(data.sessionId);
+      // Clean up runtime session data. Feedback stays in the store so it is
+      // still there when the same project reconnects (deterministic session ID).
       feedbackResolversBySession.delete(data.sessionId);
       connectedClientsBySession.delete(data.sessionId);
       console.error(`[browser-feedback-mcp] Session unregistered: ${data.sessionId}`);
@@ -458,7 +933,35 @@ const httpServer = http.createServer((req, res) => {
 // WebSocket Server - real-time communication
 // ============================================
 
-const wss = new WebSocketServer({ server: httpServer, path: "/ws", clientTracking: true });
+// Widgets retry every few seconds, so each rejection reason is logged once per origin
+const loggedWsRejections = new Set();
+function logWsRejection(reason, origin) {
+  const key = `${reason}|${origin || ""}`;
+  if (loggedWsRejections.has(key)) return;
+  loggedWsRejections.add(key);
+  console.error(`[browser-feedback-mcp] Rejected WebSocket connection from ${origin || "a client without Origin"}: ${reason}`);
+}
+
+const wss = new WebSocketServer({
+  server: httpServer,
+  path: "/ws",
+  clientTracking: true,
+  verifyClient: ({ req, origin }, done) => {
+    const params = new URL(req.url, `http://localhost:${PORT}`).searchParams;
+    if (!isValidAuthToken(params.get("token"), AUTH_TOKEN)) {
+      logWsRejection("missing or invalid auth token", origin);
+      done(false, 401, "Unauthorized");
+      return;
+    }
+    // Browsers always send Origin; clients without one (Node, CLI tools) only need the token
+    if (origin && !isOriginAllowedForSession(origin, params.get("session"))) {
+      logWsRejection("origin not in the session's allowed origins (projectUrl, FEEDBACK_ALLOWED_ORIGINS)", origin);
+      done(false, 403, "Origin not allowed");
+      return;
+    }
+    done(true);
+  },
+});
 
 // Handle WebSocket server errors
 wss.on("error", (err) => {
@@ -471,6 +974,9 @@ wss.on("connection", (ws, req) => {
   const rawSession = reqUrl.searchParams.get('session');
   const sessionId = rawSession || 'unmatched';
   ws._sessionId = sessionId;
+  ws._clientId = crypto.randomUUID();
+  ws._connectedAt = new Date().toISOString();
+  ws._page = null; // { url, title }, reported by the widget via client_info
 
   if (!rawSession) {
     console.error(`[browser-feedback-mcp] WARNING: WebSocket connection without session param. Client placed in 'unmatched' bucket.`);
@@ -487,7 +993,9 @@ wss.on("connection", (ws, req) => {
     type: "connected",
     message: "Connected to Claude Code feedback server",
     sessionId,
+    clientId: ws._clientId,
     sessionClientCount: existingCount + 1,
+    redaction: getSessionRedaction(sessionId),
   };
   if (!rawSession) {
     connectionMsg.sessionWarning = "No session ID provided. This connection is not linked to any Claude Code session.";
@@ -500,6 +1008,7 @@ wss.on("connection", (ws, req) => {
   // Send current pending status for this session to newly connected client
   const status = getPendingSummary(getSessionPending(sessionId));
   ws.send(JSON.stringify({ type: 'pending_status', ...status }));
+  ws.send(JSON.stringify({ type: 'feedback_history', items: feedbackStore.getHistory(sessionId) }));
 
   ws.on("message", (data) => {
     try {
@@ -514,7 +1023,7 @@ wss.on("connection", (ws, req) => {
           receivedAt: new Date().toISOString(),
         };
 
-        getSessionPending(sid).push(feedback);
+        feedbackStore.addPending(sid, feedback);
 
         // Acknowledge receipt
         ws.send(JSON.stringify({ type: "feedback_received", id: feedback.id }));
@@ -524,12 +1033,18 @@ wss.on("connection", (ws, req) => {
       }
 
       if (message.type === "send_to_claude") {
-        const pending = getSessionPending(sid);
-        const ready = getSessionReady(sid);
-        // Move all pending items to ready
-        ready.push(...pending);
-        setSessionPending(sid, []);
+        // Move all pending items to ready and remember them for the history panel
+        // (follow-ups belong to the thread of their original item)
+        const sent = feedbackStore.getPending(sid);
+        const ready = feedbackStore.markAllReady(sid);
+        const originals = sent.filter(f => !f.inReplyTo);
+        feedbackStore.addToHistory(sid, originals.map(f => toHistoryEntry(f)));
+        // Keep the original screenshot and element data for verify_feedback
+        for (const f of originals) {
+          feedbackStore.saveSnapshot(sid, f.id, toVerificationSnapshot(f));
+        }
         broadcastPendingStatus(sid);
+        broadcastHistory(sid);
 
         const count = ready.length;
 
@@ -541,22 +1056,20 @@ wss.on("connection", (ws, req) => {
             resolver([...ready]);
           }
           // Clear after resolvers consumed, so get_pending_feedback won't double-deliver
-          setSessionReady(sid, []);
+          takeReadyFeedback(sid);
         }
 
         // Acknowledge to browser
         ws.send(JSON.stringify({
           type: "sent_to_claude",
           count: count,
+          ids: ready.map(f => f.id),
         }));
       }
 
       if (message.type === "delete_feedback") {
         const idToDelete = message.id;
-        const pending = getSessionPending(sid);
-        const initialLength = pending.length;
-        setSessionPending(sid, pending.filter(f => f.id !== idToDelete));
-        const deleted = getSessionPending(sid).length < initialLength;
+        const deleted = feedbackStore.removePending(sid, idToDelete);
 
         if (deleted) {
           console.error(`[browser-feedback-mcp] Deleted feedback: ${idToDelete} (session: ${sid})`);
@@ -570,12 +1083,41 @@ wss.on("connection", (ws, req) => {
           success: deleted,
         }));
       }
+
+      if (message.type === "reopen_feedback") {
+        // User follow-up on a sent item: add it to the thread and queue it for Claude
+        const comment = typeof message.comment === "string" ? message.comment.trim() : "";
+        const entry = feedbackStore.getHistory(sid).find(e => e.id === message.id);
+        if (entry && comment) {
+          feedbackStore.addPending(sid, createFollowUpFeedback(entry, comment));
+          feedbackStore.updateHistoryEntry(sid, entry.id, e => addReplyToHistoryEntry(e, "user", comment));
+          broadcastPendingStatus(sid);
+          broadcastHistory(sid);
+        }
+        ws.send(JSON.stringify({
+          type: "feedback_reopened",
+          id: message.id,
+          success: Boolean(entry && comment),
+        }));
+      }
+
+      if (message.type === "client_info") {
+        ws._page = {
+          url: typeof message.url === "string" ? message.url : null,
+          title: typeof message.title === "string" ? message.title : null,
+        };
+      }
+
+      if (message.type === "widget_response") {
+        settleWidgetRequest(message, ws);
+      }
     } catch (err) {
       console.error("[browser-feedback-mcp] Error parsing message:", err);
     }
   });
 
   ws.on("close", () => {
+    rejectWidgetRequestsForClient(ws);
     connectedClients.delete(ws);
     getSessionClients(ws._sessionId).delete(ws);
     console.error(`[browser-feedback-mcp] Client disconnected (session: ${ws._sessionId}). Total: ${connectedClients.size}`);
@@ -593,6 +1135,130 @@ function broadcast(message, sessionId) {
   }
 }
 
+// ============================================
+// Widget requests - ask the browser and wait for an answer
+// ============================================
+
+const WIDGET_REQUEST_DEFAULT_TIMEOUT_MS = 10000;
+const WIDGET_REQUEST_MAX_TIMEOUT_MS = 60000;
+const WIDGET_REQUEST_POLL_WAIT_SECONDS = 25; // Max time a GET /widget-request/:id is held open
+const WIDGET_REQUEST_RESULT_TTL_MS = 60000; // How long an unclaimed async answer is kept
+const pendingWidgetRequests = new Map(); // requestId -> { resolve, reject, timer, client }
+const polledWidgetRequests = new Map(); // requestId -> { outcome, waiters } for async HTTP requests
+
+// Error with an HTTP status, so /widget-request can map failures to responses
+function widgetRequestError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// Connected browser tabs of a session, oldest first
+function describeSessionClients(sessionId) {
+  return Array.from(getSessionClients(sessionId))
+    .filter(c => c.readyState === WebSocket.OPEN)
+    .map(c => ({
+      clientId: c._clientId,
+      url: c._page?.url || null,
+      title: c._page?.title || null,
+      connectedAt: c._connectedAt,
+    }));
+}
+
+// Pick the tab that should answer a request: an explicit client ID, else the most
+// recently connected tab whose URL contains `url`, else the most recently connected tab
+function selectWidgetClient(sessionId, { clientId, url } = {}) {
+  const clients = Array.from(getSessionClients(sessionId)).filter(c => c.readyState === WebSocket.OPEN);
+  if (clients.length === 0) {
+    throw widgetRequestError("No browser clients connected. Make sure the widget script is loaded in your app.", 409);
+  }
+  if (clientId) {
+    const client = clients.find(c => c._clientId === clientId);
+    if (!client) {
+      throw widgetRequestError(`No connected browser tab with client ID ${clientId}. Use get_connection_status to list tabs.`, 404);
+    }
+    return client;
+  }
+  if (url) {
+    const matching = clients.filter(c => c._page?.url?.includes(url));
+    if (matching.length === 0) {
+      throw widgetRequestError(`No connected browser tab has a URL containing '${url}'. Use get_connection_status to list tabs.`, 404);
+    }
+    return matching[matching.length - 1];
+  }
+  return clients[clients.length - 1];
+}
+
+// Send a request to a session's widget and resolve with its result.
+// options: { timeoutMs, clientId, url } - see selectWidgetClient for how the tab is picked.
+function requestFromWidget(sessionId, method, params = {}, options = {}) {
+  let client;
+  try {
+    client = selectWidgetClient(sessionId, options);
+  } catch (err) {
+    return Promise.reject(err);
+  }
+  const timeoutMs = options.timeoutMs;
+  const timeout = Math.min(Math.max(Number(timeoutMs) || WIDGET_REQUEST_DEFAULT_TIMEOUT_MS, 100), WIDGET_REQUEST_MAX_TIMEOUT_MS);
+  const requestId = crypto.randomUUID();
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      pendingWidgetRequests.delete(requestId);
+      reject(widgetRequestError(`Timed out after ${timeout}ms waiting for the browser to answer '${method}'`, 504));
+    }, timeout);
+    pendingWidgetRequests.set(requestId, { resolve, reject, timer, client });
+    client.send(JSON.stringify({ type: "widget_request", requestId, method, params }));
+  });
+}
+
+// Resolve or reject the pending request a widget_response belongs to. Only the tab
+// the request was sent to may answer it.
+function settleWidgetRequest(message, client) {
+  const pending = pendingWidgetRequests.get(message.requestId);
+  if (!pending) return; // Already timed out
+  if (pending.client !== client) return;
+  pendingWidgetRequests.delete(message.requestId);
+  clearTimeout(pending.timer);
+  if (message.error) {
+    pending.reject(widgetRequestError(message.error, 502));
+  } else {
+    pending.resolve(message.result);
+  }
+}
+
+// Fail requests waiting on a client that disconnected instead of waiting for the timeout
+function rejectWidgetRequestsForClient(client) {
+  for (const [requestId, pending] of pendingWidgetRequests) {
+    if (pending.client === client) {
+      pendingWidgetRequests.delete(requestId);
+      clearTimeout(pending.timer);
+      pending.reject(widgetRequestError("The browser tab disconnected before answering", 502));
+    }
+  }
+}
+
+// Keep the outcome of an async HTTP widget request until a GET /widget-request/:id
+// picks it up. Returns the ID to poll with.
+function trackPolledWidgetRequest(request) {
+  const requestId = crypto.randomUUID();
+  const polled = { outcome: null, waiters: new Set() };
+  polledWidgetRequests.set(requestId, polled);
+
+  const finish = (outcome) => {
+    polled.outcome = outcome;
+    for (const waiter of polled.waiters) waiter(outcome);
+    polled.waiters.clear();
+    // Drop answers nobody came back for
+    setTimeout(() => polledWidgetRequests.delete(requestId), WIDGET_REQUEST_RESULT_TTL_MS).unref();
+  };
+  request.then(
+    (result) => finish({ statusCode: 200, body: { status: "done", result } }),
+    (err) => finish({ statusCode: err.statusCode || 502, body: { error: err.message } })
+  );
+  return requestId;
+}
+
 // ============================================
 // MCP Server - interface for Claude Code
 // ============================================
@@ -616,13 +1282,18 @@ mcpServer.setRequestHandler(ListToolsRequestSchema, async () => {
       {
         name: "install_widget",
         description:
-          "Automatically install the feedback widget into a web application by injecting the script tag into an HTML file. Supports auto-detection of common entry points (index.html, etc.) or a specific file path.",
+          "Automatically install the feedback widget into a web application. Detects the framework (Next.js, Nuxt, SvelteKit, Astro, Vite, Laravel/Blade, Symfony/Twig, Rails/ERB) from package.json, composer.json, Gemfile and the file layout, and inserts a dev-only snippet in the idiomatic place (root layout, _document, client plugin, base template). Falls back to common HTML entry points (index.html, etc.), or use a specific file path.",
         inputSchema: {
           type: "object",
           properties: {
             file_path: {
               type: "string",
-              description: "Path to the HTML file to inject the widget into. If not provided, will attempt to auto-detect common entry points in the current directory.",
+              description: "Path to the HTML file, template or layout to inject the widget into. If not provided, will attempt to auto-detect the framework's layout or common entry points in the current directory.",
+            },
+            framework: {
+              type: "string",
+              enum: [...FRAMEWORK_IDS, "html"],
+              description: "Framework to install for instead of auto-detecting it. 'html' only looks at the installCandidates HTML files.",
             },
             project_dir: {
               type: "string",
@@ -636,27 +1307,76 @@ mcpServer.setRequestHandler(ListToolsRequestSchema, async () => {
             allowed_hostnames: {
               type: "array",
               items: { type: "string" },
-              description: "List of hostnames or patterns allowed when dev_only is true. Supports exact matches (e.g., 'localhost') and wildcard patterns where '*' matches any characters including dots (e.g., '*.local.itkdev.dk' matches 'app.local.itkdev.dk', '*.local.*' matches 'app.local.example.dk'). Defaults to common local dev patterns: localhost, 127.0.0.1, *.local, *.local.*, *.test, *.dev, *.ddev.site",
+              description: "List of hostnames or patterns allowed when dev_only is true. Supports exact matches (e.g., 'localhost') and wildcard patterns where '*' matches any characters including dots (e.g., '*.local.itkdev.dk' matches 'app.local.itkdev.dk', '*.local.*' matches 'app.local.example.dk'). Defaults to devHostnames from .browser-feedback.json, or common local dev patterns: localhost, 127.0.0.1, *.local, *.local.*, *.test, *.dev, *.ddev.site",
             },
-          },
-          required: [],
-        },
-      },
+            dry_run: {
+              type: "boolean",
+              description: "Don't write anything; return the detected framework, chosen file, dev check and a unified diff of the change. Defaults to false.",
+              default: false,
+            },
+            confirm: {
+              type: "boolean",
+              description: "Allow modifying a file that git tracks with no uncommitted changes. Without it, install_widget refuses and returns the diff so the user can confirm first. Defaults to false.",
+              default: false,
+            },
+          },
+          required: [],
+        },
+      },
       {
         name: "uninstall_widget",
         description:
-          "Remove the feedback widget from a web application by removing the injected script tag.",
+          "Remove the feedback widget from a web application. Installs recorded in the project's .browser-feedback-install.json manifest are undone byte for byte (deleting files install_widget created, such as the Nuxt plugin); edits to the snippet since install are reported as drift instead of being overwritten.",
         inputSchema: {
           type: "object",
           properties: {
             file_path: {
               type: "string",
-              description: "Path to the HTML file to remove the widget from. If not provided, will search for files containing the widget script.",
+              description: "Path to the file to remove the widget from. If not provided, undoes the most recent install recorded in .browser-feedback-install.json, or searches the framework's layouts and common HTML entry points for the widget snippet.",
             },
             project_dir: {
               type: "string",
               description: "Project directory to search. Defaults to current working directory.",
             },
+            all: {
+              type: "boolean",
+              description: "Uninstall from every file recorded in .browser-feedback-install.json. Defaults to false.",
+              default: false,
+            },
+            force: {
+              type: "boolean",
+              description: "Remove the snippet by its markers even if it was edited since install (drift). Defaults to false.",
+              default: false,
+            },
+          },
+          required: [],
+        },
+      },
+      {
+        name: "install_dev_server_plugin",
+        description:
+          "Wire the feedback widget's Vite or webpack dev-server plugin into the project's bundler config. The plugin adds the widget script to HTML responses while the dev server runs, so no HTML or template file is modified and production builds are untouched. Use remove: true to take it out again.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            project_dir: {
+              type: "string",
+              description: "Project directory containing the bundler config. Defaults to current working directory.",
+            },
+            bundler: {
+              type: "string",
+              enum: BUNDLER_IDS,
+              description: "Bundler to configure. Auto-detected from vite.config.* or webpack.config.* if not provided.",
+            },
+            config_file: {
+              type: "string",
+              description: "Path to the bundler config file, if it isn't the standard vite.config.* / webpack.config.* in project_dir.",
+            },
+            remove: {
+              type: "boolean",
+              description: "Remove the plugin from the config instead of adding it. Defaults to false.",
+              default: false,
+            },
           },
           required: [],
         },
@@ -751,7 +1471,17 @@ mcpServer.setRequestHandler(ListToolsRequestSchema, async () => {
       {
         name: "get_connection_status",
         description:
-          "Check if any browser clients are connected to the feedback server.",
+          "Check if any browser clients are connected to the feedback server. Lists each connected tab with its client ID and page URL (usable as client_id / page_url in tools that query the page). Also returns the auth token the browser extension needs.",
+        inputSchema: {
+          type: "object",
+          properties: {},
+          required: [],
+        },
+      },
+      {
+        name: "get_config",
+        description:
+          `Show the feedback server configuration for this project: the ${CONFIG_FILE_NAME} file that was loaded, any validation errors in it, and the effective settings (port, install candidates, dev hostnames, console buffer size, screenshot quality, allowed origins, redaction rules) including environment variable overrides.`,
         inputSchema: {
           type: "object",
           properties: {},
@@ -773,6 +1503,262 @@ mcpServer.setRequestHandler(ListToolsRequestSchema, async () => {
           required: ["message"],
         },
       },
+      {
+        name: "inspect_element",
+        description:
+          "Fetch a live DOM snapshot of the element(s) matching a CSS selector from the connected browser page. Returns tag, attributes, text, bounding box, optional computed styles and nested children up to the requested depth. Use this to look at surrounding markup or siblings after receiving feedback (e.g. pass the feedback's element.fullSelector, or a parent selector with a higher depth).",
+        inputSchema: {
+          type: "object",
+          properties: {
+            selector: {
+              type: "string",
+              description: "CSS selector to look up with document.querySelectorAll",
+            },
+            depth: {
+              type: "number",
+              description: "How many levels of child elements to include (default: 1, max: 5)",
+              default: 1,
+            },
+            max_elements: {
+              type: "number",
+              description: "Maximum number of matching elements to return (default: 5, max: 50)",
+              default: 5,
+            },
+            include_attributes: {
+              type: "boolean",
+              description: "Include element attributes (default: true)",
+              default: true,
+            },
+            include_text: {
+              type: "boolean",
+              description: "Include the element's own text content (default: true)",
+              default: true,
+            },
+            include_styles: {
+              type: "boolean",
+              description: "Include computed styles of the matched elements (default: false)",
+              default: false,
+            },
+            style_properties: {
+              type: "array",
+              items: { type: "string" },
+              description: "Computed style properties to return when include_styles is true (e.g. ['display', 'gap']). Defaults to the same set captured with feedback.",
+            },
+            timeout_seconds: {
+              type: "number",
+              description: "Maximum time to wait for the browser to answer (default: 10 seconds)",
+              default: 10,
+            },
+            client_id: {
+              type: "string",
+              description: "Browser tab to ask, as listed by get_connection_status (default: the most recently connected tab)",
+            },
+            page_url: {
+              type: "string",
+              description: "Ask the most recently connected tab whose URL contains this text (ignored when client_id is set)",
+            },
+          },
+          required: ["selector"],
+        },
+      },
+      {
+        name: "capture_screenshot",
+        description:
+          "Take a fresh screenshot of the connected browser page, e.g. to verify visually that a fix worked. Captures the visible viewport by default, or the element matching a CSS selector, or the full page. Returns the image along with page URL and viewport info.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            selector: {
+              type: "string",
+              description: "CSS selector of the element to capture (cropped to the element with some padding). If omitted, the viewport is captured.",
+            },
+            full_page: {
+              type: "boolean",
+              description: "Capture the whole page instead of the viewport (ignored when selector is set). Defaults to false.",
+              default: false,
+            },
+            timeout_seconds: {
+              type: "number",
+              description: "Maximum time to wait for the browser to capture (default: 30 seconds)",
+              default: 30,
+            },
+            client_id: {
+              type: "string",
+              description: "Browser tab to ask, as listed by get_connection_status (default: the most recently connected tab)",
+            },
+            page_url: {
+              type: "string",
+              description: "Ask the most recently connected tab whose URL contains this text (ignored when client_id is set)",
+            },
+          },
+          required: [],
+        },
+      },
+      {
+        name: "highlight_elements",
+        description:
+          "Point out elements in the user's browser: draws labelled outlines around the elements matching each selector, shows an optional message bubble and scrolls the first one into view. Use this when explaining which element you mean. Highlights replace earlier ones and clear when the user dismisses them or after duration_seconds.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            selectors: {
+              type: "array",
+              items: { type: "string" },
+              description: "CSS selectors of the elements to highlight (up to 10 matches each)",
+            },
+            labels: {
+              type: "array",
+              items: { type: "string" },
+              description: "Label for each selector, in the same order (default: 1, 2, 3, ...)",
+            },
+            message: {
+              type: "string",
+              description: "Message to show in a bubble next to the first highlighted element",
+            },
+            duration_seconds: {
+              type: "number",
+              description: "How long the highlights stay visible (default: 30 seconds, 0 = until dismissed)",
+              default: 30,
+            },
+            timeout_seconds: {
+              type: "number",
+              description: "Maximum time to wait for the browser to answer (default: 10 seconds)",
+              default: 10,
+            },
+            client_id: {
+              type: "string",
+              description: "Browser tab to ask, as listed by get_connection_status (default: the most recently connected tab)",
+            },
+            page_url: {
+              type: "string",
+              description: "Ask the most recently connected tab whose URL contains this text (ignored when client_id is set)",
+            },
+          },
+          required: ["selectors"],
+        },
+      },
+      {
+        name: "reply_to_feedback",
+        description:
+          "Reply to a specific feedback item the user sent (by its id). The reply shows up next to the original annotation in the widget's history panel, e.g. 'Fixed in Header.tsx, please reload'. The user can reopen the item with a follow-up comment, which arrives as a new feedback item with inReplyTo set to the original id.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            feedback_id: {
+              type: "string",
+              description: "ID of the feedback item to reply to (the 'id' field of received feedback, or 'inReplyTo' of a follow-up)",
+            },
+            message: {
+              type: "string",
+              description: "Reply to show to the user",
+            },
+          },
+          required: ["feedback_id", "message"],
+        },
+      },
+      {
+        name: "list_feedback",
+        description:
+          "List feedback the user has sent to Claude in this session, with lifecycle status (open, in_progress, resolved, wontfix), status history and replies. Items delivered to Claude move from open to in_progress; use resolve_feedback once an item is fixed.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            status: {
+              type: "string",
+              enum: ["all", ...FEEDBACK_STATUSES],
+              description: "Only list items with this status (default: all)",
+              default: "all",
+            },
+          },
+          required: [],
+        },
+      },
+      {
+        name: "resolve_feedback",
+        description:
+          "Mark a sent feedback item as resolved (or wontfix) with a note explaining what was done. The status and note show up in the widget's history panel; the user can still reopen the item with a follow-up.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            feedback_id: {
+              type: "string",
+              description: "ID of the feedback item (the 'id' field of received feedback, or 'inReplyTo' of a follow-up)",
+            },
+            note: {
+              type: "string",
+              description: "What was done, e.g. 'Fixed padding in Header.tsx'",
+            },
+            status: {
+              type: "string",
+              enum: ["resolved", "wontfix"],
+              description: "New status (default: resolved)",
+              default: "resolved",
+            },
+          },
+          required: ["feedback_id"],
+        },
+      },
+      {
+        name: "verify_feedback",
+        description:
+          "Check whether a fix for a feedback item actually landed. Re-locates the original element on the live page (by fullSelector, falling back to selector), captures a new screenshot and returns the before and after screenshots plus a diff of boundingRect and computedStyles. Use this before resolve_feedback. Reload the page first if your change needs it.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            feedback_id: {
+              type: "string",
+              description: "ID of the sent feedback item to verify",
+            },
+            timeout_seconds: {
+              type: "number",
+              description: "Maximum time to wait for the browser to capture (default: 30 seconds)",
+              default: 30,
+            },
+            client_id: {
+              type: "string",
+              description: "Browser tab to ask, as listed by get_connection_status (default: the most recently connected tab)",
+            },
+            page_url: {
+              type: "string",
+              description: "Ask the most recently connected tab whose URL contains this text (ignored when client_id is set)",
+            },
+          },
+          required: ["feedback_id"],
+        },
+      },
+      {
+        name: "compare_screenshots",
+        description:
+          "Pixel-level diff between a feedback item's original screenshot (without the user's drawing) and a fresh capture of the same element, elements or region. Returns the changed-pixel percentage and a diff image with changed pixels in red. Use it to spot unintended visual regressions after a fix.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            feedback_id: {
+              type: "string",
+              description: "ID of the sent feedback item to compare",
+            },
+            threshold: {
+              type: "number",
+              description: "Color difference (0-1) a pixel needs to count as changed; higher ignores more noise (default: 0.1)",
+              default: 0.1,
+            },
+            timeout_seconds: {
+              type: "number",
+              description: "Maximum time to wait for the browser to capture (default: 30 seconds)",
+              default: 30,
+            },
+            client_id: {
+              type: "string",
+              description: "Browser tab to ask, as listed by get_connection_status (default: the most recently connected tab)",
+            },
+            page_url: {
+              type: "string",
+              description: "Ask the most recently connected tab whose URL contains this text (ignored when client_id is set)",
+            },
+          },
+          required: ["feedback_id"],
+        },
+      },
       {
         name: "open_in_browser",
         description:
@@ -819,88 +1805,35 @@ mcpServer.setRequestHandler(CallToolRequestSchema, async (request) => {
     case "install_widget": {
       const devOnly = args?.dev_only !== false; // Default true
       const projectDir = args?.project_dir || process.cwd();
-      let filePath = args?.file_path;
-
-      // Default hostname patterns for local development
-      const defaultHostnamePatterns = [
-        'localhost',
-        '127.0.0.1',
-        '*.local',
-        '*.local.*',
-        '*.test',
-        '*.dev',
-        '*.ddev.site',
-      ];
-      const allowedHostnames = args?.allowed_hostnames || defaultHostnamePatterns;
-
-      // Auto-detect HTML file if not specified
-      if (!filePath) {
-        const candidates = [
-          'index.html',
-          'public/index.html',
-          'src/index.html',
-          'app/index.html',
-          'dist/index.html',
-          'build/index.html',
-          'www/index.html',
-          'static/index.html',
-        ];
-
-        for (const candidate of candidates) {
-          const fullPath = path.join(projectDir, candidate);
-          if (fs.existsSync(fullPath)) {
-            filePath = fullPath;
-            break;
-          }
-        }
 
-        if (!filePath) {
+      const config = getProjectConfig(projectDir);
+      const allowedHostnames = args?.allowed_hostnames || config.devHostnames;
+
+      // framework: "html" skips detection and only looks at installCandidates
+      let framework = null;
+      if (args?.framework && args.framework !== 'html') {
+        framework = getFramework(args.framework);
+        if (!framework) {
           return {
             content: [{
               type: "text",
-              text: `Could not auto-detect HTML file in ${projectDir}. Searched for:\n${candidates.map(c => `  - ${c}`).join('\n')}\n\nPlease specify the file_path explicitly.`,
+              text: `Unknown framework "${args.framework}". Supported: ${[...FRAMEWORK_IDS, 'html'].join(', ')}`,
             }],
           };
         }
+        framework = { ...framework, detectedFrom: 'framework argument' };
+      } else if (!args?.framework) {
+        framework = detectFramework(projectDir);
       }
 
-      // Make path absolute if relative
-      if (!path.isAbsolute(filePath)) {
-        filePath = path.join(projectDir, filePath);
-      }
-
-      // Check file exists
-      if (!fs.existsSync(filePath)) {
-        return {
-          content: [{
-            type: "text",
-            text: `File not found: ${filePath}`,
-          }],
-        };
-      }
-
-      // Read current content
-      let content = fs.readFileSync(filePath, 'utf8');
-
-      // Check if already installed
-      if (content.includes('localhost:' + PORT + '/widget.js') || content.includes('claude-feedback-widget')) {
-        return {
-          content: [{
-            type: "text",
-            text: `Widget already installed in ${filePath}`,
-          }],
-        };
-      }
-
-      // Generate script tag
-      let scriptTag;
-      let hostnameInfo;
+      // Plain HTML snippets have no build-time dev mode, so they check the hostname
+      let hostnameCheck = 'true';
+      let hostnameInfo = 'Always loaded';
       let detected = { url: null, detectedFrom: null };
 
       if (devOnly) {
         // Try to detect project URL for precise hostname matching
         detected = detectProjectUrl(projectDir);
-        let hostnameCheck;
 
         if (detected.url) {
           // Use exact hostname match from detected URL
@@ -919,58 +1852,72 @@ mcpServer.setRequestHandler(CallToolRequestSchema, async (request) => {
           hostnameCheck = patternChecks.join(' || ');
           hostnameInfo = `Development only (allowed hostnames: ${allowedHostnames.join(', ')})`;
         }
-
-        scriptTag = `
-<!-- Claude Code Browser Feedback Widget (dev only) -->
-<script>
-  (function() {
-    var h = location.hostname;
-    var isDevHost = ${hostnameCheck};
-    if (isDevHost) {
-      var s = document.createElement('script');
-      s.src = 'http://localhost:${PORT}/widget.js?session=${SESSION_ID}';
-      s.id = 'claude-feedback-widget-script';
-      document.body.appendChild(s);
-    }
-  })();
-</script>`;
-      } else {
-        hostnameInfo = 'Always loaded';
-        scriptTag = `
-<!-- Claude Code Browser Feedback Widget -->
-<script src="http://localhost:${PORT}/widget.js?session=${SESSION_ID}" id="claude-feedback-widget-script"></script>`;
-      }
-
-      // Find injection point (before </body> or </html>)
-      let injected = false;
-      
-      if (content.includes('</body>')) {
-        content = content.replace('</body>', scriptTag + '\n</body>');
-        injected = true;
-      } else if (content.includes('</html>')) {
-        content = content.replace('</html>', scriptTag + '\n</html>');
-        injected = true;
-      } else {
-        // Append to end
-        content += scriptTag;
-        injected = true;
       }
 
-      // Write back
-      fs.writeFileSync(filePath, content, 'utf8');
+      const result = installWidget(projectDir, {
+        filePath: args?.file_path,
+        framework,
+        candidates: config.installCandidates,
+        ctx: {
+          widgetUrl: `http://localhost:${PORT}/widget.js?session=${SESSION_ID}`,
+          devOnly,
+          hostnameCheck,
+        },
+        dryRun: args?.dry_run === true,
+        confirm: args?.confirm === true,
+      });
 
-      // Include URL info if detected (and not already in hostnameInfo)
-      const urlInfo = detected.url
-        ? `\n**URL:** [${detected.url}](${detected.url})`
+      // Framework snippets use the framework's own dev check instead of the hostname
+      const mode = devOnly && result.devCondition ? `Development only (${result.devCondition})` : hostnameInfo;
+      const frameworkInfo = framework
+        ? `\n**Framework:** ${framework.name} (detected from ${framework.detectedFrom})`
         : '';
-
-      return {
-        content: [{
-          type: "text",
-          text: `✅ Widget installed successfully!
-
-**File:** ${filePath}
-**Mode:** ${hostnameInfo}${urlInfo}
+      const fileInfo = `**File:** ${result.file}${result.created ? ' (created)' : ''}${frameworkInfo}\n**Mode:** ${mode}`;
+      const devCheck = devOnly && !result.devCondition ? `\n**Hostname check:** \`${hostnameCheck}\`` : '';
+      const diffBlock = `\`\`\`diff\n${result.diff}\`\`\``;
+
+      let text;
+      switch (result.status) {
+        case 'dry_run':
+          text = `Dry run: nothing was written. install_widget would make this change:
+
+${fileInfo}${devCheck}
+
+${diffBlock}
+
+Call install_widget again without dry_run to apply it.`;
+          break;
+        case 'needs_confirmation':
+          text = `⚠️ ${result.file} is tracked by git and has no uncommitted changes, so the widget snippet could easily end up in a commit. Nothing was written.
+
+${fileInfo}${devCheck}
+
+${diffBlock}
+
+Show this to the user and call install_widget again with confirm: true to apply it, or use install_dev_server_plugin to serve the widget without modifying project files.`;
+          break;
+        case 'file_not_found':
+          text = `File not found: ${result.file}`;
+          break;
+        case 'not_found':
+          text = `Could not auto-detect a file to install the widget into in ${projectDir}${framework ? ` (${framework.name} project)` : ''}. Searched for:\n${result.searched.map(c => `  - ${c}`).join('\n')}\n\nPlease specify the file_path explicitly, or add it to "installCandidates" in ${CONFIG_FILE_NAME}.`;
+          break;
+        case 'already_installed':
+          text = `Widget already installed in ${result.file}`;
+          break;
+        case 'no_injection_point':
+          text = `Could not find a </body> tag in ${result.file}. Please specify the file_path of the template or layout that renders the page's <body>.`;
+          break;
+        default: {
+          // Include URL info if detected (and not already in hostnameInfo)
+          const urlInfo = detected.url
+            ? `\n**URL:** [${detected.url}](${detected.url})`
+            : '';
+
+          text = `✅ Widget installed successfully!
+
+${fileInfo}${urlInfo}
+**Recorded in:** ${MANIFEST_FILE_NAME} (\`uninstall_widget\` restores the file byte for byte)
 
 The floating "Add annotation" button will appear when you load the page.
 
@@ -978,106 +1925,115 @@ Next steps:
 1. Refresh your browser to load the widget
 2. Use \`wait_for_browser_feedback\` to receive feedback from the browser
 
-**Tip:** You can also use the browser extension to toggle the widget without modifying files. Run \`setup_extension\` for instructions.`,
+**Tip:** You can also use the browser extension to toggle the widget without modifying files. Run \`setup_extension\` for instructions.`;
+        }
+      }
+
+      return {
+        content: [{
+          type: "text",
+          text,
         }],
       };
     }
 
     case "uninstall_widget": {
       const projectDir = args?.project_dir || process.cwd();
-      let filePath = args?.file_path;
-      
-      // If no file specified, search for files containing the widget
-      if (!filePath) {
-        const candidates = [
-          'index.html',
-          'public/index.html', 
-          'src/index.html',
-          'app/index.html',
-          'dist/index.html',
-          'build/index.html',
-          'www/index.html',
-          'static/index.html',
-        ];
-
-        for (const candidate of candidates) {
-          const fullPath = path.join(projectDir, candidate);
-          if (fs.existsSync(fullPath)) {
-            const content = fs.readFileSync(fullPath, 'utf8');
-            if (content.includes('claude-feedback-widget') || content.includes('localhost:' + PORT + '/widget.js')) {
-              filePath = fullPath;
-              break;
+
+      // Recorded installs are restored from the manifest; otherwise this searches the
+      // detected framework's templates and the configured installCandidates
+      const results = args?.all
+        ? uninstallAllWidgets(projectDir, { force: args?.force === true })
+        : [uninstallWidget(projectDir, {
+          filePath: args?.file_path,
+          framework: detectFramework(projectDir),
+          candidates: getProjectConfig(projectDir).installCandidates,
+          force: args?.force === true,
+        })];
+
+      const summarize = (result) => {
+        switch (result.status) {
+          case 'file_not_found':
+            return `File not found: ${result.file}`;
+          case 'not_found':
+            return `Could not find any file with the widget installed in ${projectDir}.`;
+          case 'not_installed':
+            return `Widget not found in ${result.file}`;
+          case 'drift':
+            return `⚠️ The widget snippet in ${result.file} was edited since install_widget added it, so it was left alone. Remove it by hand, or call uninstall_widget again with force: true to remove it by its markers. install_widget added:\n\`\`\`\n${result.inserted}\n\`\`\``;
+          default:
+            if (result.deleted) return `✅ Widget uninstalled successfully (removed ${result.file}, which install_widget created)`;
+            return `✅ Widget uninstalled successfully from ${result.file}${result.moved ? ' (the file was edited elsewhere since install; only the snippet was removed)' : ''}`;
+        }
+      };
+
+      const text = results.length === 0
+        ? `No installs recorded in ${path.join(projectDir, MANIFEST_FILE_NAME)}.`
+        : results.map(summarize).join('\n\n');
+
+      return {
+        content: [{
+          type: "text",
+          text,
+        }],
+      };
+    }
+
+    case "install_dev_server_plugin": {
+      const projectDir = args?.project_dir || process.cwd();
+      const options = { bundler: args?.bundler, configFile: args?.config_file };
+      const result = args?.remove
+        ? uninstallDevServerPlugin(projectDir, options)
+        : installDevServerPlugin(projectDir, options);
+      const bundlerName = result.bundler ? getBundlerName(result.bundler) : '';
+
+      let text;
+      switch (result.status) {
+        case 'file_not_found':
+          text = `File not found: ${result.file}`;
+          break;
+        case 'not_found':
+          text = `Could not find a ${args?.bundler ? `${getBundlerName(args.bundler)} ` : ''}config (vite.config.* or webpack.config.*) in ${projectDir}. Pass config_file, or use install_widget to add the widget to an HTML file instead.`;
+          break;
+        case 'unknown_bundler':
+          text = `Could not tell which bundler ${result.file} configures. Pass bundler: "vite" or "webpack".`;
+          break;
+        case 'unsupported_config':
+          text = `${result.error}. Add the plugin manually, see the "Dev-Server Plugins" section of the README.`;
+          break;
+        case 'already_installed':
+          text = `The ${bundlerName} plugin is already configured in ${result.file}`;
+          break;
+        case 'not_installed':
+          text = `The ${bundlerName} plugin is not configured in ${result.file}`;
+          break;
+        case 'removed':
+          text = `✅ Removed the ${bundlerName} plugin from ${result.file}`;
+          break;
+        default: {
+          // The config imports this package, so the project needs it installed
+          let dependencyInfo = '';
+          try {
+            const pkg = JSON.parse(fs.readFileSync(path.join(projectDir, 'package.json'), 'utf8'));
+            if (!pkg.dependencies?.[PKG_NAME] && !pkg.devDependencies?.[PKG_NAME]) {
+              dependencyInfo = `\n\n**Install the package** in the project so the config can import it:\n\`\`\`\nnpm install --save-dev ${PKG_NAME}\n\`\`\``;
             }
+          } catch {
+            // No package.json to check
           }
-        }
 
-        if (!filePath) {
-          return {
-            content: [{
-              type: "text",
-              text: `Could not find any HTML file with the widget installed in ${projectDir}.`,
-            }],
-          };
+          text = `✅ ${bundlerName} plugin added to ${result.file}
+
+The widget is added to HTML pages while the dev server runs; builds and project files stay untouched. Restart the dev server to load the plugin.${dependencyInfo}
+
+The plugin connects to this session when the dev server runs in ${projectDir} (the session ID is derived from its working directory).`;
         }
       }
 
-      // Make path absolute if relative
-      if (!path.isAbsolute(filePath)) {
-        filePath = path.join(projectDir, filePath);
-      }
-
-      // Check file exists
-      if (!fs.existsSync(filePath)) {
-        return {
-          content: [{
-            type: "text",
-            text: `File not found: ${filePath}`,
-          }],
-        };
-      }
-
-      // Read content
-      let content = fs.readFileSync(filePath, 'utf8');
-
-      // Check if widget is installed
-      if (!content.includes('claude-feedback-widget') && !content.includes('localhost:' + PORT + '/widget.js')) {
-        return {
-          content: [{
-            type: "text",
-            text: `Widget not found in ${filePath}`,
-          }],
-        };
-      }
-
-      // Remove the widget script block (handles both dev-only and always-on versions)
-      // Pattern 1: Dev-only version with surrounding comment
-      content = content.replace(
-        /\n?<!-- Claude Code Browser Feedback Widget[^>]*-->[\s\S]*?claude-feedback-widget[\s\S]*?<\/script>/g,
-        ''
-      );
-      
-      // Pattern 2: Simple script tag
-      content = content.replace(
-        /\n?<script[^>]*src="http:\/\/localhost:\d+\/widget\.js"[^>]*><\/script>/g,
-        ''
-      );
-
-      // Pattern 3: Script tag with id
-      content = content.replace(
-        /\n?<script[^>]*id="claude-feedback-widget-script"[^>]*>[\s\S]*?<\/script>/g,
-        ''
-      );
-
-      // Clean up any leftover empty lines
-      content = content.replace(/\n{3,}/g, '\n\n');
-
-      // Write back
-      fs.writeFileSync(filePath, content, 'utf8');
-
       return {
         content: [{
           type: "text",
-          text: `✅ Widget uninstalled successfully from ${filePath}`,
+          text,
         }],
       };
     }
@@ -1095,7 +2051,7 @@ Users can:
 1. Click the button to activate annotation mode
 2. Click on any element to select it
 3. Add a description of the issue
-4. Optionally include console logs
+4. Optionally include console logs and failed network requests
 5. Send the feedback directly to Claude Code
 
 The widget only loads in development (localhost) by default.
@@ -1121,7 +2077,7 @@ The widget only loads in development (localhost) by default.
         try {
           const feedback = await pollForFeedback(timeoutSeconds);
           return {
-            content: formatFeedbackAsContent(feedback),
+            content: await formatFeedback(feedback),
           };
         } catch (err) {
           return {
@@ -1138,10 +2094,9 @@ The widget only loads in development (localhost) by default.
       // Check if there's already ready feedback (user clicked "Send to Claude")
       const ready = getSessionReady(SESSION_ID);
       if (ready.length > 0) {
-        const items = [...ready];
-        setSessionReady(SESSION_ID, []);
+        const items = takeReadyFeedback(SESSION_ID);
         return {
-          content: formatFeedbackAsContent(items),
+          content: await formatFeedback(items),
         };
       }
 
@@ -1160,7 +2115,7 @@ The widget only loads in development (localhost) by default.
 
       // feedback is now an array (from send_to_claude handler)
       return {
-        content: formatFeedbackAsContent(feedback),
+        content: await formatFeedback(feedback),
       };
     }
 
@@ -1182,7 +2137,7 @@ The widget only loads in development (localhost) by default.
             };
           }
           return {
-            content: formatFeedbackAsContent(result.feedback),
+            content: await formatFeedback(result.feedback),
           };
         } else {
           return {
@@ -1196,11 +2151,7 @@ The widget only loads in development (localhost) by default.
         }
       }
 
-      const sessionReady = getSessionReady(SESSION_ID);
-      const feedback = [...sessionReady];
-      if (shouldClear) {
-        setSessionReady(SESSION_ID, []);
-      }
+      const feedback = shouldClear ? takeReadyFeedback(SESSION_ID) : getSessionReady(SESSION_ID);
 
       if (feedback.length === 0) {
         return {
@@ -1214,7 +2165,7 @@ The widget only loads in development (localhost) by default.
       }
 
       return {
-        content: formatFeedbackAsContent(feedback),
+        content: await formatFeedback(feedback),
       };
     }
 
@@ -1314,10 +2265,7 @@ The widget only loads in development (localhost) by default.
         }
       }
 
-      const pending = getSessionPending(SESSION_ID);
-      const initialLength = pending.length;
-      setSessionPending(SESSION_ID, pending.filter(f => f.id !== id));
-      const deleted = getSessionPending(SESSION_ID).length < initialLength;
+      const deleted = feedbackStore.removePending(SESSION_ID, id);
 
       if (deleted) {
         broadcastPendingStatus(SESSION_ID);
@@ -1379,219 +2327,649 @@ The widget only loads in development (localhost) by default.
           await new Promise(resolve => setTimeout(resolve, 500));
         }
 
-        if (allFeedback.length === 0) {
+        if (allFeedback.length === 0) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: "No feedback was submitted within the timeout period.",
+              },
+            ],
+          };
+        }
+
+        return {
+          content: await formatFeedback(allFeedback),
+        };
+      }
+
+      const sessionClients = getSessionClients(SESSION_ID);
+      if (sessionClients.size === 0) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: "No browser clients connected. Make sure the widget script is loaded in your app.",
+            },
+          ],
+        };
+      }
+
+      // Clear stale queues for this session
+      setSessionReady(SESSION_ID, []);
+      setSessionPending(SESSION_ID, []);
+      broadcastPendingStatus(SESSION_ID);
+
+      // Send request to browser to enter multi-feedback mode
+      broadcast({
+        type: "request_multiple_annotations",
+        message: message,
+      }, SESSION_ID);
+
+      // Check if ready feedback already has items (early return)
+      const readyNow = getSessionReady(SESSION_ID);
+      if (readyNow.length > 0) {
+        const items = takeReadyFeedback(SESSION_ID);
+        return {
+          content: await formatFeedback(items),
+        };
+      }
+
+      // Wait for user to press "Send to Claude" via feedbackResolvers
+      try {
+        const allFeedback = await Promise.race([
+          new Promise((resolve) => {
+            getSessionResolvers(SESSION_ID).push(resolve);
+          }),
+          new Promise((_, reject) =>
+            setTimeout(
+              () => reject(new Error("Timeout waiting for feedback")),
+              timeoutSeconds * 1000
+            )
+          ),
+        ]);
+
+        if (allFeedback.length === 0) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: "User clicked Send but no feedback was submitted.",
+              },
+            ],
+          };
+        }
+
+        return {
+          content: await formatFeedback(allFeedback),
+        };
+      } catch (err) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: err.message,
+            },
+          ],
+        };
+      }
+    }
+
+    case "get_connection_status": {
+      // If we don't own the HTTP server, fetch status from the running server
+      if (!isHttpServerOwner) {
+        const status = await fetchServerStatus(SESSION_ID);
+        if (status) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(
+                  {
+                    connected: status.connectedClients > 0,
+                    clientCount: status.connectedClients,
+                    clients: status.clients || [],
+                    serverUrl: `http://localhost:${PORT}`,
+                    widgetUrl: `http://localhost:${PORT}/widget.js?session=${SESSION_ID}`,
+                    sessionId: SESSION_ID,
+                    authToken: AUTH_TOKEN,
+                    note: "Status fetched from running server (this MCP instance is proxying)",
+                  },
+                  null,
+                  2
+                ),
+              },
+            ],
+          };
+        } else {
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(
+                  {
+                    connected: false,
+                    clientCount: 0,
+                    serverUrl: `http://localhost:${PORT}`,
+                    widgetUrl: `http://localhost:${PORT}/widget.js`,
+                    error: "Could not connect to feedback server. Is it running?",
+                  },
+                  null,
+                  2
+                ),
+              },
+            ],
+          };
+        }
+      }
+
+      const sessionClientCount = getSessionClients(SESSION_ID).size;
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                connected: sessionClientCount > 0,
+                clientCount: sessionClientCount,
+                clients: describeSessionClients(SESSION_ID),
+                serverUrl: `http://localhost:${PORT}`,
+                widgetUrl: `http://localhost:${PORT}/widget.js?session=${SESSION_ID}`,
+                sessionId: SESSION_ID,
+                authToken: AUTH_TOKEN,
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    }
+
+    case "get_config": {
+      // Environment variables that take precedence over (or add to) the file
+      const envOverrides = ["FEEDBACK_PORT", "FEEDBACK_ALLOWED_ORIGINS", "FEEDBACK_REDACT_PATTERNS", "FEEDBACK_MASK_SELECTORS"]
+        .filter(name => process.env[name]);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                file: PROJECT_CONFIG.file,
+                found: PROJECT_CONFIG.found,
+                errors: PROJECT_CONFIG.errors,
+                config: {
+                  ...CONFIG,
+                  port: PORT,
+                  allowedOrigins: ALLOWED_ORIGINS,
+                  redaction: REDACTION,
+                },
+                envOverrides,
+                note: "The file is read when the MCP server starts; reconnect it (/mcp) after editing. The widget picks up consoleBufferSize, screenshotQuality and captureErrors on its next page load.",
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    }
+
+    case "request_annotation": {
+      const message = args?.message || "Please annotate the issue you'd like to report.";
+
+      // If we don't own the HTTP server, broadcast via HTTP
+      if (!isHttpServerOwner) {
+        const result = await broadcastViaHttp({
+          type: "request_annotation",
+          message: message,
+        });
+        if (result && result.success) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: result.clientCount > 0
+                  ? `Annotation request sent to ${result.clientCount} connected browser(s). The user will see a prompt asking them to annotate.`
+                  : "No browser clients connected. Make sure the widget script is loaded in your app.",
+              },
+            ],
+          };
+        } else {
+          return {
+            content: [
+              {
+                type: "text",
+                text: "Could not send annotation request. Is the feedback server running?",
+              },
+            ],
+          };
+        }
+      }
+
+      const sessionClientCount = getSessionClients(SESSION_ID).size;
+      if (sessionClientCount === 0) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: "No browser clients connected. Make sure the widget script is loaded in your app.",
+            },
+          ],
+        };
+      }
+
+      broadcast({
+        type: "request_annotation",
+        message: message,
+      }, SESSION_ID);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Annotation request sent to ${sessionClientCount} connected browser(s). The user will see a prompt asking them to annotate.`,
+          },
+        ],
+      };
+    }
+
+    case "inspect_element": {
+      const selector = args?.selector;
+      if (!selector) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: "Error: selector is required",
+            },
+          ],
+        };
+      }
+
+      const params = {
+        selector,
+        depth: args?.depth ?? 1,
+        maxElements: args?.max_elements ?? 5,
+        includeAttributes: args?.include_attributes !== false,
+        includeText: args?.include_text !== false,
+        includeStyles: args?.include_styles === true,
+        styleProperties: args?.style_properties,
+      };
+
+      try {
+        const result = await requestFromSessionWidget("inspect_element", params, args, 10);
+
+        if (!result || result.matchCount === 0) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: `No elements match '${selector}' on ${result?.url || "the connected page"}.`,
+              },
+            ],
+          };
+        }
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      } catch (err) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Could not inspect element: ${err.message}`,
+            },
+          ],
+        };
+      }
+    }
+
+    case "capture_screenshot": {
+      const params = {
+        selector: args?.selector || null,
+        fullPage: args?.full_page === true,
+      };
+
+      try {
+        const result = await requestFromSessionWidget("capture_screenshot", params, args, 30);
+
+        return {
+          content: await formatFeedbackAsContent(result),
+        };
+      } catch (err) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Could not capture screenshot: ${err.message}`,
+            },
+          ],
+        };
+      }
+    }
+
+    case "highlight_elements": {
+      const selectors = Array.isArray(args?.selectors) ? args.selectors.filter(s => typeof s === "string" && s) : [];
+      if (selectors.length === 0) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: "Error: selectors must be a non-empty array of CSS selectors",
+            },
+          ],
+        };
+      }
+
+      const params = {
+        selectors,
+        labels: Array.isArray(args?.labels) ? args.labels : [],
+        message: args?.message || null,
+        durationMs: (args?.duration_seconds ?? 30) * 1000,
+      };
+
+      try {
+        const result = await requestFromSessionWidget("highlight_elements", params, args, 10);
+        const lines = result.selectors.map(r => {
+          if (r.error) return `- ${r.selector}: ${r.error}`;
+          if (r.matchCount === 0) return `- ${r.selector}: no matching elements`;
+          const extra = r.matchCount > r.highlighted ? ` (${r.matchCount} matches, first ${r.highlighted} shown)` : "";
+          return `- ${r.selector} [${r.label}]: ${r.highlighted} element(s)${extra}`;
+        });
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Highlighted ${result.highlightedCount} element(s) on ${result.url}:\n${lines.join("\n")}`,
+            },
+          ],
+        };
+      } catch (err) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Could not highlight elements: ${err.message}`,
+            },
+          ],
+        };
+      }
+    }
+
+    case "reply_to_feedback": {
+      const feedbackId = args?.feedback_id;
+      const message = typeof args?.message === "string" ? args.message.trim() : "";
+      if (!feedbackId || !message) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: "Error: feedback_id and message are required",
+            },
+          ],
+        };
+      }
+
+      // If we don't own the HTTP server, post the reply through it
+      let entry;
+      if (isHttpServerOwner) {
+        entry = replyToFeedback(SESSION_ID, feedbackId, message);
+      } else {
+        const result = await replyToFeedbackViaHttp(feedbackId, message);
+        if (!result) {
           return {
             content: [
               {
                 type: "text",
-                text: "No feedback was submitted within the timeout period.",
+                text: "Could not connect to feedback server. Is it running?",
               },
             ],
           };
         }
+        entry = result.entry || null;
+      }
 
+      if (!entry) {
         return {
-          content: formatFeedbackAsContent(allFeedback),
+          content: [
+            {
+              type: "text",
+              text: `Feedback ${feedbackId} not found. Only items the user has sent to Claude can be replied to.`,
+            },
+          ],
         };
       }
 
-      const sessionClients = getSessionClients(SESSION_ID);
-      if (sessionClients.size === 0) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Reply posted. The user sees it in the widget's feedback history.\n\n${JSON.stringify(entry, null, 2)}`,
+          },
+        ],
+      };
+    }
+
+    case "list_feedback": {
+      const status = args?.status || "all";
+      if (status !== "all" && !FEEDBACK_STATUSES.includes(status)) {
         return {
           content: [
             {
               type: "text",
-              text: "No browser clients connected. Make sure the widget script is loaded in your app.",
+              text: `Error: status must be one of all, ${FEEDBACK_STATUSES.join(", ")}`,
             },
           ],
         };
       }
 
-      // Clear stale queues for this session
-      setSessionReady(SESSION_ID, []);
-      setSessionPending(SESSION_ID, []);
-      broadcastPendingStatus(SESSION_ID);
-
-      // Send request to browser to enter multi-feedback mode
-      broadcast({
-        type: "request_multiple_annotations",
-        message: message,
-      }, SESSION_ID);
-
-      // Check if ready feedback already has items (early return)
-      const readyNow = getSessionReady(SESSION_ID);
-      if (readyNow.length > 0) {
-        const items = [...readyNow];
-        setSessionReady(SESSION_ID, []);
+      // If we don't own the HTTP server, fetch via HTTP
+      const summary = isHttpServerOwner
+        ? getHistorySummary(feedbackStore.getHistory(SESSION_ID), status)
+        : await fetchFeedbackHistory(status);
+      if (!summary) {
         return {
-          content: formatFeedbackAsContent(items),
+          content: [
+            {
+              type: "text",
+              text: "Could not fetch feedback. Is the feedback server running?",
+            },
+          ],
         };
       }
 
-      // Wait for user to press "Send to Claude" via feedbackResolvers
-      try {
-        const allFeedback = await Promise.race([
-          new Promise((resolve) => {
-            getSessionResolvers(SESSION_ID).push(resolve);
-          }),
-          new Promise((_, reject) =>
-            setTimeout(
-              () => reject(new Error("Timeout waiting for feedback")),
-              timeoutSeconds * 1000
-            )
-          ),
-        ]);
-
-        if (allFeedback.length === 0) {
-          return {
-            content: [
-              {
-                type: "text",
-                text: "User clicked Send but no feedback was submitted.",
-              },
-            ],
-          };
-        }
-
+      if (summary.items.length === 0) {
         return {
-          content: formatFeedbackAsContent(allFeedback),
+          content: [
+            {
+              type: "text",
+              text: status === "all" ? "No feedback has been sent yet." : `No ${status} feedback.`,
+            },
+          ],
         };
-      } catch (err) {
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(summary, null, 2),
+          },
+        ],
+      };
+    }
+
+    case "resolve_feedback": {
+      const feedbackId = args?.feedback_id;
+      const status = args?.status || "resolved";
+      const note = typeof args?.note === "string" && args.note.trim() ? args.note.trim() : null;
+      if (!feedbackId || !["resolved", "wontfix"].includes(status)) {
         return {
           content: [
             {
               type: "text",
-              text: err.message,
+              text: "Error: feedback_id is required and status must be 'resolved' or 'wontfix'",
             },
           ],
         };
       }
-    }
 
-    case "get_connection_status": {
-      // If we don't own the HTTP server, fetch status from the running server
-      if (!isHttpServerOwner) {
-        const status = await fetchServerStatus(SESSION_ID);
-        if (status) {
-          return {
-            content: [
-              {
-                type: "text",
-                text: JSON.stringify(
-                  {
-                    connected: status.connectedClients > 0,
-                    clientCount: status.connectedClients,
-                    serverUrl: `http://localhost:${PORT}`,
-                    widgetUrl: `http://localhost:${PORT}/widget.js?session=${SESSION_ID}`,
-                    sessionId: SESSION_ID,
-                    note: "Status fetched from running server (this MCP instance is proxying)",
-                  },
-                  null,
-                  2
-                ),
-              },
-            ],
-          };
-        } else {
+      // If we don't own the HTTP server, update through it
+      let entry;
+      if (isHttpServerOwner) {
+        entry = setFeedbackStatus(SESSION_ID, feedbackId, status, note);
+      } else {
+        const result = await setFeedbackStatusViaHttp(feedbackId, status, note);
+        if (!result) {
           return {
             content: [
               {
                 type: "text",
-                text: JSON.stringify(
-                  {
-                    connected: false,
-                    clientCount: 0,
-                    serverUrl: `http://localhost:${PORT}`,
-                    widgetUrl: `http://localhost:${PORT}/widget.js`,
-                    error: "Could not connect to feedback server. Is it running?",
-                  },
-                  null,
-                  2
-                ),
+                text: "Could not connect to feedback server. Is it running?",
               },
             ],
           };
         }
+        entry = result.entry || null;
+      }
+
+      if (!entry) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Feedback ${feedbackId} not found. Use list_feedback to see sent items.`,
+            },
+          ],
+        };
       }
 
-      const sessionClientCount = getSessionClients(SESSION_ID).size;
       return {
         content: [
           {
             type: "text",
-            text: JSON.stringify(
-              {
-                connected: sessionClientCount > 0,
-                clientCount: sessionClientCount,
-                serverUrl: `http://localhost:${PORT}`,
-                widgetUrl: `http://localhost:${PORT}/widget.js?session=${SESSION_ID}`,
-                sessionId: SESSION_ID,
-              },
-              null,
-              2
-            ),
+            text: `Feedback ${feedbackId} marked ${status}.`,
           },
         ],
       };
     }
 
-    case "request_annotation": {
-      const message = args?.message || "Please annotate the issue you'd like to report.";
+    case "verify_feedback": {
+      const feedbackId = args?.feedback_id;
+      if (!feedbackId) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: "Error: feedback_id is required",
+            },
+          ],
+        };
+      }
 
-      // If we don't own the HTTP server, broadcast via HTTP
-      if (!isHttpServerOwner) {
-        const result = await broadcastViaHttp({
-          type: "request_annotation",
-          message: message,
-        });
-        if (result && result.success) {
-          return {
-            content: [
-              {
-                type: "text",
-                text: result.clientCount > 0
-                  ? `Annotation request sent to ${result.clientCount} connected browser(s). The user will see a prompt asking them to annotate.`
-                  : "No browser clients connected. Make sure the widget script is loaded in your app.",
-              },
-            ],
-          };
-        } else {
+      const { snapshot, error } = await loadVerifiableSnapshot(feedbackId);
+      if (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: error,
+            },
+          ],
+        };
+      }
+
+      try {
+        const after = await recaptureSnapshotElement(snapshot, args);
+        return {
+          content: formatVerificationAsContent(feedbackId, snapshot, after),
+        };
+      } catch (err) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Could not verify feedback: ${err.message}`,
+            },
+          ],
+        };
+      }
+    }
+
+    case "compare_screenshots": {
+      const feedbackId = args?.feedback_id;
+      if (!feedbackId) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: "Error: feedback_id is required",
+            },
+          ],
+        };
+      }
+      const threshold = Math.min(Math.max(Number(args?.threshold ?? 0.1) || 0, 0), 1);
+
+      const { snapshot, error } = await loadVerifiableSnapshot(feedbackId, { allowRegion: true });
+      if (error || !snapshot.screenshot) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: error || `Feedback ${feedbackId} was sent without a screenshot, so there is nothing to compare against.`,
+            },
+          ],
+        };
+      }
+
+      try {
+        const after = await recaptureSnapshotElement(snapshot, args);
+        if (!after.found || !after.screenshot) {
           return {
             content: [
               {
                 type: "text",
-                text: "Could not send annotation request. Is the feedback server running?",
+                text: after.found
+                  ? "The browser could not capture a new screenshot."
+                  : `The element of feedback ${feedbackId} was not found on ${after.url}. Use verify_feedback for details.`,
               },
             ],
           };
         }
-      }
 
-      const sessionClientCount = getSessionClients(SESSION_ID).size;
-      if (sessionClientCount === 0) {
+        const { diffDataUrl, ...stats } = diffScreenshots(snapshot.screenshot, after.screenshot, { threshold });
+        const notes = [];
+        if (stats.sizeMismatch) {
+          notes.push("The screenshots differ in size (the element moved or was resized); pixels outside the overlap count as changed.");
+        }
+        return {
+          content: await formatFeedbackAsContent({
+            feedbackId,
+            threshold,
+            ...stats,
+            notes,
+            diffImage: "Changed pixels are red; unchanged pixels are shown faded",
+            screenshot: diffDataUrl,
+          }),
+        };
+      } catch (err) {
         return {
           content: [
             {
               type: "text",
-              text: "No browser clients connected. Make sure the widget script is loaded in your app.",
+              text: `Could not compare screenshots: ${err.message}`,
             },
           ],
         };
       }
-
-      broadcast({
-        type: "request_annotation",
-        message: message,
-      }, SESSION_ID);
-
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Annotation request sent to ${sessionClientCount} connected browser(s). The user will see a prompt asking them to annotate.`,
-          },
-        ],
-      };
     }
 
     case "open_in_browser": {
@@ -1717,7 +3095,10 @@ The extension directory has been opened in your file manager.
 ### Usage
 Once installed, click the extension icon in your browser toolbar to toggle the feedback widget on any tab. No need to modify project HTML files.
 
-The extension connects to the MCP server at \`http://localhost:${PORT}\`. You can change this in the extension popup settings.`;
+The extension connects to the MCP server at \`http://localhost:${PORT}\`. You can change this in the extension popup settings.
+
+Paste this auth token into the popup's **Auth token** field so the extension can reach the server:
+\`${AUTH_TOKEN}\``;
 
           if (error) {
             resolve({
@@ -1869,6 +3250,12 @@ async function main() {
   // Register this session
   const detected = detectProjectUrl(PROJECT_DIR);
   if (isHttpServerOwner) {
+    // Owner restores feedback queued before the previous owner process exited
+    const restored = feedbackStore.load();
+    if (restored > 0) {
+      console.error(`[browser-feedback-mcp] Restored feedback for ${restored} session(s) from ${DATA_DIR}`);
+    }
+
     // Owner registers directly
     sessionRegistry.set(SESSION_ID, {
       sessionId: SESSION_ID,
@@ -1876,6 +3263,9 @@ async function main() {
       projectDir: PROJECT_DIR,
       projectUrl: detected.url,
       detectedFrom: detected.detectedFrom,
+      allowedOrigins: ALLOWED_ORIGINS,
+      redaction: REDACTION,
+      widgetConfig: getWidgetConfig(CONFIG),
       registeredAt: new Date().toISOString(),
     });
     console.error(`[browser-feedback-mcp] Session: ${SESSION_ID}`);
@@ -0,0 +1,353 @@
+import fs from "fs";
+import path from "path";
+
+// Resolves browser stack traces (minified bundle positions) to the original source
+// through source maps, fetched from the dev server or read from the project's build
+// output, so feedback points at src/components/Cart.tsx:42 instead of index-3f2a.js:1:48211
+
+const FETCH_TIMEOUT_MS = 3000;
+const MAX_SOURCE_MAP_BYTES = 50 * 1024 * 1024;
+const EXCERPT_CONTEXT_LINES = 2;
+const MAX_EXCERPT_LINE_LENGTH = 200;
+
+// A location inside a stack trace or log message: url:line:column, followed by the
+// closing parenthesis of a Chrome frame or the end of a word
+const LOCATION_RE = /((?:https?|file):\/\/[^\s()'"]+?):(\d+):(\d+)(?=\)|\s|$)/g;
+
+const BASE64_DIGITS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+// Base64 VLQ values of one mappings segment
+function decodeVlq(segment) {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+  for (const char of segment) {
+    const digit = BASE64_DIGITS.indexOf(char);
+    if (digit === -1) throw new Error(`Invalid character '${char}' in source map mappings`);
+    value += (digit & 31) << shift;
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+      value = 0;
+      shift = 0;
+    }
+  }
+  return values;
+}
+
+// Mappings as one sorted array of [generatedColumn, source, line, column, name?]
+// segments per generated line, all zero-based
+function decodeMappings(mappings) {
+  const lines = [];
+  let source = 0;
+  let line = 0;
+  let column = 0;
+  let name = 0;
+  for (const lineText of mappings.split(';')) {
+    const segments = [];
+    let generatedColumn = 0;
+    for (const text of lineText ? lineText.split(',') : []) {
+      const values = decodeVlq(text);
+      generatedColumn += values[0];
+      if (values.length < 4) continue;
+      source += values[1];
+      line += values[2];
+      column += values[3];
+      const segment = [generatedColumn, source, line, column];
+      if (values.length > 4) segment.push(name += values[4]);
+      segments.push(segment);
+    }
+    lines.push(segments.sort((a, b) => a[0] - b[0]));
+  }
+  return lines;
+}
+
+// Lookup of original positions in a parsed source map (version 3, without index-map
+// sections). Lines and columns are one-based, like in stack traces.
+export function createSourceMapConsumer(map) {
+  if (!map || map.version !== 3 || typeof map.mappings !== 'string') {
+    throw new Error('Expected a version 3 source map with mappings');
+  }
+  const lines = decodeMappings(map.mappings);
+  const sourceRoot = map.sourceRoot ? map.sourceRoot.replace(/\/?$/, '/') : '';
+
+  return {
+    originalPositionFor(line, column) {
+      const segments = lines[line - 1];
+      if (!segments || segments.length === 0) return null;
+      // Last segment starting at or before the column
+      let low = 0;
+      let high = segments.length - 1;
+      let found = -1;
+      while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (segments[mid][0] <= column - 1) {
+          found = mid;
+          low = mid + 1;
+        } else {
+          high = mid - 1;
+        }
+      }
+      if (found === -1) return null;
+      const [, sourceIndex, originalLine, originalColumn, nameIndex] = segments[found];
+      if (typeof map.sources[sourceIndex] !== 'string') return null;
+      return {
+        source: sourceRoot + map.sources[sourceIndex],
+        line: originalLine + 1,
+        column: originalColumn + 1,
+        name: nameIndex === undefined ? null : map.names?.[nameIndex] ?? null,
+        sourceContent: map.sourcesContent?.[sourceIndex] ?? null,
+      };
+    },
+  };
+}
+
+// Parse a source map from JSON text or a data: URL
+function parseSourceMap(text) {
+  const dataUrl = text.match(/^data:application\/json[^,]*?(;base64)?,(.*)$/s);
+  if (dataUrl) {
+    text = dataUrl[1] ? Buffer.from(dataUrl[2], 'base64').toString('utf8') : decodeURIComponent(dataUrl[2]);
+  }
+  // Maps may start with an XSSI guard line
+  return JSON.parse(text.replace(/^\)\]\}'[^\n]*\n/, ''));
+}
+
+// The last sourceMappingURL comment of a script
+function getSourceMappingUrl(script) {
+  const matches = [...script.matchAll(/\/[/*][#@]\s*sourceMappingURL=([^\s*]+)/g)];
+  return matches.length > 0 ? matches[matches.length - 1][1] : null;
+}
+
+const isInside = (dir, file) => {
+  const relative = path.relative(dir, file);
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+};
+
+const LOOPBACK_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+// Only the dev server is asked for scripts and maps: loopback hosts and the origin
+// of the page the feedback came from
+function isFetchAllowed(url, pageUrl) {
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return false;
+  if (LOOPBACK_HOSTS.has(url.hostname) || url.hostname.endsWith('.localhost')) return true;
+  try {
+    return new URL(pageUrl).origin === url.origin;
+  } catch {
+    return false;
+  }
+}
+
+// Source-map resolver for one batch of feedback; maps are loaded once per script.
+// options: projectDir, buildDirs (searched for maps, relative to projectDir), fetch.
+// Returns { resolveStack(stack, pageUrl), resolveLocation(location, pageUrl) }.
+export function createStackResolver({ projectDir, buildDirs = [], fetch = globalThis.fetch }) {
+  const maps = new Map();
+
+  async function fetchText(url) {
+    const response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    if (Number(response.headers.get('content-length')) > MAX_SOURCE_MAP_BYTES) throw new Error('Too large');
+    return { text: await response.text(), headers: response.headers };
+  }
+
+  // The script's map from the dev server: its SourceMap header or sourceMappingURL comment
+  async function fetchSourceMap(scriptUrl, pageUrl) {
+    if (!isFetchAllowed(scriptUrl, pageUrl)) return null;
+    const { text, headers } = await fetchText(scriptUrl);
+    const reference = headers.get('sourcemap') || headers.get('x-sourcemap') || getSourceMappingUrl(text);
+    if (!reference) return null;
+    if (reference.startsWith('data:')) return { map: parseSourceMap(reference), base: scriptUrl.href };
+    const mapUrl = new URL(reference, scriptUrl);
+    if (!isFetchAllowed(mapUrl, pageUrl)) return null;
+    return { map: parseSourceMap((await fetchText(mapUrl)).text), base: mapUrl.href };
+  }
+
+  // The script's map in a build directory: the URL path, or the end of it (so
+  // /build/app.js matches public/build/app.js), plus .map or the script's comment
+  function readBuildSourceMap(scriptUrl) {
+    const segments = decodeURIComponent(scriptUrl.pathname).split('/').filter(Boolean);
+    for (const dir of buildDirs) {
+      const root = path.join(projectDir, dir);
+      for (let start = 0; start < segments.length; start++) {
+        const script = path.join(root, ...segments.slice(start));
+        if (!isInside(root, script)) continue;
+        let mapFile = `${script}.map`;
+        if (!fs.existsSync(mapFile) && fs.existsSync(script)) {
+          const reference = getSourceMappingUrl(fs.readFileSync(script, 'utf8'));
+          if (reference?.startsWith('data:')) return { map: parseSourceMap(reference), base: script };
+          mapFile = reference ? path.resolve(path.dirname(script), reference) : null;
+        }
+        if (mapFile && isInside(projectDir, mapFile) && fs.existsSync(mapFile)
+          && fs.statSync(mapFile).size <= MAX_SOURCE_MAP_BYTES) {
+          return { map: parseSourceMap(fs.readFileSync(mapFile, 'utf8')), base: mapFile };
+        }
+      }
+    }
+    return null;
+  }
+
+  function loadSourceMap(scriptUrl, pageUrl) {
+    const key = scriptUrl.href;
+    if (!maps.has(key)) {
+      maps.set(key, (async () => {
+        let loaded = null;
+        try {
+          loaded = await fetchSourceMap(scriptUrl, pageUrl);
+        } catch {
+          // Dev server not reachable or no map there; try the build output
+        }
+        try {
+          loaded = loaded || readBuildSourceMap(scriptUrl);
+          return loaded ? { consumer: createSourceMapConsumer(loaded.map), base: loaded.base } : null;
+        } catch {
+          return null;
+        }
+      })());
+    }
+    return maps.get(key);
+  }
+
+  // A map source as a path relative to the project, plus the absolute file when it
+  // exists there. webpack:// sources are relative to the project; URLs and other
+  // relative sources are resolved against the map's location.
+  function toProjectFile(source, base) {
+    const cleaned = source.replace(/^webpack:\/\/[^/]*\//, '').replace(/[?#].*$/, '');
+    let file;
+    if (cleaned.startsWith('file://')) {
+      file = decodeURIComponent(new URL(cleaned).pathname);
+    } else if (path.isAbsolute(cleaned) && isInside(projectDir, cleaned)) {
+      file = cleaned;
+    } else if (source.startsWith('webpack://')) {
+      file = path.join(projectDir, cleaned);
+    } else if (/^https?:\/\//.test(cleaned) || /^https?:\/\//.test(base)) {
+      file = path.join(projectDir, decodeURIComponent(new URL(cleaned, base).pathname));
+    } else {
+      file = path.resolve(path.dirname(base), cleaned);
+    }
+    if (!isInside(projectDir, file)) return { relative: cleaned, file: null };
+    return {
+      relative: path.relative(projectDir, file).split(path.sep).join('/'),
+      file: fs.existsSync(file) ? file : null,
+    };
+  }
+
+  // Original position of a url:line:column, or null when no map covers it
+  async function resolveLocation({ file: url, line, column }, pageUrl) {
+    let scriptUrl;
+    try {
+      scriptUrl = new URL(url);
+    } catch {
+      return null;
+    }
+    const loaded = await loadSourceMap(scriptUrl, pageUrl);
+    const position = loaded?.consumer.originalPositionFor(line, column);
+    if (!position) return null;
+    const { relative, file } = toProjectFile(position.source, loaded.base);
+    return {
+      file: relative,
+      line: position.line,
+      column: position.column,
+      name: position.name,
+      generated: `${url}:${line}:${column}`,
+      projectFile: file,
+      sourceContent: position.sourceContent,
+    };
+  }
+
+  // Rewrite the locations in a stack trace (or a log message) to original positions.
+  // Returns { stack, frames, excerpt } or null when nothing could be resolved; the
+  // excerpt is taken from the first frame outside node_modules.
+  async function resolveStack(stack, pageUrl) {
+    if (typeof stack !== 'string') return null;
+    const matches = [...stack.matchAll(LOCATION_RE)];
+    const resolved = await Promise.all(matches.map(m => resolveLocation({
+      file: m[1],
+      line: Number(m[2]),
+      column: Number(m[3]),
+    }, pageUrl)));
+    if (!resolved.some(Boolean)) return null;
+
+    let index = 0;
+    const rewritten = stack.replace(LOCATION_RE, (match) => {
+      const original = resolved[index++];
+      return original ? `${original.file}:${original.line}:${original.column}` : match;
+    });
+    const frames = resolved.filter(Boolean);
+    const first = frames.find(f => !f.file.includes('node_modules/'));
+    return {
+      stack: rewritten,
+      frames: frames.map(({ file, line, column, name, generated }) => ({ file, line, column, name, generated })),
+      excerpt: first ? getCodeExcerpt(first) : null,
+    };
+  }
+
+  return { resolveStack, resolveLocation };
+}
+
+// A few numbered lines around the original position, from the project file or else
+// the map's embedded source
+export function getCodeExcerpt({ file, line, projectFile, sourceContent }) {
+  let text = null;
+  try {
+    text = projectFile ? fs.readFileSync(projectFile, 'utf8') : sourceContent;
+  } catch {
+    text = sourceContent;
+  }
+  if (typeof text !== 'string') return null;
+  const lines = text.split(/\r?\n/);
+  if (line > lines.length) return null;
+
+  const start = Math.max(1, line - EXCERPT_CONTEXT_LINES);
+  const end = Math.min(lines.length, line + EXCERPT_CONTEXT_LINES);
+  const width = String(end).length;
+  const rows = [`${file}:${line}`];
+  for (let n = start; n <= end; n++) {
+    const code = lines[n - 1].length > MAX_EXCERPT_LINE_LENGTH
+      ? `${lines[n - 1].slice(0, MAX_EXCERPT_LINE_LENGTH)}…`
+      : lines[n - 1];
+    rows.push(`${n === line ? '>' : ' '} ${String(n).padStart(width)} | ${code}`);
+  }
+  return rows.join('\n');
+}
+
+// Copy of a feedback item with the stacks of its console logs and captured error
+// (see the widget's captureErrors) resolved: `stack` and `message` show original
+// positions, and `stackFrames` / `codeExcerpt` are added where a map was found
+export async function resolveFeedbackStacks(item, resolver) {
+  const pageUrl = item.url;
+
+  const resolveEntry = async (entry) => {
+    const [stack, message] = await Promise.all([
+      resolver.resolveStack(entry.stack, pageUrl),
+      resolver.resolveStack(entry.message, pageUrl),
+    ]);
+    if (!stack && !message) return entry;
+    const resolved = { ...entry };
+    if (message) resolved.message = message.stack;
+    if (stack) {
+      resolved.stack = stack.stack;
+      resolved.stackFrames = stack.frames;
+    }
+    const excerpt = stack?.excerpt || message?.excerpt;
+    if (excerpt) resolved.codeExcerpt = excerpt;
+    return resolved;
+  };
+
+  const result = { ...item };
+  if (Array.isArray(item.consoleLogs)) {
+    result.consoleLogs = await Promise.all(item.consoleLogs.map(resolveEntry));
+  }
+  if (item.error && typeof item.error === 'object') {
+    const error = await resolveEntry(item.error);
+    const source = item.error.source && await resolver.resolveLocation(item.error.source, pageUrl);
+    result.error = source
+      ? { ...error, source: { file: source.file, line: source.line, column: source.column, generated: source.generated } }
+      : error;
+    if (source && !error.codeExcerpt) {
+      const excerpt = getCodeExcerpt(source);
+      if (excerpt) result.error.codeExcerpt = excerpt;
+    }
+  }
+  return result;
+}
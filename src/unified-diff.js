@@ -0,0 +1,104 @@
+// Line-based unified diff (the `diff -u` / `git diff` format), used to preview
+// file changes before they are written
+
+// Above this many cells the middle of the diff is shown as one replacement
+// instead of running the quadratic LCS
+const MAX_LCS_CELLS = 4_000_000;
+
+// Lines including their line break, so a missing final newline counts as a change
+function splitLines(text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+// Edit script from a to b: [{ type: ' ' | '-' | '+', line, aPos, bPos }] where
+// aPos/bPos count the lines of a/b before the op
+function diffLines(a, b) {
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix && suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) suffix++;
+
+  const aMid = a.slice(prefix, a.length - suffix);
+  const bMid = b.slice(prefix, b.length - suffix);
+  const n = aMid.length;
+  const m = bMid.length;
+  const middle = [];
+
+  if (n * m > MAX_LCS_CELLS) {
+    for (const line of aMid) middle.push({ type: '-', line });
+    for (const line of bMid) middle.push({ type: '+', line });
+  } else {
+    // lcs[i][j]: longest common subsequence of aMid[i..] and bMid[j..]
+    const lcs = new Uint32Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * (m + 1) + j] = aMid[i] === bMid[j]
+          ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+          : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && aMid[i] === bMid[j]) {
+        middle.push({ type: ' ', line: aMid[i++] });
+        j++;
+      } else if (j < m && (i === n || lcs[i * (m + 1) + j + 1] > lcs[(i + 1) * (m + 1) + j])) {
+        middle.push({ type: '+', line: bMid[j++] });
+      } else {
+        middle.push({ type: '-', line: aMid[i++] });
+      }
+    }
+  }
+
+  const ops = [
+    ...a.slice(0, prefix).map(line => ({ type: ' ', line })),
+    ...middle,
+    ...a.slice(a.length - suffix).map(line => ({ type: ' ', line })),
+  ];
+  let aPos = 0;
+  let bPos = 0;
+  for (const op of ops) {
+    op.aPos = aPos;
+    op.bPos = bPos;
+    if (op.type !== '+') aPos++;
+    if (op.type !== '-') bPos++;
+  }
+  return ops;
+}
+
+const range = (start, count) => `${count === 0 ? start : start + 1}${count === 1 ? '' : `,${count}`}`;
+
+// Unified diff between two texts, or '' when they are equal. Pass fromFile
+// '/dev/null' for a file that doesn't exist yet.
+export function createUnifiedDiff(before, after, { fromFile = 'a', toFile = 'b', context = 3 } = {}) {
+  const ops = diffLines(splitLines(before), splitLines(after));
+  const changes = ops.flatMap((op, i) => (op.type === ' ' ? [] : [i]));
+  if (changes.length === 0) return '';
+
+  // Group changes whose context overlaps into hunks of [start, end) op indexes
+  const hunks = [];
+  for (const index of changes) {
+    const start = Math.max(0, index - context);
+    const end = Math.min(ops.length, index + context + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last.end) last.end = end;
+    else hunks.push({ start, end });
+  }
+
+  const out = [`--- ${fromFile}`, `+++ ${toFile}`];
+  for (const { start, end } of hunks) {
+    const hunkOps = ops.slice(start, end);
+    const aCount = hunkOps.filter(op => op.type !== '+').length;
+    const bCount = hunkOps.filter(op => op.type !== '-').length;
+    out.push(`@@ -${range(ops[start].aPos, aCount)} +${range(ops[start].bPos, bCount)} @@`);
+    for (const op of hunkOps) {
+      out.push(op.type + op.line.replace(/\r?\n$/, ''));
+      if (!op.line.endsWith('\n')) out.push('\\ No newline at end of file');
+    }
+  }
+  return out.join('\n') + '\n';
+}
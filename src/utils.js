@@ -1,6 +1,7 @@
 import fs from "fs";
 import path from "path";
 import crypto from "node:crypto";
+import { resolveFeedbackStacks } from "./source-maps.js";
 
 // Derive a deterministic session ID (UUID format) from the project directory.
 // Ensures reconnecting the same project reuses the same session ID.
@@ -21,6 +22,126 @@ export function isValidSessionId(id) {
   return typeof id === 'string' && UUID_RE.test(id);
 }
 
+// Load the per-install auth token stored in `file`, creating it on first use.
+// The token is written to a temp file and hard-linked into place, so instances
+// starting at the same time either win the race or read the complete winning token.
+export function loadOrCreateAuthToken(file) {
+  const read = () => {
+    try {
+      return fs.readFileSync(file, 'utf8').trim() || null;
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  };
+  const existing = read();
+  if (existing) return existing;
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(tmp, `${token}\n`, { mode: 0o600 });
+  try {
+    fs.linkSync(tmp, file);
+    return token;
+  } catch (err) {
+    if (err.code !== 'EEXIST') throw err;
+    const winner = read();
+    if (winner) return winner;
+    // An empty token file is replaced
+    fs.renameSync(tmp, file);
+    return token;
+  } finally {
+    fs.rmSync(tmp, { force: true });
+  }
+}
+
+// Constant-time comparison of a token presented by a client with the expected one
+export function isValidAuthToken(provided, expected) {
+  if (typeof provided !== 'string' || typeof expected !== 'string' || !expected) return false;
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Origins a widget may always connect from: local dev servers on any port
+export const DEFAULT_ALLOWED_ORIGINS = [
+  'http://localhost:*',
+  'https://localhost:*',
+  'http://127.0.0.1:*',
+  'https://127.0.0.1:*',
+];
+
+// Parse a comma-separated origin allowlist, e.g. from FEEDBACK_ALLOWED_ORIGINS
+export function parseOriginList(value) {
+  if (Array.isArray(value)) return value.filter(o => typeof o === 'string' && o.trim()).map(o => o.trim());
+  if (typeof value !== 'string') return [];
+  return value.split(',').map(o => o.trim()).filter(Boolean);
+}
+
+// Origin of a URL such as a detected projectUrl, or null if it isn't a valid http(s) URL
+export function toOrigin(url) {
+  try {
+    const { protocol, origin } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:' ? origin : null;
+  } catch {
+    return null;
+  }
+}
+
+// Whether an Origin header matches one of the allowlist patterns. A pattern is an
+// origin in which `*` matches a host label or chain of subdomains (`https://*.ddev.site`);
+// a `:*` port matches any port or none (`http://localhost:*`).
+export function isOriginAllowed(origin, patterns) {
+  if (typeof origin !== 'string' || !origin || origin === 'null') return false;
+  const normalized = origin.toLowerCase();
+  return patterns.some((pattern) => {
+    const source = pattern.toLowerCase().replace(/\/+$/, '')
+      .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/:\*$/, '(?::\\d+)?')
+      .replace(/\*/g, '[^/:]+');
+    return new RegExp(`^${source}$`).test(normalized);
+  });
+}
+
+// Project redaction rules for the widget: `patterns` are regex sources (applied with
+// the g flag) whose matches become [REDACTED], `selectors` are CSS selectors whose
+// content is masked. Patterns that don't compile are returned in `invalidPatterns`.
+export function normalizeRedactionConfig(config) {
+  const toList = (value) => (Array.isArray(value) ? value : [value])
+    .filter(v => typeof v === 'string' && v.trim())
+    .map(v => v.trim());
+  const patterns = [];
+  const invalidPatterns = [];
+  for (const source of toList(config?.patterns)) {
+    try {
+      new RegExp(source, 'g');
+      patterns.push(source);
+    } catch {
+      invalidPatterns.push(source);
+    }
+  }
+  return { patterns, selectors: toList(config?.selectors), invalidPatterns };
+}
+
+// Short label for a region selection, e.g. "Region 320×200 at (10, 40)"
+function describeRegion(region) {
+  if (!region) return '';
+  const r = (n) => Math.round(Number(n) || 0);
+  return `Region ${r(region.width)}×${r(region.height)} at (${r(region.left)}, ${r(region.top)})`;
+}
+
+// Selector label for a feedback item: element, multi-element selection, region or follow-up
+function describeSelection(f) {
+  if (f.inReplyTo) {
+    return `Follow-up: ${f.original?.selector || f.inReplyTo}`;
+  }
+  if (Array.isArray(f.elements) && f.elements.length > 1) {
+    return `${f.elements[0]?.selector || ''} (+${f.elements.length - 1} more)`;
+  }
+  return f.element?.selector || describeRegion(f.region);
+}
+
 // Generate pending feedback summary (without full payloads)
 export function getPendingSummary(pending) {
   if (!Array.isArray(pending)) pending = [];
@@ -30,11 +151,135 @@ export function getPendingSummary(pending) {
       id: f.id,
       timestamp: f.timestamp || f.receivedAt,
       description: f.description ? f.description.slice(0, 100) : '',
-      selector: f.element?.selector || '',
+      selector: describeSelection(f),
     })),
   };
 }
 
+// Lifecycle of a sent feedback item:
+// open (sent by the user) -> in_progress (delivered to Claude) -> resolved / wontfix.
+// A follow-up from the user moves it back to open.
+export const FEEDBACK_STATUSES = ['open', 'in_progress', 'resolved', 'wontfix'];
+
+// Summary of a sent feedback item for the widget's history panel.
+// Keeps only what the panel shows; screenshots and logs stay out of the store.
+export function toHistoryEntry(f, sentAt = new Date().toISOString()) {
+  return {
+    id: f.id,
+    description: f.description || '',
+    selector: describeSelection(f),
+    url: f.url || null,
+    timestamp: f.timestamp || f.receivedAt,
+    sentAt,
+    status: 'open',
+    statusHistory: [{ status: 'open', at: sentAt, by: 'user' }],
+    replies: [],
+  };
+}
+
+// Move a history entry to a new status, recording who changed it and why
+export function setHistoryEntryStatus(entry, status, { by = 'claude', note = null, at = new Date().toISOString() } = {}) {
+  if (!FEEDBACK_STATUSES.includes(status)) {
+    throw new Error(`Invalid status '${status}'. Expected one of: ${FEEDBACK_STATUSES.join(', ')}`);
+  }
+  const change = { status, at, by };
+  if (note) change.note = note;
+  return {
+    ...entry,
+    status,
+    statusHistory: [...(entry.statusHistory || []), change],
+  };
+}
+
+// Append a reply to a history entry. A reply from the user reopens the item.
+export function addReplyToHistoryEntry(entry, from, text, at = new Date().toISOString()) {
+  const updated = {
+    ...entry,
+    replies: [...(entry.replies || []), { from, text, at }],
+  };
+  return from === 'user'
+    ? setHistoryEntryStatus(updated, 'open', { by: 'user', note: 'Reopened with a follow-up', at })
+    : updated;
+}
+
+// Sent feedback filtered by status ('all' or one of FEEDBACK_STATUSES), with counts per status
+export function getHistorySummary(history, status = 'all') {
+  if (!Array.isArray(history)) history = [];
+  const counts = Object.fromEntries(FEEDBACK_STATUSES.map(s => [s, 0]));
+  for (const entry of history) {
+    if (entry.status in counts) counts[entry.status]++;
+  }
+  const items = !status || status === 'all' ? history : history.filter(entry => entry.status === status);
+  return { counts, items };
+}
+
+// What verify_feedback and compare_screenshots need from the original item: the
+// screenshot without the user's drawing, the primary element's selectors, position
+// and computed styles, and what the screenshot was cropped to when it was not just
+// the primary element (`target`: { elements } of a multi-selection or { region })
+export function toVerificationSnapshot(f) {
+  const el = f.element;
+  const toSelectors = (e) => ({ selector: e.selector || null, fullSelector: e.fullSelector || null });
+  let target = null;
+  if (f.region) {
+    const { left, top, width, height, scrollX = 0, scrollY = 0 } = f.region;
+    target = { region: { left, top, width, height, scrollX, scrollY } };
+  } else if (Array.isArray(f.elements) && f.elements.length > 1) {
+    target = { elements: f.elements.map(toSelectors) };
+  }
+  return {
+    url: f.url || null,
+    capturedAt: f.timestamp || f.receivedAt || null,
+    screenshot: f.baseScreenshot || f.screenshot || null,
+    element: el ? {
+      ...toSelectors(el),
+      boundingRect: el.boundingRect || null,
+      computedStyles: el.computedStyles || {},
+    } : null,
+    target,
+  };
+}
+
+// Compare an element before and after a fix. Returns only the properties that changed,
+// as { prop: { before, after } }. Rect values within half a pixel count as unchanged.
+export function diffElementSnapshots(before, after) {
+  const diffValues = (a = {}, b = {}, isSame) => {
+    const changes = {};
+    for (const key of new Set([...Object.keys(a || {}), ...Object.keys(b || {})])) {
+      const from = a?.[key] ?? null;
+      const to = b?.[key] ?? null;
+      if (!isSame(from, to)) changes[key] = { before: from, after: to };
+    }
+    return changes;
+  };
+  const sameNumber = (x, y) => x === y || (typeof x === 'number' && typeof y === 'number' && Math.abs(x - y) < 0.5);
+
+  const boundingRect = diffValues(before?.boundingRect, after?.boundingRect, sameNumber);
+  const computedStyles = diffValues(before?.computedStyles, after?.computedStyles, (x, y) => x === y);
+  return {
+    changed: Object.keys(boundingRect).length > 0 || Object.keys(computedStyles).length > 0,
+    boundingRect,
+    computedStyles,
+  };
+}
+
+// Pending item that carries a user's follow-up on an already sent item back to Claude
+export function createFollowUpFeedback(entry, comment) {
+  return {
+    id: Date.now().toString(36) + Math.random().toString(36).slice(2),
+    timestamp: new Date().toISOString(),
+    url: entry.url,
+    inReplyTo: entry.id,
+    description: comment,
+    original: {
+      description: entry.description,
+      selector: entry.selector,
+      sentAt: entry.sentAt,
+    },
+    thread: entry.replies || [],
+  };
+}
+
 // Detect project URL from configuration files
 export function detectProjectUrl(projectDir) {
   const detectionStrategies = [
@@ -127,29 +372,78 @@ export function detectProjectUrl(projectDir) {
   return { url: null, detectedFrom: null };
 }
 
-// Format feedback items as MCP content blocks with ImageContent for screenshots
-export function formatFeedbackAsContent(items) {
+// Convert a data URL screenshot to an MCP image block (null if it is not a base64 data URL)
+function toImageContent(screenshot) {
+  if (!screenshot || typeof screenshot !== 'string') return null;
+  const match = screenshot.match(/^data:([^;]+);base64,(.+)$/);
+  return match ? { type: "image", data: match[2], mimeType: match[1] } : null;
+}
+
+// Format the result of verify_feedback: a JSON summary with the element diff,
+// followed by the before and after screenshots
+export function formatVerificationAsContent(feedbackId, snapshot, after) {
+  const notes = [];
+  if (!after.found) {
+    notes.push('The element was not found on the current page (neither fullSelector nor selector matched). It may have been removed or renamed, or the page is showing a different URL.');
+  } else if (after.matchedBy === 'selector') {
+    notes.push('fullSelector no longer matches; the element was located by its short selector, so double-check it is the same element.');
+  }
+  if (snapshot.url && after.url && snapshot.url !== after.url) {
+    notes.push(`The page URL changed from ${snapshot.url} to ${after.url}.`);
+  }
+  if (!snapshot.screenshot) {
+    notes.push('The original feedback had no screenshot.');
+  }
+
+  const summary = {
+    feedbackId,
+    before: {
+      url: snapshot.url,
+      capturedAt: snapshot.capturedAt,
+      selector: snapshot.element.selector,
+      fullSelector: snapshot.element.fullSelector,
+    },
+    after: {
+      url: after.url,
+      capturedAt: after.capturedAt,
+      found: after.found,
+      matchedBy: after.matchedBy,
+    },
+    diff: after.found ? diffElementSnapshots(snapshot.element, after.element) : null,
+    notes,
+  };
+
+  const content = [{ type: "text", text: JSON.stringify(summary, null, 2) }];
+  const beforeImage = toImageContent(snapshot.screenshot);
+  if (beforeImage) {
+    content.push({ type: "text", text: "Before (screenshot from the original feedback):" }, beforeImage);
+  }
+  const afterImage = toImageContent(after.screenshot);
+  if (afterImage) {
+    content.push({ type: "text", text: "After (current page):" }, afterImage);
+  }
+  return content;
+}
+
+// Format feedback items as MCP content blocks with ImageContent for screenshots.
+// With a stackResolver (see createStackResolver), stack traces are rewritten to
+// original source positions.
+export async function formatFeedbackAsContent(items, { stackResolver } = {}) {
   if (!Array.isArray(items)) items = [items];
 
   const content = [];
   for (const item of items) {
-    const { screenshot, ...rest } = item;
+    const resolved = stackResolver ? await resolveFeedbackStacks(item, stackResolver) : item;
+    // baseScreenshot (the screenshot without the drawing) is only kept for compare_screenshots
+    const { screenshot, baseScreenshot, ...rest } = resolved;
 
     content.push({
       type: "text",
       text: JSON.stringify(rest, null, 2),
     });
 
-    if (screenshot && typeof screenshot === 'string') {
-      const match = screenshot.match(/^data:([^;]+);base64,(.+)$/);
-      if (match) {
-        content.push({
-          type: "image",
-          data: match[2],
-          mimeType: match[1],
-        });
-      }
-    }
+    const image = toImageContent(screenshot);
+    if (image) content.push(image);
   }
 
   if (items.length > 1) {
@@ -0,0 +1,31 @@
+// CommonJS entry of the Vite plugin, for configs that require() it. The package is
+// ESM, so dev-server.js is loaded with import() in the (async) hooks that need it.
+// Same options and behavior as vite-plugin.js.
+
+const loadDevServer = () => import('./dev-server.js');
+
+function browserFeedbackWidget(options = {}) {
+  return {
+    name: 'browser-feedback-widget',
+    apply: 'serve',
+    async configureServer(server) {
+      const { browserFeedbackMiddleware } = await loadDevServer();
+      server.middlewares.use(browserFeedbackMiddleware(options));
+    },
+    transformIndexHtml: {
+      order: 'post',
+      async handler() {
+        const { getWidgetScriptUrl, WIDGET_SCRIPT_ID } = await loadDevServer();
+        return [{
+          tag: 'script',
+          attrs: { src: getWidgetScriptUrl(options), id: WIDGET_SCRIPT_ID },
+          injectTo: 'body',
+        }];
+      },
+    },
+  };
+}
+
+module.exports = browserFeedbackWidget;
+module.exports.browserFeedbackWidget = browserFeedbackWidget;
+module.exports.default = browserFeedbackWidget;
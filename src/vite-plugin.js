@@ -0,0 +1,27 @@
+import { browserFeedbackMiddleware, getWidgetScriptUrl, WIDGET_SCRIPT_ID } from "./dev-server.js";
+
+// Vite plugin that loads the feedback widget while `vite` serves the app.
+// Builds are untouched (apply: 'serve'). index.html gets the script through
+// transformIndexHtml; HTML rendered by frameworks on top of Vite (SvelteKit, Astro)
+// goes through the middleware. Options: see getWidgetScriptUrl.
+export default function browserFeedbackWidget(options = {}) {
+  return {
+    name: 'browser-feedback-widget',
+    apply: 'serve',
+    configureServer(server) {
+      server.middlewares.use(browserFeedbackMiddleware(options));
+    },
+    transformIndexHtml: {
+      order: 'post',
+      handler() {
+        return [{
+          tag: 'script',
+          attrs: { src: getWidgetScriptUrl(options), id: WIDGET_SCRIPT_ID },
+          injectTo: 'body',
+        }];
+      },
+    },
+  };
+}
+
+export { browserFeedbackWidget };
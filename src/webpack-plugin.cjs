@@ -0,0 +1,29 @@
+// CommonJS entry of the webpack plugin, for configs that require() it. The package is
+// ESM, so dev-server.js is loaded with import() when the plugin is applied, and the
+// middleware waits for it on the first request. Same options and behavior as
+// webpack-plugin.js.
+
+class BrowserFeedbackWidgetPlugin {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  apply(compiler) {
+    const devServer = compiler.options.devServer || (compiler.options.devServer = {});
+    const setupMiddlewares = devServer.setupMiddlewares;
+    const loaded = import('./dev-server.js').then(({ browserFeedbackMiddleware }) => browserFeedbackMiddleware(this.options));
+
+    function browserFeedbackWidget(req, res, next) {
+      loaded.then(middleware => middleware(req, res, next), next);
+    }
+
+    devServer.setupMiddlewares = (middlewares, server) => {
+      const result = setupMiddlewares ? setupMiddlewares(middlewares, server) : middlewares;
+      // First, so it wraps the responses of webpack-dev-middleware and the static files
+      result.unshift({ name: 'browser-feedback-widget', middleware: browserFeedbackWidget });
+      return result;
+    };
+  }
+}
+
+module.exports = { BrowserFeedbackWidgetPlugin, default: BrowserFeedbackWidgetPlugin };
@@ -0,0 +1,26 @@
+import { browserFeedbackMiddleware } from "./dev-server.js";
+
+// webpack plugin that loads the feedback widget while webpack-dev-server serves the
+// app. It adds the injecting middleware through devServer.setupMiddlewares (keeping
+// any existing setupMiddlewares), so `webpack build` output is untouched.
+// Options: see getWidgetScriptUrl.
+export class BrowserFeedbackWidgetPlugin {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  apply(compiler) {
+    const devServer = compiler.options.devServer || (compiler.options.devServer = {});
+    const setupMiddlewares = devServer.setupMiddlewares;
+    const middleware = browserFeedbackMiddleware(this.options);
+
+    devServer.setupMiddlewares = (middlewares, server) => {
+      const result = setupMiddlewares ? setupMiddlewares(middlewares, server) : middlewares;
+      // First, so it wraps the responses of webpack-dev-middleware and the static files
+      result.unshift({ name: 'browser-feedback-widget', middleware });
+      return result;
+    };
+  }
+}
+
+export default BrowserFeedbackWidgetPlugin;
@@ -0,0 +1,605 @@
+import fs from "fs";
+import path from "path";
+import crypto from "node:crypto";
+import { execFileSync } from "child_process";
+import { createUnifiedDiff } from "./unified-diff.js";
+
+// Installed snippets are wrapped in these markers (in the file's comment syntax),
+// so uninstall removes exactly what install added
+const START_MARKER = 'claude-feedback-widget:start';
+const END_MARKER = 'claude-feedback-widget:end';
+
+const COMMENT_SYNTAX = {
+  html: ['<!--', '-->'],
+  jsx: ['{/*', '*/}'],
+  twig: ['{#', '#}'],
+  blade: ['{{--', '--}}'],
+  erb: ['<%#', '%>'],
+  js: ['//', ''],
+};
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function scriptTag(ctx, attributes = '') {
+  return `<script src="${ctx.widgetUrl}" id="claude-feedback-widget-script"${attributes}></script>`;
+}
+
+// Plain HTML has no build-time environment, so dev-only installs check the hostname
+function hostnameLoader(ctx) {
+  if (!ctx.devOnly) return scriptTag(ctx);
+  return [
+    '<script>',
+    '  (function() {',
+    '    var h = location.hostname;',
+    `    var isDevHost = ${ctx.hostnameCheck};`,
+    '    if (isDevHost) {',
+    "      var s = document.createElement('script');",
+    `      s.src = '${ctx.widgetUrl}';`,
+    "      s.id = 'claude-feedback-widget-script';",
+    '      document.body.appendChild(s);',
+    '    }',
+    '  })();',
+    '</script>',
+  ].join('\n');
+}
+
+// Wrap a snippet in the framework's own dev-mode conditional
+const wrapDev = (ctx, open, body, close) => (ctx.devOnly ? [open, `  ${body}`, close].join('\n') : body);
+
+// How the snippet looks in each kind of file. `devCondition` describes the dev-only
+// check for the tool output (null: the hostname check built from ctx).
+const STRATEGIES = {
+  html: {
+    comment: 'html',
+    devCondition: null,
+    snippet: hostnameLoader,
+  },
+  twig: {
+    comment: 'twig',
+    devCondition: null,
+    snippet: hostnameLoader,
+  },
+  symfony: {
+    comment: 'twig',
+    devCondition: 'app.debug',
+    snippet: (ctx) => wrapDev(ctx, '{% if app.debug %}', scriptTag(ctx), '{% endif %}'),
+  },
+  blade: {
+    comment: 'blade',
+    devCondition: "@env('local')",
+    snippet: (ctx) => wrapDev(ctx, "@env('local')", scriptTag(ctx), '@endenv'),
+  },
+  erb: {
+    comment: 'erb',
+    devCondition: 'Rails.env.development?',
+    snippet: (ctx) => wrapDev(ctx, '<% if Rails.env.development? %>', scriptTag(ctx), '<% end %>'),
+  },
+  jsx: {
+    comment: 'jsx',
+    devCondition: "process.env.NODE_ENV === 'development'",
+    snippet: (ctx) => {
+      const tag = `<script src="${ctx.widgetUrl}" id="claude-feedback-widget-script" async />`;
+      return wrapDev(ctx, "{process.env.NODE_ENV === 'development' && (", tag, ')}');
+    },
+  },
+  astro: {
+    comment: 'jsx',
+    devCondition: 'import.meta.env.DEV',
+    snippet: (ctx) => {
+      const tag = scriptTag(ctx, ' is:inline');
+      return ctx.devOnly ? `{import.meta.env.DEV && ${tag}}` : tag;
+    },
+  },
+  // Nuxt has no HTML template to edit; a client-only plugin is the idiomatic place
+  nuxt: {
+    comment: 'js',
+    devCondition: 'import.meta.dev',
+    createsFile: true,
+    snippet: (ctx) => [
+      'export default defineNuxtPlugin(() => {',
+      ...(ctx.devOnly ? ['  if (!import.meta.dev) return;'] : []),
+      "  const s = document.createElement('script');",
+      `  s.src = '${ctx.widgetUrl}';`,
+      "  s.id = 'claude-feedback-widget-script';",
+      '  document.body.appendChild(s);',
+      '});',
+    ].join('\n'),
+  },
+};
+
+// Known frameworks, most specific first (Next.js, Nuxt, SvelteKit and Astro projects
+// also depend on Vite or React). `candidates` are tried in order, then `search`
+// directories for a file with a </body> tag.
+const FRAMEWORKS = [
+  {
+    id: 'nextjs',
+    name: 'Next.js',
+    packages: ['next'],
+    files: ['next.config.js', 'next.config.mjs', 'next.config.ts'],
+    candidates: ['app', 'src/app'].flatMap(dir => ['tsx', 'jsx', 'js'].map(ext => `${dir}/layout.${ext}`))
+      .concat(['pages', 'src/pages'].flatMap(dir => ['tsx', 'jsx', 'js'].map(ext => `${dir}/_document.${ext}`))),
+  },
+  {
+    id: 'nuxt',
+    name: 'Nuxt',
+    packages: ['nuxt'],
+    files: ['nuxt.config.ts', 'nuxt.config.js', 'nuxt.config.mjs'],
+  },
+  {
+    id: 'sveltekit',
+    name: 'SvelteKit',
+    packages: ['@sveltejs/kit'],
+    files: ['svelte.config.js'],
+    candidates: ['src/app.html'],
+  },
+  {
+    id: 'astro',
+    name: 'Astro',
+    packages: ['astro'],
+    files: ['astro.config.mjs', 'astro.config.ts', 'astro.config.js'],
+    candidates: ['src/layouts/Layout.astro', 'src/layouts/BaseLayout.astro', 'src/layouts/Base.astro'],
+    search: [{ dir: 'src/layouts', ext: '.astro' }, { dir: 'src/pages', ext: '.astro' }],
+  },
+  {
+    id: 'laravel',
+    name: 'Laravel (Blade)',
+    composer: ['laravel/framework'],
+    files: ['artisan'],
+    candidates: ['resources/views/layouts/app.blade.php', 'resources/views/app.blade.php', 'resources/views/welcome.blade.php'],
+    search: [{ dir: 'resources/views', ext: '.blade.php' }],
+  },
+  {
+    id: 'symfony',
+    name: 'Symfony (Twig)',
+    composer: ['symfony/framework-bundle'],
+    files: ['bin/console'],
+    candidates: ['templates/base.html.twig'],
+    search: [{ dir: 'templates', ext: '.twig' }],
+  },
+  {
+    id: 'rails',
+    name: 'Rails (ERB)',
+    gems: ['rails'],
+    files: ['config/application.rb'],
+    candidates: ['app/views/layouts/application.html.erb'],
+    search: [{ dir: 'app/views/layouts', ext: '.erb' }],
+  },
+  {
+    id: 'vite',
+    name: 'Vite',
+    packages: ['vite'],
+    files: ['vite.config.ts', 'vite.config.js', 'vite.config.mjs'],
+    candidates: ['index.html'],
+  },
+];
+
+export const FRAMEWORK_IDS = FRAMEWORKS.map(f => f.id);
+
+export function getFramework(id) {
+  return FRAMEWORKS.find(f => f.id === id) || null;
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// Detect the project's framework from package.json, composer.json or the Gemfile,
+// falling back to framework config files. Returns { id, name, detectedFrom } or null.
+export function detectFramework(projectDir) {
+  const pkg = readJson(path.join(projectDir, 'package.json'));
+  const packages = { ...pkg?.dependencies, ...pkg?.devDependencies };
+  const composer = readJson(path.join(projectDir, 'composer.json'));
+  const composerPackages = { ...composer?.require, ...composer?.['require-dev'] };
+  let gemfile = '';
+  try {
+    gemfile = fs.readFileSync(path.join(projectDir, 'Gemfile'), 'utf8');
+  } catch {
+    // No Gemfile
+  }
+
+  for (const framework of FRAMEWORKS) {
+    const result = (detectedFrom) => ({ id: framework.id, name: framework.name, detectedFrom });
+    if (framework.packages?.some(name => name in packages)) return result('package.json');
+    if (framework.composer?.some(name => name in composerPackages)) return result('composer.json');
+    if (framework.gems?.some(name => new RegExp(`^\\s*gem\\s+['"]${escapeRegExp(name)}['"]`, 'm').test(gemfile))) {
+      return result('Gemfile');
+    }
+  }
+  for (const framework of FRAMEWORKS) {
+    const file = framework.files.find(f => fs.existsSync(path.join(projectDir, f)));
+    if (file) return { id: framework.id, name: framework.name, detectedFrom: file };
+  }
+  return null;
+}
+
+// Which snippet style a file gets, by its extension
+function strategyForFile(file, framework) {
+  if (file.endsWith('.blade.php')) return 'blade';
+  if (file.endsWith('.twig')) return framework?.id === 'symfony' ? 'symfony' : 'twig';
+  if (file.endsWith('.erb')) return 'erb';
+  if (file.endsWith('.astro')) return 'astro';
+  if (/\.[jt]sx?$/.test(file)) return 'jsx';
+  return 'html';
+}
+
+// Files with the extension below dir (relative paths, sorted, at most a few levels deep)
+function searchFiles(projectDir, dir, ext, depth = 3) {
+  const found = [];
+  let entries;
+  try {
+    entries = fs.readdirSync(path.join(projectDir, dir), { withFileTypes: true });
+  } catch {
+    return found;
+  }
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const rel = path.posix.join(dir, entry.name);
+    if (entry.isFile() && entry.name.endsWith(ext)) found.push(rel);
+    else if (entry.isDirectory() && depth > 0) found.push(...searchFiles(projectDir, rel, ext, depth - 1));
+  }
+  return found;
+}
+
+// Where Nuxt auto-registers plugins: app/plugins for Nuxt 4 layouts, plugins otherwise
+function nuxtPluginPath(projectDir) {
+  const srcDir = fs.existsSync(path.join(projectDir, 'app', 'app.vue')) || fs.existsSync(path.join(projectDir, 'app', 'pages'))
+    ? 'app'
+    : '.';
+  const ext = fs.existsSync(path.join(projectDir, 'nuxt.config.ts')) ? 'ts' : 'js';
+  return path.posix.join(srcDir, 'plugins', `claude-feedback.client.${ext}`);
+}
+
+// Files install/uninstall look at, in order: the framework's own, then `extraCandidates`
+// (the configured installCandidates)
+export function getCandidateFiles(projectDir, framework, extraCandidates = []) {
+  const definition = framework ? getFramework(framework.id) : null;
+  const files = [];
+  if (definition?.id === 'nuxt') files.push(nuxtPluginPath(projectDir));
+  files.push(...(definition?.candidates || []));
+  for (const { dir, ext } of definition?.search || []) {
+    files.push(...searchFiles(projectDir, dir, ext));
+  }
+  files.push(...extraCandidates);
+  return [...new Set(files)];
+}
+
+export function isWidgetInstalled(content) {
+  return content.includes('claude-feedback-widget') || /localhost:\d+\/widget\.js/.test(content);
+}
+
+function markerBlock(strategy, body, eol) {
+  const [open, close] = COMMENT_SYNTAX[strategy.comment];
+  const comment = (text) => (close ? `${open} ${text} ${close}` : `${open} ${text}`);
+  return [comment(START_MARKER), ...body.split('\n'), comment(END_MARKER)].join(eol);
+}
+
+// Insert a marked snippet before </body>. A </body> on its own line gets the snippet on
+// the lines above it, indented like the body's content; an inline </body> gets it on the same line.
+// HTML files without </body> get it before </html> or at the end. Returns null when a
+// template has no </body>.
+export function injectWidget(content, strategyId, ctx) {
+  const strategy = STRATEGIES[strategyId];
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const block = markerBlock(strategy, strategy.snippet(ctx), eol);
+
+  let index = content.lastIndexOf('</body>');
+  if (index === -1 && strategy.comment === 'html') index = content.lastIndexOf('</html>');
+  if (index === -1) {
+    if (strategy.comment !== 'html') return null;
+    const separator = content === '' || content.endsWith('\n') ? '' : eol;
+    return `${content}${separator}${block}${eol}`;
+  }
+
+  const lineStart = content.lastIndexOf('\n', index - 1) + 1;
+  const before = content.slice(lineStart, index);
+  if (/^[ \t]*$/.test(before)) {
+    // Match the body's content when it is indented deeper than </body>
+    const previousLine = content.slice(0, lineStart).split(/\r?\n/).reverse().find(line => line.trim() !== '') || '';
+    const contentIndent = previousLine.match(/^[ \t]*/)[0];
+    const indent = contentIndent.startsWith(before) && contentIndent.length > before.length ? contentIndent : `${before}  `;
+    const lines = block.split(eol).map(line => indent + line).join(eol);
+    return content.slice(0, lineStart) + lines + eol + content.slice(lineStart);
+  }
+  return content.slice(0, index) + block.split(eol).map(line => line.trim()).join(' ') + content.slice(index);
+}
+
+// A pattern for a snippet that, when it sits on lines of its own, takes its
+// indentation and line break with it (so surrounding whitespace stays as it was)
+const wholeLines = (source) => new RegExp(`^[ \\t]*${source}[ \\t]*\\r?\\n|${source}`, 'gm');
+
+// Remove every marked snippet (in any comment syntax). Returns { content, removed }.
+export function removeWidget(content) {
+  let removed = 0;
+  for (const [open, close] of Object.values(COMMENT_SYNTAX)) {
+    const comment = (text) => escapeRegExp(close ? `${open} ${text} ${close}` : `${open} ${text}`);
+    content = content.replace(wholeLines(`${comment(START_MARKER)}[\\s\\S]*?${comment(END_MARKER)}`), () => {
+      removed++;
+      return '';
+    });
+  }
+  return { content, removed };
+}
+
+// Snippets written by older versions (without markers or manifest) and hand-added tags
+const LEGACY_PATTERNS = [
+  // Dev-only or always-on version with its comment
+  wholeLines('<!-- Claude Code Browser Feedback Widget[^>]*-->[\\s\\S]*?claude-feedback-widget[\\s\\S]*?<\\/script>'),
+  // Script tag pointing at the widget, on any port and with any query (session=...)
+  wholeLines('<script[^>]*src="https?:\\/\\/(?:localhost|127\\.0\\.0\\.1):\\d+\\/widget\\.js(?:\\?[^"]*)?"[^>]*><\\/script>'),
+  // Script tag with id
+  wholeLines('<script[^>]*id="claude-feedback-widget-script"[^>]*>[\\s\\S]*?<\\/script>'),
+];
+
+function removeLegacyWidget(content) {
+  let removed = 0;
+  for (const pattern of LEGACY_PATTERNS) {
+    content = content.replace(pattern, () => {
+      removed++;
+      return '';
+    });
+  }
+  return { content, removed };
+}
+
+// How git sees a file: 'clean' (tracked, no uncommitted changes), 'modified',
+// 'untracked' (or ignored), or null outside a repository or without git
+export function getGitFileState(file) {
+  try {
+    const output = execFileSync('git', ['status', '--porcelain', '--ignored', '--', path.basename(file)], {
+      cwd: path.dirname(file),
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+      timeout: 5000,
+    });
+    if (output.trim() === '') return 'clean';
+    return /^(\?\?|!!)/.test(output) ? 'untracked' : 'modified';
+  } catch {
+    return null;
+  }
+}
+
+// ============================================
+// Install manifest
+// ============================================
+
+// Records what install_widget inserted (file, byte range, hash and the original
+// text of the range), so uninstall_widget can restore each file byte for byte
+export const MANIFEST_FILE_NAME = '.browser-feedback-install.json';
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+export function readInstallManifest(projectDir) {
+  try {
+    const manifest = JSON.parse(fs.readFileSync(path.join(projectDir, MANIFEST_FILE_NAME), 'utf8'));
+    if (Array.isArray(manifest?.entries)) return manifest;
+  } catch {
+    // Missing or unreadable: nothing recorded
+  }
+  return { version: 1, entries: [] };
+}
+
+// Write the manifest, or delete it once nothing is recorded
+function writeInstallManifest(projectDir, manifest) {
+  const file = path.join(projectDir, MANIFEST_FILE_NAME);
+  if (manifest.entries.length === 0) {
+    fs.rmSync(file, { force: true });
+    return;
+  }
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + '\n', 'utf8');
+}
+
+// The part of `after` that differs from `before`, as a byte range of `after` plus
+// the text it replaced
+export function getChangedRange(before, after) {
+  let prefix = 0;
+  const max = Math.min(before.length, after.length);
+  while (prefix < max && before[prefix] === after[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < max - prefix && before[before.length - 1 - suffix] === after[after.length - 1 - suffix]) suffix++;
+  // Don't split a surrogate pair
+  if (prefix > 0 && /[\uD800-\uDBFF]/.test(after[prefix - 1])) prefix--;
+
+  const inserted = after.slice(prefix, after.length - suffix);
+  const start = Buffer.byteLength(after.slice(0, prefix));
+  return {
+    start,
+    end: start + Buffer.byteLength(inserted),
+    inserted,
+    original: before.slice(prefix, before.length - suffix),
+  };
+}
+
+const toRelative = (projectDir, file) => path.relative(projectDir, file).split(path.sep).join('/');
+
+function recordInstall(projectDir, file, before, after, created) {
+  const range = getChangedRange(before, after);
+  const manifest = readInstallManifest(projectDir);
+  const relative = toRelative(projectDir, file);
+  manifest.entries = manifest.entries.filter(e => e.file !== relative);
+  manifest.entries.push({
+    file: relative,
+    start: range.start,
+    end: range.end,
+    hash: sha256(range.inserted),
+    inserted: range.inserted,
+    original: range.original,
+    created,
+    installedAt: new Date().toISOString(),
+  });
+  writeInstallManifest(projectDir, manifest);
+}
+
+// Undo a recorded install. The recorded range must still hold the inserted text
+// (same hash); if the file changed elsewhere, a single exact copy of the inserted
+// text is restored where it moved to. Returns { status: 'removed', deleted, moved }
+// or { status: 'drift' } when the inserted text was edited.
+function restoreRecordedInstall(file, entry) {
+  const buffer = fs.readFileSync(file);
+  const inserted = Buffer.from(entry.inserted, 'utf8');
+  let start = entry.start;
+  let moved = false;
+
+  if (sha256(buffer.subarray(entry.start, entry.end)) !== entry.hash) {
+    const at = buffer.indexOf(inserted);
+    if (at === -1 || buffer.indexOf(inserted, at + 1) !== -1) return { status: 'drift' };
+    start = at;
+    moved = true;
+  }
+
+  if (entry.created && buffer.length === inserted.length) {
+    fs.rmSync(file);
+    return { status: 'removed', deleted: true, moved };
+  }
+  fs.writeFileSync(file, Buffer.concat([
+    buffer.subarray(0, start),
+    Buffer.from(entry.original, 'utf8'),
+    buffer.subarray(start + inserted.length),
+  ]));
+  return { status: 'removed', deleted: false, moved };
+}
+
+const toAbsolute = (projectDir, file) => (path.isAbsolute(file) ? file : path.join(projectDir, file));
+
+// Install the widget snippet into the project.
+// options: filePath (skip detection), framework (from detectFramework/getFramework),
+// candidates (configured installCandidates), ctx { widgetUrl, devOnly, hostnameCheck },
+// dryRun (only compute the diff), confirm (modify a file git has committed unchanged).
+// Returns { status, file, strategy, devCondition, created, searched, diff } where
+// status is installed | dry_run | needs_confirmation | already_installed |
+// not_found | file_not_found | no_injection_point.
+export function installWidget(projectDir, { filePath, framework = null, candidates = [], ctx, dryRun = false, confirm = false }) {
+  const searched = [];
+  let target = null;
+  const createsFile = !filePath && framework?.id === 'nuxt';
+
+  if (filePath) {
+    target = toAbsolute(projectDir, filePath);
+    if (!fs.existsSync(target)) return { status: 'file_not_found', file: target };
+  } else if (createsFile) {
+    target = toAbsolute(projectDir, nuxtPluginPath(projectDir));
+  } else {
+    for (const candidate of getCandidateFiles(projectDir, framework, candidates)) {
+      searched.push(candidate);
+      const full = toAbsolute(projectDir, candidate);
+      if (!fs.existsSync(full)) continue;
+      const strategyId = strategyForFile(candidate, framework);
+      // Templates only qualify if they render the page's </body>
+      if (strategyId === 'html' || fs.readFileSync(full, 'utf8').includes('</body>')) {
+        target = full;
+        break;
+      }
+    }
+    if (!target) return { status: 'not_found', searched };
+  }
+
+  const strategyId = createsFile ? 'nuxt' : strategyForFile(target, framework);
+  const strategy = STRATEGIES[strategyId];
+  const result = { file: target, strategy: strategyId, devCondition: strategy.devCondition, created: createsFile, searched };
+
+  let before = '';
+  let after;
+  if (createsFile) {
+    if (fs.existsSync(target)) return { ...result, status: 'already_installed', created: false };
+    after = markerBlock(strategy, strategy.snippet(ctx), '\n') + '\n';
+  } else {
+    before = fs.readFileSync(target, 'utf8');
+    if (isWidgetInstalled(before)) return { ...result, status: 'already_installed' };
+    after = injectWidget(before, strategyId, ctx);
+    if (after === null) return { ...result, status: 'no_injection_point' };
+  }
+
+  const relative = toRelative(projectDir, target);
+  const diff = createUnifiedDiff(before, after, {
+    fromFile: createsFile ? '/dev/null' : `a/${relative}`,
+    toFile: `b/${relative}`,
+  });
+  if (dryRun) return { ...result, status: 'dry_run', diff };
+  // Committed files are easy to commit again with the snippet in them
+  if (!createsFile && !confirm && getGitFileState(target) === 'clean') {
+    return { ...result, status: 'needs_confirmation', diff };
+  }
+
+  if (createsFile) fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, after, 'utf8');
+  recordInstall(projectDir, target, before, after, createsFile);
+  return { ...result, status: 'installed', diff };
+}
+
+// Remove the widget snippet from the project (or from filePath). Installs recorded in
+// the manifest are undone byte for byte; without a filePath the most recent one is
+// used. Other files are searched for marked or legacy snippets. Files created by
+// install (the Nuxt plugin) are deleted.
+// options.force: when the recorded snippet was edited, remove it by its markers anyway.
+// Returns { status, file, deleted, moved, searched } where status is removed |
+// not_found | file_not_found | not_installed | drift (the recorded text was edited;
+// `inserted` holds what install added).
+export function uninstallWidget(projectDir, { filePath, framework = null, candidates = [], force = false }) {
+  const searched = [];
+  const manifest = readInstallManifest(projectDir);
+  let target = null;
+  let entry = null;
+
+  if (filePath) {
+    target = toAbsolute(projectDir, filePath);
+    entry = manifest.entries.find(e => toAbsolute(projectDir, e.file) === target) || null;
+  } else if (manifest.entries.length > 0) {
+    entry = manifest.entries[manifest.entries.length - 1];
+    target = toAbsolute(projectDir, entry.file);
+  }
+
+  const forget = () => {
+    manifest.entries = manifest.entries.filter(e => e !== entry);
+    writeInstallManifest(projectDir, manifest);
+  };
+
+  if (target && !fs.existsSync(target)) {
+    if (entry) forget();
+    return { status: 'file_not_found', file: target };
+  }
+
+  if (entry) {
+    const restored = restoreRecordedInstall(target, entry);
+    if (restored.status === 'removed') {
+      forget();
+      return { ...restored, file: target, searched };
+    }
+    if (!force) return { status: 'drift', file: target, inserted: entry.inserted, searched };
+  }
+
+  if (!target) {
+    for (const candidate of getCandidateFiles(projectDir, framework, candidates)) {
+      searched.push(candidate);
+      const full = toAbsolute(projectDir, candidate);
+      if (fs.existsSync(full) && isWidgetInstalled(fs.readFileSync(full, 'utf8'))) {
+        target = full;
+        break;
+      }
+    }
+    if (!target) return { status: 'not_found', searched };
+  }
+
+  const content = fs.readFileSync(target, 'utf8');
+  let { content: updated, removed } = removeWidget(content);
+  if (removed === 0) ({ content: updated, removed } = removeLegacyWidget(content));
+  if (removed === 0) return { status: 'not_installed', file: target, searched };
+  if (entry) forget();
+
+  // A file that held nothing but the snippet was created by install
+  if (updated.trim() === '') {
+    fs.rmSync(target);
+    return { status: 'removed', file: target, deleted: true, moved: false, searched };
+  }
+  fs.writeFileSync(target, updated, 'utf8');
+  return { status: 'removed', file: target, deleted: false, moved: false, searched };
+}
+
+// Uninstall from every file recorded in the manifest. Returns one uninstallWidget
+// result per recorded file.
+export function uninstallAllWidgets(projectDir, { force = false } = {}) {
+  return readInstallManifest(projectDir).entries.map(entry =>
+    uninstallWidget(projectDir, { filePath: entry.file, force })
+  );
+}
@@ -0,0 +1,82 @@
+export interface FeedbackWidgetCaptureOptions {
+  /** Record console output and uncaught errors for feedback items (default: true) */
+  console?: boolean;
+  /** Record failed fetch/XMLHttpRequest calls (default: true) */
+  network?: boolean;
+  /** Offer a screenshot of the selection (default: true) */
+  screenshot?: boolean;
+  /** Offer the computed styles of selected elements (default: true) */
+  styles?: boolean;
+}
+
+export interface FeedbackWidgetOptions {
+  /** URL of the MCP server's HTTP endpoint (default: 'http://localhost:9877') */
+  serverUrl?: string;
+  /** Session ID of the MCP server to send feedback to; see the widget URL install_widget prints */
+  session?: string;
+  /** The server's auth token, as reported by get_connection_status */
+  token?: string;
+  /** 'auto' follows the OS color scheme when the widget loads (default: 'light') */
+  theme?: 'light' | 'dark' | 'auto';
+  /** Corner for the floating buttons (default: 'bottom-right') */
+  position?: 'bottom-right' | 'bottom-left' | 'top-right' | 'top-left';
+  capture?: FeedbackWidgetCaptureOptions;
+  /** Console entries kept for feedback items (default: 50) */
+  consoleBufferSize?: number;
+  /** Screenshot JPEG quality between 0 and 1 (default: 0.7) */
+  screenshotQuality?: number;
+  /** Turn uncaught errors and unhandled rejections into draft items in the queue (default: false) */
+  captureErrors?: boolean;
+}
+
+export interface FeedbackReport {
+  /** Element the feedback is about; the whole page when omitted or not found */
+  selector?: string;
+  description?: string;
+  /** JSON data sent along as `extra` */
+  extra?: unknown;
+  /** Attach a screenshot of the element or viewport (default: the capture.screenshot option) */
+  screenshot?: boolean;
+}
+
+export interface FeedbackSentEvent {
+  count: number;
+  /** Ids of the sent items, as returned by report() */
+  ids: string[];
+}
+
+/** window.ClaudeFeedback */
+export interface ClaudeFeedbackApi {
+  /** Add a feedback item to the pending queue without the panel; resolves to its id */
+  report(report?: FeedbackReport): Promise<string>;
+  /** Start selecting an element to annotate */
+  startAnnotation(): void;
+  /** Context sent as `context` with every later feedback item; undefined removes the key */
+  attachContext(key: string, value: unknown): void;
+  /** Subscribe to an event; returns a function that unsubscribes */
+  on(event: 'sent', callback: (event: FeedbackSentEvent) => void): () => void;
+}
+
+export interface FeedbackWidgetHandle extends Omit<ClaudeFeedbackApi, 'startAnnotation'> {
+  /**
+   * Remove the widget. Console, fetch and XMLHttpRequest methods it wrapped (per the
+   * capture options) are put back, unless the page has wrapped them since.
+   */
+  destroy(): void;
+  /** Start selecting an element to annotate */
+  open(): void;
+  /** Send the pending feedback items to Claude; false when there is nothing to send or no connection */
+  submit(): boolean;
+}
+
+declare global {
+  interface Window {
+    ClaudeFeedback?: ClaudeFeedbackApi;
+  }
+}
+
+/**
+ * Start the feedback widget on the current page. Calling it again while the
+ * widget runs returns the running widget's handle.
+ */
+export function initFeedbackWidget(options?: FeedbackWidgetOptions): FeedbackWidgetHandle;
@@ -6,23 +6,76 @@
  * - Capture screenshots
  * - Add descriptions
  * - Send feedback directly to Claude Code via WebSocket
+ *
+ * An ES module: bundled apps import initFeedbackWidget from
+ * 'mcp-claude-code-browser-feedback/widget' (typed in widget.d.ts). The server's
+ * /widget.js serves this file as a classic script that calls initFeedbackWidget
+ * with the server's URL, session, auth token and project config.
  */
 
-(function() {
-  'use strict';
+import { REDACTED, SECRET_NAME_RE, redactText, redactJsonValue, getMaskBoxes } from './redaction.js';
+import { toPageRect, getCropRect, getTargetBox, finalizeShape, serializeAnnotations } from './annotations.js';
+import { createApiEvents, setContextValue, getApiFields } from './feedback-api.js';
+import { ERROR_LABELS, describeRejection, getStackSource, getErrorSignature, matchErrorDraft, getBreadcrumbs } from './error-drafts.js';
+
+const DEFAULT_OPTIONS = {
+  serverUrl: 'http://localhost:9877',
+  session: '',
+  token: '',
+  theme: 'light',
+  position: 'bottom-right',
+  capture: { console: true, network: true, screenshot: true, styles: true },
+  consoleBufferSize: 50,
+  screenshotQuality: 0.7,
+  captureErrors: false,
+};
+
+const THEMES = ['light', 'dark', 'auto'];
+const POSITIONS = ['bottom-right', 'bottom-left', 'top-right', 'top-left'];
+
+// Options merged over the defaults; unknown theme/position values fall back to them
+function readWidgetOptions(options) {
+  const merged = {
+    ...DEFAULT_OPTIONS,
+    ...options,
+    capture: { ...DEFAULT_OPTIONS.capture, ...options.capture },
+  };
+  if (!THEMES.includes(merged.theme)) merged.theme = DEFAULT_OPTIONS.theme;
+  if (!POSITIONS.includes(merged.position)) merged.position = DEFAULT_OPTIONS.position;
+  return merged;
+}
 
+/**
+ * Start the widget on the current page. Returns a handle with destroy(), open()
+ * (start selecting an element) and submit() (send the pending items to Claude).
+ * Calling it again while the widget runs returns the running widget's handle.
+ */
+export function initFeedbackWidget(options = {}) {
   // Prevent double initialization (JS-level, not DOM-level)
   if (window.__CLAUDE_FEEDBACK_WIDGET__) {
     console.log('[Claude Feedback] Widget already initialized');
-    return;
+    return window.__CLAUDE_FEEDBACK_WIDGET__;
   }
-  window.__CLAUDE_FEEDBACK_WIDGET__ = true;
+  const handle = {
+    destroy,
+    open: openAnnotation,
+    submit: submitPendingItems,
+    report,
+    attachContext,
+    on: onApiEvent,
+  };
+  window.__CLAUDE_FEEDBACK_WIDGET__ = handle;
+  // Documented global for apps that load the widget with a script tag
+  const api = { report, startAnnotation: openAnnotation, attachContext, on: onApiEvent };
+  window.ClaudeFeedback = api;
 
   let shadowRoot = null;    // Shadow DOM root for style isolation
 
   // Configuration
-  const WS_URL = '__WEBSOCKET_URL__'; // Injected by server
-  const WIDGET_VERSION = '__WIDGET_VERSION__'; // Injected by server
+  const WIDGET_CONFIG = readWidgetOptions(options);
+  const SERVER_URL = WIDGET_CONFIG.serverUrl.replace(/\/+$/, '');
+  const WIDGET_VERSION = WIDGET_CONFIG.version || '';
+  const AUTH_TOKEN = WIDGET_CONFIG.token; // Required for the WebSocket handshake
   const WIDGET_ID = 'claude-feedback-widget';
   
   // State
@@ -30,17 +83,27 @@
   let isConnected = false;
   let isAnnotationMode = false;
   let selectedElement = null;
+  let selectedElements = [];  // Shift+click accumulates several elements into one item
+  let selectedRegion = null;  // { left, top, width, height, elements } when a region was dragged
+  let isRegionMode = false;   // Region mode toggled from the instructions bar (Alt+drag works too)
   let consoleLogs = [];
   let networkErrors = [];
   let pendingItems = [];
   let localPendingItems = [];  // Client-side storage for offline mode
+  let draftItems = [];         // Error drafts ({ feedback, signature, ready }) awaiting the user's review
+  let editingDraftId = null;   // Draft whose description is being edited in the queue panel
   let isPendingQueueOpen = false;
+  let historyItems = [];       // Sent feedback with status and reply threads (from the server)
+  let historyFilter = 'all';   // 'all' | 'open' (open + in progress) | 'resolved' (resolved + won't fix)
+  let isHistoryOpen = false;
 
   // Platform detection for keyboard shortcuts
   const isMac = navigator.platform.toUpperCase().indexOf('MAC') >= 0;
   const modifierKey = isMac ? 'metaKey' : 'ctrlKey';
   const modifierSymbol = isMac ? '⌘' : 'Ctrl+';
 
+  const DEFAULT_INSTRUCTIONS = 'Click on any element to select it, <strong>Shift+click</strong> to select several, or <strong>Alt+drag</strong> to select a region. Press <strong>Escape</strong> to cancel';
+
   // Helper to get widget elements from shadow root
   function getEl(id) {
     return shadowRoot ? shadowRoot.getElementById(id) : null;
@@ -52,19 +115,34 @@
   let _selfHealInterval = null;
   let _wsReconnectTimeout = null;
 
+  // Page functions the widget replaced (console, fetch, XMLHttpRequest), so destroy()
+  // puts back exactly those
+  const installedHooks = [];
+
+  function installHook(target, key, patched) {
+    installedHooks.push({ target, key, original: target[key], patched });
+    target[key] = patched;
+  }
+
+  // Undo installHook, except where the page has wrapped a hook since; removing ours
+  // would remove the page's wrapper too
+  function restoreHooks() {
+    for (const { target, key, original, patched } of installedHooks.splice(0)) {
+      if (target[key] === patched) target[key] = original;
+    }
+  }
+
   // ============================================
   // Console Log Capture
   // ============================================
-  
-  const originalConsole = {
-    log: console.log,
-    warn: console.warn,
-    error: console.error,
-  };
+
+  // Console methods as they were when captureConsoleLogs replaced them
+  const originalConsole = {};
 
   function captureConsoleLogs() {
     ['log', 'warn', 'error'].forEach(method => {
-      console[method] = function(...args) {
+      originalConsole[method] = console[method];
+      installHook(console, method, function(...args) {
         consoleLogs.push({
           type: method,
           timestamp: new Date().toISOString(),
@@ -76,23 +154,266 @@
             }
           }).join(' '),
         });
-        // Keep only last 50 logs
-        if (consoleLogs.length > 50) consoleLogs.shift();
+        // Keep only the last consoleBufferSize logs
+        if (consoleLogs.length > WIDGET_CONFIG.consoleBufferSize) consoleLogs.shift();
         originalConsole[method].apply(console, args);
-      };
+      });
     });
   }
 
-  // Capture unhandled errors
+  // Uncaught errors and unhandled rejections: kept with the console logs, and turned
+  // into draft feedback items when captureErrors is on
   function onWindowError(event) {
-    consoleLogs.push({
-      type: 'error',
+    if (WIDGET_CONFIG.capture.console) {
+      consoleLogs.push({
+        type: 'error',
+        timestamp: new Date().toISOString(),
+        message: `${event.message} at ${event.filename}:${event.lineno}:${event.colno}`,
+        stack: event.error?.stack,
+      });
+      if (consoleLogs.length > WIDGET_CONFIG.consoleBufferSize) consoleLogs.shift();
+    }
+    if (WIDGET_CONFIG.captureErrors) {
+      addErrorDraft({
+        type: 'error',
+        message: event.message || String(event.error),
+        stack: event.error?.stack || null,
+        source: event.filename ? { file: event.filename, line: event.lineno, column: event.colno } : getStackSource(event.error?.stack),
+      });
+    }
+  }
+
+  function onUnhandledRejection(event) {
+    const reason = event.reason;
+    const message = describeRejection(reason);
+    if (WIDGET_CONFIG.capture.console) {
+      consoleLogs.push({
+        type: 'error',
+        timestamp: new Date().toISOString(),
+        message: `Unhandled promise rejection: ${message}`,
+        stack: reason?.stack,
+      });
+      if (consoleLogs.length > WIDGET_CONFIG.consoleBufferSize) consoleLogs.shift();
+    }
+    if (WIDGET_CONFIG.captureErrors) {
+      addErrorDraft({
+        type: 'unhandledrejection',
+        message,
+        stack: typeof reason?.stack === 'string' ? reason.stack : null,
+        source: getStackSource(reason?.stack),
+      });
+    }
+  }
+
+  // ============================================
+  // Network Error Capture
+  // ============================================
+
+  // fetch and XMLHttpRequest methods as they were when captureNetworkErrors replaced them
+  const originalNetwork = {};
+
+  // Request info for in-flight XHRs, set in open() and read in send()
+  const xhrRequests = new WeakMap();
+
+  function truncateResponseBody(body) {
+    if (typeof body !== 'string' || body.length === 0) return null;
+    return body.length > 500 ? body.slice(0, 500) + '... (truncated)' : body;
+  }
+
+  function recordNetworkError(entry) {
+    // Don't report the widget's own requests to the feedback server
+    if (entry.url.startsWith(getServerBaseUrl())) return;
+    networkErrors.push({
       timestamp: new Date().toISOString(),
-      message: `${event.message} at ${event.filename}:${event.lineno}:${event.colno}`,
-      stack: event.error?.stack,
+      ...entry,
+    });
+    // Keep only last 50 network errors
+    if (networkErrors.length > 50) networkErrors.shift();
+  }
+
+  // Record failed requests and 4xx/5xx responses made with fetch or XMLHttpRequest
+  function captureNetworkErrors() {
+    originalNetwork.fetch = window.fetch;
+    originalNetwork.xhrOpen = XMLHttpRequest.prototype.open;
+    originalNetwork.xhrSend = XMLHttpRequest.prototype.send;
+
+    if (typeof originalNetwork.fetch === 'function') {
+      installHook(window, 'fetch', function(input, init) {
+        const isRequest = typeof input === 'object' && input !== null && 'url' in input;
+        const method = String(init?.method || (isRequest ? input.method : 'GET')).toUpperCase();
+        const url = isRequest ? input.url : String(input);
+        const start = performance.now();
+
+        return originalNetwork.fetch.apply(this, arguments).then((response) => {
+          if (!response.ok) {
+            const entry = {
+              method,
+              url: response.url || url,
+              status: response.status,
+              statusText: response.statusText,
+              duration: Math.round(performance.now() - start),
+            };
+            // Read the body from a clone so the page still gets an unread response
+            response.clone().text().then(
+              body => recordNetworkError({ ...entry, responseBody: truncateResponseBody(body) }),
+              () => recordNetworkError({ ...entry, responseBody: null })
+            );
+          }
+          return response;
+        }, (err) => {
+          recordNetworkError({
+            method,
+            url,
+            status: 0,
+            error: err?.message || String(err),
+            duration: Math.round(performance.now() - start),
+          });
+          throw err;
+        });
+      });
+    }
+
+    installHook(XMLHttpRequest.prototype, 'open', function(method, url) {
+      xhrRequests.set(this, {
+        method: String(method || 'GET').toUpperCase(),
+        url: String(url),
+      });
+      return originalNetwork.xhrOpen.apply(this, arguments);
+    });
+
+    installHook(XMLHttpRequest.prototype, 'send', function() {
+      const request = xhrRequests.get(this);
+      if (request) {
+        const start = performance.now();
+        let aborted = false;
+        this.addEventListener('abort', () => { aborted = true; });
+        this.addEventListener('loadend', () => {
+          if (aborted || (this.status > 0 && this.status < 400)) return;
+          const canReadText = this.responseType === '' || this.responseType === 'text';
+          recordNetworkError({
+            method: request.method,
+            url: this.responseURL || request.url,
+            status: this.status,
+            statusText: this.statusText,
+            error: this.status === 0 ? 'Network request failed' : undefined,
+            duration: Math.round(performance.now() - start),
+            responseBody: canReadText ? truncateResponseBody(this.responseText) : null,
+          });
+        });
+      }
+      return originalNetwork.xhrSend.apply(this, arguments);
     });
   }
-  window.addEventListener('error', onWindowError);
+
+  // ============================================
+  // Redaction (secrets and PII stay in the browser)
+  // ============================================
+
+  // Elements whose content is always masked
+  const BUILTIN_MASK_SELECTORS = ['input[type="password"]', '[data-feedback-mask]'];
+
+  // Project rules, sent by the server on connect (FEEDBACK_REDACT_PATTERNS / FEEDBACK_MASK_SELECTORS)
+  let projectRedactionRules = [];
+  let maskSelector = BUILTIN_MASK_SELECTORS.join(', ');
+
+  function setRedactionConfig(config) {
+    projectRedactionRules = [];
+    for (const source of config?.patterns || []) {
+      try {
+        projectRedactionRules.push({ pattern: new RegExp(source, 'g'), replace: REDACTED });
+      } catch {
+        console.warn('[Claude Feedback] Ignoring invalid redaction pattern:', source);
+      }
+    }
+    const selectors = [...BUILTIN_MASK_SELECTORS];
+    for (const selector of config?.selectors || []) {
+      try {
+        document.querySelector(selector);
+        selectors.push(selector);
+      } catch {
+        console.warn('[Claude Feedback] Ignoring invalid mask selector:', selector);
+      }
+    }
+    maskSelector = selectors.join(', ');
+  }
+
+  // Built-in and project rules (see redaction.js)
+  function redact(text) {
+    return redactText(text, projectRedactionRules);
+  }
+
+  function redactAttribute(name, value, masked) {
+    if ((masked && name === 'value') || SECRET_NAME_RE.test(name)) return REDACTED;
+    return redact(value);
+  }
+
+  function isMasked(el) {
+    try {
+      return el.matches(maskSelector);
+    } catch {
+      return false;
+    }
+  }
+
+  // Copy of `el` with the content and value of masked elements (itself or descendants)
+  // replaced, so innerHTML / outerHTML / text can be serialized safely
+  function getMaskedClone(el) {
+    if (!isMasked(el) && !el.querySelector(maskSelector)) return el;
+    const clone = el.cloneNode(true);
+    const masked = isMasked(el) ? [clone] : [];
+    masked.push(...clone.querySelectorAll(maskSelector));
+    for (const node of masked) {
+      if (node.hasAttribute('value')) node.setAttribute('value', REDACTED);
+      if (node.childNodes.length > 0) node.textContent = REDACTED;
+    }
+    return clone;
+  }
+
+  function redactLogEntry(log) {
+    return { ...log, message: redact(log.message), stack: log.stack ? redact(log.stack) : log.stack };
+  }
+
+  // Values apps pass through the API (see redactJsonValue); null when they can't be copied
+  function redactApiValue(value) {
+    try {
+      return redactJsonValue(value, projectRedactionRules);
+    } catch (err) {
+      console.warn('[Claude Feedback] Ignoring a value that cannot be serialized:', err?.message || err);
+      return null;
+    }
+  }
+
+  function redactNetworkError(entry) {
+    return {
+      ...entry,
+      url: redact(entry.url),
+      error: entry.error ? redact(entry.error) : entry.error,
+      responseBody: entry.responseBody ? redact(entry.responseBody) : entry.responseBody,
+    };
+  }
+
+  // Rects of masked elements, in viewport coordinates (see getMaskBoxes)
+  function getMaskedRects() {
+    const widgetHost = document.getElementById(WIDGET_ID);
+    return Array.from(document.querySelectorAll(maskSelector))
+      .filter(el => el !== widgetHost)
+      .map(el => el.getBoundingClientRect())
+      .filter(rect => rect.width > 0 && rect.height > 0);
+  }
+
+  // Blur the masked areas of a rendered screenshot and cover them with a gray box
+  function blurMaskedRects(canvas, rects, scroll) {
+    const ctx = canvas.getContext('2d');
+    for (const { x, y, width, height } of getMaskBoxes(rects, scroll, canvas.width, canvas.height)) {
+      ctx.save();
+      ctx.filter = 'blur(12px)';
+      ctx.drawImage(canvas, x, y, width, height, x, y, width, height);
+      ctx.filter = 'none';
+      ctx.fillStyle = 'rgba(156, 163, 175, 0.6)';
+      ctx.fillRect(x, y, width, height);
+      ctx.restore();
+    }
+  }
 
   // ============================================
   // Styles
@@ -233,7 +554,8 @@
       background: linear-gradient(135deg, #22c55e 0%, #4ade80 100%);
     }
 
-    #${WIDGET_ID}-queue-panel {
+    #${WIDGET_ID}-queue-panel,
+    #${WIDGET_ID}-history-panel {
       position: fixed;
       bottom: 60px;
       right: 20px;
@@ -249,11 +571,13 @@
       overflow: hidden;
     }
 
-    #${WIDGET_ID}-queue-panel.active {
+    #${WIDGET_ID}-queue-panel.active,
+    #${WIDGET_ID}-history-panel.active {
       display: flex;
     }
 
-    #${WIDGET_ID}-queue-header {
+    #${WIDGET_ID}-queue-header,
+    #${WIDGET_ID}-history-header {
       background: #f3f4f6;
       padding: 12px 16px;
       display: flex;
@@ -262,14 +586,16 @@
       border-bottom: 1px solid #e5e7eb;
     }
 
-    #${WIDGET_ID}-queue-header h4 {
+    #${WIDGET_ID}-queue-header h4,
+    #${WIDGET_ID}-history-header h4 {
       margin: 0;
       font-size: 14px;
       font-weight: 600;
       color: #374151;
     }
 
-    #${WIDGET_ID}-queue-close {
+    #${WIDGET_ID}-queue-close,
+    #${WIDGET_ID}-history-close {
       background: none;
       border: none;
       color: #6b7280;
@@ -279,7 +605,8 @@
       line-height: 1;
     }
 
-    #${WIDGET_ID}-queue-close:hover {
+    #${WIDGET_ID}-queue-close:hover,
+    #${WIDGET_ID}-history-close:hover {
       color: #374151;
     }
 
@@ -309,13 +636,15 @@
       border-color: #d1d5db;
     }
 
-    #${WIDGET_ID}-queue-list {
+    #${WIDGET_ID}-queue-list,
+    #${WIDGET_ID}-history-list {
       overflow-y: auto;
       flex: 1;
       padding: 8px 0;
     }
 
-    #${WIDGET_ID}-queue-empty {
+    #${WIDGET_ID}-queue-empty,
+    #${WIDGET_ID}-history-empty {
       padding: 24px;
       text-align: center;
       color: #9ca3af;
@@ -380,6 +709,189 @@
       color: #ef4444;
     }
 
+    .${WIDGET_ID}-queue-item-draft {
+      background: #fef2f2;
+      border-left: 3px solid #ef4444;
+    }
+
+    .${WIDGET_ID}-draft-actions {
+      display: flex;
+      gap: 6px;
+      margin-top: 6px;
+    }
+
+    .${WIDGET_ID}-draft-actions button {
+      padding: 2px 8px;
+      border: 1px solid #e5e7eb;
+      border-radius: 4px;
+      background: white;
+      color: #374151;
+      font-size: 11px;
+      cursor: pointer;
+    }
+
+    .${WIDGET_ID}-draft-actions button:first-child {
+      background: #da7756;
+      border-color: #da7756;
+      color: white;
+    }
+
+    #${WIDGET_ID}-history-panel {
+      max-height: 420px;
+    }
+
+    #${WIDGET_ID}-history-btn {
+      display: none;
+      align-items: center;
+      gap: 6px;
+      padding: 6px 12px;
+      border: 1px solid #e5e7eb;
+      border-radius: 12px;
+      background: white;
+      color: #374151;
+      font-size: 12px;
+      font-weight: 600;
+      cursor: pointer;
+      box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1);
+    }
+
+    #${WIDGET_ID}-history-btn.visible {
+      display: flex;
+    }
+
+    #${WIDGET_ID}-history-unread {
+      display: none;
+      background: #3b82f6;
+      color: white;
+      font-size: 11px;
+      min-width: 18px;
+      height: 18px;
+      border-radius: 9px;
+      padding: 0 5px;
+      align-items: center;
+      justify-content: center;
+    }
+
+    #${WIDGET_ID}-history-unread.visible {
+      display: flex;
+    }
+
+    .${WIDGET_ID}-history-status {
+      display: inline-block;
+      margin-left: 6px;
+      padding: 0 6px;
+      border-radius: 8px;
+      font-family: inherit;
+      font-size: 10px;
+      font-weight: 600;
+      text-transform: uppercase;
+      background: #e5e7eb;
+      color: #374151;
+    }
+
+    .${WIDGET_ID}-history-status.in_progress {
+      background: #dbeafe;
+      color: #1e40af;
+    }
+
+    .${WIDGET_ID}-history-status.resolved {
+      background: #dcfce7;
+      color: #166534;
+    }
+
+    .${WIDGET_ID}-history-status.wontfix {
+      background: #f3f4f6;
+      color: #6b7280;
+    }
+
+    .${WIDGET_ID}-history-note {
+      margin-top: 4px;
+      font-size: 12px;
+      color: #166534;
+    }
+
+    #${WIDGET_ID}-history-filters {
+      display: flex;
+      gap: 6px;
+      padding: 8px 16px 0;
+    }
+
+    #${WIDGET_ID}-history-filters button {
+      padding: 2px 10px;
+      border: 1px solid #e5e7eb;
+      border-radius: 10px;
+      background: white;
+      color: #374151;
+      font-size: 11px;
+      cursor: pointer;
+    }
+
+    #${WIDGET_ID}-history-filters button.active {
+      background: #374151;
+      border-color: #374151;
+      color: white;
+    }
+
+    .${WIDGET_ID}-history-reply {
+      margin-top: 6px;
+      padding: 6px 8px;
+      border-radius: 6px;
+      font-size: 12px;
+      white-space: pre-wrap;
+      background: #f3f4f6;
+      color: #374151;
+    }
+
+    .${WIDGET_ID}-history-reply.from-claude {
+      background: #fdf0eb;
+      border-left: 3px solid #da7756;
+    }
+
+    .${WIDGET_ID}-history-reply-author {
+      font-weight: 600;
+      margin-right: 4px;
+    }
+
+    .${WIDGET_ID}-history-reopen {
+      margin-top: 6px;
+      padding: 2px 8px;
+      border: 1px solid #e5e7eb;
+      border-radius: 4px;
+      background: white;
+      color: #374151;
+      font-size: 11px;
+      cursor: pointer;
+    }
+
+    .${WIDGET_ID}-history-followup {
+      margin-top: 6px;
+      display: flex;
+      flex-direction: column;
+      gap: 6px;
+    }
+
+    .${WIDGET_ID}-history-followup textarea {
+      width: 100%;
+      min-height: 50px;
+      box-sizing: border-box;
+      padding: 6px;
+      border: 1px solid #d1d5db;
+      border-radius: 4px;
+      font-size: 12px;
+      resize: vertical;
+    }
+
+    .${WIDGET_ID}-history-followup button {
+      align-self: flex-end;
+      padding: 4px 10px;
+      border: none;
+      border-radius: 4px;
+      background: #da7756;
+      color: white;
+      font-size: 12px;
+      cursor: pointer;
+    }
+
     #${WIDGET_ID}-overlay {
       position: fixed;
       top: 0;
@@ -396,7 +908,7 @@
       display: block;
     }
 
-    #${WIDGET_ID}-highlight {
+    .${WIDGET_ID}-highlight {
       position: fixed;
       pointer-events: none;
       border: 3px solid #da7756;
@@ -406,11 +918,105 @@
       display: none;
     }
 
+    /* Elements highlighted by Claude, with their label */
+    .${WIDGET_ID}-highlight.labeled {
+      display: block;
+    }
+
+    .${WIDGET_ID}-highlight.labeled span {
+      position: absolute;
+      top: -22px;
+      left: -3px;
+      max-width: 240px;
+      padding: 2px 8px;
+      border-radius: 4px;
+      background: #da7756;
+      color: white;
+      font-size: 11px;
+      font-weight: 700;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+    }
+
+    #${WIDGET_ID}-claude-message {
+      position: fixed;
+      max-width: 320px;
+      padding: 10px 12px;
+      background: #1f2937;
+      color: white;
+      font-size: 13px;
+      line-height: 1.4;
+      border-radius: 8px;
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.25);
+      z-index: 2147483647;
+      display: none;
+    }
+
+    #${WIDGET_ID}-claude-message.active {
+      display: block;
+    }
+
+    #${WIDGET_ID}-claude-message-text {
+      white-space: pre-wrap;
+      margin-bottom: 8px;
+    }
+
+    #${WIDGET_ID}-claude-message-dismiss {
+      padding: 4px 10px;
+      border: none;
+      border-radius: 4px;
+      background: #da7756;
+      color: white;
+      font-size: 12px;
+      cursor: pointer;
+    }
+
     #${WIDGET_ID}-highlight.selected {
       border-color: #3b82f6;
       background: rgba(59, 130, 246, 0.1);
     }
 
+    .${WIDGET_ID}-selection-marker {
+      position: fixed;
+      pointer-events: none;
+      border: 3px solid #3b82f6;
+      background: rgba(59, 130, 246, 0.1);
+      border-radius: 4px;
+      z-index: 2147483646;
+    }
+
+    .${WIDGET_ID}-selection-marker span {
+      position: absolute;
+      top: -10px;
+      left: -10px;
+      min-width: 20px;
+      height: 20px;
+      padding: 0 6px;
+      border-radius: 10px;
+      background: #3b82f6;
+      color: white;
+      font-size: 11px;
+      font-weight: 700;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+    }
+
+    #${WIDGET_ID}-region {
+      position: fixed;
+      pointer-events: none;
+      border: 2px dashed #da7756;
+      background: rgba(218, 119, 86, 0.1);
+      z-index: 2147483646;
+      display: none;
+    }
+
+    #${WIDGET_ID}-region.selected {
+      border-color: #3b82f6;
+      background: rgba(59, 130, 246, 0.1);
+    }
+
     #${WIDGET_ID}-tooltip {
       position: fixed;
       background: #1f2937;
@@ -493,25 +1099,72 @@
       justify-content: center;
     }
 
-    #${WIDGET_ID}-panel-minimize:hover,
-    #${WIDGET_ID}-panel-close:hover {
-      background: rgba(255, 255, 255, 0.3);
+    #${WIDGET_ID}-panel-minimize:hover,
+    #${WIDGET_ID}-panel-close:hover {
+      background: rgba(255, 255, 255, 0.3);
+    }
+
+    #${WIDGET_ID}-panel-body {
+      padding: 20px;
+      overflow-y: auto;
+      max-height: calc(90vh - 60px);
+    }
+
+    #${WIDGET_ID}-editor {
+      margin-bottom: 16px;
+    }
+
+    #${WIDGET_ID}-editor-toolbar {
+      display: flex;
+      gap: 4px;
+      margin-bottom: 8px;
+    }
+
+    #${WIDGET_ID}-editor-toolbar button {
+      background: #f3f4f6;
+      border: 1px solid #e5e7eb;
+      border-radius: 6px;
+      padding: 4px 8px;
+      font-size: 12px;
+      cursor: pointer;
+      color: #374151;
+    }
+
+    #${WIDGET_ID}-editor-toolbar button:hover {
+      background: #e5e7eb;
+    }
+
+    #${WIDGET_ID}-editor-toolbar button.active {
+      background: #da7756;
+      border-color: #da7756;
+      color: white;
     }
 
-    #${WIDGET_ID}-panel-body {
-      padding: 20px;
-      overflow-y: auto;
-      max-height: calc(90vh - 60px);
+    #${WIDGET_ID}-editor-toolbar .spacer {
+      flex: 1;
     }
 
-    #${WIDGET_ID}-screenshot-preview {
-      width: 100%;
+    #${WIDGET_ID}-editor-canvas {
+      display: none;
+      max-width: 100%;
+      max-height: 260px;
+      margin: 0 auto;
       border-radius: 8px;
       border: 1px solid #e5e7eb;
-      margin-bottom: 16px;
-      max-height: 200px;
-      object-fit: contain;
       background: #f9fafb;
+      cursor: crosshair;
+      touch-action: none;
+    }
+
+    #${WIDGET_ID}-editor-status {
+      font-size: 12px;
+      color: #6b7280;
+      text-align: center;
+      padding: 8px 0;
+    }
+
+    #${WIDGET_ID}-editor-status:empty {
+      display: none;
     }
 
     #${WIDGET_ID}-element-info-wrapper {
@@ -665,6 +1318,22 @@
       display: block;
     }
 
+    #${WIDGET_ID}-region-toggle {
+      margin-left: 12px;
+      background: rgba(255, 255, 255, 0.15);
+      border: 1px solid rgba(255, 255, 255, 0.3);
+      border-radius: 6px;
+      color: white;
+      padding: 2px 10px;
+      font-size: 12px;
+      cursor: pointer;
+    }
+
+    #${WIDGET_ID}-region-toggle.active {
+      background: #da7756;
+      border-color: #da7756;
+    }
+
     #${WIDGET_ID}-success {
       position: fixed;
       top: 20px;
@@ -695,6 +1364,90 @@
       animation: slideIn 0.3s ease;
     }
 
+    /* position: top-* and *-left corners */
+    .cf-root.cf-left #${WIDGET_ID}-queue-panel,
+    .cf-root.cf-left #${WIDGET_ID}-history-panel {
+      right: auto;
+      left: 20px;
+    }
+
+    .cf-root.cf-top #${WIDGET_ID}-queue-panel,
+    .cf-root.cf-top #${WIDGET_ID}-history-panel {
+      bottom: auto;
+      top: 60px;
+    }
+
+    /* theme: dark */
+    .cf-root.cf-dark {
+      color: #e5e7eb;
+      color-scheme: dark;
+    }
+
+    .cf-root.cf-dark #${WIDGET_ID}-panel,
+    .cf-root.cf-dark #${WIDGET_ID}-queue-panel,
+    .cf-root.cf-dark #${WIDGET_ID}-history-panel {
+      background: #1f2937;
+    }
+
+    .cf-root.cf-dark #${WIDGET_ID}-queue-header,
+    .cf-root.cf-dark #${WIDGET_ID}-history-header,
+    .cf-root.cf-dark #${WIDGET_ID}-queue-footer {
+      background: #111827;
+      border-color: #374151;
+    }
+
+    .cf-root.cf-dark #${WIDGET_ID}-queue-header h4,
+    .cf-root.cf-dark #${WIDGET_ID}-history-header h4,
+    .cf-root.cf-dark #${WIDGET_ID}-options label,
+    .cf-root.cf-dark .${WIDGET_ID}-queue-item-description {
+      color: #e5e7eb;
+    }
+
+    .cf-root.cf-dark .${WIDGET_ID}-queue-item {
+      border-color: #374151;
+    }
+
+    .cf-root.cf-dark #${WIDGET_ID}-history-btn,
+    .cf-root.cf-dark #${WIDGET_ID}-queue-footer button,
+    .cf-root.cf-dark #${WIDGET_ID}-history-filters button,
+    .cf-root.cf-dark #${WIDGET_ID}-editor-toolbar button,
+    .cf-root.cf-dark #${WIDGET_ID}-cancel-btn,
+    .cf-root.cf-dark .${WIDGET_ID}-history-reopen,
+    .cf-root.cf-dark .${WIDGET_ID}-history-reply {
+      background: #374151;
+      border-color: #4b5563;
+      color: #e5e7eb;
+    }
+
+    .cf-root.cf-dark #${WIDGET_ID}-history-filters button.active,
+    .cf-root.cf-dark #${WIDGET_ID}-editor-toolbar button.active {
+      background: #da7756;
+      border-color: #da7756;
+      color: white;
+    }
+
+    .cf-root.cf-dark .${WIDGET_ID}-history-reply.from-claude {
+      background: #3b2a24;
+    }
+
+    .cf-root.cf-dark .${WIDGET_ID}-queue-item-draft {
+      background: #3b1f22;
+    }
+
+    .cf-root.cf-dark .${WIDGET_ID}-draft-actions button:not(:first-child) {
+      background: #374151;
+      border-color: #4b5563;
+      color: #e5e7eb;
+    }
+
+    .cf-root.cf-dark #${WIDGET_ID}-description,
+    .cf-root.cf-dark #${WIDGET_ID}-element-info,
+    .cf-root.cf-dark .${WIDGET_ID}-history-followup textarea {
+      background: #111827;
+      border-color: #4b5563;
+      color: #e5e7eb;
+    }
+
     @keyframes slideIn {
       from {
         transform: translateX(100%);
@@ -732,11 +1485,27 @@
     styleEl.textContent = styles;
     shadowRoot.appendChild(styleEl);
 
+    // Theme and corner as classes on the root; 'auto' follows the OS setting at load
+    const { theme, position, capture } = WIDGET_CONFIG;
+    const dark = theme === 'dark' || (theme === 'auto' && window.matchMedia?.('(prefers-color-scheme: dark)').matches);
+    const [vertical, horizontal] = position.split('-');
+    const rootClasses = ['cf-root', dark && 'cf-dark', vertical === 'top' && 'cf-top', horizontal === 'left' && 'cf-left'];
+
+    // Include options for data the capture settings turn off are hidden and unchecked
+    const checkedIf = (enabled) => (enabled ? ' checked' : '');
+    const hiddenUnless = (enabled) => (enabled ? '' : ' style="display: none;"');
+
     // Create widget content inside shadow root
     const container = document.createElement('div');
     container.innerHTML = `
-      <div class="cf-root">
-      <div id="${WIDGET_ID}-button-area" style="position: fixed; bottom: 20px; right: 20px; z-index: 2147483647; display: flex; flex-direction: column; align-items: flex-end; gap: 10px;">
+      <div class="${rootClasses.filter(Boolean).join(' ')}">
+      <div id="${WIDGET_ID}-button-area" style="position: fixed; ${vertical}: 20px; ${horizontal}: 20px; z-index: 2147483647; display: flex; flex-direction: column; align-items: ${horizontal === 'left' ? 'flex-start' : 'flex-end'}; gap: 10px;">
+        <!-- Sent feedback and Claude's replies (shown once something was sent) -->
+        <button id="${WIDGET_ID}-history-btn" title="Feedback you sent to Claude and its replies">
+          <span>History</span>
+          <span id="${WIDGET_ID}-history-unread"></span>
+        </button>
+
         <!-- State 1: Single button (shown when no pending items) -->
         <button id="${WIDGET_ID}-button" class="disconnected" title="Click to annotate an element and send feedback to Claude. Add multiple items before sending.">
           <svg class="claude-icon" width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
@@ -775,12 +1544,35 @@
         </div>
       </div>
 
+      <div id="${WIDGET_ID}-history-panel">
+        <div id="${WIDGET_ID}-history-header">
+          <h4>Sent Feedback</h4>
+          <button id="${WIDGET_ID}-history-close" title="Close">×</button>
+        </div>
+        <div id="${WIDGET_ID}-history-filters">
+          <button data-filter="all" class="active">All</button>
+          <button data-filter="open">Open</button>
+          <button data-filter="resolved">Resolved</button>
+        </div>
+        <div id="${WIDGET_ID}-history-list">
+          <div id="${WIDGET_ID}-history-empty">No feedback sent yet</div>
+        </div>
+      </div>
+
       <div id="${WIDGET_ID}-overlay"></div>
-      <div id="${WIDGET_ID}-highlight"></div>
+      <div id="${WIDGET_ID}-highlight" class="${WIDGET_ID}-highlight"></div>
+      <div id="${WIDGET_ID}-selection-markers"></div>
+      <div id="${WIDGET_ID}-claude-message">
+        <div id="${WIDGET_ID}-claude-message-text"></div>
+        <button id="${WIDGET_ID}-claude-message-dismiss" type="button">Dismiss</button>
+      </div>
       <div id="${WIDGET_ID}-tooltip"></div>
       
+      <div id="${WIDGET_ID}-region"></div>
+      
       <div id="${WIDGET_ID}-instructions">
-        Click on any element to select it, or press <strong>Escape</strong> to cancel
+        <span id="${WIDGET_ID}-instructions-text">${DEFAULT_INSTRUCTIONS}</span>
+        <button id="${WIDGET_ID}-region-toggle" type="button" title="Drag to select a rectangular region">Region</button>
       </div>
       
       <div id="${WIDGET_ID}-panel">
@@ -792,7 +1584,19 @@
           </div>
         </div>
         <div id="${WIDGET_ID}-panel-body">
-          <img id="${WIDGET_ID}-screenshot-preview" alt="Screenshot" />
+          <div id="${WIDGET_ID}-editor">
+            <div id="${WIDGET_ID}-editor-toolbar">
+              <button type="button" data-tool="rect" class="active" title="Rectangle">▭ Box</button>
+              <button type="button" data-tool="arrow" title="Arrow">➜ Arrow</button>
+              <button type="button" data-tool="freehand" title="Freehand">✎ Draw</button>
+              <button type="button" data-tool="text" title="Text label">T Text</button>
+              <span class="spacer"></span>
+              <button type="button" id="${WIDGET_ID}-editor-undo" title="Undo last shape">↶</button>
+              <button type="button" id="${WIDGET_ID}-editor-clear" title="Remove all shapes">Clear</button>
+            </div>
+            <canvas id="${WIDGET_ID}-editor-canvas"></canvas>
+            <div id="${WIDGET_ID}-editor-status"></div>
+          </div>
           <textarea
             id="${WIDGET_ID}-description"
             placeholder="Describe what's wrong or what you'd like to change..."
@@ -804,16 +1608,20 @@
             <div id="${WIDGET_ID}-element-info"></div>
           </div>
           <div id="${WIDGET_ID}-options">
-            <label>
-              <input type="checkbox" id="${WIDGET_ID}-include-screenshot" checked />
+            <label${hiddenUnless(capture.screenshot)}>
+              <input type="checkbox" id="${WIDGET_ID}-include-screenshot"${checkedIf(capture.screenshot)} />
               Include screenshot (element area)
             </label>
-            <label>
-              <input type="checkbox" id="${WIDGET_ID}-include-logs" checked />
+            <label${hiddenUnless(capture.console)}>
+              <input type="checkbox" id="${WIDGET_ID}-include-logs"${checkedIf(capture.console)} />
               <span id="${WIDGET_ID}-include-logs-text">Include console logs (${consoleLogs.length} captured)</span>
             </label>
-            <label>
-              <input type="checkbox" id="${WIDGET_ID}-include-styles" checked />
+            <label${hiddenUnless(capture.network)}>
+              <input type="checkbox" id="${WIDGET_ID}-include-network"${checkedIf(capture.network)} />
+              <span id="${WIDGET_ID}-include-network-text">Include network errors (${networkErrors.length} captured)</span>
+            </label>
+            <label${hiddenUnless(capture.styles)}>
+              <input type="checkbox" id="${WIDGET_ID}-include-styles"${checkedIf(capture.styles)} />
               Include computed styles
             </label>
           </div>
@@ -895,9 +1703,25 @@
     return parts.join(' > ');
   }
 
+  // Computed style properties captured with feedback (and returned by inspect_element by default)
+  const DEFAULT_STYLE_PROPERTIES = [
+    'display', 'position', 'color', 'backgroundColor', 'fontSize', 'fontWeight',
+    'padding', 'margin', 'border', 'opacity', 'visibility', 'zIndex',
+  ];
+
+  // Accepts camelCase ('fontSize') or CSS ('font-size') property names
+  function pickComputedStyles(el, properties = DEFAULT_STYLE_PROPERTIES) {
+    const styles = window.getComputedStyle(el);
+    return properties.reduce((acc, prop) => {
+      acc[prop] = prop.includes('-') ? styles.getPropertyValue(prop) : styles[prop];
+      return acc;
+    }, {});
+  }
+
+  // Element details sent with feedback; masked content and secrets are redacted
   function getElementInfo(el) {
     const rect = el.getBoundingClientRect();
-    const styles = window.getComputedStyle(el);
+    const safe = getMaskedClone(el);
     
     return {
       tagName: el.tagName.toLowerCase(),
@@ -905,11 +1729,11 @@
       className: el.className || null,
       selector: getElementSelector(el),
       fullSelector: getFullSelector(el),
-      text: el.textContent?.slice(0, 200) || null,
-      innerHTML: el.innerHTML?.slice(0, 500) || null,
-      outerHTML: el.outerHTML?.slice(0, 1000) || null,
-      attributes: Array.from(el.attributes || []).reduce((acc, attr) => {
-        acc[attr.name] = attr.value;
+      text: redact(safe.textContent?.slice(0, 200)) || null,
+      innerHTML: redact(safe.innerHTML?.slice(0, 500)) || null,
+      outerHTML: redact(safe.outerHTML?.slice(0, 1000)) || null,
+      attributes: Array.from(safe.attributes || []).reduce((acc, attr) => {
+        acc[attr.name] = redactAttribute(attr.name, attr.value, false);
         return acc;
       }, {}),
       boundingRect: {
@@ -918,20 +1742,362 @@
         width: rect.width,
         height: rect.height,
       },
-      computedStyles: {
-        display: styles.display,
-        position: styles.position,
-        color: styles.color,
-        backgroundColor: styles.backgroundColor,
-        fontSize: styles.fontSize,
-        fontWeight: styles.fontWeight,
-        padding: styles.padding,
-        margin: styles.margin,
-        border: styles.border,
-        opacity: styles.opacity,
-        visibility: styles.visibility,
-        zIndex: styles.zIndex,
+      computedStyles: pickComputedStyles(el),
+    };
+  }
+
+  // Elements whose bounding box intersects a viewport rectangle (capped to keep payloads small)
+  function getElementsInRegion(region, limit = 100) {
+    const right = region.left + region.width;
+    const bottom = region.top + region.height;
+    const widgetHost = document.getElementById(WIDGET_ID);
+    const elements = [];
+    let total = 0;
+
+    for (const el of document.body.querySelectorAll('*')) {
+      if (el === widgetHost || ['SCRIPT', 'STYLE', 'LINK', 'META', 'NOSCRIPT'].includes(el.tagName)) continue;
+      const rect = el.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0) continue;
+      if (rect.right < region.left || rect.left > right || rect.bottom < region.top || rect.top > bottom) continue;
+
+      total++;
+      if (elements.length < limit) {
+        elements.push({
+          tagName: el.tagName.toLowerCase(),
+          selector: getElementSelector(el),
+          fullSelector: getFullSelector(el),
+          boundingRect: {
+            top: rect.top,
+            left: rect.left,
+            width: rect.width,
+            height: rect.height,
+          },
+        });
+      }
+    }
+
+    return { elements, total };
+  }
+
+  // Short label for what a feedback item points at (element selector or region size)
+  function describeTarget(item) {
+    if (item.selector) return item.selector;
+    if (item.elements?.length > 1) return `${item.elements[0].selector} (+${item.elements.length - 1} more)`;
+    if (item.element?.selector) return item.element.selector;
+    if (item.region) {
+      const r = item.region;
+      return `Region ${Math.round(r.width)}×${Math.round(r.height)} at (${Math.round(r.left)}, ${Math.round(r.top)})`;
+    }
+    return 'Unknown element';
+  }
+
+  // ============================================
+  // Page Inspection (requests from Claude)
+  // ============================================
+
+  // Text directly inside the element (not from descendants)
+  function getOwnText(el) {
+    const text = Array.from(el.childNodes)
+      .filter(node => node.nodeType === Node.TEXT_NODE)
+      .map(node => node.textContent.trim())
+      .filter(Boolean)
+      .join(' ');
+    return text ? text.slice(0, 200) : null;
+  }
+
+  // Serialize an element and its children down to `depth` levels
+  function serializeElement(el, options, depth) {
+    const rect = el.getBoundingClientRect();
+    const node = {
+      tagName: el.tagName.toLowerCase(),
+      selector: getElementSelector(el),
+      boundingRect: {
+        top: rect.top,
+        left: rect.left,
+        width: rect.width,
+        height: rect.height,
+      },
+    };
+
+    const masked = isMasked(el);
+    if (options.includeAttributes) {
+      node.attributes = Array.from(el.attributes || []).reduce((acc, attr) => {
+        acc[attr.name] = redactAttribute(attr.name, attr.value.slice(0, 200), masked);
+        return acc;
+      }, {});
+    }
+    if (options.includeText) {
+      const text = getOwnText(el);
+      node.text = masked && text ? REDACTED : redact(text);
+    }
+    if (options.includeStyles) {
+      node.computedStyles = pickComputedStyles(el, options.styleProperties);
+    }
+
+    node.childCount = el.children.length;
+    if (depth > 0 && el.children.length > 0) {
+      // Cap children per level so a long list doesn't blow up the response
+      const children = Array.from(el.children).filter(child => child.id !== WIDGET_ID);
+      node.children = children.slice(0, 30).map(child => serializeElement(child, options, depth - 1));
+      if (children.length > 30) node.omittedChildren = children.length - 30;
+    }
+
+    return node;
+  }
+
+  // inspect_element: live DOM snapshot of the elements matching a selector
+  function inspectElements(params) {
+    let matches;
+    try {
+      matches = Array.from(document.querySelectorAll(params.selector));
+    } catch {
+      throw new Error(`Invalid selector: ${params.selector}`);
+    }
+
+    const options = {
+      includeAttributes: params.includeAttributes !== false,
+      includeText: params.includeText !== false,
+      includeStyles: params.includeStyles === true,
+      styleProperties: Array.isArray(params.styleProperties) && params.styleProperties.length > 0
+        ? params.styleProperties.map(String)
+        : DEFAULT_STYLE_PROPERTIES,
+    };
+    const depth = Math.min(Math.max(parseInt(params.depth, 10) || 0, 0), 5);
+    const maxElements = Math.min(Math.max(parseInt(params.maxElements, 10) || 5, 1), 50);
+
+    return {
+      url: window.location.href,
+      selector: params.selector,
+      matchCount: matches.length,
+      elements: matches.slice(0, maxElements).map(el => ({
+        fullSelector: getFullSelector(el),
+        parentSelector: el.parentElement ? getFullSelector(el.parentElement) : null,
+        siblingIndex: el.parentElement ? Array.from(el.parentElement.children).indexOf(el) : 0,
+        siblingCount: el.parentElement ? el.parentElement.children.length : 1,
+        ...serializeElement(el, options, depth),
+      })),
+    };
+  }
+
+  // capture_screenshot: fresh screenshot of an element, the viewport or the full page
+  async function captureScreenshotForRequest(params) {
+    let target;
+    let boundingRect = null;
+    if (params.selector) {
+      let el;
+      try {
+        el = document.querySelector(params.selector);
+      } catch {
+        throw new Error(`Invalid selector: ${params.selector}`);
+      }
+      if (!el) throw new Error(`No element matches '${params.selector}'`);
+      target = el;
+      const rect = el.getBoundingClientRect();
+      boundingRect = { top: rect.top, left: rect.left, width: rect.width, height: rect.height };
+    } else if (!params.fullPage) {
+      target = getViewportRect();
+    }
+
+    const screenshot = await captureScreenshot(target);
+    if (!screenshot) {
+      throw new Error('Screenshot capture failed (html2canvas could not be loaded or could not render the page)');
+    }
+
+    return {
+      url: window.location.href,
+      selector: params.selector || null,
+      mode: params.selector ? 'element' : params.fullPage ? 'full_page' : 'viewport',
+      capturedAt: new Date().toISOString(),
+      viewport: {
+        width: window.innerWidth,
+        height: window.innerHeight,
+        devicePixelRatio: window.devicePixelRatio,
       },
+      boundingRect,
+      screenshot,
+    };
+  }
+
+  // Find a previously reported element by fullSelector, falling back to the short
+  // selector. Returns { el, matchedBy } (both null when neither matches).
+  function relocateElement({ selector, fullSelector }) {
+    for (const [key, value] of [['fullSelector', fullSelector], ['selector', selector]]) {
+      if (!value) continue;
+      let el = null;
+      try {
+        el = document.querySelector(value);
+      } catch {
+        el = null;
+      }
+      if (el) return { el, matchedBy: key };
+    }
+    return { el: null, matchedBy: null };
+  }
+
+  // verify_element: re-locate a previously reported element and capture its current
+  // state for comparison. The screenshot is cropped like the original one: to all
+  // elements of a multi-selection (`target.elements`), or to the same area of the
+  // page for a region (`target.region`, which has no element to re-locate).
+  async function verifyElement(params) {
+    const result = {
+      url: window.location.href,
+      capturedAt: new Date().toISOString(),
+    };
+    if (params.target?.region) {
+      return { ...result, found: true, matchedBy: 'region', screenshot: await captureScreenshot(params.target.region) };
+    }
+
+    const { el, matchedBy } = relocateElement(params);
+    result.found = Boolean(el);
+    result.matchedBy = matchedBy;
+    if (!el) return result;
+
+    const rect = el.getBoundingClientRect();
+    const properties = Array.isArray(params.styleProperties) && params.styleProperties.length > 0
+      ? params.styleProperties
+      : DEFAULT_STYLE_PROPERTIES;
+    result.element = {
+      selector: getElementSelector(el),
+      fullSelector: getFullSelector(el),
+      boundingRect: { top: rect.top, left: rect.left, width: rect.width, height: rect.height },
+      computedStyles: pickComputedStyles(el, properties),
+    };
+    const selection = Array.isArray(params.target?.elements)
+      ? params.target.elements.map(selectors => relocateElement(selectors).el).filter(Boolean)
+      : [];
+    result.screenshot = await captureScreenshot(selection.length > 1 ? selection : el);
+    return result;
+  }
+
+  // Handlers for requests sent by MCP tools (widget_request -> widget_response)
+  const requestHandlers = {
+    inspect_element: inspectElements,
+    capture_screenshot: captureScreenshotForRequest,
+    highlight_elements: highlightElements,
+    verify_element: verifyElement,
+  };
+
+  async function handleWidgetRequest(message) {
+    const response = { type: 'widget_response', requestId: message.requestId };
+    try {
+      const handler = requestHandlers[message.method];
+      if (!handler) throw new Error(`Unsupported request: ${message.method}`);
+      response.result = await handler(message.params || {});
+    } catch (err) {
+      response.error = err?.message || String(err);
+    }
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(response));
+    }
+  }
+
+  // ============================================
+  // Highlights (elements pointed out by Claude)
+  // ============================================
+
+  const HIGHLIGHT_DEFAULT_DURATION_MS = 30000;
+  const HIGHLIGHT_MAX_PER_SELECTOR = 10;
+  let claudeHighlights = { items: [], timer: null, onViewportChange: null };
+
+  // Position the outlines and the message bubble over their elements
+  function positionClaudeHighlights() {
+    for (const item of claudeHighlights.items) {
+      const rect = item.el.getBoundingClientRect();
+      item.box.style.top = rect.top + 'px';
+      item.box.style.left = rect.left + 'px';
+      item.box.style.width = rect.width + 'px';
+      item.box.style.height = rect.height + 'px';
+    }
+
+    const bubble = getEl(`${WIDGET_ID}-claude-message`);
+    if (!bubble || !bubble.classList.contains('active')) return;
+    const first = claudeHighlights.items[0];
+    const anchor = first ? first.el.getBoundingClientRect() : null;
+    const bubbleHeight = bubble.offsetHeight || 80;
+    const bubbleWidth = bubble.offsetWidth || 320;
+    // Below the first element, or above it when there is no room
+    let top = anchor ? anchor.bottom + 12 : 20;
+    if (anchor && top + bubbleHeight > window.innerHeight) {
+      top = Math.max(anchor.top - bubbleHeight - 28, 10);
+    }
+    const left = anchor ? anchor.left : (window.innerWidth - bubbleWidth) / 2;
+    bubble.style.top = Math.min(top, window.innerHeight - bubbleHeight - 10) + 'px';
+    bubble.style.left = Math.max(Math.min(left, window.innerWidth - bubbleWidth - 10), 10) + 'px';
+  }
+
+  function clearClaudeHighlights() {
+    if (claudeHighlights.timer) clearTimeout(claudeHighlights.timer);
+    if (claudeHighlights.onViewportChange) {
+      window.removeEventListener('scroll', claudeHighlights.onViewportChange, true);
+      window.removeEventListener('resize', claudeHighlights.onViewportChange);
+    }
+    claudeHighlights.items.forEach(item => item.box.remove());
+    claudeHighlights = { items: [], timer: null, onViewportChange: null };
+    const bubble = getEl(`${WIDGET_ID}-claude-message`);
+    if (bubble) bubble.classList.remove('active');
+  }
+
+  // highlight_elements: outline elements with labels and an optional message.
+  // Replaces any previous highlights; they clear on dismiss or after durationMs.
+  function highlightElements(params) {
+    const selectors = Array.isArray(params.selectors) ? params.selectors : [];
+    const labels = Array.isArray(params.labels) ? params.labels : [];
+    if (selectors.length === 0) throw new Error('No selectors given');
+
+    clearClaudeHighlights();
+    // Outlines share the hover highlight's style and sit next to it
+    const container = getEl(`${WIDGET_ID}-highlight`).parentNode;
+    const results = [];
+
+    selectors.forEach((selector, i) => {
+      let matches;
+      try {
+        matches = Array.from(document.querySelectorAll(selector))
+          .filter(el => !el.closest(`#${WIDGET_ID}`));
+      } catch {
+        results.push({ selector, error: 'Invalid selector' });
+        return;
+      }
+      const label = labels[i] ? String(labels[i]) : String(i + 1);
+      matches.slice(0, HIGHLIGHT_MAX_PER_SELECTOR).forEach(el => {
+        const box = document.createElement('div');
+        box.className = `${WIDGET_ID}-highlight labeled`;
+        const tag = document.createElement('span');
+        tag.textContent = label;
+        box.appendChild(tag);
+        container.appendChild(box);
+        claudeHighlights.items.push({ el, box });
+      });
+      results.push({ selector, label, matchCount: matches.length, highlighted: Math.min(matches.length, HIGHLIGHT_MAX_PER_SELECTOR) });
+    });
+
+    const highlightedCount = claudeHighlights.items.length;
+    if (highlightedCount > 0 || params.message) {
+      const bubble = getEl(`${WIDGET_ID}-claude-message`);
+      getEl(`${WIDGET_ID}-claude-message-text`).textContent = params.message
+        || `Claude highlighted ${highlightedCount} element${highlightedCount !== 1 ? 's' : ''}`;
+      bubble.classList.add('active');
+    }
+
+    const first = claudeHighlights.items[0];
+    if (first && typeof first.el.scrollIntoView === 'function') {
+      first.el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    claudeHighlights.onViewportChange = positionClaudeHighlights;
+    window.addEventListener('scroll', positionClaudeHighlights, true);
+    window.addEventListener('resize', positionClaudeHighlights);
+    positionClaudeHighlights();
+
+    const durationMs = params.durationMs ?? HIGHLIGHT_DEFAULT_DURATION_MS;
+    if (durationMs > 0) {
+      claudeHighlights.timer = setTimeout(clearClaudeHighlights, durationMs);
+    }
+
+    return {
+      url: window.location.href,
+      highlightedCount,
+      selectors: results,
     };
   }
 
@@ -941,20 +2107,15 @@
 
   let html2canvasPromise = null;
 
+  function getServerBaseUrl() {
+    return SERVER_URL;
+  }
+
   function loadHtml2Canvas() {
     if (typeof html2canvas !== 'undefined') return Promise.resolve();
     if (html2canvasPromise) return html2canvasPromise;
 
-    // Derive HTTP URL from WS_URL (same host/port)
-    let baseUrl;
-    try {
-      const wsUrl = new URL(WS_URL);
-      baseUrl = `http://${wsUrl.host}`;
-    } catch {
-      baseUrl = `http://localhost:9877`;
-    }
-
-    const url = `${baseUrl}/html2canvas.min.js`;
+    const url = `${getServerBaseUrl()}/html2canvas.min.js`;
 
     // Use fetch + new Function to avoid CSP script-src restrictions
     // (e.g. when loaded via browser extension on pages with strict CSP)
@@ -971,65 +2132,364 @@
         throw new Error('Failed to load html2canvas: ' + (err.message || err));
       });
 
-    return html2canvasPromise;
+    return html2canvasPromise;
+  }
+
+  // Smallest viewport rect containing all given elements
+  function getUnionRect(elements) {
+    const rects = elements.map(el => el.getBoundingClientRect());
+    const left = Math.min(...rects.map(r => r.left));
+    const top = Math.min(...rects.map(r => r.top));
+    const right = Math.max(...rects.map(r => r.right));
+    const bottom = Math.max(...rects.map(r => r.bottom));
+    return { left, top, width: right - left, height: bottom - top };
+  }
+
+  // The visible part of the page, as a screenshot target
+  function getViewportRect() {
+    return { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight };
+  }
+
+  // Bounding rect of a screenshot target (element, element list or region) in
+  // document coordinates, and the padding kept around it. A dragged region keeps
+  // the scroll offset it was selected at, so it is cropped exactly even if the page
+  // scrolled since.
+  function getCaptureRect(target) {
+    const isElementList = Array.isArray(target);
+    const isElement = !isElementList && typeof target.getBoundingClientRect === 'function';
+    const rect = isElementList ? getUnionRect(target) : isElement ? target.getBoundingClientRect() : target;
+    const isRegion = !isElementList && !isElement;
+    return {
+      rect: toPageRect(
+        rect,
+        isRegion && target.scrollX !== undefined ? target.scrollX : window.scrollX,
+        isRegion && target.scrollY !== undefined ? target.scrollY : window.scrollY
+      ),
+      padding: isRegion ? 0 : 50,
+    };
+  }
+
+  // target: an element or array of elements (cropped to their union + padding),
+  // or a viewport rect { left, top, width, height } (cropped exactly)
+  async function captureScreenshot(target) {
+    try {
+      await loadHtml2Canvas();
+    } catch (err) {
+      console.warn('[Claude Feedback] Could not load html2canvas:', err?.message || err);
+      return null;
+    }
+
+    if (typeof html2canvas === 'undefined') return null;
+
+    try {
+      const widgetHost = document.getElementById(WIDGET_ID);
+      const maskedRects = getMaskedRects();
+      const scroll = { scrollX: window.scrollX, scrollY: window.scrollY };
+      // Measure the target now, at the same scroll offset as the masks
+      const capture = target ? getCaptureRect(target) : null;
+      const canvas = await html2canvas(document.body, {
+        logging: false,
+        useCORS: true,
+        scale: 1,
+        ignoreElements: (el) => el === widgetHost,
+        // Hide masked text, values, images and backgrounds in the rendered copy, in
+        // case blurring isn't supported
+        onclone: (clonedDoc) => {
+          for (const el of clonedDoc.querySelectorAll(maskSelector)) {
+            if ('value' in el) el.value = '';
+            el.style.setProperty('color', 'transparent', 'important');
+            el.style.setProperty('background-image', 'none', 'important');
+            for (const media of [el, ...el.querySelectorAll('img, picture, video, canvas, svg')]) {
+              if (media.matches('img, picture, video, canvas, svg')) media.style.setProperty('visibility', 'hidden', 'important');
+            }
+          }
+        },
+      });
+      blurMaskedRects(canvas, maskedRects, scroll);
+
+      // If a target is provided, crop to its bounding rect (+ padding for elements)
+      if (capture) {
+        const crop = getCropRect(capture.rect, capture.padding, canvas.width, canvas.height);
+
+        const cropped = document.createElement('canvas');
+        cropped.width = crop.width;
+        cropped.height = crop.height;
+        const ctx = cropped.getContext('2d');
+        ctx.drawImage(canvas, crop.x, crop.y, crop.width, crop.height, 0, 0, crop.width, crop.height);
+        return cropped.toDataURL('image/jpeg', WIDGET_CONFIG.screenshotQuality);
+      }
+
+      return canvas.toDataURL('image/jpeg', WIDGET_CONFIG.screenshotQuality);
+    } catch (err) {
+      console.warn('[Claude Feedback] html2canvas failed:', err?.message || err);
+      return null;
+    }
+  }
+
+  // ============================================
+  // Annotation Editor (draw on the screenshot)
+  // ============================================
+
+  const ANNOTATION_COLOR = '#ef4444';
+
+  // Shapes are stored in screenshot pixel coordinates (see annotations.js)
+  const editor = {
+    tool: 'rect',
+    baseImage: null,      // Loaded screenshot image
+    baseDataUrl: null,    // Screenshot data URL as returned by captureScreenshot()
+    targetBox: null,      // The selection's box in the screenshot
+    shapes: [],
+    draft: null,          // Shape currently being drawn
+    capturePromise: null,
+    captureToken: 0,      // Invalidates captures that finish after the panel was closed
+  };
+
+  function setEditorStatus(text) {
+    const status = getEl(`${WIDGET_ID}-editor-status`);
+    if (status) status.textContent = text;
+  }
+
+  function resetEditor() {
+    editor.captureToken++;
+    editor.baseImage = null;
+    editor.baseDataUrl = null;
+    editor.targetBox = null;
+    editor.shapes = [];
+    editor.draft = null;
+    editor.capturePromise = null;
+    const canvas = getEl(`${WIDGET_ID}-editor-canvas`);
+    if (canvas) {
+      canvas.width = 0;
+      canvas.height = 0;
+      canvas.style.display = 'none';
+    }
+    setEditorStatus('');
+  }
+
+  // Capture a screenshot of the target (element or region) and load it into the editor canvas
+  function loadEditorScreenshot(target) {
+    resetEditor();
+    const token = editor.captureToken;
+    setEditorStatus('Capturing screenshot…');
+    if (target) {
+      const { rect, padding } = getCaptureRect(target);
+      editor.targetBox = getTargetBox(rect, padding);
+    }
+
+    editor.capturePromise = captureScreenshot(target).then((dataUrl) => {
+      if (token !== editor.captureToken) return null;
+      if (!dataUrl) {
+        setEditorStatus('Screenshot unavailable');
+        return null;
+      }
+      return new Promise((resolve) => {
+        const img = new Image();
+        img.onload = () => {
+          if (token !== editor.captureToken) {
+            resolve(null);
+            return;
+          }
+          const canvas = getEl(`${WIDGET_ID}-editor-canvas`);
+          editor.baseImage = img;
+          editor.baseDataUrl = dataUrl;
+          if (canvas) {
+            canvas.width = img.naturalWidth;
+            canvas.height = img.naturalHeight;
+            canvas.style.display = 'block';
+          }
+          setEditorStatus('');
+          renderEditor();
+          resolve(dataUrl);
+        };
+        img.onerror = () => {
+          setEditorStatus('Screenshot unavailable');
+          resolve(null);
+        };
+        img.src = dataUrl;
+      });
+    });
+
+    return editor.capturePromise;
   }
 
-  async function captureScreenshot(targetElement) {
-    try {
-      await loadHtml2Canvas();
-    } catch (err) {
-      console.warn('[Claude Feedback] Could not load html2canvas:', err?.message || err);
-      return null;
-    }
+  function drawShape(ctx, shape) {
+    ctx.save();
+    ctx.strokeStyle = shape.color;
+    ctx.fillStyle = shape.color;
+    ctx.lineWidth = 3;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    if (shape.type === 'rect') {
+      ctx.strokeRect(shape.x, shape.y, shape.width, shape.height);
+    } else if (shape.type === 'arrow') {
+      const { from, to } = shape;
+      const angle = Math.atan2(to.y - from.y, to.x - from.x);
+      const headLength = 14;
+      ctx.beginPath();
+      ctx.moveTo(from.x, from.y);
+      ctx.lineTo(to.x, to.y);
+      ctx.stroke();
+      ctx.beginPath();
+      ctx.moveTo(to.x, to.y);
+      ctx.lineTo(to.x - headLength * Math.cos(angle - Math.PI / 6), to.y - headLength * Math.sin(angle - Math.PI / 6));
+      ctx.lineTo(to.x - headLength * Math.cos(angle + Math.PI / 6), to.y - headLength * Math.sin(angle + Math.PI / 6));
+      ctx.closePath();
+      ctx.fill();
+    } else if (shape.type === 'freehand') {
+      ctx.beginPath();
+      shape.points.forEach((p, i) => {
+        if (i === 0) ctx.moveTo(p.x, p.y);
+        else ctx.lineTo(p.x, p.y);
+      });
+      ctx.stroke();
+    } else if (shape.type === 'text') {
+      ctx.font = 'bold 16px -apple-system, BlinkMacSystemFont, sans-serif';
+      ctx.textBaseline = 'top';
+      const width = ctx.measureText(shape.text).width;
+      // Light backdrop keeps the label readable on any background
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+      ctx.fillRect(shape.x - 3, shape.y - 3, width + 6, 22);
+      ctx.fillStyle = shape.color;
+      ctx.fillText(shape.text, shape.x, shape.y);
+    }
+
+    ctx.restore();
+  }
 
-    if (typeof html2canvas === 'undefined') return null;
+  function renderEditor() {
+    const canvas = getEl(`${WIDGET_ID}-editor-canvas`);
+    if (!canvas || !editor.baseImage) return;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(editor.baseImage, 0, 0);
+    editor.shapes.forEach(shape => drawShape(ctx, shape));
+    if (editor.draft) drawShape(ctx, editor.draft);
+  }
 
-    try {
-      const widgetHost = document.getElementById(WIDGET_ID);
-      const canvas = await html2canvas(document.body, {
-        logging: false,
-        useCORS: true,
-        scale: 1,
-        ignoreElements: (el) => el === widgetHost,
+  // Map a pointer event to screenshot pixel coordinates (the canvas is scaled down by CSS)
+  function getEditorPoint(canvas, e) {
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: Math.round((e.clientX - rect.left) * canvas.width / rect.width),
+      y: Math.round((e.clientY - rect.top) * canvas.height / rect.height),
+    };
+  }
+
+  function bindEditorEvents() {
+    const canvas = getEl(`${WIDGET_ID}-editor-canvas`);
+    const toolbar = getEl(`${WIDGET_ID}-editor-toolbar`);
+
+    toolbar.querySelectorAll('button[data-tool]').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        editor.tool = btn.dataset.tool;
+        toolbar.querySelectorAll('button[data-tool]').forEach(b => b.classList.toggle('active', b === btn));
       });
+    });
 
-      // If a target element is provided, crop to its bounding rect + padding
-      if (targetElement) {
-        const rect = targetElement.getBoundingClientRect();
-        const padding = 50;
+    getEl(`${WIDGET_ID}-editor-undo`).addEventListener('click', () => {
+      editor.shapes.pop();
+      renderEditor();
+    });
 
-        const sx = Math.max(0, rect.left - padding);
-        const sy = Math.max(0, rect.top - padding);
-        const sw = Math.min(canvas.width - sx, rect.width + padding * 2);
-        const sh = Math.min(canvas.height - sy, rect.height + padding * 2);
+    getEl(`${WIDGET_ID}-editor-clear`).addEventListener('click', () => {
+      editor.shapes = [];
+      renderEditor();
+    });
 
-        const cropped = document.createElement('canvas');
-        cropped.width = sw;
-        cropped.height = sh;
-        const ctx = cropped.getContext('2d');
-        ctx.drawImage(canvas, sx, sy, sw, sh, 0, 0, sw, sh);
-        return cropped.toDataURL('image/jpeg', 0.7);
+    canvas.addEventListener('pointerdown', (e) => {
+      if (!editor.baseImage) return;
+      e.preventDefault();
+      const point = getEditorPoint(canvas, e);
+
+      if (editor.tool === 'text') {
+        const text = prompt('Label text:');
+        if (text && text.trim()) {
+          editor.shapes.push({ type: 'text', x: point.x, y: point.y, text: text.trim(), color: ANNOTATION_COLOR });
+          renderEditor();
+        }
+        return;
       }
 
-      return canvas.toDataURL('image/jpeg', 0.7);
-    } catch (err) {
-      console.warn('[Claude Feedback] html2canvas failed:', err?.message || err);
-      return null;
+      canvas.setPointerCapture(e.pointerId);
+      if (editor.tool === 'rect') {
+        editor.draft = { type: 'rect', x: point.x, y: point.y, width: 0, height: 0, color: ANNOTATION_COLOR };
+      } else if (editor.tool === 'arrow') {
+        editor.draft = { type: 'arrow', from: point, to: point, color: ANNOTATION_COLOR };
+      } else if (editor.tool === 'freehand') {
+        editor.draft = { type: 'freehand', points: [point], color: ANNOTATION_COLOR };
+      }
+    });
+
+    canvas.addEventListener('pointermove', (e) => {
+      if (!editor.draft) return;
+      const point = getEditorPoint(canvas, e);
+      if (editor.draft.type === 'rect') {
+        editor.draft.width = point.x - editor.draft.x;
+        editor.draft.height = point.y - editor.draft.y;
+      } else if (editor.draft.type === 'arrow') {
+        editor.draft.to = point;
+      } else if (editor.draft.type === 'freehand') {
+        editor.draft.points.push(point);
+      }
+      renderEditor();
+    });
+
+    function endDraft() {
+      if (!editor.draft) return;
+      const shape = finalizeShape(editor.draft);
+      editor.draft = null;
+      if (shape) editor.shapes.push(shape);
+      renderEditor();
     }
+    canvas.addEventListener('pointerup', endDraft);
+    canvas.addEventListener('pointercancel', endDraft);
+  }
+
+  // Screenshot to submit: the captured image with any drawn shapes flattened into it
+  async function getAnnotatedScreenshot() {
+    if (editor.capturePromise) await editor.capturePromise;
+    if (!editor.baseImage) return null;
+    if (editor.shapes.length === 0) return editor.baseDataUrl;
+    editor.draft = null;
+    renderEditor();
+    return getEl(`${WIDGET_ID}-editor-canvas`).toDataURL('image/jpeg', WIDGET_CONFIG.screenshotQuality);
+  }
+
+  // Drawn shapes as vector data, in the coordinate space of the submitted screenshot
+  function getAnnotationData() {
+    if (!editor.baseImage) return null;
+    return serializeAnnotations(editor.shapes, {
+      width: editor.baseImage.naturalWidth,
+      height: editor.baseImage.naturalHeight,
+      target: editor.targetBox,
+    });
   }
 
   // ============================================
   // WebSocket Connection
   // ============================================
 
+  // The server's /ws endpoint for this session, plus the auth token the server
+  // checks during the handshake
+  function getWebSocketUrl() {
+    const url = new URL('/ws', SERVER_URL);
+    url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+    if (WIDGET_CONFIG.session) url.searchParams.set('session', WIDGET_CONFIG.session);
+    url.searchParams.set('token', AUTH_TOKEN);
+    return url.toString();
+  }
+
   function connectWebSocket() {
     try {
-      ws = new WebSocket(WS_URL);
+      ws = new WebSocket(getWebSocketUrl());
       
       ws.onopen = () => {
         isConnected = true;
         updateButtonState();
         console.log('[Claude Feedback] Connected to feedback server');
+        // Tell the server which page this tab shows, so Claude can target it
+        ws.send(JSON.stringify({ type: 'client_info', url: window.location.href, title: document.title }));
       };
       
       ws.onclose = () => {
@@ -1088,20 +2548,21 @@
     const exportFooter = getEl(`${WIDGET_ID}-queue-footer`);
 
     const items = getAllPendingItems();
-    const hasPending = items.length > 0;
+    const count = items.length + draftItems.length;
+    const hasPending = count > 0;
 
     // Toggle between single button and button group
     if (mainButton) mainButton.style.display = hasPending ? 'none' : 'flex';
     if (buttonGroup) buttonGroup.classList.toggle('visible', hasPending);
     const prevCount = pendingCount ? parseInt(pendingCount.textContent, 10) || 0 : 0;
-    if (pendingCount) pendingCount.textContent = items.length;
+    if (pendingCount) pendingCount.textContent = count;
 
     // Hide Send button when offline, show export footer when items exist
     if (sendBtnGroup) sendBtnGroup.style.display = isConnected ? '' : 'none';
-    if (exportFooter) exportFooter.style.display = hasPending ? 'flex' : 'none';
+    if (exportFooter) exportFooter.style.display = items.length > 0 ? 'flex' : 'none';
 
     // Subtle bump animation when count increases
-    if (pendingCount && items.length > prevCount) {
+    if (pendingCount && count > prevCount) {
       pendingCount.style.animation = 'none';
       // Force reflow to restart animation
       void pendingCount.offsetWidth;
@@ -1116,11 +2577,13 @@
       const existingItems = queueList.querySelectorAll(`.${WIDGET_ID}-queue-item`);
       existingItems.forEach(item => item.remove());
 
-      if (items.length === 0) {
+      if (!hasPending) {
         if (queueEmpty) queueEmpty.style.display = 'block';
       } else {
         if (queueEmpty) queueEmpty.style.display = 'none';
 
+        draftItems.forEach(draft => queueList.appendChild(createDraftQueueItem(draft)));
+
         items.forEach(item => {
           const itemEl = document.createElement('div');
           itemEl.className = `${WIDGET_ID}-queue-item`;
@@ -1131,7 +2594,7 @@
 
           const selectorEl = document.createElement('div');
           selectorEl.className = `${WIDGET_ID}-queue-item-selector`;
-          selectorEl.textContent = item.selector || item.element?.selector || 'Unknown element';
+          selectorEl.textContent = describeTarget(item);
           contentEl.appendChild(selectorEl);
 
           if (item.description) {
@@ -1170,6 +2633,7 @@
     if (panel) {
       isPendingQueueOpen = !isPendingQueueOpen;
       panel.classList.toggle('active', isPendingQueueOpen);
+      if (isPendingQueueOpen) closeHistoryPanel();
     }
   }
 
@@ -1182,6 +2646,323 @@
     }
   }
 
+  // ============================================
+  // Error Drafts (captureErrors)
+  // ============================================
+
+  // A draft feedback item for an uncaught error, shown in the queue for the user to
+  // confirm, edit or discard. Repeats of an error are counted on its draft.
+  function addErrorDraft({ type, message, stack, source }) {
+    const signature = getErrorSignature({ type, message, source });
+    const match = matchErrorDraft(draftItems, signature);
+    if (match.action === 'count') {
+      match.draft.feedback.error.occurrences++;
+      if (shadowRoot) updatePendingUI();
+      return;
+    }
+    if (match.action === 'drop') return;
+
+    const feedback = createFeedback({ description: redact(`${ERROR_LABELS[type]}: ${message}`) });
+    feedback.error = {
+      type,
+      message: redact(message),
+      stack: stack ? redact(stack) : null,
+      source,
+      occurrences: 1,
+      breadcrumbs: getBreadcrumbs(consoleLogs, networkErrors, redact),
+    };
+    const draft = { feedback, signature, ready: Promise.resolve() };
+    if (WIDGET_CONFIG.capture.screenshot) {
+      draft.ready = captureScreenshot(getViewportRect()).then((screenshot) => {
+        feedback.screenshot = screenshot;
+      });
+    }
+    draftItems.push(draft);
+    if (shadowRoot) {
+      updatePendingUI();
+      showNotification(`${ERROR_LABELS[type]} saved as a draft. Review it under Pending`);
+    }
+  }
+
+  // Move a draft into the pending queue, once its screenshot is ready
+  async function confirmDraft(draft) {
+    await draft.ready;
+    if (!draftItems.includes(draft)) return;
+    draftItems = draftItems.filter(d => d !== draft);
+    if (editingDraftId === draft.feedback.id) editingDraftId = null;
+    queueFeedback(draft.feedback);
+    updatePendingUI();
+  }
+
+  function discardDraft(draft) {
+    draftItems = draftItems.filter(d => d !== draft);
+    if (editingDraftId === draft.feedback.id) editingDraftId = null;
+    updatePendingUI();
+  }
+
+  function createDraftQueueItem(draft) {
+    const { feedback } = draft;
+    const itemEl = document.createElement('div');
+    itemEl.className = `${WIDGET_ID}-queue-item ${WIDGET_ID}-queue-item-draft`;
+    itemEl.dataset.id = feedback.id;
+
+    const contentEl = document.createElement('div');
+    contentEl.className = `${WIDGET_ID}-queue-item-content`;
+
+    const labelEl = document.createElement('div');
+    labelEl.className = `${WIDGET_ID}-queue-item-selector`;
+    const { source, occurrences } = feedback.error;
+    const location = source ? ` · ${source.file.split('/').pop()}:${source.line}` : '';
+    labelEl.textContent = `Draft${location}${occurrences > 1 ? ` · ×${occurrences}` : ''}`;
+    contentEl.appendChild(labelEl);
+
+    if (editingDraftId === feedback.id) {
+      const form = document.createElement('div');
+      form.className = `${WIDGET_ID}-history-followup`;
+      const textarea = document.createElement('textarea');
+      textarea.value = feedback.description;
+      textarea.addEventListener('input', () => {
+        feedback.description = textarea.value;
+      });
+      const doneBtn = document.createElement('button');
+      doneBtn.textContent = 'Done';
+      doneBtn.addEventListener('click', () => {
+        editingDraftId = null;
+        updatePendingUI();
+      });
+      form.appendChild(textarea);
+      form.appendChild(doneBtn);
+      contentEl.appendChild(form);
+      setTimeout(() => textarea.focus(), 0);
+    } else {
+      const descEl = document.createElement('div');
+      descEl.className = `${WIDGET_ID}-queue-item-description`;
+      descEl.textContent = feedback.description;
+      contentEl.appendChild(descEl);
+    }
+
+    const actionsEl = document.createElement('div');
+    actionsEl.className = `${WIDGET_ID}-draft-actions`;
+    const actions = [
+      ['Add to pending', 'Keep this error as a feedback item', () => confirmDraft(draft)],
+      ['Edit', 'Edit the description', () => {
+        editingDraftId = feedback.id;
+        updatePendingUI();
+      }],
+      ['Discard', 'Discard this draft', () => discardDraft(draft)],
+    ];
+    for (const [label, title, onClick] of actions) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = label;
+      button.title = title;
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        onClick();
+      });
+      actionsEl.appendChild(button);
+    }
+    contentEl.appendChild(actionsEl);
+
+    itemEl.appendChild(contentEl);
+    return itemEl;
+  }
+
+  // ============================================
+  // Feedback History (sent items and Claude's replies)
+  // ============================================
+
+  const SEEN_REPLIES_KEY = 'claude-feedback-seen-replies';
+  const STATUS_LABELS = {
+    open: 'Open',
+    in_progress: 'In progress',
+    resolved: 'Resolved',
+    wontfix: "Won't fix",
+  };
+  const HISTORY_FILTERS = {
+    all: () => true,
+    open: item => item.status === 'open' || item.status === 'in_progress',
+    resolved: item => item.status === 'resolved' || item.status === 'wontfix',
+  };
+
+  // Replies and resolutions from Claude, used for the unread badge
+  function countClaudeReplies(item) {
+    const replies = (item.replies || []).filter(r => r.from === 'claude').length;
+    const resolutions = (item.statusHistory || []).filter(c => c.by === 'claude' && c.status !== 'in_progress').length;
+    return replies + resolutions;
+  }
+
+  // Latest note Claude left when changing the status (e.g. what was fixed)
+  function getStatusNote(item) {
+    const change = [...(item.statusHistory || [])].reverse().find(c => c.status === item.status);
+    return change?.note || null;
+  }
+
+  // Number of Claude updates the user has seen per item, kept across reloads
+  // (Claude often answers "please reload")
+  function getSeenReplies() {
+    try {
+      return JSON.parse(localStorage.getItem(SEEN_REPLIES_KEY)) || {};
+    } catch {
+      return {};
+    }
+  }
+
+  function markRepliesSeen() {
+    const seen = {};
+    historyItems.forEach(item => { seen[item.id] = countClaudeReplies(item); });
+    try {
+      localStorage.setItem(SEEN_REPLIES_KEY, JSON.stringify(seen));
+    } catch {
+      // Storage unavailable (private mode, sandboxed iframe)
+    }
+  }
+
+  function setHistoryItems(items) {
+    const previousReplies = new Map(historyItems.map(item => [item.id, countClaudeReplies(item)]));
+    const hadHistory = historyItems.length > 0;
+    historyItems = Array.isArray(items) ? items : [];
+
+    const newReply = hadHistory && historyItems.some(item => countClaudeReplies(item) > (previousReplies.get(item.id) || 0));
+    if (newReply) showSuccess('Claude updated your feedback');
+    if (isHistoryOpen) markRepliesSeen();
+    updateHistoryUI();
+  }
+
+  function updateHistoryUI() {
+    const historyBtn = getEl(`${WIDGET_ID}-history-btn`);
+    const unreadBadge = getEl(`${WIDGET_ID}-history-unread`);
+    const list = getEl(`${WIDGET_ID}-history-list`);
+    const empty = getEl(`${WIDGET_ID}-history-empty`);
+
+    const seen = getSeenReplies();
+    const unread = historyItems.filter(item => countClaudeReplies(item) > (seen[item.id] || 0)).length;
+    if (historyBtn) historyBtn.classList.toggle('visible', historyItems.length > 0);
+    if (unreadBadge) {
+      unreadBadge.textContent = unread;
+      unreadBadge.classList.toggle('visible', unread > 0);
+    }
+
+    const filters = getEl(`${WIDGET_ID}-history-filters`);
+    if (filters) {
+      filters.querySelectorAll('button').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.filter === historyFilter);
+      });
+    }
+
+    if (!list) return;
+    list.querySelectorAll(`.${WIDGET_ID}-queue-item`).forEach(el => el.remove());
+    const visibleItems = historyItems.filter(HISTORY_FILTERS[historyFilter] || HISTORY_FILTERS.all);
+    if (empty) {
+      empty.style.display = visibleItems.length === 0 ? 'block' : 'none';
+      empty.textContent = historyItems.length === 0 ? 'No feedback sent yet' : `No ${historyFilter} feedback`;
+    }
+
+    // Newest first
+    [...visibleItems].reverse().forEach(item => {
+      const itemEl = document.createElement('div');
+      itemEl.className = `${WIDGET_ID}-queue-item`;
+      itemEl.dataset.id = item.id;
+
+      const contentEl = document.createElement('div');
+      contentEl.className = `${WIDGET_ID}-queue-item-content`;
+
+      const selectorEl = document.createElement('div');
+      selectorEl.className = `${WIDGET_ID}-queue-item-selector`;
+      selectorEl.textContent = item.selector || 'Unknown element';
+      const statusEl = document.createElement('span');
+      statusEl.className = `${WIDGET_ID}-history-status ${item.status}`;
+      statusEl.textContent = STATUS_LABELS[item.status] || item.status;
+      selectorEl.appendChild(statusEl);
+      contentEl.appendChild(selectorEl);
+
+      const statusNote = getStatusNote(item);
+      if (statusNote) {
+        const noteEl = document.createElement('div');
+        noteEl.className = `${WIDGET_ID}-history-note`;
+        noteEl.textContent = `${STATUS_LABELS[item.status] || item.status}: ${statusNote}`;
+        contentEl.appendChild(noteEl);
+      }
+
+      if (item.description) {
+        const descEl = document.createElement('div');
+        descEl.className = `${WIDGET_ID}-queue-item-description`;
+        descEl.textContent = item.description;
+        contentEl.appendChild(descEl);
+      }
+
+      const timeEl = document.createElement('div');
+      timeEl.className = `${WIDGET_ID}-queue-item-time`;
+      timeEl.textContent = `Sent ${formatRelativeTime(item.sentAt)}`;
+      contentEl.appendChild(timeEl);
+
+      (item.replies || []).forEach(reply => {
+        const replyEl = document.createElement('div');
+        replyEl.className = `${WIDGET_ID}-history-reply from-${reply.from}`;
+        const author = document.createElement('span');
+        author.className = `${WIDGET_ID}-history-reply-author`;
+        author.textContent = reply.from === 'claude' ? 'Claude:' : 'You:';
+        replyEl.appendChild(author);
+        replyEl.appendChild(document.createTextNode(reply.text));
+        contentEl.appendChild(replyEl);
+      });
+
+      const reopenBtn = document.createElement('button');
+      reopenBtn.className = `${WIDGET_ID}-history-reopen`;
+      reopenBtn.textContent = 'Reopen with follow-up';
+      reopenBtn.addEventListener('click', () => {
+        reopenBtn.style.display = 'none';
+        contentEl.appendChild(createFollowUpForm(item.id));
+      });
+      contentEl.appendChild(reopenBtn);
+
+      itemEl.appendChild(contentEl);
+      list.appendChild(itemEl);
+    });
+  }
+
+  function createFollowUpForm(id) {
+    const form = document.createElement('div');
+    form.className = `${WIDGET_ID}-history-followup`;
+    const textarea = document.createElement('textarea');
+    textarea.placeholder = 'What is still wrong?';
+    const sendBtn = document.createElement('button');
+    sendBtn.textContent = 'Add follow-up';
+    sendBtn.addEventListener('click', () => {
+      const comment = textarea.value.trim();
+      if (!comment) return;
+      if (!ws || ws.readyState !== WebSocket.OPEN) {
+        showError('Not connected to the feedback server');
+        return;
+      }
+      ws.send(JSON.stringify({ type: 'reopen_feedback', id, comment }));
+    });
+    form.appendChild(textarea);
+    form.appendChild(sendBtn);
+    setTimeout(() => textarea.focus(), 0);
+    return form;
+  }
+
+  function toggleHistoryPanel() {
+    const panel = getEl(`${WIDGET_ID}-history-panel`);
+    if (!panel) return;
+    isHistoryOpen = !isHistoryOpen;
+    panel.classList.toggle('active', isHistoryOpen);
+    if (isHistoryOpen) {
+      closeQueuePanel();
+      markRepliesSeen();
+      updateHistoryUI();
+    }
+  }
+
+  function closeHistoryPanel() {
+    const panel = getEl(`${WIDGET_ID}-history-panel`);
+    if (panel) {
+      isHistoryOpen = false;
+      panel.classList.remove('active');
+    }
+  }
+
   // Delete a pending item
   function deletePendingItem(id) {
     if (isConnected && ws && ws.readyState === WebSocket.OPEN) {
@@ -1197,6 +2978,7 @@
 
   function handleServerMessage(message) {
     if (message.type === 'connected') {
+      setRedactionConfig(message.redaction);
       if (message.sessionWarning) {
         console.warn('[Claude Feedback]', message.sessionWarning);
       }
@@ -1224,6 +3006,19 @@
       showItemAdded();
     } else if (message.type === 'sent_to_claude') {
       showBatchSuccess(message.count);
+      emitApiEvent('sent', { count: message.count, ids: message.ids || [] });
+    } else if (message.type === 'feedback_history') {
+      setHistoryItems(message.items);
+    } else if (message.type === 'feedback_reopened') {
+      if (message.success) {
+        showSuccess('Follow-up added to pending feedback');
+      } else {
+        showError('Could not reopen this feedback');
+      }
+    } else if (message.type === 'redaction_config') {
+      setRedactionConfig(message.redaction);
+    } else if (message.type === 'widget_request') {
+      handleWidgetRequest(message);
     }
   }
 
@@ -1238,6 +3033,19 @@
     }
   }
 
+  // Send the pending items to Claude. Returns false when there is nothing to send or
+  // no connection to the server.
+  function submitPendingItems() {
+    if (!ws || ws.readyState !== WebSocket.OPEN || pendingItems.length === 0) return false;
+    ws.send(JSON.stringify({ type: 'send_to_claude' }));
+    return true;
+  }
+
+  // open() from the handle: a no-op until the widget is in the page
+  function openAnnotation() {
+    if (shadowRoot) startAnnotationMode();
+  }
+
   // ============================================
   // Event Handlers
   // ============================================
@@ -1269,19 +3077,28 @@
 
     // "Pending" button — toggle queue panel
     pendingBtn.addEventListener('click', () => {
-      if (pendingItems.length > 0) toggleQueuePanel();
+      if (getAllPendingItems().length > 0 || draftItems.length > 0) toggleQueuePanel();
     });
 
     // "Send" button — send to claude
-    sendBtnGroup.addEventListener('click', () => {
-      if (ws && ws.readyState === WebSocket.OPEN && pendingItems.length > 0) {
-        ws.send(JSON.stringify({ type: 'send_to_claude' }));
-      }
-    });
+    sendBtnGroup.addEventListener('click', submitPendingItems);
 
     // Queue panel close button
     queueCloseBtn.addEventListener('click', closeQueuePanel);
 
+    // History button and panel
+    getEl(`${WIDGET_ID}-history-btn`).addEventListener('click', toggleHistoryPanel);
+    getEl(`${WIDGET_ID}-history-close`).addEventListener('click', closeHistoryPanel);
+    getEl(`${WIDGET_ID}-history-filters`).addEventListener('click', (e) => {
+      const filter = e.target.closest('button')?.dataset.filter;
+      if (!filter) return;
+      historyFilter = filter;
+      updateHistoryUI();
+    });
+
+    // Dismiss highlights shown by Claude
+    getEl(`${WIDGET_ID}-claude-message-dismiss`).addEventListener('click', clearClaudeHighlights);
+
     // Export Markdown button
     const exportMdBtn = getEl(`${WIDGET_ID}-export-md-btn`);
     exportMdBtn.addEventListener('click', () => {
@@ -1384,9 +3201,69 @@
     _listeners.onWindowResize = onWindowResize;
     window.addEventListener('resize', onWindowResize);
 
+    // Region selection: toggle button, or hold Alt while dragging
+    const regionBox = getEl(`${WIDGET_ID}-region`);
+    const regionToggle = getEl(`${WIDGET_ID}-region-toggle`);
+    let regionDrag = null;          // { startX, startY, rect } while dragging
+    let suppressNextClick = false;  // The click that ends a drag must not select an element
+
+    regionToggle.addEventListener('click', (e) => {
+      e.stopPropagation();
+      setRegionMode(!isRegionMode);
+    });
+
+    overlay.addEventListener('mousedown', (e) => {
+      if (!isAnnotationMode || !(isRegionMode || e.altKey)) return;
+      e.preventDefault();
+      regionDrag = { startX: e.clientX, startY: e.clientY, rect: null };
+      highlight.style.display = 'none';
+      tooltip.style.display = 'none';
+    });
+
+    overlay.addEventListener('mouseup', () => {
+      if (!regionDrag) return;
+      const rect = regionDrag.rect;
+      regionDrag = null;
+      suppressNextClick = true;
+      if (!rect || rect.width < 5 || rect.height < 5) {
+        regionBox.style.display = 'none';
+        return;
+      }
+
+      const { elements, total } = getElementsInRegion(rect);
+      selectedRegion = {
+        ...rect,
+        scrollX: window.scrollX,
+        scrollY: window.scrollY,
+        elements,
+        elementCount: total,
+      };
+      selectedElement = null;
+      stopAnnotationMode();
+      showPanel();
+    });
+
     // Overlay mouse events
     overlay.addEventListener('mousemove', (e) => {
       if (!isAnnotationMode) return;
+
+      if (regionDrag) {
+        const rect = {
+          left: Math.min(regionDrag.startX, e.clientX),
+          top: Math.min(regionDrag.startY, e.clientY),
+          width: Math.abs(e.clientX - regionDrag.startX),
+          height: Math.abs(e.clientY - regionDrag.startY),
+        };
+        regionDrag.rect = rect;
+        regionBox.classList.remove('selected');
+        regionBox.style.display = 'block';
+        regionBox.style.left = rect.left + 'px';
+        regionBox.style.top = rect.top + 'px';
+        regionBox.style.width = rect.width + 'px';
+        regionBox.style.height = rect.height + 'px';
+        return;
+      }
+      if (isRegionMode) return;
       
       // Get element under cursor (temporarily hide overlay)
       overlay.style.pointerEvents = 'none';
@@ -1420,13 +3297,31 @@
     });
 
     overlay.addEventListener('click', (e) => {
-      if (!isAnnotationMode || !hoveredElement) return;
+      if (suppressNextClick) {
+        suppressNextClick = false;
+        return;
+      }
+      if (!isAnnotationMode || isRegionMode || !hoveredElement) return;
       e.preventDefault();
       e.stopPropagation();
-      
-      selectedElement = hoveredElement;
-      stopAnnotationMode();
-      showPanel();
+
+      // Shift+click toggles the element in a multi-selection and keeps annotating
+      if (e.shiftKey) {
+        const index = selectedElements.indexOf(hoveredElement);
+        if (index >= 0) {
+          selectedElements.splice(index, 1);
+        } else {
+          selectedElements.push(hoveredElement);
+        }
+        renderSelectionMarkers();
+        updateMultiSelectInstructions();
+        return;
+      }
+
+      if (selectedElements.length > 0 && !selectedElements.includes(hoveredElement)) {
+        selectedElements.push(hoveredElement);
+      }
+      finishElementSelection(selectedElements.length > 0 ? selectedElements : [hoveredElement]);
     });
 
     // Global keyboard shortcuts
@@ -1444,11 +3339,30 @@
           closeQueuePanel();
           return;
         }
+        if (isHistoryOpen) {
+          e.stopPropagation();
+          closeHistoryPanel();
+          return;
+        }
         if (isAnnotationMode) {
           e.stopPropagation();
+          selectedElements = [];
+          renderSelectionMarkers();
           stopAnnotationMode();
           return;
         }
+        if (claudeHighlights.items.length > 0) {
+          clearClaudeHighlights();
+          return;
+        }
+      }
+
+      // Enter finishes a Shift+click multi-selection
+      if (e.key === 'Enter' && isAnnotationMode && selectedElements.length > 0) {
+        e.preventDefault();
+        e.stopPropagation();
+        finishElementSelection(selectedElements);
+        return;
       }
 
       // Shift+C to start annotation mode
@@ -1493,30 +3407,111 @@
       }
     });
 
+    // Re-capture or hide the editor when the screenshot option is toggled
+    const includeScreenshotCheckbox = getEl(`${WIDGET_ID}-include-screenshot`);
+    includeScreenshotCheckbox.addEventListener('change', () => {
+      const editorEl = getEl(`${WIDGET_ID}-editor`);
+      const target = getSelectionTarget();
+      if (includeScreenshotCheckbox.checked && target) {
+        editorEl.style.display = 'block';
+        if (!editor.baseImage && !editor.capturePromise) loadEditorScreenshot(target);
+      } else {
+        editorEl.style.display = 'none';
+      }
+    });
+
+    bindEditorEvents();
+
     // Panel buttons
     closeBtn.addEventListener('click', hidePanel);
     cancelBtn.addEventListener('click', hidePanel);
     sendBtn.addEventListener('click', addItem);
   }
 
+  // Outline every element of a multi-selection with its position number
+  function renderSelectionMarkers() {
+    const container = getEl(`${WIDGET_ID}-selection-markers`);
+    if (!container) return;
+    container.innerHTML = '';
+    selectedElements.forEach((el, i) => {
+      const rect = el.getBoundingClientRect();
+      const marker = document.createElement('div');
+      marker.className = `${WIDGET_ID}-selection-marker`;
+      marker.style.top = rect.top + 'px';
+      marker.style.left = rect.left + 'px';
+      marker.style.width = rect.width + 'px';
+      marker.style.height = rect.height + 'px';
+      const label = document.createElement('span');
+      label.textContent = String(i + 1);
+      marker.appendChild(label);
+      container.appendChild(marker);
+    });
+  }
+
+  function updateMultiSelectInstructions() {
+    const text = getEl(`${WIDGET_ID}-instructions-text`);
+    if (!text) return;
+    const count = selectedElements.length;
+    text.innerHTML = count > 0
+      ? `${count} element${count !== 1 ? 's' : ''} selected. <strong>Shift+click</strong> to add more, click or press <strong>Enter</strong> to finish`
+      : DEFAULT_INSTRUCTIONS;
+  }
+
+  // Open the panel for one or more picked elements (the first is the primary element)
+  function finishElementSelection(elements) {
+    selectedElements = elements.length > 1 ? [...elements] : [];
+    selectedElement = elements[0];
+    selectedRegion = null;
+    stopAnnotationMode();
+    renderSelectionMarkers();
+    showPanel();
+  }
+
+  // Screenshot target for the current selection
+  function getSelectionTarget() {
+    if (selectedElements.length > 1) return selectedElements;
+    return selectedElement || selectedRegion;
+  }
+
   function startAnnotationMode() {
+    selectedElements = [];
+    renderSelectionMarkers();
     isAnnotationMode = true;
     getEl(`${WIDGET_ID}-overlay`).classList.add('active');
     getEl(`${WIDGET_ID}-instructions`).classList.add('active');
   }
 
+  function setRegionMode(enabled) {
+    isRegionMode = enabled;
+    const toggle = getEl(`${WIDGET_ID}-region-toggle`);
+    if (toggle) toggle.classList.toggle('active', enabled);
+    const text = getEl(`${WIDGET_ID}-instructions-text`);
+    if (text) {
+      text.innerHTML = enabled
+        ? 'Drag to select a region, or press <strong>Escape</strong> to cancel'
+        : DEFAULT_INSTRUCTIONS;
+    }
+    if (enabled) {
+      getEl(`${WIDGET_ID}-highlight`).style.display = 'none';
+      getEl(`${WIDGET_ID}-tooltip`).style.display = 'none';
+    }
+  }
+
   function stopAnnotationMode() {
     isAnnotationMode = false;
     hoveredElement = null;
+    setRegionMode(false);
     getEl(`${WIDGET_ID}-overlay`).classList.remove('active');
     getEl(`${WIDGET_ID}-instructions`).classList.remove('active');
     getEl(`${WIDGET_ID}-highlight`).style.display = 'none';
     getEl(`${WIDGET_ID}-tooltip`).style.display = 'none';
+    // Keep the dragged region visible while its panel is open
+    if (!selectedRegion) getEl(`${WIDGET_ID}-region`).style.display = 'none';
   }
 
   async function showPanel() {
     const panel = getEl(`${WIDGET_ID}-panel`);
-    const screenshotEl = getEl(`${WIDGET_ID}-screenshot-preview`);
+    const editorEl = getEl(`${WIDGET_ID}-editor`);
     const elementInfoEl = getEl(`${WIDGET_ID}-element-info`);
     const elementInfoWrapper = getEl(`${WIDGET_ID}-element-info-wrapper`);
     const minimizeBtn = getEl(`${WIDGET_ID}-panel-minimize`);
@@ -1542,28 +3537,46 @@
     if (logsText) {
       logsText.textContent = `Include console logs (${consoleLogs.length} captured)`;
     }
+    const networkText = getEl(`${WIDGET_ID}-include-network-text`);
+    if (networkText) {
+      networkText.textContent = `Include network errors (${networkErrors.length} captured)`;
+    }
 
     // Show element info
-    if (selectedElement) {
+    if (selectedElements.length > 1) {
+      elementInfoEl.innerHTML = `
+        <strong>Selected ${selectedElements.length} elements:</strong><br>
+        ${selectedElements.map((el, i) => `${i + 1}. ${getElementSelector(el)}`).join('<br>')}
+      `;
+    } else if (selectedElement) {
       const info = getElementInfo(selectedElement);
       elementInfoEl.innerHTML = `
         <strong>Selected:</strong> &lt;${info.tagName}${info.id ? ` id="${info.id}"` : ''}${info.className ? ` class="${info.className}"` : ''}&gt;<br>
         <strong>Selector:</strong> ${info.selector}
       `;
+    } else if (selectedRegion) {
+      const listed = selectedRegion.elements.slice(0, 10).map(el => el.selector).join('<br>');
+      const more = selectedRegion.elementCount > 10 ? `<br>… and ${selectedRegion.elementCount - 10} more` : '';
+      elementInfoEl.innerHTML = `
+        <strong>Region:</strong> ${Math.round(selectedRegion.width)}×${Math.round(selectedRegion.height)} at (${Math.round(selectedRegion.left)}, ${Math.round(selectedRegion.top)})<br>
+        <strong>Elements (${selectedRegion.elementCount}):</strong><br>${listed}${more}
+      `;
     }
 
-    // Show screenshot status instead of preview (screenshot is captured on submit)
+    // Capture the screenshot up front so the user can draw on it before submitting
     const includeScreenshotCheckbox = getEl(`${WIDGET_ID}-include-screenshot`);
-    if (includeScreenshotCheckbox && includeScreenshotCheckbox.checked) {
-      screenshotEl.alt = 'Screenshot will be captured when submitted';
-      screenshotEl.removeAttribute('src');
-      screenshotEl.style.display = 'none';
+    const target = getSelectionTarget();
+    if (includeScreenshotCheckbox && includeScreenshotCheckbox.checked && target) {
+      editorEl.style.display = 'block';
+      loadEditorScreenshot(target);
     } else {
-      screenshotEl.style.display = 'none';
+      editorEl.style.display = 'none';
+      resetEditor();
     }
 
     // Show confirmed-selection highlight on the selected element
-    if (selectedElement) {
+    // (a multi-selection keeps its numbered markers instead)
+    if (selectedElement && selectedElements.length < 2) {
       const highlight = getEl(`${WIDGET_ID}-highlight`);
       const rect = selectedElement.getBoundingClientRect();
       highlight.style.top = `${rect.top}px`;
@@ -1572,6 +3585,8 @@
       highlight.style.height = `${rect.height}px`;
       highlight.classList.add('selected');
       highlight.style.display = 'block';
+    } else if (selectedRegion) {
+      getEl(`${WIDGET_ID}-region`).classList.add('selected');
     }
 
     panel.classList.add('active');
@@ -1582,30 +3597,89 @@
     getEl(`${WIDGET_ID}-panel`).classList.remove('active');
     getEl(`${WIDGET_ID}-description`).value = '';
     selectedElement = null;
+    selectedElements = [];
+    selectedRegion = null;
+    renderSelectionMarkers();
+    resetEditor();
     const highlight = getEl(`${WIDGET_ID}-highlight`);
     highlight.style.display = 'none';
     highlight.classList.remove('selected');
+    const regionBox = getEl(`${WIDGET_ID}-region`);
+    regionBox.style.display = 'none';
+    regionBox.classList.remove('selected');
   }
 
   async function addItem() {
-    // Validate we have an element selected
-    if (!selectedElement) {
+    // Validate we have an element or region selected
+    const target = getSelectionTarget();
+    if (!target) {
       console.warn('[Claude Feedback] No element selected');
       return;
     }
 
     const description = getEl(`${WIDGET_ID}-description`)?.value || '';
     const includeLogs = getEl(`${WIDGET_ID}-include-logs`)?.checked ?? true;
+    const includeNetwork = getEl(`${WIDGET_ID}-include-network`)?.checked ?? true;
     const includeStyles = getEl(`${WIDGET_ID}-include-styles`)?.checked ?? true;
     const includeScreenshot = getEl(`${WIDGET_ID}-include-screenshot`)?.checked ?? true;
 
-    const elementInfo = getElementInfo(selectedElement);
-    if (!includeStyles) {
-      delete elementInfo.computedStyles;
-    }
+    const collectInfo = (el) => {
+      const info = getElementInfo(el);
+      if (!includeStyles) delete info.computedStyles;
+      return info;
+    };
+    const elementInfo = selectedElement ? collectInfo(selectedElement) : null;
+    const elementsInfo = selectedElements.length > 1 ? selectedElements.map(collectInfo) : null;
+    const region = selectedRegion ? { ...selectedRegion } : null;
+
+    let screenshot = null;
+    let baseScreenshot = null;
+    let annotations = null;
+    if (includeScreenshot) {
+      screenshot = await getAnnotatedScreenshot();
+      annotations = getAnnotationData();
+      // The screenshot without the drawing, for compare_screenshots
+      if (annotations) baseScreenshot = editor.baseDataUrl;
+      // Editor capture failed or never ran — try once more at submit time
+      if (!screenshot) screenshot = await captureScreenshot(target);
+    }
+
+    const feedback = createFeedback({
+      element: elementInfo,
+      elements: elementsInfo,
+      region: region,
+      description: description,
+      screenshot: screenshot,
+      baseScreenshot: baseScreenshot,
+      annotations: annotations,
+      includeLogs,
+      includeNetwork,
+    });
 
-    const screenshot = includeScreenshot ? await captureScreenshot(selectedElement) : null;
+    const online = ws && ws.readyState === WebSocket.OPEN;
+    const sent = queueFeedback(feedback);
+    hidePanel();
+    if (!sent && online) {
+      showError('Failed to send. Saved locally.');
+    } else if (!sent) {
+      showSuccess('Item saved locally (offline)');
+    }
+  }
 
+  // A feedback item as the server stores it, with the page details, recent logs and
+  // the context attached through the API
+  function createFeedback({
+    element = null,
+    elements = null,
+    region = null,
+    description = '',
+    screenshot = null,
+    baseScreenshot = null,
+    annotations = null,
+    includeLogs = true,
+    includeNetwork = true,
+    extra,
+  }) {
     const feedback = {
       id: Date.now().toString(36) + Math.random().toString(36).slice(2),
       timestamp: new Date().toISOString(),
@@ -1616,34 +3690,36 @@
         devicePixelRatio: window.devicePixelRatio,
       },
       userAgent: navigator.userAgent,
-      element: elementInfo,
-      description: description,
-      screenshot: screenshot,
-      consoleLogs: includeLogs ? consoleLogs.slice(-20) : [],
+      element,
+      elements,
+      region,
+      description,
+      screenshot,
+      annotations,
+      consoleLogs: includeLogs ? consoleLogs.slice(-20).map(redactLogEntry) : [],
+      networkErrors: includeNetwork ? networkErrors.slice(-20).map(redactNetworkError) : [],
     };
+    if (baseScreenshot) feedback.baseScreenshot = baseScreenshot;
+    return { ...feedback, ...getApiFields(attachedContext, extra, redactApiValue) };
+  }
 
+  // Send a feedback item to the server's pending queue, or keep it locally while
+  // offline. Returns false when it was kept locally.
+  function queueFeedback(feedback) {
     if (ws && ws.readyState === WebSocket.OPEN) {
-      // Online: send via WebSocket
       try {
         ws.send(JSON.stringify({
           type: 'feedback',
           payload: feedback,
         }));
-        hidePanel();
+        return true;
       } catch (err) {
         console.error('[Claude Feedback] Failed to add item:', err);
-        showError('Failed to send. Saved locally.');
-        localPendingItems.push(feedback);
-        updatePendingUI();
-        hidePanel();
       }
-    } else {
-      // Offline: store locally
-      localPendingItems.push(feedback);
-      updatePendingUI();
-      hidePanel();
-      showSuccess('Item saved locally (offline)');
     }
+    localPendingItems.push(feedback);
+    if (shadowRoot) updatePendingUI();
+    return false;
   }
 
   // ============================================
@@ -1663,29 +3739,50 @@
     items.forEach((item, i) => {
       md += `## Item ${i + 1}\n\n`;
 
-      const selector = item.selector || item.element?.selector || 'Unknown';
-      const fullSelector = item.element?.fullSelector || selector;
-      md += `**Element:** \`${selector}\`\n\n`;
-      md += `**Full path:** \`${fullSelector}\`\n\n`;
+      if (item.region) {
+        md += `**Region:** ${Math.round(item.region.width)}×${Math.round(item.region.height)} at (${Math.round(item.region.left)}, ${Math.round(item.region.top)})\n\n`;
+        if (item.region.elements?.length > 0) {
+          md += `**Elements in region (${item.region.elementCount ?? item.region.elements.length}):**\n`;
+          item.region.elements.forEach(el => {
+            md += `- \`${el.fullSelector || el.selector}\`\n`;
+          });
+          md += `\n`;
+        }
+      } else if (item.elements?.length > 1) {
+        md += `**Elements (${item.elements.length}):**\n`;
+        item.elements.forEach(el => {
+          md += `- \`${el.selector}\` — \`${el.fullSelector}\`\n`;
+        });
+        md += `\n`;
+      } else {
+        const selector = describeTarget(item);
+        const fullSelector = item.element?.fullSelector || selector;
+        md += `**Element:** \`${selector}\`\n\n`;
+        md += `**Full path:** \`${fullSelector}\`\n\n`;
+      }
 
       if (item.description) {
         md += `**Description:** ${item.description}\n\n`;
       }
 
-      if (item.element?.outerHTML) {
-        md += `**HTML:**\n\`\`\`html\n${item.element.outerHTML}\n\`\`\`\n\n`;
-      }
+      const elementInfos = item.elements?.length > 1 ? item.elements : (item.element ? [item.element] : []);
+      elementInfos.forEach(el => {
+        const label = elementInfos.length > 1 ? ` (\`${el.selector}\`)` : '';
 
-      if (item.element?.computedStyles) {
-        const styles = item.element.computedStyles;
-        const styleLines = Object.entries(styles)
-          .filter(([, v]) => v)
-          .map(([k, v]) => `  ${k}: ${v}`)
-          .join('\n');
-        if (styleLines) {
-          md += `**Computed Styles:**\n\`\`\`\n${styleLines}\n\`\`\`\n\n`;
+        if (el.outerHTML) {
+          md += `**HTML${label}:**\n\`\`\`html\n${el.outerHTML}\n\`\`\`\n\n`;
         }
-      }
+
+        if (el.computedStyles) {
+          const styleLines = Object.entries(el.computedStyles)
+            .filter(([, v]) => v)
+            .map(([k, v]) => `  ${k}: ${v}`)
+            .join('\n');
+          if (styleLines) {
+            md += `**Computed Styles${label}:**\n\`\`\`\n${styleLines}\n\`\`\`\n\n`;
+          }
+        }
+      });
 
       if (item.consoleLogs && item.consoleLogs.length > 0) {
         md += `**Console Logs (${item.consoleLogs.length}):**\n\`\`\`\n`;
@@ -1695,6 +3792,23 @@
         md += `\`\`\`\n\n`;
       }
 
+      if (item.networkErrors && item.networkErrors.length > 0) {
+        md += `**Network Errors (${item.networkErrors.length}):**\n\`\`\`\n`;
+        item.networkErrors.forEach(entry => {
+          const outcome = entry.status ? `${entry.status}${entry.statusText ? ' ' + entry.statusText : ''}` : (entry.error || 'failed');
+          md += `${entry.method} ${entry.url} → ${outcome} (${entry.duration}ms)\n`;
+          if (entry.responseBody) {
+            md += `  ${entry.responseBody.replace(/\s+/g, ' ')}\n`;
+          }
+        });
+        md += `\`\`\`\n\n`;
+      }
+
+      if (item.annotations && item.annotations.shapes?.length > 0) {
+        const types = item.annotations.shapes.map(shape => shape.type).join(', ');
+        md += `**Drawn annotations:** ${item.annotations.shapes.length} (${types})\n\n`;
+      }
+
       if (item.screenshot) {
         md += `**Screenshot:** Captured (${Math.round(item.screenshot.length / 1024)}KB base64)\n\n`;
       }
@@ -1702,7 +3816,8 @@
       md += `---\n\n`;
     });
 
-    return md;
+    // Items are redacted when captured; this also covers project rules that arrived later
+    return redact(md);
   }
 
   function downloadFile(content, filename, mimeType) {
@@ -1765,6 +3880,7 @@
       createWidget();
       updateButtonState();
       updatePendingUI();
+      updateHistoryUI();
     }
   }
 
@@ -1788,6 +3904,59 @@
     }, 2000);
   }
 
+  // ============================================
+  // Public API - window.ClaudeFeedback
+  // ============================================
+
+  const API_EVENTS = ['sent'];
+  let attachedContext = {};   // attachContext() values, added to every feedback item
+  const apiEvents = createApiEvents(API_EVENTS, (event, err) => {
+    console.error(`[Claude Feedback] '${event}' listener failed:`, err);
+  });
+
+  // File a feedback item without the panel, e.g. from an error boundary. `selector`
+  // picks the element (the whole page when omitted or not found), `extra` is any
+  // JSON data to send along. Resolves to the item's id.
+  async function report({ selector, description = '', extra, screenshot = WIDGET_CONFIG.capture.screenshot } = {}) {
+    let el = null;
+    if (selector) {
+      try {
+        el = document.querySelector(selector);
+      } catch {
+        console.warn('[Claude Feedback] Invalid selector in report():', selector);
+      }
+      if (!el) console.warn(`[Claude Feedback] No element matches '${selector}', reporting the page`);
+    }
+
+    const element = el ? getElementInfo(el) : null;
+    if (element && !WIDGET_CONFIG.capture.styles) delete element.computedStyles;
+
+    const feedback = createFeedback({
+      element,
+      description: redact(String(description)),
+      screenshot: screenshot ? await captureScreenshot(el || getViewportRect()) : null,
+      extra,
+    });
+    queueFeedback(feedback);
+    return feedback.id;
+  }
+
+  // Context sent with every later feedback item, e.g. the signed-in user or feature
+  // flags; an undefined value removes the key
+  function attachContext(key, value) {
+    attachedContext = setContextValue(attachedContext, key, value);
+  }
+
+  // Subscribe to a widget event; returns a function that unsubscribes.
+  // 'sent': feedback was sent to Claude, with { count, ids }
+  function onApiEvent(event, callback) {
+    return apiEvents.on(event, callback);
+  }
+
+  function emitApiEvent(event, data) {
+    apiEvents.emit(event, data);
+  }
+
   // ============================================
   // Destroy - clean teardown for extension toggle
   // ============================================
@@ -1809,6 +3978,7 @@
       _wsReconnectTimeout = null;
     }
     if (ws) {
+      ws.onopen = null;
       ws.onclose = null;
       ws.onerror = null;
       ws.onmessage = null;
@@ -1834,31 +4004,42 @@
       window.removeEventListener('resize', _listeners.onWindowResize);
     }
     window.removeEventListener('error', onWindowError);
+    window.removeEventListener('unhandledrejection', onUnhandledRejection);
     _listeners = {};
+    clearClaudeHighlights();
 
     // 4. Remove widget host element (removes shadow root and all contents)
     const host = document.getElementById(WIDGET_ID);
     if (host) host.remove();
     shadowRoot = null;
 
-    // 5. Restore console methods
-    console.log = originalConsole.log;
-    console.warn = originalConsole.warn;
-    console.error = originalConsole.error;
+    // 5. Restore the console, fetch and XMLHttpRequest methods the widget replaced
+    restoreHooks();
 
     // 6. Reset state
     window.__CLAUDE_FEEDBACK_WIDGET__ = false;
     delete window.__claudeFeedbackDestroy;
+    if (window.ClaudeFeedback === api) delete window.ClaudeFeedback;
+    attachedContext = {};
+    apiEvents.clear();
 
     consoleLogs = [];
     networkErrors = [];
     pendingItems = [];
     localPendingItems = [];
+    draftItems = [];
+    editingDraftId = null;
     selectedElement = null;
+    selectedElements = [];
+    selectedRegion = null;
     isAnnotationMode = false;
+    isRegionMode = false;
     isPendingQueueOpen = false;
+    historyItems = [];
+    historyFilter = 'all';
+    isHistoryOpen = false;
 
-    originalConsole.log('[Claude Feedback] Widget destroyed');
+    console.log('[Claude Feedback] Widget destroyed');
   }
 
   // Expose destroy for external callers (e.g., browser extension)
@@ -1874,14 +4055,22 @@
       document.addEventListener('DOMContentLoaded', init);
       return;
     }
+    // Destroyed before the DOM was ready
+    if (window.__CLAUDE_FEEDBACK_WIDGET__ !== handle) return;
 
-    captureConsoleLogs();
+    if (WIDGET_CONFIG.capture.console) captureConsoleLogs();
+    if (WIDGET_CONFIG.capture.console || WIDGET_CONFIG.captureErrors) {
+      window.addEventListener('error', onWindowError);
+      window.addEventListener('unhandledrejection', onUnhandledRejection);
+    }
+    if (WIDGET_CONFIG.capture.network) captureNetworkErrors();
     createWidget();
     connectWebSocket();
     startSelfHealing();
 
-    console.log(`[Claude Feedback] Widget v${WIDGET_VERSION} initialized`);
+    console.log(`[Claude Feedback] Widget${WIDGET_VERSION ? ` v${WIDGET_VERSION}` : ''} initialized`);
   }
 
   init();
-})();
+  return handle;
+}
@@ -0,0 +1,119 @@
+import { describe, it, expect } from 'vitest';
+import { toPageRect, getCropRect, getTargetBox, finalizeShape, serializeAnnotations } from '../src/annotations.js';
+
+const COLOR = '#ef4444';
+
+// ============================================
+// finalizeShape
+// ============================================
+
+describe('finalizeShape', () => {
+  it('normalizes rectangles drawn up and to the left', () => {
+    expect(finalizeShape({ type: 'rect', x: 120, y: 80, width: -40, height: -30, color: COLOR })).toEqual({
+      type: 'rect', x: 80, y: 50, width: 40, height: 30, color: COLOR,
+    });
+  });
+
+  it('drops accidental clicks', () => {
+    expect(finalizeShape({ type: 'rect', x: 10, y: 10, width: 2, height: 40, color: COLOR })).toBeNull();
+    expect(finalizeShape({ type: 'arrow', from: { x: 10, y: 10 }, to: { x: 13, y: 13 }, color: COLOR })).toBeNull();
+    expect(finalizeShape({ type: 'freehand', points: [{ x: 1, y: 1 }], color: COLOR })).toBeNull();
+  });
+
+  it('keeps arrows, strokes and text labels as drawn', () => {
+    const arrow = { type: 'arrow', from: { x: 0, y: 0 }, to: { x: 30, y: 40 }, color: COLOR };
+    const freehand = { type: 'freehand', points: [{ x: 1, y: 1 }, { x: 2, y: 3 }], color: COLOR };
+    const text = { type: 'text', x: 5, y: 6, text: 'Too wide', color: COLOR };
+    expect(finalizeShape(arrow)).toBe(arrow);
+    expect(finalizeShape(freehand)).toBe(freehand);
+    expect(finalizeShape(text)).toBe(text);
+  });
+});
+
+// ============================================
+// toPageRect / getCropRect / getTargetBox
+// ============================================
+
+describe('toPageRect', () => {
+  it('moves a viewport rect by the scroll offset', () => {
+    expect(toPageRect({ left: 10, top: 20, width: 30, height: 40, right: 40 }, 0, 1200)).toEqual({
+      left: 10, top: 1220, width: 30, height: 40,
+    });
+  });
+});
+
+describe('getCropRect', () => {
+  it('pads the selection and clips it to the canvas', () => {
+    expect(getCropRect({ left: 100, top: 200, width: 300, height: 50 }, 50, 1280, 2000)).toEqual({
+      x: 50, y: 150, width: 400, height: 150,
+    });
+    expect(getCropRect({ left: 20, top: 10, width: 1250, height: 40 }, 50, 1280, 2000)).toEqual({
+      x: 0, y: 0, width: 1280, height: 100,
+    });
+    expect(getCropRect({ left: 1200, top: 1900, width: 60, height: 80 }, 50, 1280, 2000)).toEqual({
+      x: 1150, y: 1850, width: 130, height: 150,
+    });
+  });
+
+  it('crops the visible viewport of a scrolled page', () => {
+    const viewport = toPageRect({ left: 0, top: 0, width: 1280, height: 720 }, 0, 1500);
+    expect(getCropRect(viewport, 0, 1280, 4000)).toEqual({ x: 0, y: 1500, width: 1280, height: 720 });
+  });
+
+  it('crops regions exactly', () => {
+    expect(getCropRect({ left: 10, top: 20, width: 30, height: 40 }, 0, 1280, 720)).toEqual({
+      x: 10, y: 20, width: 30, height: 40,
+    });
+  });
+
+  it('crops a region dragged on a scrolled page exactly', () => {
+    const region = toPageRect({ left: 200, top: 100, width: 300, height: 150 }, 40, 2400);
+    expect(getCropRect(region, 0, 1320, 5000)).toEqual({ x: 240, y: 2500, width: 300, height: 150 });
+  });
+});
+
+describe('getTargetBox', () => {
+  it('places the selection inside the padded screenshot', () => {
+    expect(getTargetBox({ left: 100, top: 200, width: 300.4, height: 50 }, 50)).toEqual({
+      x: 50, y: 50, width: 300, height: 50,
+    });
+  });
+
+  it('accounts for padding clipped at the page edge', () => {
+    expect(getTargetBox({ left: 20, top: 0, width: 100, height: 40 }, 50)).toEqual({
+      x: 20, y: 0, width: 100, height: 40,
+    });
+    expect(getTargetBox({ left: 10, top: 20, width: 30, height: 40 }, 0)).toEqual({
+      x: 0, y: 0, width: 30, height: 40,
+    });
+  });
+});
+
+// ============================================
+// serializeAnnotations
+// ============================================
+
+describe('serializeAnnotations', () => {
+  it('returns null when nothing was drawn', () => {
+    expect(serializeAnnotations([], { width: 400, height: 300 })).toBeNull();
+  });
+
+  it('copies the shapes with the screenshot size and the selection box', () => {
+    const shapes = [
+      { type: 'rect', x: 50, y: 50, width: 300, height: 50, color: COLOR },
+      { type: 'freehand', points: [{ x: 1, y: 1 }, { x: 2, y: 3 }], color: COLOR },
+    ];
+    const target = { x: 50, y: 50, width: 300, height: 50 };
+    const data = serializeAnnotations(shapes, { width: 400, height: 150, target });
+    expect(data).toEqual({ width: 400, height: 150, target, shapes });
+
+    // Later edits in the editor don't change what was submitted
+    shapes[1].points.push({ x: 9, y: 9 });
+    expect(data.shapes[1].points).toHaveLength(2);
+  });
+
+  it('leaves out the selection box when it is unknown', () => {
+    const data = serializeAnnotations([{ type: 'text', x: 1, y: 2, text: 'Hi', color: COLOR }], { width: 10, height: 10 });
+    expect(data).not.toHaveProperty('target');
+  });
+});
@@ -0,0 +1,168 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  detectBundlerConfig,
+  addDevServerPlugin,
+  removeDevServerPlugin,
+  installDevServerPlugin,
+  uninstallDevServerPlugin,
+} from '../src/bundler-config.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'bundlers');
+
+let projectDir;
+
+beforeEach(() => {
+  projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bundler-config-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(projectDir, { recursive: true, force: true });
+});
+
+function useFixture(name) {
+  fs.cpSync(path.join(FIXTURES_DIR, name), projectDir, { recursive: true });
+}
+
+const read = (file) => fs.readFileSync(path.join(projectDir, file), 'utf8');
+const readFixture = (name, file) => fs.readFileSync(path.join(FIXTURES_DIR, name, file), 'utf8');
+
+// ============================================
+// installDevServerPlugin / uninstallDevServerPlugin
+// ============================================
+
+describe('installDevServerPlugin', () => {
+  it.each([
+    ['vite-react', 'vite.config.ts', [
+      "import react from '@vitejs/plugin-react'\nimport browserFeedbackWidget from 'mcp-claude-code-browser-feedback/vite';\n",
+      'plugins: [browserFeedbackWidget(), react()],',
+    ]],
+    ['vite-empty', 'vite.config.js', [
+      "import browserFeedbackWidget from 'mcp-claude-code-browser-feedback/vite';",
+      'export default defineConfig({\n  plugins: [browserFeedbackWidget()], // added by install_dev_server_plugin\n  server: {',
+    ]],
+    ['webpack-cjs', 'webpack.config.js', [
+      "const HtmlWebpackPlugin = require('html-webpack-plugin');\nconst { BrowserFeedbackWidgetPlugin } = require('mcp-claude-code-browser-feedback/webpack');\n",
+      '  plugins: [\n    new BrowserFeedbackWidgetPlugin(),\n    new HtmlWebpackPlugin',
+    ]],
+    ['webpack-esm', 'webpack.config.mjs', [
+      "import { BrowserFeedbackWidgetPlugin } from 'mcp-claude-code-browser-feedback/webpack';",
+      'plugins: [new BrowserFeedbackWidgetPlugin(), new HtmlWebpackPlugin()],',
+    ]],
+  ])('%s: wires the plugin into %s and removes it byte-exact', (fixture, file, expected) => {
+    useFixture(fixture);
+
+    expect(installDevServerPlugin(projectDir)).toEqual({
+      status: 'installed',
+      bundler: fixture.split('-')[0],
+      file: path.join(projectDir, file),
+    });
+    for (const snippet of expected) expect(read(file)).toContain(snippet);
+
+    expect(installDevServerPlugin(projectDir).status).toBe('already_installed');
+
+    expect(uninstallDevServerPlugin(projectDir).status).toBe('removed');
+    expect(read(file)).toBe(readFixture(fixture, file));
+    expect(uninstallDevServerPlugin(projectDir).status).toBe('not_installed');
+  });
+
+  it('reports a project without a bundler config', () => {
+    expect(installDevServerPlugin(projectDir)).toEqual({ status: 'not_found' });
+  });
+
+  it('uses an explicit config file and bundler', () => {
+    useFixture('vite-react');
+    fs.renameSync(path.join(projectDir, 'vite.config.ts'), path.join(projectDir, 'app.config.ts'));
+    expect(installDevServerPlugin(projectDir, { configFile: 'app.config.ts' }).status).toBe('unknown_bundler');
+    expect(installDevServerPlugin(projectDir, { configFile: 'app.config.ts', bundler: 'vite' }).status).toBe('installed');
+    expect(installDevServerPlugin(projectDir, { configFile: 'missing.js' }).status).toBe('file_not_found');
+  });
+
+  it('refuses configs it cannot edit', () => {
+    fs.writeFileSync(path.join(projectDir, 'webpack.config.js'), 'module.exports = (env) => makeConfig(env);\n');
+    const result = installDevServerPlugin(projectDir);
+    expect(result.status).toBe('unsupported_config');
+    expect(result.error).toMatch(/Could not find a plugins array/);
+    expect(read('webpack.config.js')).toBe('module.exports = (env) => makeConfig(env);\n');
+  });
+
+  it('prefers Vite when both configs exist', () => {
+    useFixture('vite-react');
+    useFixture('webpack-cjs');
+    expect(detectBundlerConfig(projectDir).bundler).toBe('vite');
+    expect(detectBundlerConfig(projectDir, 'webpack').bundler).toBe('webpack');
+  });
+});
+
+// ============================================
+// addDevServerPlugin / removeDevServerPlugin
+// ============================================
+
+describe('addDevServerPlugin', () => {
+  it('fills an empty plugins array and adds the import at the top', () => {
+    const source = 'export default {\n  plugins: [],\n};\n';
+    const { content } = addDevServerPlugin(source, 'vite', 'vite.config.js');
+    expect(content).toBe(
+      "import browserFeedbackWidget from 'mcp-claude-code-browser-feedback/vite';\nexport default {\n  plugins: [browserFeedbackWidget()],\n};\n"
+    );
+    expect(removeDevServerPlugin(content, 'vite')).toEqual({ content: source, removed: true });
+  });
+
+  it('adds the plugin to the top-level plugins array, not a nested PostCSS one', () => {
+    const source = [
+      "import { defineConfig } from 'vite';",
+      "import react from '@vitejs/plugin-react';",
+      '',
+      'export default defineConfig({',
+      "  css: { postcss: { plugins: [autoprefixer()] } },",
+      "  resolve: { alias: { '@': '/src' } },",
+      '  plugins: [react()],',
+      '});',
+      '',
+    ].join('\n');
+    const { content } = addDevServerPlugin(source, 'vite', 'vite.config.js');
+    expect(content).toContain('postcss: { plugins: [autoprefixer()] }');
+    expect(content).toContain('plugins: [browserFeedbackWidget(), react()],');
+    expect(removeDevServerPlugin(content, 'vite').content).toBe(source);
+  });
+
+  it('adds a plugins key when only a loader has a plugins array', () => {
+    const source = [
+      'module.exports = {',
+      "  entry: './src/index.js', // plugins: [ in a comment",
+      '  module: {',
+      '    rules: [{',
+      '      test: /\\.(css|scss)$/,',
+      "      use: ['style-loader', { loader: 'postcss-loader', options: { postcssOptions: { plugins: ['autoprefixer'] } } }],",
+      '    }],',
+      '  },',
+      '};',
+      '',
+    ].join('\n');
+    const { content } = addDevServerPlugin(source, 'webpack', 'webpack.config.js');
+    expect(content).toContain("postcssOptions: { plugins: ['autoprefixer'] }");
+    expect(content).toContain('module.exports = {\n  plugins: [new BrowserFeedbackWidgetPlugin()], // added by install_dev_server_plugin\n');
+    expect(removeDevServerPlugin(content, 'webpack').content).toBe(source);
+  });
+
+  it('finds the config returned by a defineConfig callback', () => {
+    const source = "export default defineConfig(({ mode }) => ({\n  plugins: [react()],\n}));\n";
+    const { content } = addDevServerPlugin(source, 'vite', 'vite.config.js');
+    expect(content).toContain('plugins: [browserFeedbackWidget(), react()]');
+  });
+
+  it('refuses a plugins array outside an exported object literal', () => {
+    const source = "const config = {\n  plugins: [react()],\n};\nexport default config;\n";
+    expect(addDevServerPlugin(source, 'vite', 'vite.config.js').error).toMatch(/Could not find/);
+  });
+
+  it('handles multi-line imports and CRLF line endings', () => {
+    const source = "import {\r\n  defineConfig,\r\n} from 'vite';\r\n\r\nexport default defineConfig({\r\n  plugins: [],\r\n});\r\n";
+    const { content } = addDevServerPlugin(source, 'vite', 'vite.config.ts');
+    expect(content).toContain("} from 'vite';\r\nimport browserFeedbackWidget from 'mcp-claude-code-browser-feedback/vite';\r\n\r\n");
+    expect(removeDevServerPlugin(content, 'vite').content).toBe(source);
+  });
+});
@@ -0,0 +1,198 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import http from 'http';
+import zlib from 'zlib';
+import { createRequire } from 'module';
+import { deriveSessionId } from '../src/utils.js';
+import {
+  getWidgetScriptUrl,
+  getWidgetScriptTag,
+  injectWidgetScript,
+  browserFeedbackMiddleware,
+} from '../src/dev-server.js';
+import browserFeedbackWidget from '../src/vite-plugin.js';
+import { BrowserFeedbackWidgetPlugin } from '../src/webpack-plugin.js';
+
+const options = { port: 9911, sessionId: 'abc' };
+const TAG = '<script src="http://localhost:9911/widget.js?session=abc" id="claude-feedback-widget-script"></script>';
+
+// ============================================
+// Script URL and injection
+// ============================================
+
+describe('getWidgetScriptUrl', () => {
+  it('derives the session from the project directory like the MCP server', () => {
+    expect(getWidgetScriptUrl({ projectDir: '/srv/app', port: 9877 }))
+      .toBe(`http://localhost:9877/widget.js?session=${deriveSessionId('/srv/app')}`);
+  });
+
+  it('uses explicit options', () => {
+    expect(getWidgetScriptTag(options)).toBe(TAG);
+  });
+});
+
+describe('injectWidgetScript', () => {
+  it('inserts before the last </body>', () => {
+    expect(injectWidgetScript('<body><p>x</p></body></html>', TAG)).toBe(`<body><p>x</p>${TAG}</body></html>`);
+  });
+
+  it('appends when there is no </body>', () => {
+    expect(injectWidgetScript('<p>x</p>', TAG)).toBe(`<p>x</p>${TAG}`);
+  });
+
+  it('leaves pages that already load the widget alone', () => {
+    const html = `<body>${TAG}</body>`;
+    expect(injectWidgetScript(html, TAG)).toBe(html);
+  });
+});
+
+// ============================================
+// browserFeedbackMiddleware
+// ============================================
+
+describe('browserFeedbackMiddleware', () => {
+  let server;
+  let baseUrl;
+  const middleware = browserFeedbackMiddleware(options);
+
+  // Minimal Connect-style app: the middleware, then a handler per path
+  const routes = {
+    '/page': (req, res) => {
+      const body = '<html><body><h1>Hi</h1></body></html>';
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Content-Length': Buffer.byteLength(body) });
+      res.end(body);
+    },
+    '/streamed': (req, res) => {
+      res.setHeader('Content-Type', 'text/html');
+      res.write('<html><body>');
+      res.write(Buffer.from('<p>ø</p>'));
+      res.end('</body></html>');
+    },
+    '/json': (req, res) => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end('{"body":"</body>"}');
+    },
+    '/gzip': (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/html', 'Content-Encoding': 'gzip' });
+      res.end(zlib.gzipSync('<html><body></body></html>'));
+    },
+  };
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => middleware(req, res, () => routes[req.url](req, res)));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  const getPage = (url, accept = 'text/html,application/xhtml+xml') => fetch(baseUrl + url, { headers: { accept } });
+
+  it('injects the script into HTML pages and fixes Content-Length', async () => {
+    const res = await getPage('/page');
+    const body = await res.text();
+    expect(body).toBe(`<html><body><h1>Hi</h1>${TAG}</body></html>`);
+    expect(Number(res.headers.get('content-length'))).toBe(Buffer.byteLength(body));
+  });
+
+  it('buffers pages written in several chunks', async () => {
+    expect(await (await getPage('/streamed')).text()).toBe(`<html><body><p>ø</p>${TAG}</body></html>`);
+  });
+
+  it('passes non-HTML responses through', async () => {
+    expect(await (await getPage('/json')).text()).toBe('{"body":"</body>"}');
+  });
+
+  it('ignores requests that are not page loads', async () => {
+    expect(await (await getPage('/page', '*/*')).text()).toBe('<html><body><h1>Hi</h1></body></html>');
+  });
+
+  it('passes compressed responses through', async () => {
+    expect(await (await getPage('/gzip')).text()).toBe('<html><body></body></html>');
+  });
+});
+
+// ============================================
+// Bundler plugins
+// ============================================
+
+describe('Vite plugin', () => {
+  it('only applies to the dev server', () => {
+    expect(browserFeedbackWidget(options)).toMatchObject({ name: 'browser-feedback-widget', apply: 'serve' });
+  });
+
+  it('adds the script to index.html', () => {
+    expect(browserFeedbackWidget(options).transformIndexHtml.handler('<html></html>')).toEqual([{
+      tag: 'script',
+      attrs: { src: 'http://localhost:9911/widget.js?session=abc', id: 'claude-feedback-widget-script' },
+      injectTo: 'body',
+    }]);
+  });
+
+  it('registers the middleware for server-rendered HTML', () => {
+    const used = [];
+    browserFeedbackWidget(options).configureServer({ middlewares: { use: (fn) => used.push(fn) } });
+    expect(used).toHaveLength(1);
+    expect(used[0].name).toBe('browserFeedbackWidget');
+  });
+});
+
+describe('webpack plugin', () => {
+  it('adds the middleware first and keeps existing setupMiddlewares', () => {
+    const existing = { name: 'existing', middleware: () => {} };
+    const compiler = { options: { devServer: { port: 3000, setupMiddlewares: (middlewares) => [...middlewares, existing] } } };
+    new BrowserFeedbackWidgetPlugin(options).apply(compiler);
+
+    const result = compiler.options.devServer.setupMiddlewares([], {});
+    expect(result.map(m => m.name)).toEqual(['browser-feedback-widget', 'existing']);
+    expect(compiler.options.devServer.port).toBe(3000);
+  });
+
+  it('creates the devServer options when the config has none', () => {
+    const compiler = { options: {} };
+    new BrowserFeedbackWidgetPlugin(options).apply(compiler);
+    expect(compiler.options.devServer.setupMiddlewares([], {})[0].name).toBe('browser-feedback-widget');
+  });
+});
+
+describe('CommonJS entries', () => {
+  const require = createRequire(import.meta.url);
+
+  it('are what require() resolves the package subpaths to', () => {
+    expect(require.resolve('mcp-claude-code-browser-feedback/vite')).toMatch(/vite-plugin\.cjs$/);
+    expect(require.resolve('mcp-claude-code-browser-feedback/webpack')).toMatch(/webpack-plugin\.cjs$/);
+  });
+
+  it('Vite: adds the script and registers the middleware', async () => {
+    const { browserFeedbackWidget: plugin } = require('mcp-claude-code-browser-feedback/vite');
+    expect(plugin(options)).toMatchObject({ name: 'browser-feedback-widget', apply: 'serve' });
+    expect(await plugin(options).transformIndexHtml.handler('<html></html>')).toEqual([{
+      tag: 'script',
+      attrs: { src: 'http://localhost:9911/widget.js?session=abc', id: 'claude-feedback-widget-script' },
+      injectTo: 'body',
+    }]);
+
+    const used = [];
+    await plugin(options).configureServer({ middlewares: { use: (fn) => used.push(fn) } });
+    expect(used.map(fn => fn.name)).toEqual(['browserFeedbackWidget']);
+  });
+
+  it('webpack: injects the script once the middleware has loaded', async () => {
+    const { BrowserFeedbackWidgetPlugin: Plugin } = require('mcp-claude-code-browser-feedback/webpack');
+    const compiler = { options: {} };
+    new Plugin(options).apply(compiler);
+    const [{ name, middleware }] = compiler.options.devServer.setupMiddlewares([], {});
+    expect(name).toBe('browser-feedback-widget');
+
+    const server = http.createServer((req, res) => middleware(req, res, () => {
+      res.setHeader('Content-Type', 'text/html');
+      res.end('<html><body></body></html>');
+    }));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+      const res = await fetch(`http://127.0.0.1:${server.address().port}/`, { headers: { accept: 'text/html' } });
+      expect(await res.text()).toBe(`<html><body>${TAG}</body></html>`);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
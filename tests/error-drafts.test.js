@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MAX_ERROR_DRAFTS,
+  describeRejection,
+  getStackSource,
+  getErrorSignature,
+  matchErrorDraft,
+  getBreadcrumbs,
+} from '../src/error-drafts.js';
+
+// ============================================
+// describeRejection / getStackSource
+// ============================================
+
+describe('describeRejection', () => {
+  it('describes errors by name and message', () => {
+    expect(describeRejection(new TypeError('x is undefined'))).toBe('TypeError: x is undefined');
+    // Error-like objects, e.g. from another frame
+    expect(describeRejection({ message: 'Network down' })).toBe('Error: Network down');
+  });
+
+  it('keeps strings and serializes other values', () => {
+    expect(describeRejection('timeout')).toBe('timeout');
+    expect(describeRejection({ code: 42 })).toBe('{"code":42}');
+    expect(describeRejection(undefined)).toBe('undefined');
+  });
+
+  it('falls back to String() for values JSON cannot serialize', () => {
+    const cyclic = {};
+    cyclic.self = cyclic;
+    expect(describeRejection(cyclic)).toBe('[object Object]');
+    expect(describeRejection(10n)).toBe('10');
+  });
+});
+
+describe('getStackSource', () => {
+  it('finds the first frame with a location in Chrome stacks', () => {
+    const stack = 'TypeError: boom\n    at addToCart (http://localhost:5173/src/cart.js:12:7)\n    at http://localhost:5173/src/app.js:3:1';
+    expect(getStackSource(stack)).toEqual({ file: 'http://localhost:5173/src/cart.js', line: 12, column: 7 });
+  });
+
+  it('reads Firefox and Safari stacks', () => {
+    expect(getStackSource('addToCart@webpack:///src/cart.js:4:15\n@http://app.test/main.js:1:1')).toEqual({
+      file: 'webpack:///src/cart.js', line: 4, column: 15,
+    });
+  });
+
+  it('returns null without a located frame', () => {
+    expect(getStackSource('Error: boom\n    at <anonymous>')).toBeNull();
+    expect(getStackSource(undefined)).toBeNull();
+  });
+});
+
+// ============================================
+// getErrorSignature / matchErrorDraft
+// ============================================
+
+describe('matchErrorDraft', () => {
+  const source = { file: 'http://app.test/cart.js', line: 3, column: 9 };
+  const signature = getErrorSignature({ type: 'error', message: 'boom', source });
+
+  it('gives the same signature to repeats of an error only', () => {
+    expect(getErrorSignature({ type: 'error', message: 'boom', source: { ...source } })).toBe(signature);
+    expect(getErrorSignature({ type: 'unhandledrejection', message: 'boom', source })).not.toBe(signature);
+    expect(getErrorSignature({ type: 'error', message: 'boom', source: { ...source, line: 4 } })).not.toBe(signature);
+    expect(getErrorSignature({ type: 'error', message: 'boom', source: null })).toBe('error|boom|||');
+  });
+
+  it('counts a repeat on its draft', () => {
+    const draft = { signature };
+    expect(matchErrorDraft([{ signature: 'other' }, draft], signature)).toEqual({ action: 'count', draft });
+  });
+
+  it('adds new errors until the drafts are full', () => {
+    const drafts = Array.from({ length: MAX_ERROR_DRAFTS - 1 }, (_, i) => ({ signature: `s${i}` }));
+    expect(matchErrorDraft(drafts, signature)).toEqual({ action: 'add' });
+    drafts.push({ signature: 'last' });
+    expect(matchErrorDraft(drafts, signature)).toEqual({ action: 'drop' });
+    // Repeats are still counted when the drafts are full
+    expect(matchErrorDraft(drafts, 's0').action).toBe('count');
+  });
+});
+
+// ============================================
+// getBreadcrumbs
+// ============================================
+
+describe('getBreadcrumbs', () => {
+  const consoleLogs = [
+    { type: 'log', timestamp: '2026-01-01T10:00:01.000Z', message: 'loading cart' },
+    { type: 'error', timestamp: '2026-01-01T10:00:03.000Z', message: 'token=abc failed' },
+  ];
+  const networkErrors = [
+    { timestamp: '2026-01-01T10:00:02.000Z', method: 'GET', url: '/api/cart', status: 500 },
+    { timestamp: '2026-01-01T10:00:04.000Z', method: 'POST', url: '/api/pay', status: 0, error: 'Failed to fetch' },
+  ];
+  const redact = (text) => text.replace(/token=\w+/, 'token=[REDACTED]');
+
+  it('merges console and network activity in time order', () => {
+    expect(getBreadcrumbs(consoleLogs, networkErrors, redact)).toEqual([
+      { timestamp: '2026-01-01T10:00:01.000Z', category: 'console', level: 'log', message: 'loading cart' },
+      { timestamp: '2026-01-01T10:00:02.000Z', category: 'network', message: 'GET /api/cart → 500' },
+      { timestamp: '2026-01-01T10:00:03.000Z', category: 'console', level: 'error', message: 'token=[REDACTED] failed' },
+      { timestamp: '2026-01-01T10:00:04.000Z', category: 'network', message: 'POST /api/pay → Failed to fetch' },
+    ]);
+  });
+
+  it('keeps the most recent entries', () => {
+    expect(getBreadcrumbs(consoleLogs, networkErrors, redact, 2).map(b => b.timestamp)).toEqual([
+      '2026-01-01T10:00:03.000Z',
+      '2026-01-01T10:00:04.000Z',
+    ]);
+  });
+});
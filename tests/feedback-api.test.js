@@ -0,0 +1,85 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createApiEvents, setContextValue, getApiFields } from '../src/feedback-api.js';
+import { redactJsonValue } from '../src/redaction.js';
+
+// ============================================
+// createApiEvents
+// ============================================
+
+describe('createApiEvents', () => {
+  it('calls the listeners of an event until they unsubscribe', () => {
+    const events = createApiEvents(['sent'], vi.fn());
+    const first = vi.fn();
+    const second = vi.fn();
+    const off = events.on('sent', first);
+    events.on('sent', second);
+
+    events.emit('sent', { count: 2, ids: ['a', 'b'] });
+    off();
+    events.emit('sent', { count: 1, ids: ['c'] });
+
+    expect(first.mock.calls).toEqual([[{ count: 2, ids: ['a', 'b'] }]]);
+    expect(second).toHaveBeenCalledTimes(2);
+  });
+
+  it('rejects unknown events and listeners that are not functions', () => {
+    const events = createApiEvents(['sent'], vi.fn());
+    expect(() => events.on('sending', () => {})).toThrow("Unknown event 'sending', expected one of: sent");
+    expect(() => events.on('sent', 'callback')).toThrow(TypeError);
+  });
+
+  it('reports a failing listener and still runs the others', () => {
+    const onError = vi.fn();
+    const events = createApiEvents(['sent'], onError);
+    const error = new Error('boom');
+    const after = vi.fn();
+    events.on('sent', () => { throw error; });
+    events.on('sent', after);
+
+    events.emit('sent', { count: 1, ids: ['a'] });
+    expect(onError).toHaveBeenCalledWith('sent', error);
+    expect(after).toHaveBeenCalledOnce();
+  });
+
+  it('drops all listeners on clear', () => {
+    const events = createApiEvents(['sent'], vi.fn());
+    const listener = vi.fn();
+    events.on('sent', listener);
+    events.clear();
+    events.emit('sent', {});
+    expect(listener).not.toHaveBeenCalled();
+  });
+});
+
+// ============================================
+// setContextValue / getApiFields
+// ============================================
+
+describe('setContextValue', () => {
+  it('sets and removes keys without changing the given context', () => {
+    const context = { plan: 'pro' };
+    const next = setContextValue(context, 'flags', ['new-cart']);
+    expect(next).toEqual({ plan: 'pro', flags: ['new-cart'] });
+    expect(context).toEqual({ plan: 'pro' });
+    expect(setContextValue(next, 'plan', undefined)).toEqual({ flags: ['new-cart'] });
+  });
+});
+
+describe('getApiFields', () => {
+  it('leaves out an empty context and an undefined extra', () => {
+    expect(getApiFields({}, undefined, redactJsonValue)).toEqual({});
+  });
+
+  it('redacts the attached context and report() extra', () => {
+    const context = { user: { email: 'jane@example.com', apiKey: 'k-123' }, plan: 'pro' };
+    const extra = { componentStack: 'at Cart', headers: { Authorization: 'Bearer abcdefgh12345678' }, onRetry: () => {} };
+    expect(getApiFields(context, extra, redactJsonValue)).toEqual({
+      context: { user: { email: '[REDACTED]', apiKey: '[REDACTED]' }, plan: 'pro' },
+      extra: { componentStack: 'at Cart', headers: { Authorization: 'Bearer [REDACTED]' } },
+    });
+  });
+
+  it('keeps an extra of null', () => {
+    expect(getApiFields({}, null, redactJsonValue)).toEqual({ extra: null });
+  });
+});
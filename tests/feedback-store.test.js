@@ -0,0 +1,215 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'node:crypto';
+import { createMemoryFeedbackStore, createFileFeedbackStore, HISTORY_LIMIT } from '../src/feedback-store.js';
+
+// ============================================
+// createMemoryFeedbackStore
+// ============================================
+
+describe('createMemoryFeedbackStore', () => {
+  it('returns empty queues for unknown sessions', () => {
+    const store = createMemoryFeedbackStore();
+    expect(store.getPending('s1')).toEqual([]);
+    expect(store.getReady('s1')).toEqual([]);
+  });
+
+  it('returns copies so callers cannot mutate the store', () => {
+    const store = createMemoryFeedbackStore();
+    store.addPending('s1', { id: 'a' });
+    store.getPending('s1').push({ id: 'b' });
+    expect(store.getPending('s1')).toEqual([{ id: 'a' }]);
+  });
+
+  it('removes pending items by ID', () => {
+    const store = createMemoryFeedbackStore();
+    store.addPending('s1', { id: 'a' });
+    store.addPending('s1', { id: 'b' });
+    expect(store.removePending('s1', 'a')).toBe(true);
+    expect(store.removePending('s1', 'missing')).toBe(false);
+    expect(store.getPending('s1')).toEqual([{ id: 'b' }]);
+  });
+
+  it('moves pending items to ready and takes them', () => {
+    const store = createMemoryFeedbackStore();
+    store.setReady('s1', [{ id: 'old' }]);
+    store.addPending('s1', { id: 'new' });
+    expect(store.markAllReady('s1')).toEqual([{ id: 'old' }, { id: 'new' }]);
+    expect(store.getPending('s1')).toEqual([]);
+    expect(store.takeReady('s1')).toEqual([{ id: 'old' }, { id: 'new' }]);
+    expect(store.getReady('s1')).toEqual([]);
+  });
+
+  it('moves all feedback from one session to another', () => {
+    const store = createMemoryFeedbackStore();
+    store.addPending('from', { id: 'p' });
+    store.setReady('from', [{ id: 'r' }]);
+    store.addPending('to', { id: 'existing' });
+    store.moveSession('from', 'to');
+    expect(store.getPending('to')).toEqual([{ id: 'existing' }, { id: 'p' }]);
+    expect(store.getReady('to')).toEqual([{ id: 'r' }]);
+    expect(store.sessionIds()).toEqual(['to']);
+  });
+
+  it('updates history entries by ID', () => {
+    const store = createMemoryFeedbackStore();
+    store.addToHistory('s1', [{ id: 'a', replies: [] }, { id: 'b', replies: [] }]);
+    const updated = store.updateHistoryEntry('s1', 'b', entry => ({ ...entry, status: 'answered' }));
+    expect(updated).toEqual({ id: 'b', replies: [], status: 'answered' });
+    expect(store.updateHistoryEntry('s1', 'missing', entry => entry)).toBeNull();
+    expect(store.getHistory('s1').map(e => e.status)).toEqual([undefined, 'answered']);
+  });
+
+  it('moves delivered items and follow-up originals to in_progress', () => {
+    const store = createMemoryFeedbackStore();
+    store.addToHistory('s1', [
+      { id: 'a', status: 'open' },
+      { id: 'b', status: 'open' },
+      { id: 'c', status: 'resolved' },
+    ]);
+    store.setReady('s1', [{ id: 'a' }, { id: 'f', inReplyTo: 'c' }]);
+    store.takeReady('s1');
+    expect(store.getHistory('s1').map(e => e.status)).toEqual(['in_progress', 'open', 'resolved']);
+  });
+
+  it('drops snapshots together with their history entry', () => {
+    const store = createMemoryFeedbackStore();
+    store.addToHistory('s1', [{ id: 'a' }, { id: 'b' }]);
+    store.saveSnapshot('s1', 'a', { screenshot: 'before-a' });
+    store.saveSnapshot('s1', 'b', { screenshot: 'before-b' });
+    store.setHistory('s1', [{ id: 'b' }]);
+    expect(store.getSnapshot('s1', 'a')).toBeNull();
+    expect(store.getSnapshot('s1', 'b')).toEqual({ screenshot: 'before-b' });
+  });
+
+  it('keeps only the most recent history entries', () => {
+    const store = createMemoryFeedbackStore();
+    const entries = Array.from({ length: HISTORY_LIMIT + 5 }, (_, i) => ({ id: String(i) }));
+    store.addToHistory('s1', entries);
+    const history = store.getHistory('s1');
+    expect(history).toHaveLength(HISTORY_LIMIT);
+    expect(history[0].id).toBe('5');
+  });
+});
+
+// ============================================
+// createFileFeedbackStore
+// ============================================
+
+describe('createFileFeedbackStore', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'feedback-store-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('writes one JSON file per session on mutation', () => {
+    const sid = crypto.randomUUID();
+    const store = createFileFeedbackStore(tmpDir);
+    store.addPending(sid, { id: 'a', description: 'Saved' });
+
+    const data = JSON.parse(fs.readFileSync(path.join(tmpDir, `${sid}.json`), 'utf8'));
+    expect(data).toEqual({ sessionId: sid, pending: [{ id: 'a', description: 'Saved' }], ready: [], history: [] });
+  });
+
+  it('restores pending and ready feedback in a new store instance', () => {
+    const sid = crypto.randomUUID();
+    const first = createFileFeedbackStore(tmpDir);
+    first.addPending(sid, { id: 'a' });
+    first.addPending(sid, { id: 'b' });
+    first.markAllReady(sid);
+    first.addPending(sid, { id: 'c' });
+
+    const second = createFileFeedbackStore(tmpDir);
+    expect(second.load()).toBe(1);
+    expect(second.getReady(sid)).toEqual([{ id: 'a' }, { id: 'b' }]);
+    expect(second.getPending(sid)).toEqual([{ id: 'c' }]);
+  });
+
+  it('stores snapshots outside the session file and prunes them with the history', () => {
+    const sid = crypto.randomUUID();
+    const first = createFileFeedbackStore(tmpDir);
+    first.addToHistory(sid, [{ id: 'a' }, { id: 'b' }]);
+    first.saveSnapshot(sid, 'a', { screenshot: 'data:image/jpeg;base64,AAAA' });
+    first.saveSnapshot(sid, 'b', { screenshot: 'data:image/jpeg;base64,BBBB' });
+
+    const sessionData = JSON.parse(fs.readFileSync(path.join(tmpDir, `${sid}.json`), 'utf8'));
+    expect(JSON.stringify(sessionData)).not.toContain('AAAA');
+
+    const second = createFileFeedbackStore(tmpDir);
+    second.load();
+    expect(second.getSnapshot(sid, 'a')).toEqual({ screenshot: 'data:image/jpeg;base64,AAAA' });
+
+    second.setHistory(sid, [{ id: 'b' }]);
+    expect(second.getSnapshot(sid, 'a')).toBeNull();
+    expect(fs.readdirSync(path.join(tmpDir, 'snapshots', sid))).toEqual(['b.json']);
+  });
+
+  it.skipIf(process.platform === 'win32')('keeps the data directory, session files and snapshots private to the user', () => {
+    const sid = crypto.randomUUID();
+    const dataDir = path.join(tmpDir, 'feedback');
+    const store = createFileFeedbackStore(dataDir);
+    store.addToHistory(sid, [{ id: 'a' }]);
+    store.saveSnapshot(sid, 'a', { screenshot: 'data:image/jpeg;base64,AAAA' });
+
+    const mode = (file) => fs.statSync(path.join(dataDir, file)).mode & 0o777;
+    expect(mode('.')).toBe(0o700);
+    expect(mode(`${sid}.json`)).toBe(0o600);
+    expect(mode('snapshots')).toBe(0o700);
+    expect(mode(`snapshots/${sid}`)).toBe(0o700);
+    expect(mode(`snapshots/${sid}/a.json`)).toBe(0o600);
+  });
+
+  it('persists the feedback history with replies', () => {
+    const sid = crypto.randomUUID();
+    const first = createFileFeedbackStore(tmpDir);
+    first.addToHistory(sid, [{ id: 'a', replies: [] }]);
+    first.updateHistoryEntry(sid, 'a', entry => ({ ...entry, replies: [{ from: 'claude', text: 'Fixed' }] }));
+
+    const second = createFileFeedbackStore(tmpDir);
+    second.load();
+    expect(second.getHistory(sid)).toEqual([{ id: 'a', replies: [{ from: 'claude', text: 'Fixed' }] }]);
+  });
+
+  it('removes the session file once all queues are empty', () => {
+    const sid = crypto.randomUUID();
+    const store = createFileFeedbackStore(tmpDir);
+    store.addPending(sid, { id: 'a' });
+    store.markAllReady(sid);
+    store.takeReady(sid);
+    expect(fs.existsSync(path.join(tmpDir, `${sid}.json`))).toBe(false);
+  });
+
+  it('persists the unmatched bucket', () => {
+    const store = createFileFeedbackStore(tmpDir);
+    store.addPending('unmatched', { id: 'a' });
+    expect(fs.existsSync(path.join(tmpDir, 'unmatched.json'))).toBe(true);
+  });
+
+  it('keeps non-UUID session IDs in memory only', () => {
+    const store = createFileFeedbackStore(tmpDir);
+    store.addPending('../escape', { id: 'a' });
+    expect(store.getPending('../escape')).toEqual([{ id: 'a' }]);
+    expect(fs.readdirSync(tmpDir)).toEqual([]);
+    expect(fs.existsSync(path.join(tmpDir, '..', 'escape.json'))).toBe(false);
+  });
+
+  it('returns 0 when the data directory does not exist', () => {
+    const store = createFileFeedbackStore(path.join(tmpDir, 'missing'));
+    expect(store.load()).toBe(0);
+  });
+
+  it('skips unreadable files when loading', () => {
+    const sid = crypto.randomUUID();
+    fs.writeFileSync(path.join(tmpDir, `${sid}.json`), 'not json');
+    fs.writeFileSync(path.join(tmpDir, 'notes.txt'), 'ignored');
+    const store = createFileFeedbackStore(tmpDir);
+    expect(store.load()).toBe(0);
+  });
+});
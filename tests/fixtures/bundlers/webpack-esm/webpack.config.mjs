@@ -0,0 +1,6 @@
+import HtmlWebpackPlugin from 'html-webpack-plugin';
+
+export default {
+  entry: './src/index.js',
+  plugins: [new HtmlWebpackPlugin()],
+};
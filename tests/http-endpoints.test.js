@@ -3,14 +3,26 @@ import { spawn } from 'child_process';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import crypto from 'node:crypto';
+import fs from 'fs';
+import os from 'os';
 import WebSocket from 'ws';
+import { PNG } from 'pngjs';
+import { deriveSessionId } from '../src/utils.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const SERVER_PATH = path.join(__dirname, '..', 'src', 'server.js');
 const TEST_PORT = 19877;
 const BASE_URL = `http://localhost:${TEST_PORT}`;
+const TEST_AUTH_TOKEN = 'test-auth-token';
+
+// Every route except the widget assets requires the auth token; send it by default
+const fetch = (url, init = {}) => globalThis.fetch(url, {
+  ...init,
+  headers: { 'X-Feedback-Token': TEST_AUTH_TOKEN, ...init.headers },
+});
 
 let serverProcess;
+let dataDir;
 
 async function waitForServer(maxRetries = 20, delay = 250) {
   for (let i = 0; i < maxRetries; i++) {
@@ -26,8 +38,9 @@ async function waitForServer(maxRetries = 20, delay = 250) {
 }
 
 beforeAll(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'feedback-data-test-'));
   serverProcess = spawn('node', [SERVER_PATH], {
-    env: { ...process.env, FEEDBACK_PORT: String(TEST_PORT) },
+    env: { ...process.env, FEEDBACK_PORT: String(TEST_PORT), FEEDBACK_DATA_DIR: dataDir, FEEDBACK_AUTH_TOKEN: TEST_AUTH_TOKEN },
     stdio: ['pipe', 'pipe', 'pipe'],
   });
 
@@ -41,6 +54,9 @@ afterAll(() => {
   if (serverProcess) {
     serverProcess.kill('SIGTERM');
   }
+  if (dataDir) {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
 });
 
 // ============================================
@@ -65,6 +81,187 @@ describe('HTTP basics', () => {
   });
 });
 
+// ============================================
+// Authentication
+// ============================================
+
+describe('auth token', () => {
+  it('rejects requests without the token', async () => {
+    for (const [method, route] of [['GET', '/status'], ['GET', '/feedback'], ['GET', '/sessions'], ['POST', '/broadcast'], ['DELETE', '/feedback/abc']]) {
+      const resp = await globalThis.fetch(`${BASE_URL}${route}`, { method });
+      expect(resp.status, `${method} ${route}`).toBe(401);
+    }
+  });
+
+  it('rejects requests with a wrong token', async () => {
+    const resp = await globalThis.fetch(`${BASE_URL}/sessions`, {
+      headers: { 'X-Feedback-Token': 'wrong-token' },
+    });
+    expect(resp.status).toBe(401);
+    const data = await resp.json();
+    expect(data.error).toMatch(/auth token/i);
+  });
+
+  it('allows the CORS preflight for the token header', async () => {
+    const resp = await globalThis.fetch(`${BASE_URL}/feedback`, { method: 'OPTIONS', headers: { Origin: 'http://localhost:3000' } });
+    expect(resp.status).toBe(200);
+    expect(resp.headers.get('access-control-allow-headers')).toMatch(/X-Feedback-Token/);
+  });
+
+  it('serves widget.js without a token and injects the token into it', async () => {
+    const resp = await globalThis.fetch(`${BASE_URL}/widget.js?session=${crypto.randomUUID()}`);
+    expect(resp.status).toBe(200);
+    expect(resp.headers.get('access-control-allow-origin')).toBeNull();
+    const body = await resp.text();
+    expect(body).toContain(`"token":${JSON.stringify(TEST_AUTH_TOKEN)}`);
+    expect(body).not.toContain('__AUTH_TOKEN__');
+  });
+
+  it('serves the widget module as a classic script that starts the widget', async () => {
+    const sessionId = crypto.randomUUID();
+    const body = await (await fetch(`${BASE_URL}/widget.js?session=${sessionId}`)).text();
+    expect(body).not.toMatch(/^(export|import) /m);
+    expect(body).toContain('const BUILTIN_REDACTION_RULES = [');
+    expect(() => new Function(body)).not.toThrow();
+    expect(body).toContain(`initFeedbackWidget({"serverUrl":"http://localhost:${TEST_PORT}","session":"${sessionId}"`);
+  });
+
+  it('rejects WebSocket connections without the token', async () => {
+    const ws = new WebSocket(`ws://localhost:${TEST_PORT}/ws?session=${crypto.randomUUID()}`);
+    const statusCode = await new Promise((resolve) => {
+      ws.on('unexpected-response', (_req, res) => resolve(res.statusCode));
+      ws.on('open', () => resolve('open'));
+      ws.on('error', () => {});
+    });
+    expect(statusCode).toBe(401);
+    ws.terminate();
+  });
+});
+
+// ============================================
+// Widget config injection
+// ============================================
+
+describe('widget config', () => {
+  it('injects the default widget config for unregistered sessions', async () => {
+    const body = await (await fetch(`${BASE_URL}/widget.js?session=${crypto.randomUUID()}`)).text();
+    expect(body).toContain('"consoleBufferSize":50,"screenshotQuality":0.7,"captureErrors":false}');
+  });
+
+  it('injects the widget config a session registered with', async () => {
+    const sessionId = crypto.randomUUID();
+    await fetch(`${BASE_URL}/register-session`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        sessionId,
+        projectDir: '/tmp/config-project',
+        widgetConfig: { consoleBufferSize: 120, screenshotQuality: 5, captureErrors: true },
+      }),
+    });
+    const body = await (await fetch(`${BASE_URL}/widget.js?session=${sessionId}`)).text();
+    // Invalid values fall back to the defaults
+    expect(body).toContain('"consoleBufferSize":120,"screenshotQuality":0.7,"captureErrors":true}');
+  });
+});
+
+// ============================================
+// Origin allowlist
+// ============================================
+
+describe('origin allowlist', () => {
+  const sessionId = crypto.randomUUID();
+
+  function wsStatus(session, origin) {
+    const ws = new WebSocket(`ws://localhost:${TEST_PORT}/ws?session=${session}&token=${TEST_AUTH_TOKEN}`, { origin });
+    return new Promise((resolve) => {
+      ws.on('unexpected-response', (_req, res) => resolve(res.statusCode));
+      ws.on('open', () => resolve('open'));
+      ws.on('error', () => {});
+    }).finally(() => ws.terminate());
+  }
+
+  beforeAll(async () => {
+    await fetch(`${BASE_URL}/register-session`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        sessionId,
+        projectDir: '/tmp/origin-project',
+        projectUrl: 'https://project.test/app',
+        allowedOrigins: ['https://*.extra.test'],
+      }),
+    });
+  });
+
+  it('reflects allowed origins in CORS headers instead of *', async () => {
+    for (const origin of ['https://project.test', 'https://preview.extra.test', 'http://localhost:5173']) {
+      const resp = await fetch(`${BASE_URL}/status?session=${sessionId}`, { headers: { Origin: origin } });
+      expect(resp.headers.get('access-control-allow-origin'), origin).toBe(origin);
+    }
+  });
+
+  it('omits CORS headers for other origins', async () => {
+    const resp = await fetch(`${BASE_URL}/status?session=${sessionId}`, { headers: { Origin: 'https://evil.test' } });
+    expect(resp.headers.get('access-control-allow-origin')).toBeNull();
+    const preflight = await globalThis.fetch(`${BASE_URL}/feedback`, { method: 'OPTIONS', headers: { Origin: 'https://evil.test' } });
+    expect(preflight.headers.get('access-control-allow-origin')).toBeNull();
+  });
+
+  it('accepts WebSocket connections from the project URL and configured origins', async () => {
+    expect(await wsStatus(sessionId, 'https://project.test')).toBe('open');
+    expect(await wsStatus(sessionId, 'https://preview.extra.test')).toBe('open');
+    expect(await wsStatus(sessionId, 'http://localhost:3000')).toBe('open');
+  });
+
+  it('rejects WebSocket connections from other origins', async () => {
+    expect(await wsStatus(sessionId, 'https://evil.test')).toBe(403);
+    // The project URL of one session does not open up another
+    expect(await wsStatus(crypto.randomUUID(), 'https://project.test')).toBe(403);
+  });
+});
+
+// ============================================
+// Redaction config
+// ============================================
+
+describe('redaction config', () => {
+  it('sends the session redaction rules to widgets on connect and on registration', async () => {
+    const sessionId = crypto.randomUUID();
+    const { ws, msg } = await connectWs(sessionId);
+
+    try {
+      expect(msg.redaction).toEqual({ patterns: [], selectors: [] });
+
+      const update = new Promise((resolve) => {
+        ws.on('message', (data) => {
+          const message = JSON.parse(data.toString());
+          if (message.type === 'redaction_config') resolve(message);
+        });
+      });
+      await fetch(`${BASE_URL}/register-session`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          sessionId,
+          projectDir: '/tmp/redaction-project',
+          redaction: { patterns: ['ACCT-\\d+', '(bad'], selectors: ['.customer-name'] },
+        }),
+      });
+      expect((await update).redaction).toEqual({ patterns: ['ACCT-\\d+'], selectors: ['.customer-name'] });
+    } finally {
+      ws.close();
+    }
+
+    const { ws: ws2, msg: msg2 } = await connectWs(sessionId);
+    try {
+      expect(msg2.redaction).toEqual({ patterns: ['ACCT-\\d+'], selectors: ['.customer-name'] });
+    } finally {
+      ws2.close();
+    }
+  });
+});
+
 // ============================================
 // Session Registration Lifecycle
 // ============================================
@@ -243,8 +440,8 @@ describe('broadcast endpoint', () => {
 function connectWs(sessionId) {
   return new Promise((resolve, reject) => {
     const url = sessionId
-      ? `ws://localhost:${TEST_PORT}/ws?session=${sessionId}`
-      : `ws://localhost:${TEST_PORT}/ws`;
+      ? `ws://localhost:${TEST_PORT}/ws?session=${sessionId}&token=${TEST_AUTH_TOKEN}`
+      : `ws://localhost:${TEST_PORT}/ws?token=${TEST_AUTH_TOKEN}`;
     const ws = new WebSocket(url);
     ws.on('open', () => {
       // Wait for the connected message
@@ -377,3 +574,711 @@ describe('WebSocket session routing', () => {
     }
   });
 });
+
+// ============================================
+// Feedback Persistence
+// ============================================
+
+describe('feedback persistence', () => {
+  it('writes pending feedback to the data directory and removes the file when emptied', async () => {
+    const sessionId = crypto.randomUUID();
+    const sessionFile = path.join(dataDir, `${sessionId}.json`);
+    const { ws } = await connectWs(sessionId);
+
+    try {
+      ws.send(JSON.stringify({
+        type: 'feedback',
+        payload: { id: 'fb-persist-1', description: 'Persist me' },
+      }));
+      await new Promise(r => setTimeout(r, 100));
+
+      const stored = JSON.parse(fs.readFileSync(sessionFile, 'utf8'));
+      expect(stored.pending).toHaveLength(1);
+      expect(stored.pending[0].id).toBe('fb-persist-1');
+      expect(stored.ready).toEqual([]);
+
+      const resp = await fetch(`${BASE_URL}/feedback/fb-persist-1?session=${sessionId}`, {
+        method: 'DELETE',
+      });
+      expect(resp.status).toBe(200);
+      expect(fs.existsSync(sessionFile)).toBe(false);
+    } finally {
+      ws.close();
+    }
+  });
+});
+
+// ============================================
+// Feedback History and Replies
+// ============================================
+
+describe('feedback history and replies', () => {
+  // Collects feedback_history messages sent to a client
+  function collectHistory(ws) {
+    const updates = [];
+    ws.on('message', (data) => {
+      const msg = JSON.parse(data.toString());
+      if (msg.type === 'feedback_history') updates.push(msg.items);
+    });
+    return updates;
+  }
+
+  function postReply(sessionId, id, message) {
+    return fetch(`${BASE_URL}/feedback/${id}/reply?session=${sessionId}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message }),
+    });
+  }
+
+  it('records sent items and broadcasts replies to the session', async () => {
+    const sessionId = crypto.randomUUID();
+    const { ws } = await connectWs(sessionId);
+    const updates = collectHistory(ws);
+
+    try {
+      ws.send(JSON.stringify({ type: 'feedback', payload: { id: 'fb-thread-1', description: 'Logo is blurry', element: { selector: '.logo' } } }));
+      ws.send(JSON.stringify({ type: 'send_to_claude' }));
+      await new Promise(r => setTimeout(r, 100));
+
+      expect(updates.at(-1)).toEqual([
+        expect.objectContaining({ id: 'fb-thread-1', selector: '.logo', status: 'open', replies: [] }),
+      ]);
+
+      const resp = await postReply(sessionId, 'fb-thread-1', 'Fixed in Header.tsx, please reload');
+      expect(resp.status).toBe(200);
+      const { entry } = await resp.json();
+      expect(entry.replies).toHaveLength(1);
+      await new Promise(r => setTimeout(r, 100));
+
+      expect(updates.at(-1)[0].replies).toEqual([
+        expect.objectContaining({ from: 'claude', text: 'Fixed in Header.tsx, please reload' }),
+      ]);
+    } finally {
+      ws.close();
+    }
+  });
+
+  it('returns 404 when replying to an unknown item', async () => {
+    const resp = await postReply(crypto.randomUUID(), 'missing', 'Hello');
+    expect(resp.status).toBe(404);
+  });
+
+  it('returns 400 when the reply message is missing', async () => {
+    const resp = await postReply(crypto.randomUUID(), 'missing', '  ');
+    expect(resp.status).toBe(400);
+  });
+
+  it('queues a follow-up when the user reopens an item', async () => {
+    const sessionId = crypto.randomUUID();
+    const { ws } = await connectWs(sessionId);
+    const updates = collectHistory(ws);
+
+    try {
+      ws.send(JSON.stringify({ type: 'feedback', payload: { id: 'fb-thread-2', description: 'Button misaligned', element: { selector: '.cta' } } }));
+      ws.send(JSON.stringify({ type: 'send_to_claude' }));
+      await new Promise(r => setTimeout(r, 100));
+      await fetch(`${BASE_URL}/feedback?session=${sessionId}`); // Claude consumes the item
+
+      ws.send(JSON.stringify({ type: 'reopen_feedback', id: 'fb-thread-2', comment: 'Still misaligned on mobile' }));
+      await new Promise(r => setTimeout(r, 100));
+
+      const summary = await (await fetch(`${BASE_URL}/pending-summary?session=${sessionId}`)).json();
+      expect(summary.items).toEqual([
+        expect.objectContaining({ description: 'Still misaligned on mobile', selector: 'Follow-up: .cta' }),
+      ]);
+      expect(updates.at(-1)[0]).toMatchObject({ id: 'fb-thread-2', status: 'open' });
+
+      // Sending the follow-up delivers it without adding a second history entry
+      ws.send(JSON.stringify({ type: 'send_to_claude' }));
+      await new Promise(r => setTimeout(r, 100));
+      const { feedback } = await (await fetch(`${BASE_URL}/feedback?session=${sessionId}`)).json();
+      expect(feedback[0]).toMatchObject({ inReplyTo: 'fb-thread-2', original: { selector: '.cta' } });
+      expect(updates.at(-1)).toHaveLength(1);
+    } finally {
+      ws.close();
+    }
+  });
+});
+
+describe('feedback lifecycle', () => {
+  async function sendFeedback(ws, id) {
+    ws.send(JSON.stringify({ type: 'feedback', payload: { id, description: `Item ${id}` } }));
+    ws.send(JSON.stringify({ type: 'send_to_claude' }));
+    await new Promise(r => setTimeout(r, 100));
+  }
+
+  it('tracks items from open to in_progress to resolved', async () => {
+    const sessionId = crypto.randomUUID();
+    const { ws } = await connectWs(sessionId);
+
+    try {
+      await sendFeedback(ws, 'fb-life-1');
+      let history = await (await fetch(`${BASE_URL}/feedback-history?session=${sessionId}`)).json();
+      expect(history.counts.open).toBe(1);
+
+      await fetch(`${BASE_URL}/feedback?session=${sessionId}`); // Delivered to Claude
+      history = await (await fetch(`${BASE_URL}/feedback-history?session=${sessionId}&status=in_progress`)).json();
+      expect(history.items.map(e => e.id)).toEqual(['fb-life-1']);
+
+      const resp = await fetch(`${BASE_URL}/feedback/fb-life-1/status?session=${sessionId}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ status: 'resolved', note: 'Fixed in Header.tsx' }),
+      });
+      expect(resp.status).toBe(200);
+      const { entry } = await resp.json();
+      expect(entry.statusHistory.map(c => c.status)).toEqual(['open', 'in_progress', 'resolved']);
+      expect(entry.statusHistory.at(-1).note).toBe('Fixed in Header.tsx');
+
+      history = await (await fetch(`${BASE_URL}/feedback-history?session=${sessionId}&status=resolved`)).json();
+      expect(history.items).toHaveLength(1);
+      expect(history.counts).toEqual({ open: 0, in_progress: 0, resolved: 1, wontfix: 0 });
+    } finally {
+      ws.close();
+    }
+  });
+
+  it('keeps the original screenshot and element of sent items for verification', async () => {
+    const sessionId = crypto.randomUUID();
+    const { ws } = await connectWs(sessionId);
+
+    try {
+      ws.send(JSON.stringify({
+        type: 'feedback',
+        payload: {
+          id: 'fb-verify-1',
+          screenshot: 'data:image/jpeg;base64,AAAA',
+          element: { selector: '.logo', fullSelector: 'header > .logo', boundingRect: { width: 10 }, computedStyles: {} },
+        },
+      }));
+      ws.send(JSON.stringify({ type: 'send_to_claude' }));
+      await new Promise(r => setTimeout(r, 100));
+
+      const resp = await fetch(`${BASE_URL}/feedback/fb-verify-1/snapshot?session=${sessionId}`);
+      expect(resp.status).toBe(200);
+      const { snapshot } = await resp.json();
+      expect(snapshot.screenshot).toBe('data:image/jpeg;base64,AAAA');
+      expect(snapshot.element.fullSelector).toBe('header > .logo');
+
+      const missing = await fetch(`${BASE_URL}/feedback/unknown/snapshot?session=${sessionId}`);
+      expect(missing.status).toBe(404);
+    } finally {
+      ws.close();
+    }
+  });
+
+  it('acknowledges a send with the ids of the sent items', async () => {
+    const sessionId = crypto.randomUUID();
+    const { ws } = await connectWs(sessionId);
+
+    try {
+      const ack = new Promise((resolve) => {
+        ws.on('message', (data) => {
+          const msg = JSON.parse(data.toString());
+          if (msg.type === 'sent_to_claude') resolve(msg);
+        });
+      });
+      ws.send(JSON.stringify({ type: 'feedback', payload: { id: 'fb-ack-1', extra: { route: '/cart' } } }));
+      ws.send(JSON.stringify({ type: 'feedback', payload: { id: 'fb-ack-2' } }));
+      ws.send(JSON.stringify({ type: 'send_to_claude' }));
+      expect(await ack).toEqual({ type: 'sent_to_claude', count: 2, ids: ['fb-ack-1', 'fb-ack-2'] });
+    } finally {
+      ws.close();
+    }
+  });
+
+  it('rejects unknown statuses', async () => {
+    const sessionId = crypto.randomUUID();
+    const listResp = await fetch(`${BASE_URL}/feedback-history?session=${sessionId}&status=done`);
+    expect(listResp.status).toBe(400);
+
+    const resp = await fetch(`${BASE_URL}/feedback/x/status?session=${sessionId}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ status: 'done' }),
+    });
+    expect(resp.status).toBe(400);
+  });
+
+  it('returns 404 when changing the status of an unknown item', async () => {
+    const resp = await fetch(`${BASE_URL}/feedback/missing/status?session=${crypto.randomUUID()}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ status: 'wontfix' }),
+    });
+    expect(resp.status).toBe(404);
+  });
+});
+
+// ============================================
+// Widget Requests
+// ============================================
+
+describe('widget request endpoint', () => {
+  function postWidgetRequest(sessionId, body) {
+    return fetch(`${BASE_URL}/widget-request?session=${sessionId}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+  }
+
+  it('returns 409 when no client is connected for the session', async () => {
+    const resp = await postWidgetRequest(crypto.randomUUID(), { method: 'inspect_element', params: {} });
+    expect(resp.status).toBe(409);
+    const data = await resp.json();
+    expect(data.error).toMatch(/no browser clients/i);
+  });
+
+  it('returns 400 when the method is missing', async () => {
+    const resp = await postWidgetRequest(crypto.randomUUID(), { params: {} });
+    expect(resp.status).toBe(400);
+  });
+
+  it('relays the request to the widget and returns its result', async () => {
+    const sessionId = crypto.randomUUID();
+    const { ws } = await connectWs(sessionId);
+    ws.on('message', (data) => {
+      const msg = JSON.parse(data.toString());
+      if (msg.type === 'widget_request') {
+        ws.send(JSON.stringify({
+          type: 'widget_response',
+          requestId: msg.requestId,
+          result: { echoed: msg.method, selector: msg.params.selector },
+        }));
+      }
+    });
+
+    try {
+      const resp = await postWidgetRequest(sessionId, { method: 'inspect_element', params: { selector: '#app' } });
+      expect(resp.status).toBe(200);
+      const data = await resp.json();
+      expect(data.result).toEqual({ echoed: 'inspect_element', selector: '#app' });
+    } finally {
+      ws.close();
+    }
+  });
+
+  it('returns 502 with the widget error message', async () => {
+    const sessionId = crypto.randomUUID();
+    const { ws } = await connectWs(sessionId);
+    ws.on('message', (data) => {
+      const msg = JSON.parse(data.toString());
+      if (msg.type === 'widget_request') {
+        ws.send(JSON.stringify({ type: 'widget_response', requestId: msg.requestId, error: 'Invalid selector: ##' }));
+      }
+    });
+
+    try {
+      const resp = await postWidgetRequest(sessionId, { method: 'inspect_element', params: { selector: '##' } });
+      expect(resp.status).toBe(502);
+      const data = await resp.json();
+      expect(data.error).toBe('Invalid selector: ##');
+    } finally {
+      ws.close();
+    }
+  });
+
+  it('returns 504 when the widget does not answer in time', async () => {
+    const sessionId = crypto.randomUUID();
+    const { ws } = await connectWs(sessionId);
+
+    try {
+      const resp = await postWidgetRequest(sessionId, { method: 'inspect_element', params: {}, timeoutMs: 200 });
+      expect(resp.status).toBe(504);
+      const data = await resp.json();
+      expect(data.error).toMatch(/timed out/i);
+    } finally {
+      ws.close();
+    }
+  });
+
+  // Answers every widget_request with the tab's own name
+  function answerAs(ws, name) {
+    ws.on('message', (data) => {
+      const msg = JSON.parse(data.toString());
+      if (msg.type === 'widget_request') {
+        ws.send(JSON.stringify({ type: 'widget_response', requestId: msg.requestId, result: { tab: name } }));
+      }
+    });
+  }
+
+  it('lists connected tabs with the page info they report', async () => {
+    const sessionId = crypto.randomUUID();
+    const { ws, msg } = await connectWs(sessionId);
+    ws.send(JSON.stringify({ type: 'client_info', url: 'http://app.test/settings', title: 'Settings' }));
+    await new Promise(r => setTimeout(r, 100));
+
+    try {
+      const resp = await fetch(`${BASE_URL}/status?session=${sessionId}`);
+      const data = await resp.json();
+      expect(data.clients).toEqual([
+        expect.objectContaining({ clientId: msg.clientId, url: 'http://app.test/settings', title: 'Settings' }),
+      ]);
+    } finally {
+      ws.close();
+    }
+  });
+
+  it('targets a tab by client ID or page URL', async () => {
+    const sessionId = crypto.randomUUID();
+    const first = await connectWs(sessionId);
+    const second = await connectWs(sessionId);
+    first.ws.send(JSON.stringify({ type: 'client_info', url: 'http://app.test/checkout', title: 'Checkout' }));
+    second.ws.send(JSON.stringify({ type: 'client_info', url: 'http://app.test/', title: 'Home' }));
+    answerAs(first.ws, 'first');
+    answerAs(second.ws, 'second');
+    await new Promise(r => setTimeout(r, 100));
+
+    try {
+      let data = await (await postWidgetRequest(sessionId, { method: 'inspect_element' })).json();
+      expect(data.result).toEqual({ tab: 'second' });
+
+      data = await (await postWidgetRequest(sessionId, { method: 'inspect_element', clientId: first.msg.clientId })).json();
+      expect(data.result).toEqual({ tab: 'first' });
+
+      data = await (await postWidgetRequest(sessionId, { method: 'inspect_element', url: '/checkout' })).json();
+      expect(data.result).toEqual({ tab: 'first' });
+
+      const resp = await postWidgetRequest(sessionId, { method: 'inspect_element', clientId: 'nope' });
+      expect(resp.status).toBe(404);
+    } finally {
+      first.ws.close();
+      second.ws.close();
+    }
+  });
+
+  it('ignores answers from a tab the request was not sent to', async () => {
+    const sessionId = crypto.randomUUID();
+    const target = await connectWs(sessionId);
+    const other = await connectWs(sessionId);
+    target.ws.on('message', (data) => {
+      const msg = JSON.parse(data.toString());
+      if (msg.type !== 'widget_request') return;
+      // Another tab that learned the request ID answers first
+      other.ws.send(JSON.stringify({ type: 'widget_response', requestId: msg.requestId, error: 'Spoofed' }));
+      setTimeout(() => {
+        target.ws.send(JSON.stringify({ type: 'widget_response', requestId: msg.requestId, result: { tab: 'target' } }));
+      }, 100);
+    });
+
+    try {
+      const resp = await postWidgetRequest(sessionId, { method: 'inspect_element', clientId: target.msg.clientId });
+      expect(resp.status).toBe(200);
+      expect((await resp.json()).result).toEqual({ tab: 'target' });
+    } finally {
+      target.ws.close();
+      other.ws.close();
+    }
+  });
+
+  it('supports async requests with long-polling for the answer', async () => {
+    const sessionId = crypto.randomUUID();
+    const { ws } = await connectWs(sessionId);
+    ws.on('message', (data) => {
+      const msg = JSON.parse(data.toString());
+      if (msg.type === 'widget_request') {
+        // Answer after the first poll has started waiting
+        setTimeout(() => {
+          ws.send(JSON.stringify({ type: 'widget_response', requestId: msg.requestId, result: { ok: true } }));
+        }, 300);
+      }
+    });
+
+    try {
+      const start = await postWidgetRequest(sessionId, { method: 'inspect_element', async: true });
+      expect(start.status).toBe(202);
+      const { requestId, status } = await start.json();
+      expect(status).toBe('pending');
+
+      const poll = await fetch(`${BASE_URL}/widget-request/${requestId}?wait=5`);
+      expect(poll.status).toBe(200);
+      expect(await poll.json()).toEqual({ status: 'done', result: { ok: true } });
+
+      // Answers are handed out once
+      const again = await fetch(`${BASE_URL}/widget-request/${requestId}`);
+      expect(again.status).toBe(404);
+    } finally {
+      ws.close();
+    }
+  });
+
+  it('reports a pending async request when the poll wait runs out', async () => {
+    const sessionId = crypto.randomUUID();
+    const { ws } = await connectWs(sessionId);
+
+    try {
+      const start = await postWidgetRequest(sessionId, { method: 'inspect_element', async: true, timeoutMs: 2000 });
+      const { requestId } = await start.json();
+
+      const poll = await fetch(`${BASE_URL}/widget-request/${requestId}?wait=0.2`);
+      expect(poll.status).toBe(202);
+      expect((await poll.json()).status).toBe('pending');
+
+      const final = await fetch(`${BASE_URL}/widget-request/${requestId}?wait=5`);
+      expect(final.status).toBe(504);
+    } finally {
+      ws.close();
+    }
+  });
+});
+
+// ============================================
+// MCP tools that talk to the widget
+// ============================================
+
+// The spawned server's own session (derived from its working directory, which it
+// inherits from the test run)
+const MCP_SESSION_ID = deriveSessionId(process.cwd());
+
+let mcpRequestId = 0;
+let mcpInitialized = null;
+
+// Send a JSON-RPC request over the server's stdio and resolve with its result
+function mcpRequest(method, params) {
+  const id = ++mcpRequestId;
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    const onData = (data) => {
+      buffer += data.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        const message = JSON.parse(line);
+        if (message.id !== id) continue;
+        serverProcess.stdout.off('data', onData);
+        if (message.error) reject(new Error(message.error.message));
+        else resolve(message.result);
+      }
+    };
+    serverProcess.stdout.on('data', onData);
+    serverProcess.stdin.write(JSON.stringify({ jsonrpc: '2.0', id, method, params }) + '\n');
+  });
+}
+
+async function callTool(name, args = {}) {
+  mcpInitialized ??= mcpRequest('initialize', {
+    protocolVersion: '2024-11-05',
+    capabilities: {},
+    clientInfo: { name: 'http-endpoints-test', version: '1.0.0' },
+  });
+  await mcpInitialized;
+  return mcpRequest('tools/call', { name, arguments: args });
+}
+
+// Answers the widget_requests of a fake widget with answer(msg) -> { result } or { error }
+function answerWidgetRequests(ws, answer) {
+  const requests = [];
+  ws.on('message', (data) => {
+    const msg = JSON.parse(data.toString());
+    if (msg.type !== 'widget_request') return;
+    requests.push(msg);
+    ws.send(JSON.stringify({ type: 'widget_response', requestId: msg.requestId, ...answer(msg) }));
+  });
+  return requests;
+}
+
+describe('capture_screenshot tool', () => {
+  it('reports that no browser is connected', async () => {
+    const result = await callTool('capture_screenshot', {});
+    expect(result.content[0].text).toMatch(/^Could not capture screenshot: No browser clients connected/);
+  });
+
+  it('returns the screenshot as an image content block', async () => {
+    const { ws } = await connectWs(MCP_SESSION_ID);
+    const requests = answerWidgetRequests(ws, () => ({
+      result: {
+        url: 'http://app.test/',
+        selector: '#cart',
+        mode: 'element',
+        screenshot: 'data:image/jpeg;base64,/9j/4AAQ',
+      },
+    }));
+
+    try {
+      const result = await callTool('capture_screenshot', { selector: '#cart' });
+      expect(requests[0]).toMatchObject({ method: 'capture_screenshot', params: { selector: '#cart', fullPage: false } });
+      expect(JSON.parse(result.content[0].text)).toEqual({ url: 'http://app.test/', selector: '#cart', mode: 'element' });
+      expect(result.content[1]).toEqual({ type: 'image', data: '/9j/4AAQ', mimeType: 'image/jpeg' });
+    } finally {
+      ws.close();
+    }
+  });
+
+  it('reports an error from the widget', async () => {
+    const { ws } = await connectWs(MCP_SESSION_ID);
+    answerWidgetRequests(ws, () => ({ error: "No element matches '#missing'" }));
+
+    try {
+      const result = await callTool('capture_screenshot', { selector: '#missing' });
+      expect(result.content).toEqual([
+        { type: 'text', text: "Could not capture screenshot: No element matches '#missing'" },
+      ]);
+    } finally {
+      ws.close();
+    }
+  });
+
+  it('reports a timeout when the widget does not answer', async () => {
+    const { ws } = await connectWs(MCP_SESSION_ID);
+
+    try {
+      const result = await callTool('capture_screenshot', { timeout_seconds: 0.2 });
+      expect(result.content[0].text).toMatch(/^Could not capture screenshot: Timed out after 200ms/);
+    } finally {
+      ws.close();
+    }
+  });
+});
+
+describe('compare_screenshots tool', () => {
+  // A solid-color PNG data URL, with a red square drawn on it when `drawn`
+  function pngDataUrl(width, height, { drawn = false } = {}) {
+    const png = new PNG({ width, height });
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = (y * width + x) * 4;
+        const red = drawn && x < 10 && y < 10;
+        png.data.set(red ? [239, 68, 68, 255] : [240, 240, 240, 255], i);
+      }
+    }
+    return `data:image/png;base64,${PNG.sync.write(png).toString('base64')}`;
+  }
+
+  async function sendToClaude(ws, payload) {
+    ws.send(JSON.stringify({ type: 'feedback', payload }));
+    ws.send(JSON.stringify({ type: 'send_to_claude' }));
+    await new Promise(r => setTimeout(r, 100));
+  }
+
+  it('diffs against the screenshot without the drawing and recaptures the same region', async () => {
+    const { ws } = await connectWs(MCP_SESSION_ID);
+    const region = { left: 10, top: 20, width: 40, height: 30, scrollX: 0, scrollY: 600, elements: [], elementCount: 0 };
+    const requests = answerWidgetRequests(ws, () => ({
+      result: { url: 'http://app.test/', found: true, matchedBy: 'region', screenshot: pngDataUrl(40, 30) },
+    }));
+
+    try {
+      await sendToClaude(ws, {
+        id: 'fb-compare-region',
+        region,
+        screenshot: pngDataUrl(40, 30, { drawn: true }),
+        baseScreenshot: pngDataUrl(40, 30),
+        annotations: { width: 40, height: 30, shapes: [{ type: 'rect', x: 0, y: 0, width: 10, height: 10, color: '#ef4444' }] },
+      });
+      const result = await callTool('compare_screenshots', { feedback_id: 'fb-compare-region' });
+
+      expect(requests[0]).toMatchObject({
+        method: 'verify_element',
+        params: { target: { region: { left: 10, top: 20, width: 40, height: 30, scrollX: 0, scrollY: 600 } } },
+      });
+      const summary = JSON.parse(result.content[0].text);
+      expect(summary).toMatchObject({ feedbackId: 'fb-compare-region', changedPixels: 0, sizeMismatch: false });
+    } finally {
+      ws.close();
+    }
+  });
+
+  it('recaptures all elements of a multi-element item', async () => {
+    const { ws } = await connectWs(MCP_SESSION_ID);
+    const requests = answerWidgetRequests(ws, () => ({
+      result: {
+        url: 'http://app.test/',
+        found: true,
+        matchedBy: 'fullSelector',
+        element: { selector: '.a', fullSelector: 'body > .a', boundingRect: {}, computedStyles: {} },
+        screenshot: pngDataUrl(60, 20),
+      },
+    }));
+    const elements = [
+      { selector: '.a', fullSelector: 'body > .a', computedStyles: {} },
+      { selector: '.b', fullSelector: 'body > .b', computedStyles: {} },
+    ];
+
+    try {
+      await sendToClaude(ws, { id: 'fb-compare-multi', element: elements[0], elements, screenshot: pngDataUrl(60, 20) });
+      const result = await callTool('compare_screenshots', { feedback_id: 'fb-compare-multi' });
+
+      expect(requests[0].params).toMatchObject({
+        fullSelector: 'body > .a',
+        target: { elements: [{ selector: '.a', fullSelector: 'body > .a' }, { selector: '.b', fullSelector: 'body > .b' }] },
+      });
+      expect(JSON.parse(result.content[0].text)).toMatchObject({ changedPixels: 0, sizeMismatch: false });
+    } finally {
+      ws.close();
+    }
+  });
+});
+
+describe('highlight_elements tool', () => {
+  it('requires at least one selector', async () => {
+    const result = await callTool('highlight_elements', { selectors: [] });
+    expect(result.content[0].text).toBe('Error: selectors must be a non-empty array of CSS selectors');
+  });
+
+  it('lists matched, unmatched and invalid selectors', async () => {
+    const { ws } = await connectWs(MCP_SESSION_ID);
+    const requests = answerWidgetRequests(ws, () => ({
+      result: {
+        url: 'http://app.test/cart',
+        highlightedCount: 12,
+        selectors: [
+          { selector: '.item', label: 'Items', matchCount: 14, highlighted: 10 },
+          { selector: '#buy', label: '2', matchCount: 2, highlighted: 2 },
+          { selector: '.missing', label: '3', matchCount: 0, highlighted: 0 },
+          { selector: '##', error: 'Invalid selector' },
+        ],
+      },
+    }));
+
+    try {
+      const result = await callTool('highlight_elements', {
+        selectors: ['.item', '#buy', '.missing', '##'],
+        labels: ['Items'],
+        message: 'These overflow',
+      });
+      expect(requests[0].params).toEqual({
+        selectors: ['.item', '#buy', '.missing', '##'],
+        labels: ['Items'],
+        message: 'These overflow',
+        durationMs: 30000,
+      });
+      expect(result.content[0].text).toBe([
+        'Highlighted 12 element(s) on http://app.test/cart:',
+        '- .item [Items]: 10 element(s) (14 matches, first 10 shown)',
+        '- #buy [2]: 2 element(s)',
+        '- .missing: no matching elements',
+        '- ##: Invalid selector',
+      ].join('\n'));
+    } finally {
+      ws.close();
+    }
+  });
+
+  it('passes the duration the highlights clear after, with 0 keeping them until dismissed', async () => {
+    const { ws } = await connectWs(MCP_SESSION_ID);
+    const requests = answerWidgetRequests(ws, () => ({
+      result: { url: 'http://app.test/', highlightedCount: 0, selectors: [] },
+    }));
+
+    try {
+      await callTool('highlight_elements', { selectors: ['#a'], duration_seconds: 5 });
+      await callTool('highlight_elements', { selectors: ['#a'], duration_seconds: 0 });
+      expect(requests.map(r => r.params.durationMs)).toEqual([5000, 0]);
+    } finally {
+      ws.close();
+    }
+  });
+
+  it('reports a timeout when the widget does not answer', async () => {
+    const { ws } = await connectWs(MCP_SESSION_ID);
+
+    try {
+      const result = await callTool('highlight_elements', { selectors: ['#a'], timeout_seconds: 0.2 });
+      expect(result.content[0].text).toMatch(/^Could not highlight elements: Timed out after 200ms/);
+    } finally {
+      ws.close();
+    }
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import jpeg from 'jpeg-js';
+import { PNG } from 'pngjs';
+import { decodeDataUrl, diffImages, diffScreenshots } from '../src/image-diff.js';
+
+// Solid-color RGBA image, optionally with a filled rectangle of another color
+function makeImage(width, height, color, rect = null) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const inRect = rect && x >= rect.x && x < rect.x + rect.width && y >= rect.y && y < rect.y + rect.height;
+      const [r, g, b] = inRect ? rect.color : color;
+      data.set([r, g, b, 255], (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+}
+
+function toPngDataUrl(image) {
+  const png = new PNG({ width: image.width, height: image.height });
+  image.data.copy(png.data);
+  return `data:image/png;base64,${PNG.sync.write(png).toString('base64')}`;
+}
+
+function toJpegDataUrl(image) {
+  const encoded = jpeg.encode(image, 90);
+  return `data:image/jpeg;base64,${Buffer.from(encoded.data).toString('base64')}`;
+}
+
+const WHITE = [255, 255, 255];
+const RED = [255, 0, 0];
+
+describe('decodeDataUrl', () => {
+  it('should decode PNG and JPEG data URLs to RGBA pixels', () => {
+    const image = makeImage(4, 3, RED);
+    const png = decodeDataUrl(toPngDataUrl(image));
+    expect(png.width).toBe(4);
+    expect(png.height).toBe(3);
+    expect(Array.from(png.data.slice(0, 4))).toEqual([255, 0, 0, 255]);
+
+    const jpg = decodeDataUrl(toJpegDataUrl(image));
+    expect(jpg.width).toBe(4);
+    expect(jpg.height).toBe(3);
+    expect(jpg.data.length).toBe(4 * 3 * 4);
+  });
+
+  it('should reject anything that is not a PNG or JPEG data URL', () => {
+    expect(() => decodeDataUrl('data:image/gif;base64,R0lGOD')).toThrow('Expected a base64 PNG or JPEG data URL');
+    expect(() => decodeDataUrl(null)).toThrow();
+  });
+
+  it('should refuse a PNG too large to decode before inflating it', () => {
+    const png = PNG.sync.write(Object.assign(new PNG({ width: 1, height: 1 }), { data: Buffer.alloc(4) }));
+    // Claim 20000x20000 pixels (1.6GB of RGBA) in the header
+    png.writeUInt32BE(20000, 16);
+    png.writeUInt32BE(20000, 20);
+    expect(() => decodeDataUrl(`data:image/png;base64,${png.toString('base64')}`))
+      .toThrow('PNG of 20000x20000 pixels is too large to decode (limit 256MB)');
+  });
+});
+
+describe('diffImages', () => {
+  it('should report no changes for identical images', () => {
+    const result = diffImages(makeImage(10, 10, WHITE), makeImage(10, 10, WHITE));
+    expect(result.changedPixels).toBe(0);
+    expect(result.totalPixels).toBe(100);
+    expect(result.changedPercent).toBe(0);
+  });
+
+  it('should count and mark changed pixels in red', () => {
+    const before = makeImage(10, 10, WHITE);
+    const after = makeImage(10, 10, WHITE, { x: 0, y: 0, width: 5, height: 2, color: [0, 0, 0] });
+    const result = diffImages(before, after);
+    expect(result.changedPixels).toBe(10);
+    expect(result.changedPercent).toBe(10);
+    expect(Array.from(result.diffImage.data.slice(0, 4))).toEqual([255, 0, 0, 255]);
+    // Unchanged pixels are not red
+    const last = (10 * 10 - 1) * 4;
+    expect(result.diffImage.data[last + 1]).toBeGreaterThan(0);
+  });
+
+  it('should ignore differences below the threshold', () => {
+    const before = makeImage(4, 4, WHITE);
+    const after = makeImage(4, 4, [250, 250, 250]);
+    expect(diffImages(before, after).changedPixels).toBe(0);
+    expect(diffImages(before, after, { threshold: 0 }).changedPixels).toBe(16);
+  });
+
+  it('should count pixels outside the overlap as changed when sizes differ', () => {
+    const result = diffImages(makeImage(10, 10, WHITE), makeImage(10, 12, WHITE));
+    expect(result.width).toBe(10);
+    expect(result.height).toBe(12);
+    expect(result.changedPixels).toBe(20);
+  });
+});
+
+describe('diffScreenshots', () => {
+  it('should diff two data URLs and return a JPEG diff image', () => {
+    const before = toPngDataUrl(makeImage(20, 10, WHITE));
+    const after = toJpegDataUrl(makeImage(20, 10, WHITE, { x: 0, y: 0, width: 10, height: 10, color: RED }));
+    const result = diffScreenshots(before, after);
+    expect(result.changedPercent).toBeGreaterThanOrEqual(45);
+    expect(result.changedPercent).toBeLessThanOrEqual(55);
+    expect(result.sizeMismatch).toBe(false);
+    expect(result.beforeSize).toEqual({ width: 20, height: 10 });
+    expect(result.diffDataUrl).toMatch(/^data:image\/jpeg;base64,/);
+  });
+
+  it('should flag screenshots of different sizes', () => {
+    const result = diffScreenshots(toPngDataUrl(makeImage(8, 8, WHITE)), toPngDataUrl(makeImage(6, 8, WHITE)));
+    expect(result.sizeMismatch).toBe(true);
+    expect(result.afterSize).toEqual({ width: 6, height: 8 });
+    expect(result.changedPixels).toBe(16);
+  });
+});
@@ -0,0 +1,149 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  CONFIG_FILE_NAME,
+  DEFAULT_CONFIG,
+  validateProjectConfig,
+  loadProjectConfig,
+  getWidgetConfig,
+} from '../src/project-config.js';
+
+// ============================================
+// validateProjectConfig
+// ============================================
+
+describe('validateProjectConfig', () => {
+  it('returns the defaults for an empty object', () => {
+    expect(validateProjectConfig({})).toEqual({ config: DEFAULT_CONFIG, errors: [] });
+  });
+
+  it('applies valid options over the defaults', () => {
+    const { config, errors } = validateProjectConfig({
+      $schema: './schema.json',
+      port: 9900,
+      installCandidates: ['templates/base.html'],
+      devHostnames: ['*.ddev.site'],
+      consoleBufferSize: 200,
+      screenshotQuality: 0.9,
+      captureErrors: true,
+      buildDirs: ['web/assets'],
+      allowedOrigins: ['https://*.ddev.site'],
+      redaction: { patterns: ['ACCT-\\d+'] },
+    });
+    expect(errors).toEqual([]);
+    expect(config.port).toBe(9900);
+    expect(config.installCandidates).toEqual(['templates/base.html']);
+    expect(config.devHostnames).toEqual(['*.ddev.site']);
+    expect(config.consoleBufferSize).toBe(200);
+    expect(config.screenshotQuality).toBe(0.9);
+    expect(config.captureErrors).toBe(true);
+    expect(config.buildDirs).toEqual(['web/assets']);
+    expect(config.allowedOrigins).toEqual(['https://*.ddev.site']);
+    expect(config.redaction).toEqual({ patterns: ['ACCT-\\d+'], selectors: [] });
+  });
+
+  it('reports invalid values and keeps their defaults', () => {
+    const { config, errors } = validateProjectConfig({
+      port: '9900',
+      consoleBufferSize: 0,
+      screenshotQuality: 1.5,
+      captureErrors: 'yes',
+      devHostnames: [],
+    });
+    expect(config.port).toBe(DEFAULT_CONFIG.port);
+    expect(config.consoleBufferSize).toBe(50);
+    expect(config.screenshotQuality).toBe(0.7);
+    expect(config.devHostnames).toEqual(DEFAULT_CONFIG.devHostnames);
+    expect(errors).toEqual([
+      '"port" must be an integer between 1 and 65535, got "9900"',
+      '"consoleBufferSize" must be an integer between 1 and 1000, got 0',
+      '"screenshotQuality" must be a number greater than 0 and at most 1, got 1.5',
+      '"captureErrors" must be true or false, got "yes"',
+      '"devHostnames" must be a non-empty array of hostnames or patterns, got []',
+    ]);
+  });
+
+  it('rejects install candidates outside the project', () => {
+    const { errors } = validateProjectConfig({ installCandidates: ['../other/index.html'] });
+    expect(errors[0]).toMatch(/relative paths inside the project.*\.\.\/other\/index\.html/);
+  });
+
+  it('rejects build directories outside the project', () => {
+    const { config, errors } = validateProjectConfig({ buildDirs: ['dist', '/var/www/assets'] });
+    expect(config.buildDirs).toEqual(DEFAULT_CONFIG.buildDirs);
+    expect(errors).toEqual(['"buildDirs" entries must be relative paths inside the project, got "/var/www/assets"']);
+  });
+
+  it('reports unknown options with the list of known ones', () => {
+    const { errors } = validateProjectConfig({ prot: 9900 });
+    expect(errors[0]).toMatch(/^"prot" is not a known option\. Known options: port, /);
+  });
+
+  it('validates redaction rules', () => {
+    expect(validateProjectConfig({ redaction: { patterns: ['(unclosed'] } }).errors[0])
+      .toMatch(/invalid regular expression "\(unclosed"/);
+    expect(validateProjectConfig({ redaction: { selector: ['.x'] } }).errors[0])
+      .toBe('"redaction.selector" is not a known option (expected "patterns" or "selectors")');
+  });
+
+  it('rejects a config that is not an object', () => {
+    const { config, errors } = validateProjectConfig([1, 2]);
+    expect(config).toEqual(DEFAULT_CONFIG);
+    expect(errors[0]).toMatch(/must be a JSON object/);
+  });
+});
+
+// ============================================
+// loadProjectConfig
+// ============================================
+
+describe('loadProjectConfig', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'project-config-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('returns the defaults when there is no config file', () => {
+    const result = loadProjectConfig(tmpDir);
+    expect(result).toEqual({
+      config: DEFAULT_CONFIG,
+      file: path.join(tmpDir, CONFIG_FILE_NAME),
+      found: false,
+      errors: [],
+    });
+  });
+
+  it('reads and validates the config file', () => {
+    fs.writeFileSync(path.join(tmpDir, CONFIG_FILE_NAME), JSON.stringify({ consoleBufferSize: 100, port: -1 }));
+    const result = loadProjectConfig(tmpDir);
+    expect(result.found).toBe(true);
+    expect(result.config.consoleBufferSize).toBe(100);
+    expect(result.config.port).toBe(9877);
+    expect(result.errors).toEqual([`${CONFIG_FILE_NAME}: "port" must be an integer between 1 and 65535, got -1`]);
+  });
+
+  it('reports invalid JSON', () => {
+    fs.writeFileSync(path.join(tmpDir, CONFIG_FILE_NAME), '{ "port": 9900, }');
+    const result = loadProjectConfig(tmpDir);
+    expect(result.found).toBe(true);
+    expect(result.config).toEqual(DEFAULT_CONFIG);
+    expect(result.errors[0]).toMatch(/is not valid JSON/);
+  });
+});
+
+describe('getWidgetConfig', () => {
+  it('picks the settings the widget uses', () => {
+    expect(getWidgetConfig({ ...DEFAULT_CONFIG, consoleBufferSize: 10 })).toEqual({
+      consoleBufferSize: 10,
+      screenshotQuality: 0.7,
+      captureErrors: false,
+    });
+  });
+});
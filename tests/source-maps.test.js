@@ -0,0 +1,262 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  createSourceMapConsumer,
+  createStackResolver,
+  getCodeExcerpt,
+  resolveFeedbackStacks,
+} from '../src/source-maps.js';
+import { formatFeedbackAsContent } from '../src/utils.js';
+
+const BASE64_DIGITS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+function encodeVlq(n) {
+  let value = n < 0 ? (-n << 1) | 1 : n << 1;
+  let out = '';
+  do {
+    let digit = value & 31;
+    value >>>= 5;
+    if (value) digit |= 32;
+    out += BASE64_DIGITS[digit];
+  } while (value);
+  return out;
+}
+
+// Encode per-line [generatedColumn, source, line, column, name?] segments (zero-based)
+function encodeMappings(lines) {
+  const last = [0, 0, 0, 0];
+  return lines.map((segments) => {
+    let column = 0;
+    return segments.map(([generatedColumn, ...rest]) => {
+      let text = encodeVlq(generatedColumn - column);
+      column = generatedColumn;
+      rest.forEach((value, i) => {
+        text += encodeVlq(value - last[i]);
+        last[i] = value;
+      });
+      return text;
+    }).join(',');
+  }).join(';');
+}
+
+const CART_SOURCE = [
+  'export function addToCart(cart, item) {',
+  '  if (!item) {',
+  "    throw new Error('No item');",
+  '  }',
+  '  cart.items.push(item);',
+  '}',
+].join('\n');
+
+// A one-line bundle: column 100 is the throw in addToCart, column 200 a vendor frame
+function createMap(sources) {
+  return {
+    version: 3,
+    sources,
+    names: ['addToCart', 'render'],
+    mappings: encodeMappings([[[0, 0, 0, 0, 0], [100, 0, 2, 10], [200, 1, 9, 4, 1]]]),
+  };
+}
+
+const BUNDLE_URL = 'http://localhost:5173/assets/index-3f2a.js';
+const STACK = [
+  'Error: No item',
+  `    at addToCart (${BUNDLE_URL}:1:105)`,
+  `    at ${BUNDLE_URL}:1:201`,
+  '    at https://cdn.example.com/analytics.js:1:50',
+].join('\n');
+
+function fakeFetch(files) {
+  return vi.fn(async (url) => {
+    const file = files[String(url)];
+    if (!file) return new Response('Not found', { status: 404 });
+    return new Response(file.body, { headers: file.headers });
+  });
+}
+
+let projectDir;
+
+beforeEach(() => {
+  projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'source-maps-test-'));
+  fs.mkdirSync(path.join(projectDir, 'src'));
+  fs.writeFileSync(path.join(projectDir, 'src/cart.js'), CART_SOURCE);
+});
+
+afterEach(() => {
+  fs.rmSync(projectDir, { recursive: true, force: true });
+});
+
+// ============================================
+// createSourceMapConsumer
+// ============================================
+
+describe('createSourceMapConsumer', () => {
+  it('finds the segment at or before a one-based position', () => {
+    const consumer = createSourceMapConsumer({ ...createMap(['src/cart.js', 'vendor.js']), sourceRoot: '/app' });
+    expect(consumer.originalPositionFor(1, 105)).toEqual({
+      source: '/app/src/cart.js',
+      line: 3,
+      column: 11,
+      name: null,
+      sourceContent: null,
+    });
+    expect(consumer.originalPositionFor(1, 1).name).toBe('addToCart');
+    expect(consumer.originalPositionFor(1, 250)).toMatchObject({ source: '/app/vendor.js', line: 10, name: 'render' });
+    expect(consumer.originalPositionFor(2, 1)).toBeNull();
+  });
+
+  it('rejects maps it cannot read', () => {
+    expect(() => createSourceMapConsumer({ version: 3, sections: [] })).toThrow(/version 3 source map/);
+  });
+});
+
+// ============================================
+// createStackResolver
+// ============================================
+
+describe('createStackResolver', () => {
+  it('resolves frames through a map fetched from the dev server', async () => {
+    const fetch = fakeFetch({
+      [BUNDLE_URL]: { body: 'bundle();\n//# sourceMappingURL=index-3f2a.js.map' },
+      [`${BUNDLE_URL}.map`]: { body: JSON.stringify(createMap(['../src/cart.js', '../node_modules/react/index.js'])) },
+    });
+    const resolver = createStackResolver({ projectDir, fetch });
+    const result = await resolver.resolveStack(STACK, 'http://localhost:5173/cart');
+
+    expect(result.stack.split('\n')).toEqual([
+      'Error: No item',
+      '    at addToCart (src/cart.js:3:11)',
+      '    at node_modules/react/index.js:10:5',
+      '    at https://cdn.example.com/analytics.js:1:50',
+    ]);
+    expect(result.frames[0]).toEqual({
+      file: 'src/cart.js',
+      line: 3,
+      column: 11,
+      name: null,
+      generated: `${BUNDLE_URL}:1:105`,
+    });
+    expect(result.excerpt).toBe([
+      'src/cart.js:3',
+      '  1 | export function addToCart(cart, item) {',
+      '  2 |   if (!item) {',
+      "> 3 |     throw new Error('No item');",
+      '  4 |   }',
+      '  5 |   cart.items.push(item);',
+    ].join('\n'));
+    // The map is loaded once, and other origins are never fetched
+    expect(fetch.mock.calls.map(([url]) => String(url))).toEqual([BUNDLE_URL, `${BUNDLE_URL}.map`]);
+  });
+
+  it('follows a SourceMap header and inline data: maps', async () => {
+    const map = createMap(['webpack://shop/./src/cart.js', 'webpack://shop/./src/app.js']);
+    const inline = Buffer.from(JSON.stringify(map)).toString('base64');
+    const fetch = fakeFetch({
+      [BUNDLE_URL]: { body: 'bundle();', headers: { SourceMap: `data:application/json;base64,${inline}` } },
+    });
+    const result = await createStackResolver({ projectDir, fetch }).resolveStack(STACK, 'http://localhost:5173/');
+    expect(result.frames[0].file).toBe('src/cart.js');
+  });
+
+  it('falls back to source maps in the build output', async () => {
+    fs.mkdirSync(path.join(projectDir, 'public/build/assets'), { recursive: true });
+    fs.writeFileSync(
+      path.join(projectDir, 'public/build/assets/index-3f2a.js.map'),
+      JSON.stringify(createMap(['../../../src/cart.js', '../../../src/app.js']))
+    );
+    const fetch = vi.fn(async () => { throw new Error('ECONNREFUSED'); });
+    const resolver = createStackResolver({ projectDir, buildDirs: ['dist', 'public/build'], fetch });
+    const result = await resolver.resolveStack(STACK.replace(/localhost:5173/g, 'shop.test'), 'http://shop.test/');
+
+    expect(result.frames.map(f => `${f.file}:${f.line}`)).toEqual(['src/cart.js:3', 'src/app.js:10']);
+    expect(result.excerpt).toMatch(/^> 3 \|/m);
+    // shop.test is the page's own origin, so the dev server was asked first
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('uses the embedded source for the excerpt when the file is not in the project', async () => {
+    const map = { ...createMap(['webpack://shop/./lib/cart.js', 'webpack://shop/./lib/app.js']), sourcesContent: [CART_SOURCE] };
+    const fetch = fakeFetch({
+      [BUNDLE_URL]: { body: 'bundle();\n//# sourceMappingURL=/assets/index-3f2a.js.map' },
+      [`${BUNDLE_URL}.map`]: { body: JSON.stringify(map) },
+    });
+    const result = await createStackResolver({ projectDir, fetch }).resolveStack(STACK, 'http://localhost:5173/');
+    expect(result.excerpt).toMatch(/^lib\/cart\.js:3\n/);
+    expect(result.excerpt).toContain("> 3 |     throw new Error('No item');");
+  });
+
+  it('returns null when no map covers the stack', async () => {
+    const fetch = fakeFetch({ [BUNDLE_URL]: { body: 'bundle();' } });
+    const resolver = createStackResolver({ projectDir, fetch });
+    expect(await resolver.resolveStack(STACK, 'http://localhost:5173/')).toBeNull();
+    expect(await resolver.resolveStack(undefined, 'http://localhost:5173/')).toBeNull();
+  });
+});
+
+// ============================================
+// getCodeExcerpt
+// ============================================
+
+describe('getCodeExcerpt', () => {
+  it('clamps the context to the start of the file', () => {
+    expect(getCodeExcerpt({ file: 'a.js', line: 1, sourceContent: 'one\ntwo\nthree\nfour' })).toBe(
+      'a.js:1\n> 1 | one\n  2 | two\n  3 | three'
+    );
+  });
+
+  it('returns null without source text or for lines past the end', () => {
+    expect(getCodeExcerpt({ file: 'a.js', line: 1, sourceContent: null })).toBeNull();
+    expect(getCodeExcerpt({ file: 'a.js', line: 9, sourceContent: 'one' })).toBeNull();
+  });
+});
+
+// ============================================
+// resolveFeedbackStacks
+// ============================================
+
+describe('resolveFeedbackStacks', () => {
+  const files = {
+    [BUNDLE_URL]: { body: 'bundle();\n//# sourceMappingURL=index-3f2a.js.map' },
+    [`${BUNDLE_URL}.map`]: { body: JSON.stringify(createMap(['../src/cart.js', '../src/app.js'])) },
+  };
+
+  it('rewrites console log and error stacks and keeps the generated positions', async () => {
+    const item = {
+      id: 'fb-1',
+      url: 'http://localhost:5173/cart',
+      consoleLogs: [
+        { type: 'log', message: 'Rendering cart' },
+        { type: 'error', message: `Uncaught Error: No item (${BUNDLE_URL}:1:105)`, stack: STACK },
+      ],
+      error: {
+        type: 'error',
+        message: 'No item',
+        stack: STACK,
+        source: { file: BUNDLE_URL, line: 1, column: 105 },
+      },
+    };
+    const resolver = createStackResolver({ projectDir, fetch: fakeFetch(files) });
+    const result = await resolveFeedbackStacks(item, resolver);
+
+    expect(result.consoleLogs[0]).toBe(item.consoleLogs[0]);
+    expect(result.consoleLogs[1].message).toBe('Uncaught Error: No item (src/cart.js:3:11)');
+    expect(result.consoleLogs[1].stackFrames).toHaveLength(2);
+    expect(result.error.stack).toContain('at addToCart (src/cart.js:3:11)');
+    expect(result.error.source).toEqual({ file: 'src/cart.js', line: 3, column: 11, generated: `${BUNDLE_URL}:1:105` });
+    expect(result.error.codeExcerpt).toMatch(/^src\/cart\.js:3\n/);
+    // The original item is left alone
+    expect(item.error.stack).toBe(STACK);
+  });
+
+  it('resolves stacks in formatFeedbackAsContent when given a resolver', async () => {
+    const item = { id: 'fb-2', url: 'http://localhost:5173/', error: { message: 'No item', stack: STACK } };
+    const stackResolver = createStackResolver({ projectDir, fetch: fakeFetch(files) });
+    const [block] = await formatFeedbackAsContent([item], { stackResolver });
+    expect(JSON.parse(block.text).error.stackFrames[0].file).toBe('src/cart.js');
+
+    const [plain] = await formatFeedbackAsContent([item]);
+    expect(JSON.parse(plain.text).error).toEqual(item.error);
+  });
+});
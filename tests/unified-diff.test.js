@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { createUnifiedDiff } from '../src/unified-diff.js';
+
+const lines = (n, prefix = 'line') => Array.from({ length: n }, (_, i) => `${prefix} ${i + 1}\n`).join('');
+
+describe('createUnifiedDiff', () => {
+  it('returns an empty string for equal texts', () => {
+    expect(createUnifiedDiff('a\nb\n', 'a\nb\n')).toBe('');
+  });
+
+  it('shows an insertion with three lines of context', () => {
+    const before = lines(10);
+    const after = before.replace('line 6\n', 'line 6\ninserted\n');
+    expect(createUnifiedDiff(before, after, { fromFile: 'a/index.html', toFile: 'b/index.html' })).toBe([
+      '--- a/index.html',
+      '+++ b/index.html',
+      '@@ -4,6 +4,7 @@',
+      ' line 4',
+      ' line 5',
+      ' line 6',
+      '+inserted',
+      ' line 7',
+      ' line 8',
+      ' line 9',
+      '',
+    ].join('\n'));
+  });
+
+  it('splits distant changes into hunks and merges close ones', () => {
+    const before = lines(20);
+    const after = before.replace('line 2\n', 'two\n').replace('line 18\n', 'eighteen\n');
+    const diff = createUnifiedDiff(before, after);
+    expect(diff.match(/^@@ .* @@$/gm)).toEqual(['@@ -1,5 +1,5 @@', '@@ -15,6 +15,6 @@']);
+
+    const close = before.replace('line 2\n', 'two\n').replace('line 8\n', 'eight\n');
+    expect(createUnifiedDiff(before, close).match(/^@@ .* @@$/gm)).toEqual(['@@ -1,11 +1,11 @@']);
+  });
+
+  it('diffs a new file against /dev/null', () => {
+    expect(createUnifiedDiff('', 'one\ntwo\n', { fromFile: '/dev/null', toFile: 'b/plugin.ts' })).toBe(
+      '--- /dev/null\n+++ b/plugin.ts\n@@ -0,0 +1,2 @@\n+one\n+two\n'
+    );
+  });
+
+  it('marks a missing newline at the end of the file', () => {
+    expect(createUnifiedDiff('a', 'a\nb')).toBe(
+      '--- a\n+++ b\n@@ -1 +1,2 @@\n-a\n\\ No newline at end of file\n+a\n+b\n\\ No newline at end of file\n'
+    );
+  });
+
+  it('finds the common lines between replacements', () => {
+    const diff = createUnifiedDiff('a\nb\nc\nd\n', 'x\nb\ny\nd\n');
+    expect(diff.split('\n').slice(3, -1)).toEqual(['-a', '+x', ' b', '-c', '+y', ' d']);
+  });
+});
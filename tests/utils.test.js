@@ -5,9 +5,24 @@ import path from 'path';
 import {
   deriveSessionId,
   isValidSessionId,
+  loadOrCreateAuthToken,
+  isValidAuthToken,
+  DEFAULT_ALLOWED_ORIGINS,
+  parseOriginList,
+  toOrigin,
+  isOriginAllowed,
+  normalizeRedactionConfig,
   getPendingSummary,
   detectProjectUrl,
   formatFeedbackAsContent,
+  toHistoryEntry,
+  addReplyToHistoryEntry,
+  createFollowUpFeedback,
+  setHistoryEntryStatus,
+  getHistorySummary,
+  toVerificationSnapshot,
+  diffElementSnapshots,
+  formatVerificationAsContent,
 } from '../src/utils.js';
 
 // ============================================
@@ -84,6 +99,144 @@ describe('isValidSessionId', () => {
   });
 });
 
+// ============================================
+// Auth token
+// ============================================
+
+describe('loadOrCreateAuthToken', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-token-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('creates a random token with private permissions on first use', () => {
+    const file = path.join(tmpDir, 'nested', 'auth-token');
+    const token = loadOrCreateAuthToken(file);
+    expect(token).toMatch(/^[0-9a-f]{64}$/);
+    expect(fs.readFileSync(file, 'utf8').trim()).toBe(token);
+    if (process.platform !== 'win32') {
+      expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+      expect(fs.statSync(path.dirname(file)).mode & 0o777).toBe(0o700);
+    }
+    expect(fs.readdirSync(path.dirname(file))).toEqual(['auth-token']);
+  });
+
+  it('returns the existing token on later calls', () => {
+    const file = path.join(tmpDir, 'auth-token');
+    const token = loadOrCreateAuthToken(file);
+    expect(loadOrCreateAuthToken(file)).toBe(token);
+  });
+
+  it('replaces an empty token file', () => {
+    const file = path.join(tmpDir, 'auth-token');
+    fs.writeFileSync(file, '\n');
+    const token = loadOrCreateAuthToken(file);
+    expect(token).toMatch(/^[0-9a-f]{64}$/);
+    expect(fs.readFileSync(file, 'utf8').trim()).toBe(token);
+  });
+});
+
+describe('isValidAuthToken', () => {
+  it('accepts the expected token', () => {
+    expect(isValidAuthToken('secret', 'secret')).toBe(true);
+  });
+
+  it('rejects a different or missing token', () => {
+    expect(isValidAuthToken('secreT', 'secret')).toBe(false);
+    expect(isValidAuthToken('secret-longer', 'secret')).toBe(false);
+    expect(isValidAuthToken(undefined, 'secret')).toBe(false);
+    expect(isValidAuthToken('', '')).toBe(false);
+  });
+});
+
+// ============================================
+// Origin allowlist
+// ============================================
+
+describe('parseOriginList', () => {
+  it('splits a comma-separated list and drops blanks', () => {
+    expect(parseOriginList(' https://a.test, ,https://*.b.test ')).toEqual(['https://a.test', 'https://*.b.test']);
+  });
+
+  it('accepts arrays and ignores anything else', () => {
+    expect(parseOriginList(['https://a.test', 42, ''])).toEqual(['https://a.test']);
+    expect(parseOriginList(undefined)).toEqual([]);
+  });
+});
+
+describe('toOrigin', () => {
+  it('returns the origin of an http(s) URL', () => {
+    expect(toOrigin('https://project.test:8443/app?x=1')).toBe('https://project.test:8443');
+  });
+
+  it('returns null for invalid or non-http URLs', () => {
+    expect(toOrigin(null)).toBeNull();
+    expect(toOrigin('project.test')).toBeNull();
+    expect(toOrigin('file:///tmp/index.html')).toBeNull();
+  });
+});
+
+describe('isOriginAllowed', () => {
+  const patterns = ['https://project.test', 'https://*.ddev.site', ...DEFAULT_ALLOWED_ORIGINS];
+
+  it('matches exact origins case-insensitively', () => {
+    expect(isOriginAllowed('https://project.test', patterns)).toBe(true);
+    expect(isOriginAllowed('HTTPS://Project.test', patterns)).toBe(true);
+    expect(isOriginAllowed('http://project.test', patterns)).toBe(false);
+    expect(isOriginAllowed('https://project.test.evil.com', patterns)).toBe(false);
+  });
+
+  it('matches subdomain wildcards but not the bare domain', () => {
+    expect(isOriginAllowed('https://app.ddev.site', patterns)).toBe(true);
+    expect(isOriginAllowed('https://a.b.ddev.site', patterns)).toBe(true);
+    expect(isOriginAllowed('https://ddev.site', patterns)).toBe(false);
+    expect(isOriginAllowed('https://evilddev.site', patterns)).toBe(false);
+  });
+
+  it('allows local dev servers on any port by default', () => {
+    expect(isOriginAllowed('http://localhost:5173', patterns)).toBe(true);
+    expect(isOriginAllowed('http://localhost', patterns)).toBe(true);
+    expect(isOriginAllowed('http://127.0.0.1:8080', patterns)).toBe(true);
+    expect(isOriginAllowed('http://localhost.evil.com', patterns)).toBe(false);
+  });
+
+  it('rejects missing and opaque origins', () => {
+    expect(isOriginAllowed(undefined, patterns)).toBe(false);
+    expect(isOriginAllowed('null', patterns)).toBe(false);
+  });
+});
+
+// ============================================
+// normalizeRedactionConfig
+// ============================================
+
+describe('normalizeRedactionConfig', () => {
+  it('keeps valid patterns and selectors', () => {
+    expect(normalizeRedactionConfig({ patterns: ['ACCT-\\d+', ' ORDER-[0-9]+ '], selectors: ['.customer-name'] })).toEqual({
+      patterns: ['ACCT-\\d+', 'ORDER-[0-9]+'],
+      selectors: ['.customer-name'],
+      invalidPatterns: [],
+    });
+  });
+
+  it('accepts single strings and reports patterns that do not compile', () => {
+    expect(normalizeRedactionConfig({ patterns: '(unclosed', selectors: '.a, .b' })).toEqual({
+      patterns: [],
+      selectors: ['.a, .b'],
+      invalidPatterns: ['(unclosed'],
+    });
+  });
+
+  it('returns empty rules for missing config', () => {
+    expect(normalizeRedactionConfig(undefined)).toEqual({ patterns: [], selectors: [], invalidPatterns: [] });
+  });
+});
+
 // ============================================
 // getPendingSummary
 // ============================================
@@ -130,6 +283,28 @@ describe('getPendingSummary', () => {
     expect(result.items[0].timestamp).toBe('2026-02-01T00:00:00Z');
   });
 
+  it('labels region selections by size and position', () => {
+    const pending = [{ id: 'fb-5', region: { left: 10.4, top: 40, width: 320, height: 199.6 } }];
+    const result = getPendingSummary(pending);
+    expect(result.items[0].selector).toBe('Region 320×200 at (10, 40)');
+  });
+
+  it('labels multi-element selections by their first selector', () => {
+    const pending = [{
+      id: 'fb-6',
+      element: { selector: '.btn-a' },
+      elements: [{ selector: '.btn-a' }, { selector: '.btn-b' }, { selector: '.btn-c' }],
+    }];
+    const result = getPendingSummary(pending);
+    expect(result.items[0].selector).toBe('.btn-a (+2 more)');
+  });
+
+  it('labels follow-ups by the selector of the original item', () => {
+    const pending = [{ id: 'fb-7', inReplyTo: 'fb-1', original: { selector: '.header' } }];
+    const result = getPendingSummary(pending);
+    expect(result.items[0].selector).toBe('Follow-up: .header');
+  });
+
   it('handles missing optional fields', () => {
     const pending = [{ id: 'fb-4' }];
     const result = getPendingSummary(pending);
@@ -142,25 +317,250 @@ describe('getPendingSummary', () => {
   });
 });
 
+// ============================================
+// Feedback history threads
+// ============================================
+
+describe('toHistoryEntry', () => {
+  it('keeps a summary of the sent item without heavy payloads', () => {
+    const entry = toHistoryEntry({
+      id: 'fb-1',
+      timestamp: '2024-01-01T00:00:00Z',
+      url: 'http://app.test/',
+      element: { selector: '.header' },
+      description: 'Logo is blurry',
+      screenshot: 'data:image/png;base64,abc',
+      consoleLogs: [{ level: 'error' }],
+    }, '2024-01-01T00:01:00Z');
+    expect(entry).toEqual({
+      id: 'fb-1',
+      description: 'Logo is blurry',
+      selector: '.header',
+      url: 'http://app.test/',
+      timestamp: '2024-01-01T00:00:00Z',
+      sentAt: '2024-01-01T00:01:00Z',
+      status: 'open',
+      statusHistory: [{ status: 'open', at: '2024-01-01T00:01:00Z', by: 'user' }],
+      replies: [],
+    });
+  });
+});
+
+describe('setHistoryEntryStatus', () => {
+  const entry = { id: 'fb-1', status: 'open', statusHistory: [{ status: 'open', at: 't0', by: 'user' }] };
+
+  it('records the change with its note', () => {
+    const updated = setHistoryEntryStatus(entry, 'resolved', { note: 'Fixed padding', at: 't1' });
+    expect(updated.status).toBe('resolved');
+    expect(updated.statusHistory).toEqual([
+      { status: 'open', at: 't0', by: 'user' },
+      { status: 'resolved', at: 't1', by: 'claude', note: 'Fixed padding' },
+    ]);
+    expect(entry.status).toBe('open');
+  });
+
+  it('rejects unknown statuses', () => {
+    expect(() => setHistoryEntryStatus(entry, 'done')).toThrow(/invalid status/i);
+  });
+});
+
+describe('getHistorySummary', () => {
+  const history = [
+    { id: 'a', status: 'open' },
+    { id: 'b', status: 'resolved' },
+    { id: 'c', status: 'in_progress' },
+    { id: 'd', status: 'resolved' },
+  ];
+
+  it('counts items per status', () => {
+    expect(getHistorySummary(history).counts).toEqual({ open: 1, in_progress: 1, resolved: 2, wontfix: 0 });
+  });
+
+  it('filters items by status', () => {
+    expect(getHistorySummary(history, 'resolved').items.map(e => e.id)).toEqual(['b', 'd']);
+    expect(getHistorySummary(history, 'all').items).toHaveLength(4);
+  });
+});
+
+describe('addReplyToHistoryEntry', () => {
+  const entry = { id: 'fb-1', status: 'in_progress', replies: [] };
+
+  it('keeps the status when Claude replies', () => {
+    const updated = addReplyToHistoryEntry(entry, 'claude', 'Fixed in Header.tsx', 't1');
+    expect(updated.status).toBe('in_progress');
+    expect(updated.replies).toEqual([{ from: 'claude', text: 'Fixed in Header.tsx', at: 't1' }]);
+    expect(entry.replies).toEqual([]);
+  });
+
+  it('reopens the entry when the user replies', () => {
+    const resolved = setHistoryEntryStatus(entry, 'resolved', { at: 't1' });
+    const reopened = addReplyToHistoryEntry(resolved, 'user', 'Still blurry', 't2');
+    expect(reopened.status).toBe('open');
+    expect(reopened.statusHistory.at(-1)).toMatchObject({ status: 'open', by: 'user', at: 't2' });
+    expect(reopened.replies.map(r => r.from)).toEqual(['user']);
+  });
+});
+
+describe('createFollowUpFeedback', () => {
+  it('links the follow-up to the original item and carries the thread', () => {
+    const entry = {
+      id: 'fb-1',
+      description: 'Logo is blurry',
+      selector: '.header',
+      url: 'http://app.test/',
+      sentAt: 't0',
+      replies: [{ from: 'claude', text: 'Fixed', at: 't1' }],
+    };
+    const followUp = createFollowUpFeedback(entry, 'Still blurry on retina');
+    expect(followUp).toMatchObject({
+      url: 'http://app.test/',
+      inReplyTo: 'fb-1',
+      description: 'Still blurry on retina',
+      original: { description: 'Logo is blurry', selector: '.header', sentAt: 't0' },
+      thread: entry.replies,
+    });
+    expect(followUp.id).toEqual(expect.any(String));
+    expect(followUp.id).not.toBe('fb-1');
+  });
+});
+
+// ============================================
+// Visual verification
+// ============================================
+
+describe('toVerificationSnapshot', () => {
+  it('keeps the screenshot and the primary element data', () => {
+    const snapshot = toVerificationSnapshot({
+      id: 'fb-1',
+      url: 'http://app.test/',
+      timestamp: 't0',
+      screenshot: 'data:image/jpeg;base64,abc',
+      element: {
+        selector: '.logo',
+        fullSelector: 'body > header > img.logo',
+        boundingRect: { top: 0, left: 0, width: 100, height: 40 },
+        computedStyles: { width: '100px' },
+        outerHTML: '<img class="logo">',
+      },
+      consoleLogs: [{ level: 'error' }],
+    });
+    expect(snapshot).toEqual({
+      url: 'http://app.test/',
+      capturedAt: 't0',
+      screenshot: 'data:image/jpeg;base64,abc',
+      element: {
+        selector: '.logo',
+        fullSelector: 'body > header > img.logo',
+        boundingRect: { top: 0, left: 0, width: 100, height: 40 },
+        computedStyles: { width: '100px' },
+      },
+      target: null,
+    });
+  });
+
+  it('keeps the screenshot without the drawing when the item was annotated', () => {
+    const snapshot = toVerificationSnapshot({
+      screenshot: 'data:image/jpeg;base64,drawn',
+      baseScreenshot: 'data:image/jpeg;base64,plain',
+      annotations: { width: 10, height: 10, shapes: [] },
+    });
+    expect(snapshot.screenshot).toBe('data:image/jpeg;base64,plain');
+  });
+
+  it('records the elements of a multi-selection as the capture target', () => {
+    const elements = [
+      { selector: '.a', fullSelector: 'body > .a', computedStyles: {} },
+      { selector: '.b', fullSelector: 'body > .b', computedStyles: {} },
+    ];
+    expect(toVerificationSnapshot({ element: elements[0], elements }).target).toEqual({
+      elements: [{ selector: '.a', fullSelector: 'body > .a' }, { selector: '.b', fullSelector: 'body > .b' }],
+    });
+  });
+
+  it('records a region as the capture target, without an element', () => {
+    const snapshot = toVerificationSnapshot({
+      region: { left: 10, top: 20, width: 30, height: 40, scrollX: 0, scrollY: 500, elements: [], elementCount: 0 },
+    });
+    expect(snapshot.element).toBeNull();
+    expect(snapshot.target).toEqual({ region: { left: 10, top: 20, width: 30, height: 40, scrollX: 0, scrollY: 500 } });
+  });
+});
+
+describe('diffElementSnapshots', () => {
+  it('reports only changed properties', () => {
+    const diff = diffElementSnapshots(
+      { boundingRect: { top: 10, left: 0, width: 100, height: 40 }, computedStyles: { padding: '4px', color: 'red' } },
+      { boundingRect: { top: 10.2, left: 0, width: 120, height: 40 }, computedStyles: { padding: '8px', color: 'red' } }
+    );
+    expect(diff).toEqual({
+      changed: true,
+      boundingRect: { width: { before: 100, after: 120 } },
+      computedStyles: { padding: { before: '4px', after: '8px' } },
+    });
+  });
+
+  it('reports no change for identical snapshots', () => {
+    const element = { boundingRect: { width: 1 }, computedStyles: { color: 'red' } };
+    expect(diffElementSnapshots(element, element).changed).toBe(false);
+  });
+});
+
+describe('formatVerificationAsContent', () => {
+  const snapshot = {
+    url: 'http://app.test/',
+    capturedAt: 't0',
+    screenshot: 'data:image/jpeg;base64,BEFORE',
+    element: { selector: '.logo', fullSelector: 'header > .logo', boundingRect: { width: 100 }, computedStyles: {} },
+  };
+
+  it('returns the summary followed by before and after images', () => {
+    const content = formatVerificationAsContent('fb-1', snapshot, {
+      url: 'http://app.test/',
+      capturedAt: 't1',
+      found: true,
+      matchedBy: 'fullSelector',
+      element: { boundingRect: { width: 120 }, computedStyles: {} },
+      screenshot: 'data:image/jpeg;base64,AFTER',
+    });
+    const summary = JSON.parse(content[0].text);
+    expect(summary.diff.boundingRect).toEqual({ width: { before: 100, after: 120 } });
+    expect(summary.notes).toEqual([]);
+    expect(content.filter(c => c.type === 'image').map(c => c.data)).toEqual(['BEFORE', 'AFTER']);
+  });
+
+  it('explains when the element is gone', () => {
+    const content = formatVerificationAsContent('fb-1', snapshot, {
+      url: 'http://app.test/other',
+      found: false,
+      matchedBy: null,
+    });
+    const summary = JSON.parse(content[0].text);
+    expect(summary.diff).toBeNull();
+    expect(summary.notes.join(' ')).toMatch(/not found/);
+    expect(summary.notes.join(' ')).toMatch(/URL changed/);
+    expect(content.filter(c => c.type === 'image')).toHaveLength(1);
+  });
+});
+
 // ============================================
 // formatFeedbackAsContent
 // ============================================
 
 describe('formatFeedbackAsContent', () => {
-  it('returns a text block for a single item without screenshot', () => {
+  it('returns a text block for a single item without screenshot', async () => {
     const item = { id: 'fb-1', description: 'Test' };
-    const result = formatFeedbackAsContent([item]);
+    const result = await formatFeedbackAsContent([item]);
     expect(result).toHaveLength(1);
     expect(result[0].type).toBe('text');
     expect(JSON.parse(result[0].text)).toEqual(item);
   });
 
-  it('returns text + image blocks for item with valid data URL screenshot', () => {
+  it('returns text + image blocks for item with valid data URL screenshot', async () => {
     const item = {
       id: 'fb-2',
       screenshot: 'data:image/png;base64,iVBORw0KGgo=',
     };
-    const result = formatFeedbackAsContent([item]);
+    const result = await formatFeedbackAsContent([item]);
     expect(result).toHaveLength(2);
     expect(result[0].type).toBe('text');
     expect(result[1]).toEqual({
@@ -170,31 +570,43 @@ describe('formatFeedbackAsContent', () => {
     });
   });
 
-  it('excludes screenshot from the text JSON', () => {
+  it('excludes screenshot from the text JSON', async () => {
     const item = {
       id: 'fb-3',
       description: 'With screenshot',
       screenshot: 'data:image/jpeg;base64,abc123',
     };
-    const result = formatFeedbackAsContent([item]);
+    const result = await formatFeedbackAsContent([item]);
     const parsed = JSON.parse(result[0].text);
     expect(parsed.screenshot).toBeUndefined();
     expect(parsed.id).toBe('fb-3');
   });
 
-  it('does not produce image block for invalid screenshot URL', () => {
+  it('leaves out the screenshot without the drawing', async () => {
+    const item = {
+      id: 'fb-3',
+      screenshot: 'data:image/jpeg;base64,drawn',
+      baseScreenshot: 'data:image/jpeg;base64,plain',
+    };
+    const result = await formatFeedbackAsContent([item]);
+    expect(result).toHaveLength(2);
+    expect(JSON.parse(result[0].text)).toEqual({ id: 'fb-3' });
+    expect(result[1].data).toBe('drawn');
+  });
+
+  it('does not produce image block for invalid screenshot URL', async () => {
     const item = { id: 'fb-4', screenshot: 'https://example.com/img.png' };
-    const result = formatFeedbackAsContent([item]);
+    const result = await formatFeedbackAsContent([item]);
     expect(result).toHaveLength(1);
     expect(result[0].type).toBe('text');
   });
 
-  it('adds count header for multiple items', () => {
+  it('adds count header for multiple items', async () => {
     const items = [
       { id: 'fb-5', description: 'First' },
       { id: 'fb-6', description: 'Second' },
     ];
-    const result = formatFeedbackAsContent(items);
+    const result = await formatFeedbackAsContent(items);
     expect(result[0]).toEqual({
       type: 'text',
       text: 'Received 2 feedback item(s):',
@@ -202,9 +614,21 @@ describe('formatFeedbackAsContent', () => {
     expect(result).toHaveLength(3); // header + 2 text blocks
   });
 
-  it('coerces a non-array single item to array', () => {
+  it('keeps console logs and network errors in the text JSON', async () => {
+    const item = {
+      id: 'fb-8',
+      consoleLogs: [{ type: 'error', message: 'Boom' }],
+      networkErrors: [{ method: 'GET', url: '/api/cart', status: 500, duration: 12, responseBody: 'Internal error' }],
+    };
+    const result = await formatFeedbackAsContent([item]);
+    const parsed = JSON.parse(result[0].text);
+    expect(parsed.consoleLogs).toEqual(item.consoleLogs);
+    expect(parsed.networkErrors).toEqual(item.networkErrors);
+  });
+
+  it('coerces a non-array single item to array', async () => {
     const item = { id: 'fb-7' };
-    const result = formatFeedbackAsContent(item);
+    const result = await formatFeedbackAsContent(item);
     expect(result).toHaveLength(1);
     expect(result[0].type).toBe('text');
   });
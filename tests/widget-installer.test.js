@@ -0,0 +1,439 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import crypto from 'crypto';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  detectFramework,
+  getFramework,
+  injectWidget,
+  removeWidget,
+  installWidget,
+  uninstallWidget,
+  uninstallAllWidgets,
+  readInstallManifest,
+  getChangedRange,
+  getGitFileState,
+  MANIFEST_FILE_NAME,
+} from '../src/widget-installer.js';
+import { DEFAULT_CONFIG } from '../src/project-config.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'frameworks');
+const WIDGET_URL = 'http://localhost:9877/widget.js?session=abc';
+const ctx = { widgetUrl: WIDGET_URL, devOnly: true, hostnameCheck: "h === 'localhost'" };
+
+let projectDir;
+
+beforeEach(() => {
+  projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'widget-installer-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(projectDir, { recursive: true, force: true });
+});
+
+function useFixture(name) {
+  fs.cpSync(path.join(FIXTURES_DIR, name), projectDir, { recursive: true });
+}
+
+const read = (file) => fs.readFileSync(path.join(projectDir, file), 'utf8');
+const readFixture = (name, file) => fs.readFileSync(path.join(FIXTURES_DIR, name, file), 'utf8');
+
+function install(options = {}) {
+  return installWidget(projectDir, {
+    framework: detectFramework(projectDir),
+    candidates: DEFAULT_CONFIG.installCandidates,
+    ctx,
+    ...options,
+  });
+}
+
+function uninstall(options = {}) {
+  return uninstallWidget(projectDir, {
+    framework: detectFramework(projectDir),
+    candidates: DEFAULT_CONFIG.installCandidates,
+    ...options,
+  });
+}
+
+// ============================================
+// detectFramework
+// ============================================
+
+describe('detectFramework', () => {
+  it.each([
+    ['nextjs-app', 'nextjs', 'package.json'],
+    ['nextjs-pages', 'nextjs', 'package.json'],
+    ['nuxt', 'nuxt', 'package.json'],
+    ['sveltekit', 'sveltekit', 'package.json'],
+    ['astro', 'astro', 'package.json'],
+    ['laravel', 'laravel', 'composer.json'],
+    ['symfony', 'symfony', 'composer.json'],
+    ['rails', 'rails', 'Gemfile'],
+    ['vite', 'vite', 'package.json'],
+  ])('detects %s as %s from %s', (fixture, id, detectedFrom) => {
+    useFixture(fixture);
+    expect(detectFramework(projectDir)).toMatchObject({ id, detectedFrom });
+  });
+
+  it('falls back to framework config files', () => {
+    fs.writeFileSync(path.join(projectDir, 'astro.config.mjs'), 'export default {};\n');
+    expect(detectFramework(projectDir)).toEqual({ id: 'astro', name: 'Astro', detectedFrom: 'astro.config.mjs' });
+  });
+
+  it('returns null for a plain HTML project', () => {
+    useFixture('plain');
+    expect(detectFramework(projectDir)).toBeNull();
+  });
+});
+
+// ============================================
+// installWidget / uninstallWidget per framework
+// ============================================
+
+describe('framework install strategies', () => {
+  it.each([
+    ['nextjs-app', 'app/layout.tsx', "{process.env.NODE_ENV === 'development' && ( <script src=\"" + WIDGET_URL + '" id="claude-feedback-widget-script" async /> )}'],
+    ['nextjs-pages', 'pages/_document.jsx', "{process.env.NODE_ENV === 'development' && ("],
+    ['sveltekit', 'src/app.html', "var isDevHost = h === 'localhost';"],
+    ['astro', 'src/layouts/Layout.astro', `{import.meta.env.DEV && <script src="${WIDGET_URL}" id="claude-feedback-widget-script" is:inline></script>}`],
+    ['laravel', 'resources/views/layouts/app.blade.php', "@env('local')"],
+    ['symfony', 'templates/base.html.twig', '{% if app.debug %}'],
+    ['rails', 'app/views/layouts/application.html.erb', '<% if Rails.env.development? %>'],
+    ['vite', 'index.html', "var isDevHost = h === 'localhost';"],
+    ['plain', 'public/index.html', "var isDevHost = h === 'localhost';"],
+  ])('%s: installs into %s and uninstalls byte-exact', (fixture, file, expected) => {
+    useFixture(fixture);
+    const original = readFixture(fixture, file);
+
+    const result = install();
+    expect(result).toMatchObject({ status: 'installed', file: path.join(projectDir, file), created: false });
+    const installed = read(file);
+    expect(installed).toContain(expected);
+    expect(installed).toContain('claude-feedback-widget:start');
+    // The snippet lands inside <body>
+    expect(installed.indexOf('claude-feedback-widget:end')).toBeLessThan(installed.lastIndexOf('</body>'));
+
+    expect(install().status).toBe('already_installed');
+
+    expect(uninstall()).toMatchObject({ status: 'removed', file: path.join(projectDir, file), deleted: false });
+    expect(read(file)).toBe(original);
+  });
+
+  it('indents the snippet like the body content', () => {
+    useFixture('laravel');
+    install();
+    expect(read('resources/views/layouts/app.blade.php')).toContain([
+      '        @yield(\'content\')',
+      '        {{-- claude-feedback-widget:start --}}',
+      "        @env('local')",
+      `          <script src="${WIDGET_URL}" id="claude-feedback-widget-script"></script>`,
+      '        @endenv',
+      '        {{-- claude-feedback-widget:end --}}',
+      '    </body>',
+    ].join('\n'));
+  });
+
+  it('nuxt: creates a client plugin and deletes it on uninstall', () => {
+    useFixture('nuxt');
+
+    const result = install();
+    expect(result).toMatchObject({
+      status: 'installed',
+      file: path.join(projectDir, 'plugins', 'claude-feedback.client.ts'),
+      strategy: 'nuxt',
+      devCondition: 'import.meta.dev',
+      created: true,
+    });
+    const plugin = read('plugins/claude-feedback.client.ts');
+    expect(plugin).toContain('export default defineNuxtPlugin(() => {');
+    expect(plugin).toContain('  if (!import.meta.dev) return;');
+    expect(plugin).toContain(`  s.src = '${WIDGET_URL}';`);
+
+    expect(install().status).toBe('already_installed');
+
+    expect(uninstall()).toMatchObject({ status: 'removed', deleted: true });
+    expect(fs.existsSync(path.join(projectDir, 'plugins', 'claude-feedback.client.ts'))).toBe(false);
+    expect(read('nuxt.config.ts')).toBe(readFixture('nuxt', 'nuxt.config.ts'));
+  });
+
+  it('nuxt: uses app/plugins in a Nuxt 4 layout', () => {
+    useFixture('nuxt');
+    fs.mkdirSync(path.join(projectDir, 'app'));
+    fs.renameSync(path.join(projectDir, 'app.vue'), path.join(projectDir, 'app', 'app.vue'));
+    expect(install().file).toBe(path.join(projectDir, 'app', 'plugins', 'claude-feedback.client.ts'));
+  });
+
+  it('omits the dev check when dev_only is false', () => {
+    useFixture('rails');
+    install({ ctx: { ...ctx, devOnly: false } });
+    const installed = read('app/views/layouts/application.html.erb');
+    expect(installed).not.toContain('Rails.env.development?');
+    expect(installed).toContain(`<script src="${WIDGET_URL}" id="claude-feedback-widget-script"></script>`);
+  });
+
+  it('searches the framework template directories for a layout with </body>', () => {
+    useFixture('astro');
+    fs.renameSync(path.join(projectDir, 'src', 'layouts', 'Layout.astro'), path.join(projectDir, 'src', 'layouts', 'Page.astro'));
+    fs.writeFileSync(path.join(projectDir, 'src', 'layouts', 'Card.astro'), '<div><slot /></div>\n');
+    expect(install().file).toBe(path.join(projectDir, 'src', 'layouts', 'Page.astro'));
+  });
+
+  it('reports the searched files when nothing matches', () => {
+    useFixture('rails');
+    fs.rmSync(path.join(projectDir, 'app'), { recursive: true });
+    const result = install();
+    expect(result.status).toBe('not_found');
+    expect(result.searched).toContain('app/views/layouts/application.html.erb');
+    expect(result.searched).toContain('index.html');
+  });
+
+  it('refuses templates without a </body> tag', () => {
+    useFixture('symfony');
+    fs.writeFileSync(path.join(projectDir, 'templates', 'partial.html.twig'), '<p>{{ text }}</p>\n');
+    expect(install({ filePath: 'templates/partial.html.twig' }))
+      .toMatchObject({ status: 'no_injection_point', strategy: 'symfony' });
+  });
+
+  it('uses the hostname check for Twig outside Symfony', () => {
+    fs.mkdirSync(path.join(projectDir, 'templates'));
+    fs.writeFileSync(path.join(projectDir, 'templates', 'html.html.twig'), '<html>\n<body>\n{{ page }}\n</body>\n</html>\n');
+    const result = install({ filePath: 'templates/html.html.twig' });
+    expect(result.strategy).toBe('twig');
+    expect(read('templates/html.html.twig')).toContain("{# claude-feedback-widget:start #}\n  <script>");
+  });
+
+  it('reports a missing explicit file', () => {
+    expect(install({ filePath: 'missing.html' })).toEqual({ status: 'file_not_found', file: path.join(projectDir, 'missing.html') });
+    expect(uninstall({ filePath: 'missing.html' }).status).toBe('file_not_found');
+  });
+
+  it('removes snippets installed by earlier versions', () => {
+    fs.writeFileSync(path.join(projectDir, 'index.html'), [
+      '<body>',
+      '<h1>Hi</h1>',
+      '<!-- Claude Code Browser Feedback Widget (dev only) -->',
+      '<script>',
+      '  (function() {',
+      "    var s = document.createElement('script');",
+      "    s.id = 'claude-feedback-widget-script';",
+      '  })();',
+      '</script>',
+      '</body>',
+      '',
+    ].join('\n'));
+    expect(uninstall().status).toBe('removed');
+    expect(read('index.html')).toBe('<body>\n<h1>Hi</h1>\n</body>\n');
+  });
+
+  it('reports when no file has the widget', () => {
+    useFixture('vite');
+    expect(uninstall().status).toBe('not_found');
+    expect(uninstall({ filePath: 'index.html' }).status).toBe('not_installed');
+  });
+});
+
+// ============================================
+// injectWidget / removeWidget
+// ============================================
+
+describe('injectWidget', () => {
+  it('keeps CRLF line endings and round-trips', () => {
+    const content = '<html>\r\n<body>\r\n<p>x</p>\r\n</body>\r\n</html>\r\n';
+    const installed = injectWidget(content, 'erb', ctx);
+    expect(installed).not.toMatch(/[^\r]\n/);
+    expect(removeWidget(installed)).toEqual({ content, removed: 1 });
+  });
+
+  it('appends to HTML without </body> or </html>', () => {
+    const installed = injectWidget('<p>fragment</p>', 'html', { ...ctx, devOnly: false });
+    expect(installed).toBe([
+      '<p>fragment</p>',
+      '<!-- claude-feedback-widget:start -->',
+      `<script src="${WIDGET_URL}" id="claude-feedback-widget-script"></script>`,
+      '<!-- claude-feedback-widget:end -->',
+      '',
+    ].join('\n'));
+  });
+
+  it('returns null for a template without </body>', () => {
+    expect(injectWidget('<div>{children}</div>', 'jsx', ctx)).toBeNull();
+  });
+
+  it('looks up frameworks by id', () => {
+    expect(getFramework('laravel').name).toBe('Laravel (Blade)');
+    expect(getFramework('unknown')).toBeNull();
+  });
+});
+
+// ============================================
+// Install manifest
+// ============================================
+
+describe('install manifest', () => {
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(projectDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(projectDir, file), content);
+  };
+  const manifestExists = () => fs.existsSync(path.join(projectDir, MANIFEST_FILE_NAME));
+
+  it('records the file, byte range, hash and original text of an install', () => {
+    useFixture('vite');
+    const before = read('index.html');
+    install();
+    const after = read('index.html');
+
+    const [entry] = readInstallManifest(projectDir).entries;
+    expect(entry).toMatchObject({ file: 'index.html', original: '', created: false });
+    const inserted = Buffer.from(after).subarray(entry.start, entry.end).toString();
+    expect(inserted).toBe(entry.inserted);
+    expect(entry.hash).toBe(crypto.createHash('sha256').update(inserted).digest('hex'));
+    expect(after.replace(entry.inserted, '')).toBe(before);
+
+    uninstall();
+    expect(read('index.html')).toBe(before);
+    expect(manifestExists()).toBe(false);
+  });
+
+  it('restores the file when it was edited outside the snippet', () => {
+    useFixture('symfony');
+    install();
+    const file = 'templates/base.html.twig';
+    write(file, read(file).replace('Welcome!', 'Welkommen på siden!'));
+
+    expect(uninstall()).toMatchObject({ status: 'removed', moved: true });
+    expect(read(file)).toBe(readFixture('symfony', file).replace('Welcome!', 'Welkommen på siden!'));
+  });
+
+  it('reports drift when the snippet was edited, and removes it with force', () => {
+    useFixture('rails');
+    install();
+    const file = 'app/views/layouts/application.html.erb';
+    write(file, read(file).replace('Rails.env.development?', 'Rails.env.local?'));
+
+    const result = uninstall();
+    expect(result.status).toBe('drift');
+    expect(result.inserted).toContain('Rails.env.development?');
+    expect(read(file)).toContain('Rails.env.local?');
+    expect(readInstallManifest(projectDir).entries).toHaveLength(1);
+
+    expect(uninstall({ force: true }).status).toBe('removed');
+    expect(read(file)).toBe(readFixture('rails', file));
+    expect(manifestExists()).toBe(false);
+  });
+
+  it('keeps what the user added to the created Nuxt plugin', () => {
+    useFixture('nuxt');
+    install();
+    fs.appendFileSync(path.join(projectDir, 'plugins', 'claude-feedback.client.ts'), '// mine\n');
+    expect(uninstall()).toMatchObject({ status: 'removed', deleted: false });
+    expect(read('plugins/claude-feedback.client.ts')).toBe('// mine\n');
+  });
+
+  it('uninstalls from every recorded file at once', () => {
+    write('a/index.html', '<html>\n<body>\n</body>\n</html>\n');
+    write('b/index.html', '<body>\r\n  <p>ø</p>\r\n</body>\r\n');
+    install({ filePath: 'a/index.html' });
+    install({ filePath: 'b/index.html' });
+    expect(readInstallManifest(projectDir).entries.map(e => e.file)).toEqual(['a/index.html', 'b/index.html']);
+
+    const results = uninstallAllWidgets(projectDir);
+    expect(results.map(r => r.status)).toEqual(['removed', 'removed']);
+    expect(read('a/index.html')).toBe('<html>\n<body>\n</body>\n</html>\n');
+    expect(read('b/index.html')).toBe('<body>\r\n  <p>ø</p>\r\n</body>\r\n');
+    expect(manifestExists()).toBe(false);
+  });
+
+  it('forgets entries whose file is gone', () => {
+    write('index.html', '<body></body>');
+    install();
+    fs.rmSync(path.join(projectDir, 'index.html'));
+    expect(uninstall().status).toBe('file_not_found');
+    expect(manifestExists()).toBe(false);
+  });
+
+  it('removes unrecorded script tags on any port and keeps surrounding whitespace', () => {
+    const content = '<body>\n\n\n<main></main>\n  <script src="http://localhost:9999/widget.js?session=abc"></script>\n</body>\n';
+    write('index.html', content);
+    expect(uninstall().status).toBe('removed');
+    expect(read('index.html')).toBe('<body>\n\n\n<main></main>\n</body>\n');
+  });
+});
+
+describe('getChangedRange', () => {
+  it('returns byte offsets for multi-byte text', () => {
+    expect(getChangedRange('æøå</body>', 'æøåü!</body>')).toEqual({
+      start: 6,
+      end: 9,
+      inserted: 'ü!',
+      original: '',
+    });
+  });
+});
+
+// ============================================
+// Dry run and git guard
+// ============================================
+
+describe('dry run', () => {
+  it('returns the diff without writing anything', () => {
+    useFixture('vite');
+    const result = install({ dryRun: true });
+    expect(result).toMatchObject({ status: 'dry_run', file: path.join(projectDir, 'index.html'), strategy: 'html' });
+    expect(result.diff).toMatch(/^--- a\/index\.html\n\+\+\+ b\/index\.html\n@@ -7,5 \+7,19 @@\n/);
+    expect(result.diff).toContain("+        var isDevHost = h === 'localhost';\n");
+    expect(read('index.html')).toBe(readFixture('vite', 'index.html'));
+    expect(fs.existsSync(path.join(projectDir, MANIFEST_FILE_NAME))).toBe(false);
+  });
+
+  it('shows a created file against /dev/null', () => {
+    useFixture('nuxt');
+    const result = install({ dryRun: true });
+    expect(result.diff).toMatch(/^--- \/dev\/null\n\+\+\+ b\/plugins\/claude-feedback\.client\.ts\n@@ -0,0 \+1,\d+ @@\n/);
+    expect(fs.existsSync(path.join(projectDir, 'plugins'))).toBe(false);
+  });
+});
+
+describe('git guard', () => {
+  const git = (...args) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], {
+    cwd: projectDir,
+    stdio: 'ignore',
+  });
+
+  beforeEach(() => {
+    useFixture('laravel');
+    git('init', '-q');
+    git('add', '-A');
+    git('commit', '-q', '-m', 'Initial');
+  });
+
+  const layout = 'resources/views/layouts/app.blade.php';
+
+  it('refuses to modify a committed, unchanged file unless confirmed', () => {
+    expect(getGitFileState(path.join(projectDir, layout))).toBe('clean');
+    const result = install();
+    expect(result.status).toBe('needs_confirmation');
+    expect(result.diff).toContain("+        @env('local')");
+    expect(read(layout)).toBe(readFixture('laravel', layout));
+
+    expect(install({ confirm: true }).status).toBe('installed');
+    expect(getGitFileState(path.join(projectDir, layout))).toBe('modified');
+  });
+
+  it('allows files with uncommitted changes or untracked files', () => {
+    fs.appendFileSync(path.join(projectDir, layout), '\n');
+    expect(install().status).toBe('installed');
+
+    fs.writeFileSync(path.join(projectDir, 'index.html'), '<body></body>');
+    expect(getGitFileState(path.join(projectDir, 'index.html'))).toBe('untracked');
+    expect(install({ filePath: 'index.html' }).status).toBe('installed');
+  });
+
+  it('does not guard outside a repository', () => {
+    fs.rmSync(path.join(projectDir, '.git'), { recursive: true });
+    expect(getGitFileState(path.join(projectDir, layout))).toBeNull();
+    expect(install().status).toBe('installed');
+  });
+});